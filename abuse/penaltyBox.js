@@ -0,0 +1,242 @@
+const { ABUSE_RULES } = require('../configuration');
+const { toList } = require('../algorithms/common');
+
+// Clients with a block that may still be active, for listing
+const BLOCKED_SET_KEY = 'penalty:blocked';
+
+const blockKey = (subject) => `penalty:block:${subject}`;
+
+// Parse a stored block, treating missing or corrupt state as none
+const parseBlock = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Abuse rule with defaults filled in; a rule that could never trip or
+// would block for nothing throws
+const normalizeRule = (rule) => {
+  if (!rule.name) throw new Error('Abuse rules need a name');
+  for (const field of ['maxDenials', 'interval', 'blockDuration']) {
+    if (!Number.isFinite(rule[field]) || rule[field] <= 0) {
+      throw new Error(`Abuse rule ${rule.name}: ${field} must be positive`);
+    }
+  }
+  return { backoff: 2, maxBlockDuration: 86400, ...rule };
+};
+
+// Records a denial under a rule and, once the rule trips, blocks the client.
+// KEYS = denial log, offense count, block
+// ARGV = now, maxDenials, interval, blockDuration, backoff, maxBlockDuration,
+// offenseTTL, rule, endpoint
+// Returns {duration, offenses, expiresAt} for a new block, {0, 0, 0} otherwise
+const recordDenialScript = `
+  -- penalty_box: record_denial
+  local logKey = KEYS[1]
+  local offensesKey = KEYS[2]
+  local blockKey = KEYS[3]
+  local now = tonumber(ARGV[1])
+  local maxDenials = tonumber(ARGV[2])
+  local interval = tonumber(ARGV[3])
+  local blockDuration = tonumber(ARGV[4])
+  local backoff = tonumber(ARGV[5])
+  local maxBlockDuration = tonumber(ARGV[6])
+  local offenseTTL = tonumber(ARGV[7])
+
+  -- Requests already in flight when the block began
+  local stored = redis.call('GET', blockKey)
+  if stored and cjson.decode(stored).expiresAt > now then
+    return {0, 0, 0}
+  end
+
+  stored = redis.call('GET', logKey)
+  local entries = stored and cjson.decode(stored) or {}
+  local log = {}
+  for _, timestamp in ipairs(entries) do
+    if timestamp > now - interval then
+      table.insert(log, timestamp)
+    end
+  end
+  table.insert(log, now)
+
+  if #log <= maxDenials then
+    redis.call('SETEX', logKey, interval, cjson.encode(log))
+    return {0, 0, 0}
+  end
+
+  local offenses = (tonumber(redis.call('GET', offensesKey)) or 0) + 1
+  local duration = math.min(
+    math.floor(blockDuration * backoff ^ (offenses - 1)),
+    maxBlockDuration
+  )
+  local block = {
+    expiresAt = now + duration,
+    duration = duration,
+    offenses = offenses,
+    rule = ARGV[8],
+    endpoint = ARGV[9],
+    blockedAt = now
+  }
+
+  redis.call('DEL', logKey)
+  redis.call('SETEX', offensesKey, math.max(offenseTTL, duration), offenses)
+  redis.call('SETEX', blockKey, duration, cjson.encode(block))
+
+  return {duration, offenses, now + duration}
+`;
+
+// JS twin of recordDenialScript over the raw key values, returning
+// { block, values } (values as in the algorithms' evaluate)
+const recordDenial = ([logValue, offensesValue, blockValue], params) => {
+  const { now, maxDenials, interval, rule, endpoint } = params;
+
+  const current = parseBlock(blockValue);
+  if (current && current.expiresAt > now) return { block: null, values: [] };
+
+  const log = toList(logValue).filter(
+    (timestamp) => timestamp > now - interval
+  );
+  log.push(now);
+
+  if (log.length <= maxDenials) {
+    return { block: null, values: [JSON.stringify(log)] };
+  }
+
+  const offenses = (parseInt(offensesValue) || 0) + 1;
+  const duration = Math.min(
+    Math.floor(params.blockDuration * params.backoff ** (offenses - 1)),
+    params.maxBlockDuration
+  );
+  const block = {
+    expiresAt: now + duration,
+    duration,
+    offenses,
+    rule,
+    endpoint,
+    blockedAt: now,
+  };
+
+  return {
+    block,
+    values: [null, String(offenses), JSON.stringify(block)],
+  };
+};
+
+/**
+ * Penalty box
+ * Blocks clients (users, or ip:… for anonymous ones) that keep running into
+ * their limits. Each rule in ABUSE_RULES counts a client's denials on its
+ * endpoints; more than maxDenials within interval seconds blocks the client
+ * on every endpoint for blockDuration seconds, multiplied by backoff for
+ * each further offense (capped at maxBlockDuration). A client's offenses
+ * are forgotten offenseTTL seconds after the last one.
+ *
+ * Blocks live in Redis (penalty:block:<client>), so they apply on every
+ * instance sharing it
+ *
+ * Options:
+ * - rules: abuse rules (default ABUSE_RULES)
+ * - offenseTTL: seconds offenses count toward longer blocks (default 86400)
+ */
+class PenaltyBox {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.rules = (options.rules || ABUSE_RULES).map(normalizeRule);
+    this.offenseTTL = options.offenseTTL || 86400;
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  // Rules that count denials on an endpoint (policy key)
+  rulesFor(endpoint) {
+    return this.rules.filter(
+      (rule) => !rule.endpoints || rule.endpoints.includes(endpoint)
+    );
+  }
+
+  // Active block for a client, or null
+  async getBlock(subject) {
+    const block = parseBlock(await this.redis.get(blockKey(subject)));
+    const now = Math.floor(Date.now() / 1000);
+    if (!block || block.expiresAt <= now) return null;
+    return { subject, ...block, retryAfter: block.expiresAt - now };
+  }
+
+  // Count a denial against every rule for the endpoint; returns the block it
+  // triggered, or null
+  async recordDenial(subject, endpoint) {
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const rule of this.rulesFor(endpoint)) {
+      const [duration, offenses, expiresAt] = await this.redis.eval(
+        recordDenialScript,
+        3,
+        `penalty:denials:${rule.name}:${subject}`,
+        `penalty:offenses:${subject}`,
+        blockKey(subject),
+        now,
+        rule.maxDenials,
+        rule.interval,
+        rule.blockDuration,
+        rule.backoff,
+        rule.maxBlockDuration,
+        this.offenseTTL,
+        rule.name,
+        endpoint
+      );
+      if (duration > 0) {
+        await this.redis.sadd(BLOCKED_SET_KEY, subject);
+        return {
+          subject,
+          expiresAt,
+          duration,
+          offenses,
+          rule: rule.name,
+          endpoint,
+          blockedAt: now,
+          retryAfter: duration,
+        };
+      }
+    }
+    return null;
+  }
+
+  // Every active block
+  async listBlocks() {
+    const blocks = [];
+    for (const subject of await this.redis.smembers(BLOCKED_SET_KEY)) {
+      const block = await this.getBlock(subject);
+      if (block) {
+        blocks.push(block);
+      } else {
+        await this.redis.srem(BLOCKED_SET_KEY, subject);
+      }
+    }
+    return blocks.sort((a, b) => a.expiresAt - b.expiresAt);
+  }
+
+  // End a client's block early (false if it had none); with resetOffenses
+  // their next block starts again at blockDuration
+  async lift(subject, { resetOffenses = false } = {}) {
+    const block = await this.getBlock(subject);
+    await this.redis.del(blockKey(subject));
+    await this.redis.srem(BLOCKED_SET_KEY, subject);
+    if (resetOffenses) await this.redis.del(`penalty:offenses:${subject}`);
+    return block !== null;
+  }
+}
+
+// Whether a Lua script is the penalty box's (for MockRedis)
+const isPenaltyScript = (script) => script.includes('-- penalty_box:');
+
+module.exports = {
+  PenaltyBox,
+  recordDenial,
+  recordDenialScript,
+  isPenaltyScript,
+};
@@ -0,0 +1,322 @@
+const express = require('express');
+const { serializeConfig } = require('../policy/configStore');
+const { requireSecret } = require('./auth');
+const { securityLogHandler } = require('./securityLogRouter');
+
+// JSON response keeping Infinity (unlimited tier) as "Infinity"
+const sendConfig = (res, body) => {
+  res.type('json').send(serializeConfig(body));
+};
+
+// Invalid configs are the caller's fault; anything else is ours
+const sendConfigError = (res, error) => {
+  if (!error.errors) throw error;
+  res
+    .status(400)
+    .json({ error: 'Invalid configuration', errors: error.errors });
+};
+
+// Policy key from the wildcard path and optional ?method=, e.g.
+// ['api', 'orders', ':id'] with method=post -> 'POST /api/orders/:id'
+const endpointParam = (req) => {
+  const path = `/${[].concat(req.params.endpoint).join('/')}`;
+  const { method } = req.query;
+  return typeof method === 'string' ? `${method.toUpperCase()} ${path}` : path;
+};
+
+// Invalid overrides and customers are the caller's fault; anything else is
+// ours
+const sendOverrideError = (res, error) => {
+  if (!error.errors) throw error;
+  res.status(400).json({ error: 'Invalid override', errors: error.errors });
+};
+
+// Customer an override route addresses: /overrides/users/:id/... or
+// /overrides/api-keys/:id/... (API keys by their apiKeyId); null otherwise
+const overrideOwner = (req) => {
+  const { type, id } = req.params;
+  if (type === 'users') return { userId: id };
+  if (type === 'api-keys') return { apiKeyId: id };
+  return null;
+};
+
+/**
+ * Router: Admin REST API
+ * Lets operators change limits and inspect users without editing
+ * configuration.js or restarting. Policy and config changes are published
+ * as config versions in Redis (see policy/configStore.js), so they reach
+ * every RateLimiter sharing it
+ *
+ * Routes (endpoints are given as the rest of the path, e.g.
+ * /admin/policies/free/api/orders/:id, plus ?method= for method-specific
+ * routes):
+ * - GET    /policies                            current policy per tier/endpoint
+ * - PUT    /policies/:tier/*endpoint            change { algorithm, window, max, burst } or { limits }
+ *                                               (null removes a field, e.g. shadow)
+ * - DELETE /policies/:tier/*endpoint            back to configuration.js
+ * - GET    /config                              current version and config
+ * - PUT    /config                              publish a whole config
+ * - GET    /config/versions?limit=              history with diffs, newest first
+ * - GET    /config/versions/:version            one version with its config
+ * - POST   /config/rollback                     back to { version } (default: previous)
+ * - GET    /buckets/:userId/*endpoint?tier=     live bucket and slow-start state
+ * - DELETE /buckets/:userId/*endpoint?tier=     reset the bucket
+ * - POST   /buckets/:userId/*endpoint/top-up    add { amount } (up to burst)
+ * - GET    /overrides?userId=&apiKeyId=         per-customer limit overrides
+ * - PUT    /overrides/:type/:id/*endpoint       set { window, max, burst, expiresAt, note }
+ *                                               for users/:userId or api-keys/:apiKeyId
+ * - DELETE /overrides/:type/:id/*endpoint       back to the tier's limits
+ * - GET    /penalty-box                         clients blocked by abuse rules
+ * - DELETE /penalty-box/:userId?resetOffenses=  lift a block (and forget the
+ *                                               client's offenses)
+ * - GET    /analytics                           getAnalyticsReport()
+ * - GET    /analytics/cluster                   merged across instances
+ * - GET    /analytics/history?startTime=&endTime=&interval=&endpoint=&tier=&countryCode=
+ *                                               per-interval totals (getAnalyticsHistory)
+ * - GET    /analytics/top-offenders?startTime=&endTime=&endpoint=&limit=
+ *                                               most denied users per endpoint
+ * - GET    /analytics/shadow?endpoint=&limit=   would-be denials of shadow-mode
+ *                                               candidate policies
+ * - GET    /security-log                        query/export the security log
+ *                                               (see securityLogRouter.js)
+ *
+ * Options:
+ * - adminKey: secret expected in x-admin-key (ADMIN_API_KEY); without one
+ *   every request is refused
+ */
+const createAdminRouter = (limiter, options = {}) => {
+  const adminKey =
+    options.adminKey === undefined
+      ? process.env.ADMIN_API_KEY
+      : options.adminKey;
+  const router = express.Router();
+
+  // Operators identify themselves with the ADMIN_API_KEY secret
+  router.use(
+    requireSecret('x-admin-key', adminKey, 'Admin authentication required')
+  );
+
+  router.get('/policies', async (req, res) => {
+    sendConfig(res, await limiter.listPolicies());
+  });
+
+  router.put('/policies/:tier/*endpoint', async (req, res) => {
+    try {
+      const policy = await limiter.setPolicy(
+        req.params.tier,
+        endpointParam(req),
+        req.body || {}
+      );
+      sendConfig(res, policy);
+    } catch (error) {
+      sendConfigError(res, error);
+    }
+  });
+
+  router.delete('/policies/:tier/*endpoint', async (req, res) => {
+    const removed = await limiter.resetPolicy(
+      req.params.tier,
+      endpointParam(req)
+    );
+    if (!removed) {
+      return res
+        .status(404)
+        .json({ error: 'No custom policy for this endpoint/tier' });
+    }
+    res.status(204).end();
+  });
+
+  router.get('/config', async (req, res) => {
+    await limiter.syncConfig();
+    sendConfig(res, limiter.configStore.snapshot());
+  });
+
+  router.put('/config', async (req, res) => {
+    try {
+      const entry = await limiter.updateConfig(req.body, 'admin');
+      sendConfig(res, entry || { version: limiter.configVersion, diff: [] });
+    } catch (error) {
+      sendConfigError(res, error);
+    }
+  });
+
+  router.get('/config/versions', async (req, res) => {
+    const limit = parseInt(req.query.limit) || 20;
+    sendConfig(res, await limiter.configStore.history(limit));
+  });
+
+  router.get('/config/versions/:version', async (req, res) => {
+    const entry = await limiter.configStore.getVersion(
+      parseInt(req.params.version)
+    );
+    if (!entry) {
+      return res.status(404).json({ error: 'Unknown config version' });
+    }
+    sendConfig(res, entry);
+  });
+
+  router.post('/config/rollback', async (req, res) => {
+    const { version } = req.body || {};
+    const target = version === undefined ? undefined : parseInt(version);
+    if (
+      target !== undefined &&
+      !(await limiter.configStore.getVersion(target))
+    ) {
+      return res.status(404).json({ error: 'Unknown config version' });
+    }
+
+    try {
+      const entry = await limiter.rollbackConfig(target);
+      sendConfig(res, entry || { version: limiter.configVersion, diff: [] });
+    } catch (error) {
+      sendConfigError(res, error);
+    }
+  });
+
+  router.post('/buckets/:userId/*endpoint/top-up', async (req, res) => {
+    const amount = Number((req.body || {}).amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'amount must be positive' });
+    }
+
+    const result = await limiter.topUpBucket(
+      req.params.userId,
+      endpointParam(req),
+      req.query.tier || 'free',
+      amount
+    );
+    if (!result) {
+      return res.status(404).json({ error: 'No policy for this endpoint' });
+    }
+    res.json(result);
+  });
+
+  router.get('/buckets/:userId/*endpoint', async (req, res) => {
+    const state = await limiter.getBucketState(
+      req.params.userId,
+      endpointParam(req),
+      req.query.tier || 'free'
+    );
+    if (!state) {
+      return res.status(404).json({ error: 'No policy for this endpoint' });
+    }
+    res.json(state);
+  });
+
+  router.delete('/buckets/:userId/*endpoint', async (req, res) => {
+    const reset = await limiter.resetBucket(
+      req.params.userId,
+      endpointParam(req),
+      req.query.tier || 'free'
+    );
+    if (!reset) {
+      return res.status(404).json({ error: 'No policy for this endpoint' });
+    }
+    res.status(204).end();
+  });
+
+  router.get('/overrides', async (req, res) => {
+    const { userId, apiKeyId } = req.query;
+    try {
+      const subject = userId || apiKeyId ? { userId, apiKeyId } : undefined;
+      res.json({ overrides: await limiter.listOverrides(subject) });
+    } catch (error) {
+      sendOverrideError(res, error);
+    }
+  });
+
+  router.put('/overrides/:type/:id/*endpoint', async (req, res) => {
+    const owner = overrideOwner(req);
+    if (!owner) return res.status(404).json({ error: 'Not found' });
+    try {
+      res.json(
+        await limiter.setOverride(owner, endpointParam(req), req.body || {})
+      );
+    } catch (error) {
+      sendOverrideError(res, error);
+    }
+  });
+
+  router.delete('/overrides/:type/:id/*endpoint', async (req, res) => {
+    const owner = overrideOwner(req);
+    if (!owner) return res.status(404).json({ error: 'Not found' });
+    try {
+      if (!(await limiter.removeOverride(owner, endpointParam(req)))) {
+        return res.status(404).json({ error: 'No override for this customer' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendOverrideError(res, error);
+    }
+  });
+
+  router.get('/penalty-box', async (req, res) => {
+    res.json({ blocks: await limiter.listBlocks() });
+  });
+
+  router.delete('/penalty-box/:userId', async (req, res) => {
+    const lifted = await limiter.liftBlock(req.params.userId, {
+      resetOffenses: req.query.resetOffenses === 'true',
+    });
+    if (!lifted) {
+      return res.status(404).json({ error: 'Client is not blocked' });
+    }
+    res.status(204).end();
+  });
+
+  router.get('/analytics', (req, res) => {
+    res.json(limiter.getAnalyticsReport());
+  });
+
+  router.get('/analytics/cluster', async (req, res) => {
+    res.json(await limiter.getClusterAnalyticsReport());
+  });
+
+  // Bad times, intervals or limits are the caller's mistake
+  const sendQuery = (res, run) => {
+    try {
+      res.json(run());
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+
+  router.get('/analytics/history', (req, res) => {
+    const { startTime, endTime, interval, endpoint, tier, countryCode } =
+      req.query;
+    sendQuery(res, () =>
+      limiter.getAnalyticsHistory({
+        startTime,
+        endTime,
+        interval,
+        endpoint,
+        tier,
+        countryCode,
+      })
+    );
+  });
+
+  router.get('/analytics/top-offenders', (req, res) => {
+    const { startTime, endTime, endpoint, limit } = req.query;
+    sendQuery(res, () =>
+      limiter.getTopOffenders({ startTime, endTime, endpoint, limit })
+    );
+  });
+
+  router.get('/analytics/shadow', (req, res) => {
+    const { endpoint, limit } = req.query;
+    sendQuery(res, () => limiter.getShadowReport({ endpoint, limit }));
+  });
+
+  router.get('/security-log', securityLogHandler(limiter));
+
+  // Redis and other unexpected failures
+  router.use((error, req, res, next) => {
+    console.error('Admin API error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return router;
+};
+
+module.exports = createAdminRouter;
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Constant-time comparison of a header value with a configured secret
+const secretMatches = (provided, secret) => {
+  if (!secret || typeof provided !== 'string') return false;
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(provided);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Middleware: 401 unless `header` carries the secret; without a secret
+// every request is refused
+const requireSecret = (header, secret, message) => (req, res, next) => {
+  if (!secretMatches(req.headers[header], secret)) {
+    return res.status(401).json({ error: message });
+  }
+  next();
+};
+
+module.exports = { secretMatches, requireSecret };
@@ -0,0 +1,111 @@
+const express = require('express');
+const { requireSecret } = require('./auth');
+const { EXPORT_FORMATS } = require('../logging/securityLogExport');
+
+// Query parameters passed on to querySecurityLog/readSecurityLog
+const QUERY_PARAMS = [
+  'source',
+  'userId',
+  'type',
+  'endpoint',
+  'tier',
+  'countryCode',
+  'startTime',
+  'endTime',
+  'sort',
+  'limit',
+  'cursor',
+  'groupBy',
+];
+
+/**
+ * Handler: GET security log
+ * Query parameters:
+ * - source: memory (default) or a queryable sink such as file
+ * - userId, type, endpoint, tier, countryCode: one value, a,b or repeated
+ * - startTime, endTime: ISO times (endTime exclusive)
+ * - sort: field, -field for descending (default timestamp)
+ * - limit, cursor: page size (default 100, max 1000) and the previous
+ *   page's nextCursor
+ * - groupBy: fields and/or minute, hour, day (e.g. userId,hour)
+ * - format: json (default; one page), csv or ndjson (every match, or every
+ *   group, as a download)
+ */
+const securityLogHandler = (limiter) => async (req, res) => {
+  const query = {};
+  for (const param of QUERY_PARAMS) {
+    if (req.query[param] !== undefined) query[param] = req.query[param];
+  }
+
+  const sources = limiter.getSecurityLogSources();
+  if (query.source && !sources.includes(query.source)) {
+    return res
+      .status(400)
+      .json({ error: `Unknown source ${query.source}`, sources });
+  }
+  const format = req.query.format || 'json';
+  if (format !== 'json' && !EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `Unknown format ${format}`,
+      formats: ['json', ...Object.keys(EXPORT_FORMATS)],
+    });
+  }
+
+  try {
+    if (format === 'json') {
+      return res.json(await limiter.querySecurityLog(query));
+    }
+
+    const rows = query.groupBy
+      ? (await limiter.querySecurityLog(query)).groups
+      : await limiter.readSecurityLog(query);
+    const { contentType, extension, serialize } = EXPORT_FORMATS[format];
+    // attachment() guesses the type from the extension, so set it after
+    res
+      .attachment(`security-log.${extension}`)
+      .type(contentType)
+      .send(serialize(rows));
+  } catch (error) {
+    if (error.code !== 'INVALID_QUERY') throw error;
+    res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Router: Security log API
+ * Read-only access for the fraud team with its own secret
+ * (SECURITY_LOG_API_KEY in x-security-log-key), so it needs no admin
+ * rights. The admin API serves the same handler at /admin/security-log
+ *
+ * Options:
+ * - apiKey: secret expected in x-security-log-key (SECURITY_LOG_API_KEY);
+ *   without one every request is refused
+ */
+const createSecurityLogRouter = (limiter, options = {}) => {
+  const apiKey =
+    options.apiKey === undefined
+      ? process.env.SECURITY_LOG_API_KEY
+      : options.apiKey;
+  const router = express.Router();
+
+  router.use(
+    requireSecret(
+      'x-security-log-key',
+      apiKey,
+      'Security log authentication required'
+    )
+  );
+
+  router.get('/', securityLogHandler(limiter));
+
+  // Sink read failures and other unexpected errors
+  router.use((error, req, res, next) => {
+    console.error('Security log API error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return router;
+};
+
+module.exports = createSecurityLogRouter;
+module.exports.securityLogHandler = securityLogHandler;
@@ -0,0 +1,22 @@
+/**
+ * Helpers shared by the limiting algorithms
+ */
+
+// Parse a stored Redis value, keeping 0 (unlike `parseFloat(v) || fallback`)
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Parse a stored JSON array, treating missing or corrupt state as empty
+const toList = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+module.exports = { toNumber, toList };
@@ -0,0 +1,158 @@
+/**
+ * Composite limits
+ * Checks several limits (e.g. 10/second, 1000/hour and a monthly quota, or
+ * a user's bucket and its team's) in one atomic script. Each limit is a
+ * step { algorithm, keys, params: { now, max, burst, window, cost } } run by
+ * its algorithm's script, wrapped as a Lua function. When any step denies,
+ * the steps that allowed give their cost back through their adjust
+ * scripts, so a request counts against every limit or against none
+ *
+ * The script takes every step's keys in order and five ARGV per step, and
+ * returns {allowed, remaining, retryAfter, reset} per step; the request is
+ * allowed only if every step is, and remaining is after any give-back
+ */
+
+// Scripts by step signature, e.g. 'token_bucket:3,fixed_window:1'
+const scripts = new Map();
+
+const signature = (steps) =>
+  steps.map((step) => `${step.algorithm.name}:${step.keys.length}`).join(',');
+
+const buildScript = (steps) => {
+  const algorithms = new Map(steps.map((step) => [step.algorithm.name, step]));
+  const functions = [...algorithms.values()].map(
+    ({ algorithm }) => `
+  checks['${algorithm.name}'] = function(KEYS, ARGV)
+    ${algorithm.script}
+  end
+  adjusts['${algorithm.name}'] = function(KEYS, ARGV)
+    ${algorithm.adjustScript}
+  end`
+  );
+  const layout = steps
+    .map((step) => `{'${step.algorithm.name}', ${step.keys.length}}`)
+    .join(', ');
+
+  return `
+  -- composite: ${signature(steps)}
+  local checks = {}
+  local adjusts = {}
+  ${functions.join('\n')}
+
+  local steps = {${layout}}
+  local stepKeys = {}
+  local stepArgv = {}
+  local results = {}
+  local allowed = true
+  local offset = 0
+
+  for i, step in ipairs(steps) do
+    local keys = {}
+    for j = 1, step[2] do
+      keys[j] = KEYS[offset + j]
+    end
+    offset = offset + step[2]
+    local argv = {}
+    for j = 1, 5 do
+      argv[j] = ARGV[(i - 1) * 5 + j]
+    end
+    stepKeys[i] = keys
+    stepArgv[i] = argv
+    results[i] = checks[step[1]](keys, argv)
+    if results[i][1] == 0 then
+      allowed = false
+    end
+  end
+
+  -- A denied request must not count against the limits that let it
+  -- through (the cost in ARGV[5] is given back as the adjust amount)
+  local reply = {}
+  for i, result in ipairs(results) do
+    if not allowed and result[1] == 1 then
+      local refund = adjusts[steps[i][1]](stepKeys[i], stepArgv[i])
+      result = {1, refund[1], 0, refund[2]}
+    end
+    for j = 1, 4 do
+      table.insert(reply, result[j])
+    end
+  end
+
+  return reply
+`;
+};
+
+// Lua script for a list of steps (cached per algorithm/key layout)
+const compositeScript = (steps) => {
+  const key = signature(steps);
+  if (!scripts.has(key)) scripts.set(key, buildScript(steps));
+  return scripts.get(key);
+};
+
+// EVAL arguments after the script: key count, keys, then ARGV
+const compositeArgs = (steps) => {
+  const keys = steps.flatMap((step) => step.keys);
+  const argv = steps.flatMap(({ params }) => [
+    params.now,
+    params.max,
+    params.burst,
+    params.window,
+    params.cost,
+  ]);
+  return [keys.length, ...keys, ...argv];
+};
+
+// Key values after applying an algorithm's writes (null deletes)
+const applyWrites = (values, writes) =>
+  values.map((value, i) => {
+    if (writes[i] === undefined) return value;
+    return writes[i] === null ? undefined : writes[i];
+  });
+
+// JS twin of the composite script over each step's raw key values,
+// returning { allowed, results } with one algorithm result per step
+const evaluateComposite = (steps, values) => {
+  const outcomes = steps.map((step, i) =>
+    step.algorithm.evaluate(values[i], step.params)
+  );
+  const allowed = outcomes.every((outcome) => outcome.allowed);
+
+  const results = outcomes.map((outcome, i) => {
+    if (allowed || !outcome.allowed) return outcome;
+
+    const { algorithm, keys, params } = steps[i];
+    const refund = algorithm.adjust(applyWrites(values[i], outcome.values), {
+      ...params,
+      amount: params.cost,
+    });
+    return {
+      allowed: true,
+      remaining: refund.remaining,
+      retryAfter: 0,
+      reset: refund.reset,
+      values: keys.map((key, j) =>
+        refund.values[j] === undefined ? outcome.values[j] : refund.values[j]
+      ),
+      ttl: refund.ttl,
+    };
+  });
+
+  return { allowed, results };
+};
+
+// Whether a Lua script is a composite one, with its step layout
+// ([{ name, keyCount }]), for MockRedis
+const parseCompositeScript = (script) => {
+  const match = /-- composite: (\S+)/.exec(script);
+  if (!match) return null;
+  return match[1].split(',').map((entry) => {
+    const [name, keyCount] = entry.split(':');
+    return { name, keyCount: parseInt(keyCount) };
+  });
+};
+
+module.exports = {
+  compositeScript,
+  compositeArgs,
+  evaluateComposite,
+  parseCompositeScript,
+};
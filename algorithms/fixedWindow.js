@@ -0,0 +1,108 @@
+const { toNumber } = require('./common');
+
+/**
+ * Algorithm: Fixed window
+ * Counts request cost per window aligned to multiples of the window length;
+ * the counter starts over when the next window begins
+ */
+const name = 'fixed_window';
+
+const keys = (base, { now, window }) => [
+  `rate:fixed:${base}:${Math.floor(now / window)}`,
+];
+
+const script = `
+  -- algorithm: fixed_window
+  local countKey = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local window = tonumber(ARGV[4])
+  local cost = tonumber(ARGV[5])
+
+  local count = tonumber(redis.call('GET', countKey)) or 0
+  local resetIn = window - (now % window)
+
+  if count + cost > adjustedMax then
+    return {0, math.floor(math.max(0, adjustedMax - count)), resetIn, resetIn}
+  end
+
+  count = count + cost
+  redis.call('SETEX', countKey, resetIn, tostring(count))
+
+  return {1, math.floor(adjustedMax - count), 0, resetIn}
+`;
+
+// JS twin of the Lua script, used by the fallback path and MockRedis
+const evaluate = ([countValue], { now, max, window, cost }) => {
+  const count = toNumber(countValue, 0);
+  const resetIn = window - (now % window);
+
+  if (count + cost > max) {
+    return {
+      allowed: false,
+      remaining: Math.floor(Math.max(0, max - count)),
+      retryAfter: resetIn,
+      reset: resetIn,
+      values: [],
+      ttl: resetIn,
+    };
+  }
+
+  return {
+    allowed: true,
+    remaining: Math.floor(max - count - cost),
+    retryAfter: 0,
+    reset: resetIn,
+    values: [String(count + cost)],
+    ttl: resetIn,
+  };
+};
+
+// Give back (amount > 0) or take (amount < 0) capacity in the current window
+const adjustScript = `
+  -- algorithm: fixed_window
+  -- operation: adjust
+  local countKey = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local window = tonumber(ARGV[4])
+  local amount = tonumber(ARGV[5])
+
+  local count = tonumber(redis.call('GET', countKey)) or 0
+  local resetIn = window - (now % window)
+
+  count = math.max(0, count - amount)
+  redis.call('SETEX', countKey, resetIn, tostring(count))
+
+  return {math.floor(math.max(0, adjustedMax - count)), resetIn}
+`;
+
+// JS twin of the adjust script
+const adjust = ([countValue], { now, max, window, amount }) => {
+  const count = Math.max(0, toNumber(countValue, 0) - amount);
+  const resetIn = window - (now % window);
+
+  return {
+    remaining: Math.floor(Math.max(0, max - count)),
+    reset: resetIn,
+    values: [String(count)],
+    ttl: resetIn,
+  };
+};
+
+// Largest cost a single request can ever be allowed
+const capacity = ({ max }) => max;
+
+// Stored state by field name, for inspection
+const describe = ([countValue]) => ({ count: toNumber(countValue, null) });
+
+module.exports = {
+  name,
+  keys,
+  script,
+  evaluate,
+  adjustScript,
+  adjust,
+  capacity,
+  describe,
+};
@@ -0,0 +1,150 @@
+const { toNumber } = require('./common');
+
+/**
+ * Algorithm: GCRA (generic cell rate algorithm)
+ * Stores a single "theoretical arrival time" per user/endpoint. Requests are
+ * spaced window/max seconds apart, and up to burst of them may arrive early.
+ * Equivalent to a token bucket, but with one key and no refill arithmetic
+ */
+const name = 'gcra';
+
+const keys = (base) => [`rate:gcra:${base}`];
+
+const script = `
+  -- algorithm: gcra
+  local tatKey = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local adjustedBurst = tonumber(ARGV[3])
+  local window = tonumber(ARGV[4])
+  local cost = tonumber(ARGV[5])
+
+  if adjustedMax <= 0 then
+    return {0, 0, window, window}
+  end
+
+  local interval = window / adjustedMax
+  local tolerance = interval * adjustedBurst
+  local tat = math.max(tonumber(redis.call('GET', tatKey)) or now, now)
+  local newTat = tat + interval * cost
+  local allowAt = newTat - tolerance
+
+  if now < allowAt then
+    local remaining = math.floor(math.max(0, (now + tolerance - tat) / interval))
+    return {0, remaining, math.ceil(allowAt - now), math.ceil(tat - now)}
+  end
+
+  local reset = math.max(1, math.ceil(newTat - now))
+  redis.call('SETEX', tatKey, reset, tostring(newTat))
+
+  return {1, math.floor(math.max(0, (now + tolerance - newTat) / interval)), 0, reset}
+`;
+
+// JS twin of the Lua script, used by the fallback path and MockRedis
+const evaluate = ([tatValue], { now, max, burst, window, cost }) => {
+  if (max <= 0) {
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfter: window,
+      reset: window,
+      values: [],
+    };
+  }
+
+  const interval = window / max;
+  const tolerance = interval * burst;
+  const tat = Math.max(toNumber(tatValue, now), now);
+  const newTat = tat + interval * cost;
+  const allowAt = newTat - tolerance;
+
+  if (now < allowAt) {
+    return {
+      allowed: false,
+      remaining: Math.floor(Math.max(0, (now + tolerance - tat) / interval)),
+      retryAfter: Math.ceil(allowAt - now),
+      reset: Math.ceil(tat - now),
+      values: [],
+    };
+  }
+
+  const reset = Math.max(1, Math.ceil(newTat - now));
+
+  return {
+    allowed: true,
+    remaining: Math.floor(Math.max(0, (now + tolerance - newTat) / interval)),
+    retryAfter: 0,
+    reset,
+    values: [String(newTat)],
+    ttl: reset,
+  };
+};
+
+// Give back (amount > 0) or take (amount < 0) capacity by moving the
+// theoretical arrival time; it never moves before now (a full bucket)
+const adjustScript = `
+  -- algorithm: gcra
+  -- operation: adjust
+  local tatKey = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local adjustedBurst = tonumber(ARGV[3])
+  local window = tonumber(ARGV[4])
+  local amount = tonumber(ARGV[5])
+
+  if adjustedMax <= 0 then
+    return {0, window}
+  end
+
+  local interval = window / adjustedMax
+  local tolerance = interval * adjustedBurst
+  local tat = math.max(tonumber(redis.call('GET', tatKey)) or now, now)
+  tat = math.max(now, tat - interval * amount)
+
+  local reset = math.ceil(tat - now)
+  if reset > 0 then
+    redis.call('SETEX', tatKey, reset, tostring(tat))
+  else
+    redis.call('DEL', tatKey)
+  end
+
+  return {math.floor(math.max(0, (now + tolerance - tat) / interval)), reset}
+`;
+
+// JS twin of the adjust script
+const adjust = ([tatValue], { now, max, burst, window, amount }) => {
+  if (max <= 0) {
+    return { remaining: 0, reset: window, values: [] };
+  }
+
+  const interval = window / max;
+  const tolerance = interval * burst;
+  let tat = Math.max(toNumber(tatValue, now), now);
+  tat = Math.max(now, tat - interval * amount);
+
+  const reset = Math.ceil(tat - now);
+
+  return {
+    remaining: Math.floor(Math.max(0, (now + tolerance - tat) / interval)),
+    reset,
+    values: [reset > 0 ? String(tat) : null],
+    ttl: reset,
+  };
+};
+
+// Largest cost a single request can ever be allowed
+const capacity = ({ burst }) => burst;
+
+// Stored state by field name, for inspection
+const describe = ([tatValue]) => ({ tat: toNumber(tatValue, null) });
+
+module.exports = {
+  name,
+  keys,
+  script,
+  evaluate,
+  adjustScript,
+  adjust,
+  capacity,
+  describe,
+};
@@ -0,0 +1,61 @@
+const tokenBucket = require('./tokenBucket');
+const fixedWindow = require('./fixedWindow');
+const slidingWindowLog = require('./slidingWindowLog');
+const slidingWindowCounter = require('./slidingWindowCounter');
+const gcra = require('./gcra');
+
+/**
+ * Limiting algorithms selectable per endpoint via `algorithm` in RATE_LIMITS
+ *
+ * Each algorithm exports:
+ * - name: identifier used in configuration
+ * - keys(base, { now, window }): Redis keys holding its state
+ * - script: Lua script run atomically via EVAL; starts with an
+ *   `-- algorithm: <name>` marker and takes ARGV = now, max, burst, window, cost
+ *   and returns {allowed (1/0), remaining, retryAfter, reset}, where reset is
+ *   the number of seconds until the full limit is available again
+ * - evaluate(values, params): JS twin of the script over the raw key values,
+ *   returning { allowed, remaining, retryAfter, reset, values, ttl } where each new
+ *   value is a string to write, null to delete or undefined to leave alone
+ * - adjustScript: Lua script marked `-- operation: adjust` that gives back
+ *   (amount > 0) or takes (amount < 0) capacity without a request, with
+ *   ARGV = now, max, burst, window, amount, returning {remaining, reset}
+ * - adjust(values, params): JS twin of adjustScript, returning
+ *   { remaining, reset, values, ttl }
+ * - capacity(params): the largest cost a single request can ever be allowed
+ *   (burst for bucket-like algorithms, max for window ones)
+ * - describe(values): the stored state by field name, for inspection
+ */
+const ALGORITHMS = {
+  [tokenBucket.name]: tokenBucket,
+  [fixedWindow.name]: fixedWindow,
+  [slidingWindowLog.name]: slidingWindowLog,
+  [slidingWindowCounter.name]: slidingWindowCounter,
+  [gcra.name]: gcra,
+};
+
+const DEFAULT_ALGORITHM = tokenBucket.name;
+
+// Look up an algorithm by name (token bucket when none is configured)
+const getAlgorithm = (name = DEFAULT_ALGORITHM) => ALGORITHMS[name] || null;
+
+// Find the algorithm a Lua script implements from its marker comment
+const getScriptAlgorithm = (script) => {
+  const match = /-- algorithm: (\w+)/.exec(script);
+  return match ? getAlgorithm(match[1]) : null;
+};
+
+// Operation a Lua script performs from its marker comment ('evaluate' or
+// 'adjust')
+const getScriptOperation = (script) => {
+  const match = /-- operation: (\w+)/.exec(script);
+  return match ? match[1] : 'evaluate';
+};
+
+module.exports = {
+  ALGORITHMS,
+  DEFAULT_ALGORITHM,
+  getAlgorithm,
+  getScriptAlgorithm,
+  getScriptOperation,
+};
@@ -0,0 +1,155 @@
+const { toNumber } = require('./common');
+
+/**
+ * Algorithm: Sliding window counter
+ * Approximates a sliding window from two fixed-window counters, weighting
+ * the previous window by how much of it still overlaps the trailing window.
+ * Cheap (two integers per user) at the cost of a small error - meant for
+ * high-volume endpoints such as search
+ */
+const name = 'sliding_window_counter';
+
+const keys = (base, { now, window }) => {
+  const current = Math.floor(now / window);
+  return [`rate:swc:${base}:${current}`, `rate:swc:${base}:${current - 1}`];
+};
+
+const script = `
+  -- algorithm: sliding_window_counter
+  local currentKey = KEYS[1]
+  local previousKey = KEYS[2]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local window = tonumber(ARGV[4])
+  local cost = tonumber(ARGV[5])
+
+  local current = tonumber(redis.call('GET', currentKey)) or 0
+  local previous = tonumber(redis.call('GET', previousKey)) or 0
+  local elapsed = now % window
+  local estimated = previous * (1 - elapsed / window) + current
+
+  if estimated + cost > adjustedMax then
+    local retryAfter = window - elapsed
+    local spare = adjustedMax - current - cost
+    if spare >= 0 and previous > 0 then
+      retryAfter = math.ceil(window * (1 - spare / previous)) - elapsed
+    end
+    return {0, math.floor(math.max(0, adjustedMax - estimated)), math.max(retryAfter, 1), window - elapsed}
+  end
+
+  current = current + cost
+  redis.call('SETEX', currentKey, window * 2, tostring(current))
+
+  return {1, math.floor(math.max(0, adjustedMax - estimated - cost)), 0, window - elapsed}
+`;
+
+// JS twin of the Lua script, used by the fallback path and MockRedis
+const evaluate = (
+  [currentValue, previousValue],
+  { now, max, window, cost }
+) => {
+  const current = toNumber(currentValue, 0);
+  const previous = toNumber(previousValue, 0);
+  const elapsed = now % window;
+  const estimated = previous * (1 - elapsed / window) + current;
+
+  if (estimated + cost > max) {
+    let retryAfter = window - elapsed;
+    const spare = max - current - cost;
+    if (spare >= 0 && previous > 0) {
+      retryAfter = Math.ceil(window * (1 - spare / previous)) - elapsed;
+    }
+    return {
+      allowed: false,
+      remaining: Math.floor(Math.max(0, max - estimated)),
+      retryAfter: Math.max(retryAfter, 1),
+      reset: window - elapsed,
+      values: [],
+      ttl: window * 2,
+    };
+  }
+
+  return {
+    allowed: true,
+    remaining: Math.floor(Math.max(0, max - estimated - cost)),
+    retryAfter: 0,
+    reset: window - elapsed,
+    values: [String(current + cost)],
+    ttl: window * 2,
+  };
+};
+
+// Give back (amount > 0) capacity from the current window's count, then the
+// previous one, or count extra cost (amount < 0) in the current window
+const adjustScript = `
+  -- algorithm: sliding_window_counter
+  -- operation: adjust
+  local currentKey = KEYS[1]
+  local previousKey = KEYS[2]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local window = tonumber(ARGV[4])
+  local amount = tonumber(ARGV[5])
+
+  local current = tonumber(redis.call('GET', currentKey)) or 0
+  local previous = tonumber(redis.call('GET', previousKey)) or 0
+  local elapsed = now % window
+
+  local fromCurrent = math.min(amount, current)
+  current = current - fromCurrent
+  redis.call('SETEX', currentKey, window * 2, tostring(current))
+
+  local fromPrevious = math.min(amount - fromCurrent, previous)
+  if fromPrevious > 0 then
+    previous = previous - fromPrevious
+    redis.call('SETEX', previousKey, window * 2, tostring(previous))
+  end
+
+  local estimated = previous * (1 - elapsed / window) + current
+  return {math.floor(math.max(0, adjustedMax - estimated)), window - elapsed}
+`;
+
+// JS twin of the adjust script
+const adjust = (
+  [currentValue, previousValue],
+  { now, max, window, amount }
+) => {
+  let current = toNumber(currentValue, 0);
+  let previous = toNumber(previousValue, 0);
+  const elapsed = now % window;
+
+  const fromCurrent = Math.min(amount, current);
+  current -= fromCurrent;
+
+  const fromPrevious = Math.min(amount - fromCurrent, previous);
+  if (fromPrevious > 0) previous -= fromPrevious;
+
+  const estimated = previous * (1 - elapsed / window) + current;
+
+  return {
+    remaining: Math.floor(Math.max(0, max - estimated)),
+    reset: window - elapsed,
+    values: [String(current), fromPrevious > 0 ? String(previous) : undefined],
+    ttl: window * 2,
+  };
+};
+
+// Largest cost a single request can ever be allowed
+const capacity = ({ max }) => max;
+
+// Stored state by field name, for inspection
+const describe = ([currentValue, previousValue]) => ({
+  current: toNumber(currentValue, null),
+  previous: toNumber(previousValue, null),
+});
+
+module.exports = {
+  name,
+  keys,
+  script,
+  evaluate,
+  adjustScript,
+  adjust,
+  capacity,
+  describe,
+};
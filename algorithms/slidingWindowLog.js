@@ -0,0 +1,197 @@
+const { toList } = require('./common');
+
+/**
+ * Algorithm: Sliding window log
+ * Keeps a log of [timestamp, cost] entries for the trailing window and
+ * allows a request only if the logged cost plus this one fits in max.
+ * Exact, at the price of storing one entry per request - meant for strict,
+ * low-volume endpoints such as checkout
+ */
+const name = 'sliding_window_log';
+
+const keys = (base) => [`rate:log:${base}`];
+
+const script = `
+  -- algorithm: sliding_window_log
+  local logKey = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local window = tonumber(ARGV[4])
+  local cost = tonumber(ARGV[5])
+
+  local stored = redis.call('GET', logKey)
+  local entries = stored and cjson.decode(stored) or {}
+
+  local log = {}
+  local used = 0
+  for _, entry in ipairs(entries) do
+    if entry[1] > now - window then
+      table.insert(log, entry)
+      used = used + entry[2]
+    end
+  end
+
+  local allowed = used + cost <= adjustedMax
+  local retryAfter = 0
+
+  if allowed then
+    table.insert(log, {now, cost})
+    used = used + cost
+  elseif cost > adjustedMax then
+    retryAfter = window
+  else
+    local freed = 0
+    for _, entry in ipairs(log) do
+      freed = freed + entry[2]
+      if used - freed + cost <= adjustedMax then
+        retryAfter = entry[1] + window - now
+        break
+      end
+    end
+  end
+
+  local reset = 0
+  if #log == 0 then
+    redis.call('DEL', logKey)
+  else
+    redis.call('SETEX', logKey, window, cjson.encode(log))
+    reset = log[1][1] + window - now
+  end
+
+  return {allowed and 1 or 0, math.floor(math.max(0, adjustedMax - used)), retryAfter, reset}
+`;
+
+// JS twin of the Lua script, used by the fallback path and MockRedis
+const evaluate = ([logValue], { now, max, window, cost }) => {
+  const log = toList(logValue).filter(
+    ([timestamp]) => timestamp > now - window
+  );
+  let used = log.reduce((sum, [, entryCost]) => sum + entryCost, 0);
+
+  const allowed = used + cost <= max;
+  let retryAfter = 0;
+
+  if (allowed) {
+    log.push([now, cost]);
+    used += cost;
+  } else if (cost > max) {
+    retryAfter = window;
+  } else {
+    let freed = 0;
+    for (const [timestamp, entryCost] of log) {
+      freed += entryCost;
+      if (used - freed + cost <= max) {
+        retryAfter = timestamp + window - now;
+        break;
+      }
+    }
+  }
+
+  return {
+    allowed,
+    remaining: Math.floor(Math.max(0, max - used)),
+    retryAfter,
+    reset: log.length === 0 ? 0 : log[0][0] + window - now,
+    values: [log.length === 0 ? null : JSON.stringify(log)],
+    ttl: window,
+  };
+};
+
+// Give back (amount > 0) cost from the newest entries, or log extra cost
+// (amount < 0) at the current time
+const adjustScript = `
+  -- algorithm: sliding_window_log
+  -- operation: adjust
+  local logKey = KEYS[1]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local window = tonumber(ARGV[4])
+  local amount = tonumber(ARGV[5])
+
+  local stored = redis.call('GET', logKey)
+  local entries = stored and cjson.decode(stored) or {}
+
+  local log = {}
+  local used = 0
+  for _, entry in ipairs(entries) do
+    if entry[1] > now - window then
+      table.insert(log, entry)
+      used = used + entry[2]
+    end
+  end
+
+  if amount < 0 then
+    table.insert(log, {now, -amount})
+    used = used - amount
+  else
+    local credit = amount
+    for i = #log, 1, -1 do
+      if credit <= 0 then
+        break
+      end
+      local taken = math.min(credit, log[i][2])
+      log[i][2] = log[i][2] - taken
+      credit = credit - taken
+      used = used - taken
+      if log[i][2] <= 0 then
+        table.remove(log, i)
+      end
+    end
+  end
+
+  local reset = 0
+  if #log == 0 then
+    redis.call('DEL', logKey)
+  else
+    redis.call('SETEX', logKey, window, cjson.encode(log))
+    reset = log[1][1] + window - now
+  end
+
+  return {math.floor(math.max(0, adjustedMax - used)), reset}
+`;
+
+// JS twin of the adjust script
+const adjust = ([logValue], { now, max, window, amount }) => {
+  const log = toList(logValue).filter(
+    ([timestamp]) => timestamp > now - window
+  );
+  let used = log.reduce((sum, [, entryCost]) => sum + entryCost, 0);
+
+  if (amount < 0) {
+    log.push([now, -amount]);
+    used -= amount;
+  } else {
+    let credit = amount;
+    for (let i = log.length - 1; i >= 0 && credit > 0; i--) {
+      const taken = Math.min(credit, log[i][1]);
+      log[i][1] -= taken;
+      credit -= taken;
+      used -= taken;
+      if (log[i][1] <= 0) log.splice(i, 1);
+    }
+  }
+
+  return {
+    remaining: Math.floor(Math.max(0, max - used)),
+    reset: log.length === 0 ? 0 : log[0][0] + window - now,
+    values: [log.length === 0 ? null : JSON.stringify(log)],
+    ttl: window,
+  };
+};
+
+// Largest cost a single request can ever be allowed
+const capacity = ({ max }) => max;
+
+// Stored state by field name, for inspection
+const describe = ([logValue]) => ({ log: toList(logValue) });
+
+module.exports = {
+  name,
+  keys,
+  script,
+  evaluate,
+  adjustScript,
+  adjust,
+  capacity,
+  describe,
+};
@@ -0,0 +1,188 @@
+const { toNumber } = require('./common');
+
+/**
+ * Algorithm: Token bucket
+ * Tokens refill continuously at max/window per second up to burst, and a
+ * request is allowed if enough tokens remain and fewer than max requests
+ * are counted. The count drains at the same max/window per second, so it
+ * covers roughly the last window and never holds an active client back
+ * for good
+ */
+const name = 'token_bucket';
+
+const keys = (base) => [
+  `rate:tokens:${base}`,
+  `rate:last_refill:${base}`,
+  `rate:count:${base}`,
+];
+
+// Executed atomically in Redis - single call reduces overhead
+const script = `
+  -- algorithm: token_bucket
+  local tokenKey = KEYS[1]
+  local lastRefillKey = KEYS[2]
+  local countKey = KEYS[3]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local adjustedBurst = tonumber(ARGV[3])
+  local window = tonumber(ARGV[4])
+  local cost = tonumber(ARGV[5])
+
+  local tokens = tonumber(redis.call('GET', tokenKey)) or adjustedBurst
+  local lastRefill = tonumber(redis.call('GET', lastRefillKey)) or now
+  local count = tonumber(redis.call('GET', countKey)) or 0
+
+  local timePassed = now - lastRefill
+  local refillAmount = (timePassed * adjustedMax) / window
+  tokens = math.min(adjustedBurst, tokens + refillAmount)
+  count = math.max(0, count - refillAmount)
+
+  local allowed = tokens >= cost and count < adjustedMax
+  local retryAfter = 0
+
+  if allowed then
+    tokens = tokens - cost
+    count = count + cost
+  elseif adjustedMax > 0 then
+    -- Wait for whichever of tokens and count holds the request back longer
+    if tokens < cost then
+      retryAfter = math.ceil((cost - tokens) * window / adjustedMax)
+    end
+    if count >= adjustedMax then
+      retryAfter = math.max(retryAfter,
+        math.floor((count - adjustedMax) * window / adjustedMax) + 1)
+    end
+  end
+
+  local reset = window
+  if adjustedMax > 0 then
+    reset = math.ceil((adjustedBurst - tokens) * window / adjustedMax)
+  end
+
+  redis.call('SETEX', tokenKey, window, tostring(tokens))
+  redis.call('SETEX', lastRefillKey, window, tostring(now))
+  redis.call('SETEX', countKey, window, tostring(count))
+
+  return {allowed and 1 or 0, math.floor(math.max(0, tokens)), retryAfter, reset}
+`;
+
+// JS twin of the Lua script, used by the fallback path and MockRedis
+const evaluate = (
+  [tokensValue, lastRefillValue, countValue],
+  { now, max, burst, window, cost }
+) => {
+  let tokens = toNumber(tokensValue, burst);
+  const lastRefill = toNumber(lastRefillValue, now);
+  let count = toNumber(countValue, 0);
+
+  const timePassed = now - lastRefill;
+  const refillAmount = (timePassed * max) / window;
+  tokens = Math.min(burst, tokens + refillAmount);
+  count = Math.max(0, count - refillAmount);
+
+  const allowed = tokens >= cost && count < max;
+  let retryAfter = 0;
+
+  if (allowed) {
+    tokens -= cost;
+    count += cost;
+  } else if (max > 0) {
+    // Wait for whichever of tokens and count holds the request back longer
+    if (tokens < cost) {
+      retryAfter = Math.ceil(((cost - tokens) * window) / max);
+    }
+    if (count >= max) {
+      retryAfter = Math.max(
+        retryAfter,
+        Math.floor(((count - max) * window) / max) + 1
+      );
+    }
+  }
+
+  const reset = max > 0 ? Math.ceil(((burst - tokens) * window) / max) : window;
+
+  return {
+    allowed,
+    remaining: Math.floor(Math.max(0, tokens)),
+    retryAfter,
+    reset,
+    values: [String(tokens), String(now), String(count)],
+    ttl: window,
+  };
+};
+
+// Give back (amount > 0) or take (amount < 0) tokens, never above burst
+const adjustScript = `
+  -- algorithm: token_bucket
+  -- operation: adjust
+  local tokenKey = KEYS[1]
+  local lastRefillKey = KEYS[2]
+  local countKey = KEYS[3]
+  local now = tonumber(ARGV[1])
+  local adjustedMax = tonumber(ARGV[2])
+  local adjustedBurst = tonumber(ARGV[3])
+  local window = tonumber(ARGV[4])
+  local amount = tonumber(ARGV[5])
+
+  local tokens = tonumber(redis.call('GET', tokenKey)) or adjustedBurst
+  local lastRefill = tonumber(redis.call('GET', lastRefillKey)) or now
+  local count = tonumber(redis.call('GET', countKey)) or 0
+
+  local refillAmount = ((now - lastRefill) * adjustedMax) / window
+  tokens = math.min(adjustedBurst, tokens + refillAmount)
+  tokens = math.min(adjustedBurst, tokens + amount)
+  count = math.max(0, count - refillAmount - amount)
+
+  local reset = window
+  if adjustedMax > 0 then
+    reset = math.ceil((adjustedBurst - tokens) * window / adjustedMax)
+  end
+
+  redis.call('SETEX', tokenKey, window, tostring(tokens))
+  redis.call('SETEX', lastRefillKey, window, tostring(now))
+  redis.call('SETEX', countKey, window, tostring(count))
+
+  return {math.floor(math.max(0, tokens)), reset}
+`;
+
+// JS twin of the adjust script
+const adjust = (
+  [tokensValue, lastRefillValue, countValue],
+  { now, max, burst, window, amount }
+) => {
+  let tokens = toNumber(tokensValue, burst);
+  const lastRefill = toNumber(lastRefillValue, now);
+  const refillAmount = ((now - lastRefill) * max) / window;
+  const count = Math.max(0, toNumber(countValue, 0) - refillAmount - amount);
+
+  tokens = Math.min(burst, tokens + refillAmount);
+  tokens = Math.min(burst, tokens + amount);
+
+  return {
+    remaining: Math.floor(Math.max(0, tokens)),
+    reset: max > 0 ? Math.ceil(((burst - tokens) * window) / max) : window,
+    values: [String(tokens), String(now), String(count)],
+    ttl: window,
+  };
+};
+
+// Largest cost a single request can ever be allowed
+const capacity = ({ burst }) => burst;
+
+// Stored state by field name, for inspection
+const describe = ([tokensValue, lastRefillValue, countValue]) => ({
+  tokens: toNumber(tokensValue, null),
+  lastRefill: toNumber(lastRefillValue, null),
+  count: toNumber(countValue, null),
+});
+
+module.exports = {
+  name,
+  keys,
+  script,
+  evaluate,
+  adjustScript,
+  adjust,
+  capacity,
+  describe,
+};
@@ -0,0 +1,205 @@
+const { TopK } = require('./topK');
+
+const MINUTE = 60 * 1000;
+
+// Country recorded once a minute already holds maxSeries series
+const OTHER_COUNTRY = 'OTHER';
+
+// Date, ISO string or epoch milliseconds to epoch milliseconds
+const parseTime = (value, name) => {
+  const time =
+    value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (Number.isNaN(time)) throw new Error(`Invalid ${name}: ${value}`);
+  return time;
+};
+
+/**
+ * Analytics history
+ * Per-minute rollups of allowed/denied/shed decisions by endpoint, tier and
+ * country, kept for `retention` seconds, plus the users (or ip:… keys for
+ * anonymous clients) with the most denials per endpoint and minute.
+ *
+ * Memory is bounded by retention / 60 minutes of at most `maxSeries` series
+ * (beyond that countries fold into one OTHER series per endpoint and tier)
+ * and `offenderCapacity` users per endpoint. Offender counts come from a
+ * Space-Saving sketch (see topK.js), so heavy offenders are exact or
+ * slightly overcounted
+ *
+ * Options:
+ * - retention: seconds of history to keep (default 86400)
+ * - maxSeries: endpoint/tier/country series per minute (default 1000)
+ * - offenderCapacity: users tracked per endpoint and minute (default 100)
+ */
+class AnalyticsHistory {
+  constructor(options = {}) {
+    this.retention = (options.retention || 86400) * 1000;
+    this.maxSeries = options.maxSeries || 1000;
+    this.offenderCapacity = options.offenderCapacity || 100;
+    this.minutes = new Map(); // minute start (ms) -> { series, offenders }
+  }
+
+  // Bucket for the minute containing timestamp, dropping expired minutes
+  // whenever a new one starts
+  getMinute(timestamp) {
+    const start = Math.floor(timestamp / MINUTE) * MINUTE;
+    let bucket = this.minutes.get(start);
+    if (!bucket) {
+      bucket = { series: new Map(), offenders: new Map() };
+      this.minutes.set(start, bucket);
+      this.prune(start);
+    }
+    return bucket;
+  }
+
+  prune(latest) {
+    const cutoff = latest - this.retention;
+    for (const start of this.minutes.keys()) {
+      if (start <= cutoff) this.minutes.delete(start);
+    }
+  }
+
+  record(
+    { userId, endpoint, tier, countryCode, allowed, shed = false },
+    timestamp = Date.now()
+  ) {
+    const bucket = this.getMinute(timestamp);
+
+    let key = `${endpoint}:${tier}:${countryCode}`;
+    if (!bucket.series.has(key) && bucket.series.size >= this.maxSeries) {
+      countryCode = OTHER_COUNTRY;
+      key = `${endpoint}:${tier}:${countryCode}`;
+    }
+    if (!bucket.series.has(key)) {
+      bucket.series.set(key, {
+        endpoint,
+        tier,
+        countryCode,
+        allowed: 0,
+        denied: 0,
+        shed: 0,
+      });
+    }
+    const stat = bucket.series.get(key);
+    if (allowed) {
+      stat.allowed++;
+      return;
+    }
+    // Load shedding is not the user's doing, so it makes no offender
+    if (shed) {
+      stat.shed++;
+      return;
+    }
+    stat.denied++;
+
+    if (!bucket.offenders.has(endpoint)) {
+      bucket.offenders.set(endpoint, new TopK(this.offenderCapacity));
+    }
+    bucket.offenders.get(endpoint).add(userId);
+  }
+
+  // [start, end) in ms; defaults to the whole retention window, and never
+  // reaches back further than retention from end
+  resolveRange({ startTime, endTime } = {}) {
+    const end =
+      endTime === undefined ? Date.now() : parseTime(endTime, 'endTime');
+    let start =
+      startTime === undefined
+        ? end - this.retention
+        : parseTime(startTime, 'startTime');
+    if (start > end) throw new Error('startTime must not be after endTime');
+    start = Math.max(start, end - this.retention);
+    return { start: Math.floor(start / MINUTE) * MINUTE, end };
+  }
+
+  // Minutes in [start, end), oldest first
+  minutesInRange(start, end) {
+    return [...this.minutes.entries()]
+      .filter(([minute]) => minute >= start && minute < end)
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  // Allowed/denied/shed totals per interval (seconds, a multiple of 60) over a
+  // time range, optionally for one endpoint, tier and/or country. Every
+  // interval in the range gets a point, including empty ones
+  query(query = {}) {
+    const { endpoint, tier, countryCode } = query;
+    const interval = query.interval === undefined ? 60 : Number(query.interval);
+    if (!Number.isFinite(interval) || interval < 60 || interval % 60 !== 0) {
+      throw new Error('interval must be a multiple of 60 seconds');
+    }
+    const step = interval * 1000;
+    const { start, end } = this.resolveRange(query);
+
+    const points = [];
+    for (let time = start; time < end; time += step) {
+      points.push({
+        timestamp: new Date(time).toISOString(),
+        allowed: 0,
+        denied: 0,
+        shed: 0,
+        totalRequests: 0,
+      });
+    }
+    const totals = { allowed: 0, denied: 0, shed: 0, totalRequests: 0 };
+
+    for (const [minute, bucket] of this.minutesInRange(start, end)) {
+      const point = points[Math.floor((minute - start) / step)];
+      for (const stat of bucket.series.values()) {
+        if (endpoint && stat.endpoint !== endpoint) continue;
+        if (tier && stat.tier !== tier) continue;
+        if (countryCode && stat.countryCode !== countryCode) continue;
+
+        for (const target of [point, totals]) {
+          target.allowed += stat.allowed;
+          target.denied += stat.denied;
+          target.shed += stat.shed;
+          target.totalRequests += stat.allowed + stat.denied + stat.shed;
+        }
+      }
+    }
+
+    return {
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(end).toISOString(),
+      interval,
+      filter: { endpoint, tier, countryCode },
+      totals,
+      points,
+    };
+  }
+
+  // Users with the most denials per endpoint over a time range
+  topOffenders(query = {}) {
+    const limit = query.limit === undefined ? 10 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error('limit must be a positive integer');
+    }
+    const { start, end } = this.resolveRange(query);
+
+    const denials = new Map(); // endpoint -> Map(userId -> denied)
+    for (const [, bucket] of this.minutesInRange(start, end)) {
+      for (const [endpoint, topK] of bucket.offenders) {
+        if (query.endpoint && endpoint !== query.endpoint) continue;
+        if (!denials.has(endpoint)) denials.set(endpoint, new Map());
+        const users = denials.get(endpoint);
+        for (const [userId, count] of topK.counts) {
+          users.set(userId, (users.get(userId) || 0) + count);
+        }
+      }
+    }
+
+    return {
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(end).toISOString(),
+      endpoints: [...denials.entries()].map(([endpoint, users]) => ({
+        endpoint,
+        offenders: [...users.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, limit)
+          .map(([userId, denied]) => ({ userId, denied })),
+      })),
+    };
+  }
+}
+
+module.exports = { AnalyticsHistory, OTHER_COUNTRY };
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const os = require('os');
+const { HyperLogLog } = require('./hyperLogLog');
+
+const INSTANCES_KEY = 'rate:analytics:instances';
+const instanceKey = (instanceId) => `rate:analytics:instance:${instanceId}`;
+
+// Unique per process, readable in reports: host:pid:random
+const defaultInstanceId = () => {
+  const suffix = crypto.randomBytes(3).toString('hex');
+  return `${os.hostname()}:${process.pid}:${suffix}`;
+};
+
+/**
+ * Cluster-wide analytics
+ * Each RateLimiter periodically writes a snapshot of its lifetime counters
+ * and unique-user sketches to its own Redis key, so flushes never contend
+ * and rewriting a snapshot is idempotent. Reports read every registered
+ * instance's snapshot and merge them: counters are summed per
+ * endpoint/tier/country and sketches merged per endpoint.
+ *
+ * Snapshots expire after `ttl` seconds without a flush, so instances that
+ * are gone eventually drop out of the report
+ *
+ * Options:
+ * - instanceId: name of this instance (default host:pid:random)
+ * - ttl: seconds a snapshot outlives its last flush (default 86400)
+ */
+class ClusterAnalytics {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.instanceId = options.instanceId || defaultInstanceId();
+    this.ttl = options.ttl || 86400;
+  }
+
+  // Write this instance's counters (iterable of hit stats) and sketches
+  // (Map endpoint -> HyperLogLog)
+  async flush(hits, users) {
+    const snapshot = {
+      instanceId: this.instanceId,
+      flushedAt: new Date().toISOString(),
+      hits: [...hits],
+      users: Object.fromEntries(
+        [...users].map(([endpoint, sketch]) => [endpoint, sketch.toString()])
+      ),
+    };
+
+    await this.redis.setex(
+      instanceKey(this.instanceId),
+      this.ttl,
+      JSON.stringify(snapshot)
+    );
+    await this.redis.sadd(INSTANCES_KEY, this.instanceId);
+  }
+
+  // Merged counters and sketches of every live instance
+  async collect() {
+    const instanceIds = await this.redis.smembers(INSTANCES_KEY);
+    const hits = new Map(); // endpoint:tier:country -> stat
+    const users = new Map(); // endpoint -> HyperLogLog
+    const instances = [];
+
+    for (const instanceId of instanceIds) {
+      const raw = await this.redis.get(instanceKey(instanceId));
+      if (!raw) {
+        // Expired: the instance stopped flushing
+        await this.redis.srem(INSTANCES_KEY, instanceId);
+        continue;
+      }
+
+      const snapshot = JSON.parse(raw);
+      instances.push({ instanceId, flushedAt: snapshot.flushedAt });
+
+      for (const stat of snapshot.hits) {
+        const key = `${stat.endpoint}:${stat.tier}:${stat.countryCode}`;
+        if (!hits.has(key)) {
+          hits.set(key, {
+            ...stat,
+            allowed: 0,
+            denied: 0,
+            shed: 0,
+            totalRequests: 0,
+          });
+        }
+        // Snapshots from before load shedding have no shed count
+        const shed = stat.shed || 0;
+        const merged = hits.get(key);
+        merged.allowed += stat.allowed;
+        merged.denied += stat.denied;
+        merged.shed += shed;
+        merged.totalRequests += stat.allowed + stat.denied + shed;
+      }
+
+      for (const [endpoint, encoded] of Object.entries(snapshot.users)) {
+        const sketch = HyperLogLog.fromString(encoded);
+        if (users.has(endpoint)) {
+          users.get(endpoint).merge(sketch);
+        } else {
+          users.set(endpoint, sketch);
+        }
+      }
+    }
+
+    return { instances, hits: [...hits.values()], users };
+  }
+}
+
+module.exports = { ClusterAnalytics };
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// 2^12 one-byte registers: 4 KB per sketch, ~1.6% standard error
+const PRECISION = 12;
+const REGISTERS = 1 << PRECISION;
+
+/**
+ * HyperLogLog sketch
+ * Estimates how many distinct values were added without storing them.
+ * Sketches merge by taking the larger register, so per-instance sketches
+ * combine into a cluster-wide count, and serialize to base64 for Redis
+ */
+class HyperLogLog {
+  constructor(registers = new Uint8Array(REGISTERS)) {
+    this.registers = registers;
+  }
+
+  add(value) {
+    const hash = crypto.createHash('sha1').update(String(value)).digest();
+    // First PRECISION bits pick the register, the next word the rank
+    const index = hash.readUInt32BE(0) >>> (32 - PRECISION);
+    const rank = Math.clz32(hash.readUInt32BE(4)) + 1;
+    if (rank > this.registers[index]) this.registers[index] = rank;
+  }
+
+  merge(other) {
+    for (let i = 0; i < REGISTERS; i++) {
+      if (other.registers[i] > this.registers[i]) {
+        this.registers[i] = other.registers[i];
+      }
+    }
+    return this;
+  }
+
+  count() {
+    const alpha = 0.7213 / (1 + 1.079 / REGISTERS);
+    let sum = 0;
+    let zeros = 0;
+    for (const register of this.registers) {
+      sum += 2 ** -register;
+      if (register === 0) zeros++;
+    }
+
+    const estimate = (alpha * REGISTERS * REGISTERS) / sum;
+    // Small cardinalities: linear counting is more accurate
+    if (estimate <= 2.5 * REGISTERS && zeros > 0) {
+      return Math.round(REGISTERS * Math.log(REGISTERS / zeros));
+    }
+    return Math.round(estimate);
+  }
+
+  toString() {
+    return Buffer.from(this.registers).toString('base64');
+  }
+
+  static fromString(encoded) {
+    const buffer = Buffer.from(encoded, 'base64');
+    if (buffer.length !== REGISTERS) {
+      throw new Error('Invalid HyperLogLog sketch');
+    }
+    return new HyperLogLog(new Uint8Array(buffer));
+  }
+}
+
+module.exports = { HyperLogLog };
@@ -0,0 +1,83 @@
+const { TopK } = require('./topK');
+
+/**
+ * Shadow analytics
+ * What candidate policies in shadow mode would have decided, kept apart
+ * from the live decisions. Per endpoint and tier it counts the requests a
+ * candidate evaluated, how many the live policy and the candidate denied,
+ * and how many the candidate would have newly denied (the live policy let
+ * them through), along with the users it would have newly blocked most.
+ *
+ * Users come from a Space-Saving sketch (see topK.js) of `userCapacity`
+ * users per endpoint and tier, so heavy users are exact or slightly
+ * overcounted
+ */
+class ShadowAnalytics {
+  constructor(options = {}) {
+    this.userCapacity = options.userCapacity || 100;
+    this.stats = new Map(); // endpoint:tier -> counts and users
+  }
+
+  // Record one request checked against both policies
+  record({ userId, endpoint, tier, liveAllowed, shadowAllowed }) {
+    const key = `${endpoint}:${tier}`;
+    if (!this.stats.has(key)) {
+      this.stats.set(key, {
+        endpoint,
+        tier,
+        evaluated: 0,
+        liveDenied: 0,
+        shadowDenied: 0,
+        newlyDenied: 0,
+        users: new TopK(this.userCapacity),
+      });
+    }
+    const stat = this.stats.get(key);
+    stat.evaluated++;
+    if (!liveAllowed) stat.liveDenied++;
+    if (shadowAllowed) return;
+
+    stat.shadowDenied++;
+    if (liveAllowed) {
+      stat.newlyDenied++;
+      stat.users.add(userId);
+    }
+  }
+
+  // Counts per endpoint and tier (optionally one endpoint) with the `limit`
+  // users the candidate would have newly denied most
+  report(query = {}) {
+    const limit = query.limit === undefined ? 10 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error('limit must be a positive integer');
+    }
+
+    const summary = {
+      evaluated: 0,
+      liveDenied: 0,
+      shadowDenied: 0,
+      newlyDenied: 0,
+    };
+    const policies = [];
+    for (const { users, ...stat } of this.stats.values()) {
+      if (query.endpoint && stat.endpoint !== query.endpoint) continue;
+      for (const field of Object.keys(summary)) summary[field] += stat[field];
+      policies.push({
+        ...stat,
+        shadowDenyRate:
+          ((stat.shadowDenied / stat.evaluated) * 100).toFixed(2) + '%',
+        users: users
+          .top(limit)
+          .map(([userId, wouldBeDenied]) => ({ userId, wouldBeDenied })),
+      });
+    }
+
+    return {
+      timestamp: new Date().toISOString(),
+      summary,
+      policies: policies.sort((a, b) => b.newlyDenied - a.newlyDenied),
+    };
+  }
+}
+
+module.exports = { ShadowAnalytics };
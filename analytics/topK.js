@@ -0,0 +1,44 @@
+/**
+ * Top-K counter (Space-Saving)
+ * Tracks the heaviest items in a stream with at most `capacity` counters.
+ * When full, a new item replaces the smallest counter and inherits its
+ * count, so counts may be overestimated by up to that count, but any item
+ * heavier than total / capacity is always kept
+ */
+class TopK {
+  constructor(capacity = 100) {
+    this.capacity = capacity;
+    this.counts = new Map(); // item -> count
+  }
+
+  add(item, amount = 1) {
+    if (this.counts.has(item)) {
+      this.counts.set(item, this.counts.get(item) + amount);
+      return;
+    }
+    if (this.counts.size < this.capacity) {
+      this.counts.set(item, amount);
+      return;
+    }
+
+    let minItem = null;
+    let minCount = Infinity;
+    for (const [candidate, count] of this.counts) {
+      if (count < minCount) {
+        minItem = candidate;
+        minCount = count;
+      }
+    }
+    this.counts.delete(minItem);
+    this.counts.set(item, minCount + amount);
+  }
+
+  // [[item, count]] heaviest first
+  top(limit = this.capacity) {
+    return [...this.counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit);
+  }
+}
+
+module.exports = { TopK };
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+
+const CONCURRENCY_FIELDS = ['perUser', 'perEndpoint', 'lease'];
+
+const DEFAULT_LEASE = 60;
+
+// Slots held by a user on an endpoint, and by everyone on it
+const userSlotsKey = (userId, endpoint) =>
+  `concurrency:user:${userId}:${endpoint}`;
+const endpointSlotsKey = (endpoint) => `concurrency:endpoint:${endpoint}`;
+
+// Parse stored slots ({ slotId: expiresAt }), treating missing or corrupt
+// state as none
+const toSlots = (value) => {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      ? parsed
+      : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Slots whose lease has not run out
+const liveSlots = (slots, now) =>
+  Object.fromEntries(
+    Object.entries(slots).filter(([, expiresAt]) => expiresAt > now)
+  );
+
+// Lua helpers shared by the slot scripts: leases still running, and
+// writing slots back (an empty set is deleted)
+const SLOT_HELPERS = `
+  local function loadSlots(key, now)
+    local stored = redis.call('GET', key)
+    local slots = stored and cjson.decode(stored) or {}
+    local live = {}
+    local count = 0
+    for id, expiresAt in pairs(slots) do
+      if expiresAt > now then
+        live[id] = expiresAt
+        count = count + 1
+      end
+    end
+    return live, count
+  end
+
+  local function saveSlots(key, slots, lease)
+    if next(slots) == nil then
+      redis.call('DEL', key)
+    else
+      redis.call('SETEX', key, lease, cjson.encode(slots))
+    end
+  end
+`;
+
+// Takes a slot for the user and the endpoint, if both have one free.
+// KEYS = user slots, endpoint slots
+// ARGV = now, perUser, perEndpoint (-1: no limit), lease, slotId
+// Returns {allowed, limitHit (0 none, 1 user, 2 endpoint), userInFlight,
+// endpointInFlight}, counting the new slot
+const acquireSlotScript = `
+  -- concurrency: acquire
+  ${SLOT_HELPERS}
+  local now = tonumber(ARGV[1])
+  local perUser = tonumber(ARGV[2])
+  local perEndpoint = tonumber(ARGV[3])
+  local lease = tonumber(ARGV[4])
+  local slotId = ARGV[5]
+
+  local userSlots, userCount = loadSlots(KEYS[1], now)
+  local endpointSlots, endpointCount = loadSlots(KEYS[2], now)
+
+  if perUser >= 0 and userCount >= perUser then
+    return {0, 1, userCount, endpointCount}
+  end
+  if perEndpoint >= 0 and endpointCount >= perEndpoint then
+    return {0, 2, userCount, endpointCount}
+  end
+
+  userSlots[slotId] = now + lease
+  endpointSlots[slotId] = now + lease
+  saveSlots(KEYS[1], userSlots, lease)
+  saveSlots(KEYS[2], endpointSlots, lease)
+
+  return {1, 0, userCount + 1, endpointCount + 1}
+`;
+
+// Extends a held slot's lease (a slot whose lease already ran out is gone).
+// KEYS = user slots, endpoint slots
+// ARGV = now, lease, slotId
+// Returns 1 if the slot was still held, 0 otherwise
+const renewSlotScript = `
+  -- concurrency: renew
+  ${SLOT_HELPERS}
+  local now = tonumber(ARGV[1])
+  local lease = tonumber(ARGV[2])
+  local slotId = ARGV[3]
+  local held = 0
+
+  for _, key in ipairs(KEYS) do
+    local slots = loadSlots(key, now)
+    if slots[slotId] then
+      slots[slotId] = now + lease
+      held = 1
+    end
+    saveSlots(key, slots, lease)
+  end
+
+  return held
+`;
+
+// Gives a slot back.
+// KEYS = user slots, endpoint slots
+// ARGV = now, lease, slotId
+// Returns 1 if the slot was still held, 0 otherwise
+const releaseSlotScript = `
+  -- concurrency: release
+  ${SLOT_HELPERS}
+  local now = tonumber(ARGV[1])
+  local lease = tonumber(ARGV[2])
+  local slotId = ARGV[3]
+  local held = 0
+
+  for _, key in ipairs(KEYS) do
+    local slots = loadSlots(key, now)
+    if slots[slotId] then
+      slots[slotId] = nil
+      held = 1
+    end
+    saveSlots(key, slots, lease)
+  end
+
+  return held
+`;
+
+// Stored slots as a value to write back (null deletes the key)
+const storeSlots = (slots) =>
+  Object.keys(slots).length > 0 ? JSON.stringify(slots) : null;
+
+// JS twin of acquireSlotScript over the raw key values, returning
+// { result, values } (values as in the algorithms' evaluate)
+const acquireSlot = ([userValue, endpointValue], params) => {
+  const { now, perUser, perEndpoint, lease, slotId } = params;
+  const userSlots = liveSlots(toSlots(userValue), now);
+  const endpointSlots = liveSlots(toSlots(endpointValue), now);
+  const userCount = Object.keys(userSlots).length;
+  const endpointCount = Object.keys(endpointSlots).length;
+
+  if (perUser >= 0 && userCount >= perUser) {
+    return { result: [0, 1, userCount, endpointCount], values: [] };
+  }
+  if (perEndpoint >= 0 && endpointCount >= perEndpoint) {
+    return { result: [0, 2, userCount, endpointCount], values: [] };
+  }
+
+  userSlots[slotId] = now + lease;
+  endpointSlots[slotId] = now + lease;
+  return {
+    result: [1, 0, userCount + 1, endpointCount + 1],
+    values: [storeSlots(userSlots), storeSlots(endpointSlots)],
+  };
+};
+
+// JS twin of renewSlotScript (renew: true) and releaseSlotScript
+const updateSlot = (values, { now, lease, slotId, renew }) => {
+  let held = 0;
+  const updated = values.map((value) => {
+    const slots = liveSlots(toSlots(value), now);
+    if (slots[slotId]) {
+      held = 1;
+      if (renew) {
+        slots[slotId] = now + lease;
+      } else {
+        delete slots[slotId];
+      }
+    }
+    return storeSlots(slots);
+  });
+  return { result: held, values: updated };
+};
+
+// Problems with a policy's concurrency limits (for configSchema)
+const validateConcurrency = (path, concurrency, errors) => {
+  if (concurrency === null || typeof concurrency !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  for (const field of Object.keys(concurrency)) {
+    if (!CONCURRENCY_FIELDS.includes(field)) {
+      errors.push(`${path}: unknown field ${field}`);
+    }
+  }
+  for (const field of ['perUser', 'perEndpoint']) {
+    const value = concurrency[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      errors.push(`${path}.${field} must be a non-negative integer`);
+    }
+  }
+  if (
+    concurrency.perUser === undefined &&
+    concurrency.perEndpoint === undefined
+  ) {
+    errors.push(`${path} needs perUser and/or perEndpoint`);
+  }
+  if (
+    concurrency.lease !== undefined &&
+    (!Number.isInteger(concurrency.lease) || concurrency.lease <= 0)
+  ) {
+    errors.push(`${path}.lease must be a positive whole number of seconds`);
+  }
+};
+
+/**
+ * Concurrency limiter
+ * Caps the requests a user (perUser) and everyone together (perEndpoint)
+ * may have in flight on an endpoint. Each request takes a slot, a lease in
+ * Redis that is renewed while the request runs and given back when it
+ * ends; slots of crashed instances simply expire after `lease` seconds, so
+ * they never leak.
+ *
+ * Slots live in one key per user and endpoint and one per endpoint
+ * ({ slotId: expiresAt } JSON), taken and given back atomically in Lua, so
+ * the limits hold across every instance sharing the Redis
+ */
+class ConcurrencyLimiter {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  // Take a slot under a policy's concurrency limits. Returns { allowed,
+  // limitHit ('perUser' or 'perEndpoint'), limit, inFlight } and, when
+  // allowed, a slot handle to give back with release()
+  async acquire(userId, endpoint, concurrency) {
+    const keys = [userSlotsKey(userId, endpoint), endpointSlotsKey(endpoint)];
+    const lease = concurrency.lease || DEFAULT_LEASE;
+    const slotId = crypto.randomUUID();
+    const perUser =
+      concurrency.perUser === undefined ? -1 : concurrency.perUser;
+    const perEndpoint =
+      concurrency.perEndpoint === undefined ? -1 : concurrency.perEndpoint;
+
+    const [allowed, level, userInFlight, endpointInFlight] =
+      await this.redis.eval(
+        acquireSlotScript,
+        2,
+        ...keys,
+        Date.now() / 1000,
+        perUser,
+        perEndpoint,
+        lease,
+        slotId
+      );
+
+    if (allowed !== 1) {
+      const perUserHit = level === 1;
+      return {
+        allowed: false,
+        limitHit: perUserHit ? 'perUser' : 'perEndpoint',
+        limit: perUserHit ? perUser : perEndpoint,
+        inFlight: perUserHit ? userInFlight : endpointInFlight,
+      };
+    }
+    return {
+      allowed: true,
+      limit: perUser >= 0 ? perUser : perEndpoint,
+      inFlight: perUser >= 0 ? userInFlight : endpointInFlight,
+      slot: this.createSlot(slotId, keys, lease),
+    };
+  }
+
+  // Handle for a held slot: renewed every half lease until released;
+  // release() only gives the slot back once
+  createSlot(id, keys, lease) {
+    let released = false;
+    const renewal = setInterval(() => {
+      this.update(renewSlotScript, keys, lease, id).catch((error) =>
+        console.error('Concurrency slot renewal error:', error)
+      );
+    }, (lease * 1000) / 2);
+    renewal.unref();
+
+    return {
+      id,
+      release: async () => {
+        if (released) return false;
+        released = true;
+        clearInterval(renewal);
+        return (await this.update(releaseSlotScript, keys, lease, id)) === 1;
+      },
+    };
+  }
+
+  update(script, keys, lease, slotId) {
+    return this.redis.eval(
+      script,
+      keys.length,
+      ...keys,
+      Date.now() / 1000,
+      lease,
+      slotId
+    );
+  }
+}
+
+// Which slot script a Lua script is ('acquire', 'renew', 'release'), or
+// null (for MockRedis)
+const getConcurrencyOperation = (script) => {
+  const match = /-- concurrency: (\w+)/.exec(script);
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  ConcurrencyLimiter,
+  acquireSlot,
+  updateSlot,
+  acquireSlotScript,
+  renewSlotScript,
+  releaseSlotScript,
+  validateConcurrency,
+  getConcurrencyOperation,
+};
@@ -1,18 +1,129 @@
+// Keys are route patterns, optionally method-specific (see
+// policy/routeMatcher.js): '/api/orders/:id', '/api/files/*', 'POST /api/x'
+// algorithm: token_bucket | fixed_window | sliding_window_log |
+//            sliding_window_counter | gcra (defaults to token_bucket)
+// burst only applies to token_bucket and gcra; window algorithms cap at max
+// Checkout uses an exact sliding log, search a cheap approximate counter,
+// each with a gcra limit over the same window that holds bursts to burst
+// org/team: limits shared by all of an organisation's or team's users, on
+// top of each user's own (see policy/policyLimits.js)
 const RATE_LIMITS = {
   free: {
-    '/api/search': { window: 3600, max: 100, burst: 20 },
-    '/api/checkout': { window: 3600, max: 10, burst: 2 },
-    '/api/profile': { window: 3600, max: 50, burst: 10 },
+    '/api/search': {
+      algorithm: 'sliding_window_counter',
+      limits: [
+        { window: 3600, max: 100 },
+        { name: 'burst', algorithm: 'gcra', window: 3600, max: 100, burst: 20 },
+      ],
+    },
+    '/api/checkout': {
+      algorithm: 'sliding_window_log',
+      limits: [
+        { window: 3600, max: 10 },
+        { name: 'burst', algorithm: 'gcra', window: 3600, max: 10, burst: 2 },
+      ],
+      // Stricter checkout where card fraud is highest
+      geo: { CN: { max: 0.3 }, RU: { max: 0.3 } },
+      // Requests in flight at once, per user and across all users
+      concurrency: { perUser: 2, perEndpoint: 200 },
+    },
+    '/api/profile': {
+      algorithm: 'token_bucket',
+      window: 3600,
+      max: 50,
+      burst: 10,
+    },
   },
   premium: {
-    '/api/search': { window: 3600, max: 1000, burst: 100 },
-    '/api/checkout': { window: 3600, max: 100, burst: 20 },
-    '/api/profile': { window: 3600, max: 200, burst: 40 },
+    '/api/search': {
+      algorithm: 'sliding_window_counter',
+      limits: [
+        { window: 3600, max: 1000 },
+        {
+          name: 'burst',
+          algorithm: 'gcra',
+          window: 3600,
+          max: 1000,
+          burst: 100,
+        },
+      ],
+    },
+    '/api/checkout': {
+      algorithm: 'sliding_window_log',
+      limits: [
+        { window: 3600, max: 100 },
+        { name: 'burst', algorithm: 'gcra', window: 3600, max: 100, burst: 20 },
+      ],
+      concurrency: { perUser: 5, perEndpoint: 200 },
+    },
+    '/api/profile': {
+      algorithm: 'token_bucket',
+      window: 3600,
+      max: 200,
+      burst: 40,
+    },
   },
   enterprise: {
-    '/api/search': { window: 3600, max: 10000, burst: 1000 },
-    '/api/checkout': { window: 3600, max: 1000, burst: 200 },
-    '/api/profile': { window: 3600, max: 1000, burst: 200 },
+    '/api/search': {
+      algorithm: 'sliding_window_counter',
+      limits: [
+        { window: 3600, max: 10000 },
+        {
+          name: 'burst',
+          algorithm: 'gcra',
+          window: 3600,
+          max: 10000,
+          burst: 1000,
+        },
+      ],
+      // Every seat and API key of an organisation together
+      org: { window: 3600, max: 50000 },
+    },
+    '/api/checkout': {
+      algorithm: 'sliding_window_log',
+      limits: [
+        { window: 3600, max: 1000 },
+        {
+          name: 'burst',
+          algorithm: 'gcra',
+          window: 3600,
+          max: 1000,
+          burst: 200,
+        },
+      ],
+      org: { window: 3600, max: 5000 },
+      concurrency: { perUser: 20, perEndpoint: 200 },
+    },
+    '/api/profile': {
+      algorithm: 'token_bucket',
+      window: 3600,
+      max: 1000,
+      burst: 200,
+    },
+  },
+  // Requests without valid credentials, limited per client IP
+  anonymous: {
+    '/api/search': {
+      algorithm: 'sliding_window_counter',
+      limits: [
+        { window: 3600, max: 30 },
+        { name: 'burst', algorithm: 'gcra', window: 3600, max: 30, burst: 10 },
+      ],
+    },
+    // Guest checkout: 2 orders an hour, each under 1000 (cost 2) at once
+    '/api/checkout': {
+      algorithm: 'sliding_window_log',
+      window: 3600,
+      max: 2,
+      burst: 2,
+      concurrency: { perUser: 1, perEndpoint: 200 },
+    },
+    '/api/profile': {
+      algorithm: 'token_bucket',
+      window: 3600,
+      max: 10,
+      burst: 5,
+    },
   },
   unlimited: {
     '/api/search': { window: 3600, max: Infinity, burst: Infinity },
@@ -21,6 +132,44 @@ const RATE_LIMITS = {
   },
 };
 
+// Policy for requests that match no route in their tier's RATE_LIMITS, so a
+// new route is never left unprotected; all unmatched routes share one
+// bucket per user. null leaves unmatched routes unlimited
+const DEFAULT_POLICY = {
+  algorithm: 'token_bucket',
+  window: 3600,
+  max: 100,
+  burst: 20,
+};
+
+// Candidate policies in shadow mode, by tier and endpoint key: checked next
+// to the live policy and recorded, but never enforced (see the shadow
+// report in the admin API). A policy's own `shadow` field takes precedence.
+// Example, trying a tighter free search limit:
+//   free: { '/api/search': { window: 3600, max: 50, burst: 10 } }
+const SHADOW_RATE_LIMITS = {};
+
+// Capacity per endpoint shared by all clients (see policy/endpointCapacity.js)
+// Each tier may fill its share of max; past that it is shed, keeping the
+// rest as headroom for higher tiers. Tiers without a share may use all of
+// it, and the unlimited tier is never counted
+const ENDPOINT_CAPACITY = {
+  '/api/checkout': {
+    algorithm: 'sliding_window_counter',
+    window: 60,
+    max: 3000, // what the payment backend handles per minute
+    tiers: { enterprise: 1.0, premium: 0.9, free: 0.7, anonymous: 0.5 },
+  },
+};
+
+// Tier applied to requests without valid credentials
+const ANONYMOUS_TIER = 'anonymous';
+
+// Proxies whose X-Forwarded-For is trusted when resolving client IPs
+const TRUSTED_PROXIES = ['127.0.0.0/8', '::1/128'];
+
+// Geographic multipliers, resolved country -> region -> DEFAULT
+// { multiplier } scales max and burst; { max, burst } scale them separately
 const GEO_LIMITS = {
   US: { multiplier: 1.0 },
   EU: { multiplier: 1.0 },
@@ -29,4 +178,69 @@ const GEO_LIMITS = {
   DEFAULT: { multiplier: 1.0 },
 };
 
-module.exports = { RATE_LIMITS, GEO_LIMITS };
+// Country -> region membership used by GEO_LIMITS lookups
+const GEO_REGIONS = {
+  EU: (
+    'AT BE BG HR CY CZ DK EE FI FR DE GR HU IE IT LV LT LU MT NL PL PT RO SK ' +
+    'SI ES SE'
+  ).split(' '),
+};
+
+// Per-tier geo overrides, consulted before GEO_LIMITS (endpoint-level
+// overrides go in the endpoint config's `geo`)
+const TIER_GEO_LIMITS = {
+  enterprise: {
+    CN: { multiplier: 1.0 }, // Contracted capacity applies everywhere
+  },
+};
+
+// Request cost per endpoint, computed server-side from the request
+// Results are validated and clamped to COST_LIMITS
+const REQUEST_COSTS = {
+  // One unit per page of 20 results
+  '/api/search': (req) => Math.ceil((parseInt(req.query.limit) || 20) / 20),
+  // One unit per order, plus 1 per 500 of order amount
+  '/api/checkout': (req) =>
+    1 + Math.floor((Number(req.body && req.body.amount) || 0) / 500),
+  // Reads are cheap, writes count double
+  '/api/profile': (req) => (req.method === 'GET' ? 1 : 2),
+};
+
+const COST_LIMITS = { min: 1, max: 10, default: 1 };
+
+// Share of a request's cost given back by response status, as an exact code
+// or a class like '5xx': failures on our side should not use up the
+// client's budget
+const RESPONSE_REFUNDS = { '5xx': 1 };
+
+// Penalty box (see abuse/penaltyBox.js): more than maxDenials 429s within
+// interval seconds on the rule's endpoints (every endpoint when omitted)
+// blocks the client from all endpoints for blockDuration seconds, times
+// backoff for each repeat offense, up to maxBlockDuration
+const ABUSE_RULES = [
+  {
+    name: 'checkout_hammering',
+    endpoints: ['/api/checkout'],
+    maxDenials: 20,
+    interval: 60,
+    blockDuration: 300, // 5 minutes, then 10, 20, ...
+    backoff: 2,
+    maxBlockDuration: 86400,
+  },
+];
+
+module.exports = {
+  RATE_LIMITS,
+  DEFAULT_POLICY,
+  ENDPOINT_CAPACITY,
+  SHADOW_RATE_LIMITS,
+  ANONYMOUS_TIER,
+  TRUSTED_PROXIES,
+  GEO_LIMITS,
+  GEO_REGIONS,
+  TIER_GEO_LIMITS,
+  REQUEST_COSTS,
+  COST_LIMITS,
+  RESPONSE_REFUNDS,
+  ABUSE_RULES,
+};
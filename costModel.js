@@ -0,0 +1,66 @@
+const {
+  REQUEST_COSTS,
+  COST_LIMITS,
+  RESPONSE_REFUNDS,
+} = require('./configuration');
+const { splitRouteKey } = require('./policy/routeMatcher');
+
+// Clamp a cost to COST_LIMITS; anything non-numeric falls back to the default
+const clampCost = (value, limits = COST_LIMITS) => {
+  const cost = Number(value);
+  if (!Number.isFinite(cost)) return limits.default;
+  return Math.min(limits.max, Math.max(limits.min, Math.ceil(cost)));
+};
+
+// Server-side cost of a request for an endpoint (policy key)
+// Method-specific keys ('POST /api/x') fall back to the path's cost function
+// The x-cost header is only honoured for trusted internal callers
+const resolveRequestCost = (
+  req,
+  endpoint,
+  costs = REQUEST_COSTS,
+  limits = COST_LIMITS
+) => {
+  if (req.trustedCaller && req.headers['x-cost'] !== undefined) {
+    return clampCost(req.headers['x-cost'], limits);
+  }
+
+  const costFn = costs[endpoint] || costs[splitRouteKey(endpoint).path];
+  if (!costFn) return limits.default;
+
+  try {
+    return clampCost(costFn(req), limits);
+  } catch (error) {
+    console.error('Request cost error:', error);
+    return limits.default;
+  }
+};
+
+// Share of its cost (0-1) a response with this status gets back, by exact
+// code first, then by class ('5xx')
+const refundShare = (status, refunds = RESPONSE_REFUNDS) => {
+  for (const key of [status, `${Math.floor(status / 100)}xx`]) {
+    if (refunds[key] !== undefined) return refunds[key];
+  }
+  return 0;
+};
+
+// Problems with a status -> share map such as RESPONSE_REFUNDS
+const validateRefunds = (refunds) => {
+  const errors = [];
+  for (const [status, share] of Object.entries(refunds)) {
+    if (!/^[1-5](\d\d|xx)$/.test(status)) {
+      errors.push(`unknown status ${status}`);
+    } else if (!Number.isFinite(share) || share < 0 || share > 1) {
+      errors.push(`${status} must be a share between 0 and 1`);
+    }
+  }
+  return errors;
+};
+
+module.exports = {
+  clampCost,
+  resolveRequestCost,
+  refundShare,
+  validateRefunds,
+};
@@ -0,0 +1,14 @@
+const { LIMITER_EVENTS, DEFAULT_WEBHOOK_EVENTS } = require('./limiterEvents');
+const {
+  WebhookDispatcher,
+  signPayload,
+  verifySignature,
+} = require('./webhookDispatcher');
+
+module.exports = {
+  LIMITER_EVENTS,
+  DEFAULT_WEBHOOK_EVENTS,
+  WebhookDispatcher,
+  signPayload,
+  verifySignature,
+};
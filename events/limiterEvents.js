@@ -0,0 +1,36 @@
+/**
+ * RateLimiter events
+ * Every payload has `type` and `timestamp` (ISO) plus:
+ * - denied:                 userId, endpoint, tier, countryCode, region,
+ *                           limit, remaining, retryAfter, cost, and reason
+ *                           'blocked' for clients in the penalty box,
+ *                           'load_shed' when endpoint capacity ran out,
+ *                           'concurrency_limited' for too many requests
+ *                           in flight or 'queue_full' when too many wait
+ *                           in delay mode
+ * - allowed:                userId, endpoint, tier, countryCode, limit,
+ *                           remaining, retryAfter, cost (one per request)
+ * - slow_start_initialized: userId, endpoint, multiplier, duration
+ * - fail_open:              reason (check_error, fallback_read_error,
+ *                           fallback_error, concurrency_error), error,
+ *                           and the request's userId, endpoint, tier,
+ *                           countryCode
+ * - config_changed:         version, previousVersion, source
+ * - client_blocked:         userId, endpoint, tier, countryCode, rule,
+ *                           duration, offenses, expiresAt (ISO)
+ */
+const LIMITER_EVENTS = [
+  'denied',
+  'allowed',
+  'slow_start_initialized',
+  'fail_open',
+  'config_changed',
+  'client_blocked',
+];
+
+// Events worth sending off-box by default; 'allowed' fires on every request
+const DEFAULT_WEBHOOK_EVENTS = LIMITER_EVENTS.filter(
+  (type) => type !== 'allowed'
+);
+
+module.exports = { LIMITER_EVENTS, DEFAULT_WEBHOOK_EVENTS };
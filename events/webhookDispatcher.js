@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { BufferedSink } = require('../logging/bufferedSink');
+const { DEFAULT_WEBHOOK_EVENTS } = require('./limiterEvents');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+// 'sha256=<hex>' HMAC of `${timestamp}.${body}`; signing the timestamp lets
+// receivers reject replayed deliveries
+const signPayload = (secret, timestamp, body) => {
+  const hmac = crypto.createHmac('sha256', secret);
+  return `sha256=${hmac.update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+// For receivers (and tests): whether a delivery's signature is genuine
+const verifySignature = (secret, timestamp, body, signature) => {
+  if (typeof signature !== 'string') return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Throttling and server errors may pass; other statuses will not
+const isRetryable = (status) => status === 429 || status >= 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Webhook dispatcher
+ * Subscribes to a RateLimiter's events and POSTs them in batches (see
+ * BufferedSink) to each target as { id, sentAt, events }, signed with the
+ * target's secret in x-webhook-signature over x-webhook-timestamp and the
+ * body. The id stays the same across retries so receivers can drop
+ * duplicates.
+ *
+ * Network errors, timeouts, 429 and 5xx are retried with exponential
+ * backoff; batches that still fail are appended to the dead-letter file as
+ * JSON lines ({ failedAt, url, id, error, attempts, events }) for replay.
+ * Batches are delivered one at a time, so while a target is retrying new
+ * events wait in the buffer (up to maxBuffer)
+ *
+ * Options (plus BufferedSink's):
+ * - targets: [{ url, secret, events }]; events defaults to every event
+ *   except 'allowed'
+ * - secret: default secret for targets without one
+ * - maxAttempts: tries per batch (default 5)
+ * - retryDelay: ms before the first retry, doubling each time (default 500)
+ * - timeout: ms per request (default 5000)
+ * - deadLetterFile: JSON Lines file for undeliverable batches
+ */
+class WebhookDispatcher extends BufferedSink {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'webhook';
+    this.targets = (options.targets || []).map((target) => ({
+      url: target.url,
+      secret: target.secret || options.secret,
+      events: target.events || DEFAULT_WEBHOOK_EVENTS,
+    }));
+    for (const target of this.targets) {
+      if (!target.secret) {
+        throw new Error(`Webhook target ${target.url} needs a secret`);
+      }
+    }
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay =
+      options.retryDelay === undefined ? 500 : options.retryDelay;
+    this.timeout = options.timeout || 5000;
+    this.deadLetterFile = options.deadLetterFile || null;
+    this.delivered = 0; // events
+    this.deadLettered = 0; // events
+  }
+
+  // Queue the limiter's events that any target subscribes to
+  attach(limiter) {
+    const types = new Set(this.targets.flatMap((target) => target.events));
+    for (const type of types) {
+      limiter.on(type, (event) => this.write(event));
+    }
+    return this;
+  }
+
+  async writeBatch(events) {
+    await Promise.all(
+      this.targets.map((target) => {
+        const batch = events.filter((event) =>
+          target.events.includes(event.type)
+        );
+        return batch.length > 0 ? this.deliver(target, batch) : null;
+      })
+    );
+  }
+
+  async deliver(target, events) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({
+      id,
+      sentAt: new Date().toISOString(),
+      events,
+    });
+
+    let error;
+    let attempts = 0;
+    while (attempts < this.maxAttempts) {
+      if (attempts > 0) await sleep(this.retryDelay * 2 ** (attempts - 1));
+      attempts++;
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      try {
+        const response = await fetch(target.url, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            [TIMESTAMP_HEADER]: String(timestamp),
+            [SIGNATURE_HEADER]: signPayload(target.secret, timestamp, body),
+          },
+          body,
+          signal: AbortSignal.timeout(this.timeout),
+        });
+        await response.text(); // release the connection
+        if (response.ok) {
+          this.delivered += events.length;
+          return;
+        }
+        error = `HTTP ${response.status}`;
+        if (!isRetryable(response.status)) break;
+      } catch (requestError) {
+        error = requestError.message;
+      }
+    }
+
+    await this.deadLetter({ url: target.url, id, error, attempts, events });
+  }
+
+  async deadLetter(record) {
+    this.deadLettered += record.events.length;
+    const line = `${JSON.stringify({
+      failedAt: new Date().toISOString(),
+      ...record,
+    })}\n`;
+
+    if (!this.deadLetterFile) {
+      console.error(`Webhook delivery to ${record.url} failed:`, record.error);
+      return;
+    }
+    try {
+      await fs.promises.mkdir(path.dirname(this.deadLetterFile), {
+        recursive: true,
+      });
+      await fs.promises.appendFile(this.deadLetterFile, line);
+    } catch (error) {
+      console.error('Webhook dead-letter write error:', error);
+    }
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  signPayload,
+  verifySignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+};
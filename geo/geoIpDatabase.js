@@ -0,0 +1,104 @@
+const fs = require('fs');
+const net = require('net');
+const { normalizeIp, expandIPv6 } = require('../identity/clientIp');
+
+// Country code used when an address is not in the database
+const UNKNOWN_COUNTRY = 'ZZ';
+
+const ipv4ToNumber = (ip) =>
+  ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+const ipv6ToBigInt = (ip) =>
+  expandIPv6(ip).reduce(
+    (value, group) => (value << 16n) + BigInt(parseInt(group, 16)),
+    0n
+  );
+
+// Parse "start_ip,end_ip,country_code" lines into per-family sorted ranges
+const parseCsv = (contents) => {
+  const ranges = { ipv4: [], ipv6: [] };
+
+  contents.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const [startValue, endValue, countryValue] = trimmed
+      .split(',')
+      .map((field) => field.trim().replace(/^"|"$/g, ''));
+    const start = normalizeIp(startValue);
+    const end = normalizeIp(endValue);
+    const country = (countryValue || '').toUpperCase();
+
+    if (!start || !end || net.isIP(start) !== net.isIP(end) || !country) {
+      throw new Error(`Invalid GeoIP range on line ${index + 1}: ${line}`);
+    }
+
+    const family = net.isIPv6(start) ? 'ipv6' : 'ipv4';
+    const toValue = family === 'ipv6' ? ipv6ToBigInt : ipv4ToNumber;
+    const range = { start: toValue(start), end: toValue(end), country };
+    if (range.start > range.end) {
+      throw new Error(`Invalid GeoIP range on line ${index + 1}: ${line}`);
+    }
+    ranges[family].push(range);
+  });
+
+  for (const family of Object.keys(ranges)) {
+    ranges[family].sort((a, b) => (a.start < b.start ? -1 : 1));
+  }
+  return ranges;
+};
+
+// Last range starting at or before value, if value falls inside it
+const search = (ranges, value) => {
+  let low = 0;
+  let high = ranges.length - 1;
+  let match = null;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (ranges[mid].start <= value) {
+      match = ranges[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return match && value <= match.end ? match.country : null;
+};
+
+/**
+ * GeoIP: Offline IP-to-country lookup
+ * Loads a CSV of "start_ip,end_ip,country_code" ranges (IPv4 and IPv6) at
+ * startup and answers lookups with a binary search over the sorted ranges,
+ * so no request waits on I/O. reload() swaps in a new file atomically; a
+ * file that fails to parse leaves the current ranges in place
+ */
+class GeoIpDatabase {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.ranges = { ipv4: [], ipv6: [] };
+    this.reload();
+  }
+
+  reload() {
+    this.ranges = parseCsv(fs.readFileSync(this.filePath, 'utf8'));
+    this.loadedAt = new Date().toISOString();
+  }
+
+  get size() {
+    return this.ranges.ipv4.length + this.ranges.ipv6.length;
+  }
+
+  // Country code for an IP address, or null if unknown
+  lookup(ip) {
+    const address = normalizeIp(ip);
+    if (!address) return null;
+
+    return net.isIPv6(address)
+      ? search(this.ranges.ipv6, ipv6ToBigInt(address))
+      : search(this.ranges.ipv4, ipv4ToNumber(address));
+  }
+}
+
+module.exports = { GeoIpDatabase, UNKNOWN_COUNTRY };
@@ -0,0 +1,71 @@
+/**
+ * Geographic policy resolution
+ * Multipliers are looked up country first, then the country's region, then
+ * DEFAULT, so a country entry anywhere beats any region entry. At each of
+ * these levels endpoint overrides (the endpoint config's `geo`) are
+ * consulted before tier overrides (TIER_GEO_LIMITS), which come before
+ * GEO_LIMITS; overrides only match a country or region, DEFAULT always
+ * comes from GEO_LIMITS.
+ *
+ * An entry is either { multiplier } for both values, or separate
+ * { max, burst } multipliers. max and burst are resolved independently, so
+ * an override setting only max keeps the burst multiplier of the next
+ * matching level
+ */
+
+// Invert { region: [countries] } into { country: region }
+const buildCountryRegions = (regions = {}) => {
+  const countryRegions = {};
+  for (const [region, countries] of Object.entries(regions)) {
+    for (const country of countries) {
+      countryRegions[country] = region;
+    }
+  }
+  return countryRegions;
+};
+
+// Multiplier an entry sets for a field ('max' or 'burst'), if any
+const entryMultiplier = (entry, field) => {
+  if (entry[field] !== undefined) return entry[field];
+  return entry.multiplier;
+};
+
+const resolveGeoMultipliers = ({
+  countryCode,
+  region,
+  geoLimits,
+  tierGeoLimits,
+  endpointGeoLimits,
+}) => {
+  // Most specific place first, then most specific scope; DEFAULT only from
+  // GEO_LIMITS
+  const chain = [];
+  for (const code of [countryCode, region]) {
+    if (!code) continue;
+    for (const [scope, limits] of [
+      ['endpoint', endpointGeoLimits],
+      ['tier', tierGeoLimits],
+      ['global', geoLimits],
+    ]) {
+      if (limits && limits[code])
+        chain.push([`${scope}:${code}`, limits[code]]);
+    }
+  }
+  if (geoLimits.DEFAULT) chain.push(['global:DEFAULT', geoLimits.DEFAULT]);
+
+  // max and burst resolve independently, so an override may set just one
+  const resolved = { max: 1.0, burst: 1.0, source: {} };
+  for (const field of ['max', 'burst']) {
+    for (const [source, entry] of chain) {
+      const multiplier = entryMultiplier(entry, field);
+      if (multiplier !== undefined) {
+        resolved[field] = multiplier;
+        resolved.source[field] = source;
+        break;
+      }
+    }
+  }
+  return resolved;
+};
+
+module.exports = { buildCountryRegions, resolveGeoMultipliers };
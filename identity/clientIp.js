@@ -0,0 +1,94 @@
+const net = require('net');
+
+/**
+ * Client IP resolution for anonymous traffic
+ * X-Forwarded-For is only read when the socket peer is a trusted proxy, and
+ * then walked right to left past every trusted hop, so clients cannot pick
+ * their own address. IPv6 clients are keyed by their /64 prefix, since a
+ * single host usually controls a whole /64
+ */
+
+// Strip zone ids and unwrap IPv4-mapped IPv6 (::ffff:1.2.3.4)
+const normalizeIp = (value) => {
+  if (typeof value !== 'string') return null;
+  let ip = value.trim().split('%')[0];
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(ip)) {
+    ip = ip.slice(7);
+  }
+  return net.isIP(ip) ? ip : null;
+};
+
+// BlockList of trusted proxy CIDRs such as '10.0.0.0/8' or '::1/128'
+const createTrustedProxyList = (cidrs = []) => {
+  const list = new net.BlockList();
+  for (const cidr of cidrs) {
+    const [address, prefix] = cidr.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    const bits = prefix === undefined ? (type === 'ipv6' ? 128 : 32) : +prefix;
+    list.addSubnet(address, bits, type);
+  }
+  return list;
+};
+
+const isTrustedProxy = (ip, trustedProxies) =>
+  trustedProxies.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+
+const getClientIp = (req, trustedProxies) => {
+  const peer = normalizeIp(req.socket && req.socket.remoteAddress);
+  if (!peer) return null;
+  if (!isTrustedProxy(peer, trustedProxies)) return peer;
+
+  const forwarded = req.headers['x-forwarded-for'];
+  if (typeof forwarded !== 'string') return peer;
+
+  // Closest hop last; the first untrusted address is the client
+  let client = peer;
+  const hops = forwarded.split(',');
+  for (let i = hops.length - 1; i >= 0; i--) {
+    const hop = normalizeIp(hops[i]);
+    if (!hop) break;
+    client = hop;
+    if (!isTrustedProxy(hop, trustedProxies)) break;
+  }
+  return client;
+};
+
+// Expand an IPv6 address into its eight 16-bit groups
+const expandIPv6 = (ip) => {
+  let groups = ip.split(':');
+  const tail = groups[groups.length - 1];
+  if (net.isIPv4(tail)) {
+    const [a, b, c, d] = tail.split('.').map(Number);
+    groups = [
+      ...groups.slice(0, -1),
+      ((a << 8) | b).toString(16),
+      ((c << 8) | d).toString(16),
+    ];
+  }
+
+  const gap = groups.indexOf('');
+  if (gap !== -1) {
+    const head = groups.slice(0, gap).filter(Boolean);
+    const rest = groups.slice(gap).filter(Boolean);
+    groups = [
+      ...head,
+      ...Array(8 - head.length - rest.length).fill('0'),
+      ...rest,
+    ];
+  }
+  return groups.map((group) => parseInt(group, 16).toString(16));
+};
+
+// Rate limit key for an anonymous client: the IPv4 address or IPv6 /64
+const anonymousClientKey = (ip) => {
+  if (!net.isIPv6(ip)) return ip;
+  return `${expandIPv6(ip).slice(0, 4).join(':')}::/64`;
+};
+
+module.exports = {
+  normalizeIp,
+  expandIPv6,
+  createTrustedProxyList,
+  getClientIp,
+  anonymousClientKey,
+};
@@ -0,0 +1,94 @@
+const { ANONYMOUS_TIER } = require('../configuration');
+const { signJwt, verifyJwt } = require('./jwt');
+const MemoryAccountStore = require('./memoryAccountStore');
+const JsonFileAccountStore = require('./jsonFileAccountStore');
+const { anonymousClientKey } = require('./clientIp');
+
+/**
+ * Identity resolution
+ * Resolves the caller from an API key (x-api-key) looked up in the account
+ * store, or from an HS256 JWT (Authorization: Bearer) signed with the local
+ * secret. Missing, unknown or invalid credentials resolve to the anonymous
+ * identity - never to a tier the client asked for - keyed by client IP
+ * (req.clientIp) so anonymous visitors do not share one bucket. Accounts
+ * (and tokens, as org/team claims) may name the user's organisation and
+ * team, whose shared limits apply on top of the user's own
+ */
+const anonymousIdentity = (clientIp, error = null) => ({
+  userId: clientIp ? `ip:${anonymousClientKey(clientIp)}` : 'anonymous',
+  tier: ANONYMOUS_TIER,
+  orgId: null,
+  teamId: null,
+  authenticated: false,
+  method: null,
+  internal: false,
+  error,
+});
+
+const accountIdentity = (account, method) => ({
+  userId: account.userId,
+  tier: account.tier || ANONYMOUS_TIER,
+  orgId: account.orgId || null,
+  teamId: account.teamId || null,
+  authenticated: true,
+  method,
+  internal: account.internal === true,
+  error: null,
+});
+
+const bearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (typeof header !== 'string') return null;
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+};
+
+const resolveIdentity = async (req, { accountStore, jwtSecret } = {}) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    if (typeof apiKey === 'string' && apiKey) {
+      const account = accountStore
+        ? await accountStore.findByApiKey(apiKey)
+        : null;
+      return account
+        ? accountIdentity(account, 'api_key')
+        : anonymousIdentity(req.clientIp, 'invalid_api_key');
+    }
+
+    const token = bearerToken(req);
+    if (token) {
+      const claims = verifyJwt(token, jwtSecret);
+      if (!claims || typeof claims.sub !== 'string') {
+        return anonymousIdentity(req.clientIp, 'invalid_token');
+      }
+
+      // The stored account wins over token claims (e.g. after a downgrade)
+      const account = accountStore
+        ? await accountStore.findByUserId(claims.sub)
+        : null;
+      return accountIdentity(
+        account || {
+          userId: claims.sub,
+          tier: claims.tier,
+          orgId: claims.org,
+          teamId: claims.team,
+        },
+        'jwt'
+      );
+    }
+
+    return anonymousIdentity(req.clientIp);
+  } catch (error) {
+    console.error('Identity resolution error:', error);
+    return anonymousIdentity(req.clientIp, 'identity_error');
+  }
+};
+
+module.exports = {
+  resolveIdentity,
+  anonymousIdentity,
+  signJwt,
+  verifyJwt,
+  MemoryAccountStore,
+  JsonFileAccountStore,
+};
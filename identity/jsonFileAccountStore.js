@@ -0,0 +1,27 @@
+const fs = require('fs');
+const MemoryAccountStore = require('./memoryAccountStore');
+
+/**
+ * Account store: JSON file
+ * Loads accounts from a file shaped like { "accounts": [...] } at startup;
+ * call reload() to pick up edits without restarting. A file that fails to
+ * parse leaves the previously loaded accounts in place
+ */
+class JsonFileAccountStore extends MemoryAccountStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.reload();
+  }
+
+  reload() {
+    const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const accounts = Array.isArray(contents) ? contents : contents.accounts;
+    if (!Array.isArray(accounts)) {
+      throw new Error(`No accounts array in ${this.filePath}`);
+    }
+    this.load(accounts);
+  }
+}
+
+module.exports = JsonFileAccountStore;
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+/**
+ * Minimal HS256 JSON Web Tokens signed with a local secret
+ * Only HS256 is accepted; "none" and every other algorithm are rejected
+ */
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data, secret) =>
+  crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Create a signed token (used by tests and dev tooling)
+const signJwt = (payload, secret) => {
+  const data = `${base64url(JSON.stringify(HEADER))}.${base64url(
+    JSON.stringify(payload)
+  )}`;
+  return `${data}.${sign(data, secret)}`;
+};
+
+// Verify a token and return its claims, or null if it is invalid or expired
+const verifyJwt = (token, secret, now = Math.floor(Date.now() / 1000)) => {
+  if (!secret || typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [headerSegment, payloadSegment, signature] = parts;
+  const header = decodeSegment(headerSegment);
+  if (!header || header.alg !== HEADER.alg) return null;
+
+  const expected = Buffer.from(
+    sign(`${headerSegment}.${payloadSegment}`, secret)
+  );
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  const claims = decodeSegment(payloadSegment);
+  if (!claims || typeof claims !== 'object') return null;
+  if (typeof claims.exp === 'number' && claims.exp <= now) return null;
+  if (typeof claims.nbf === 'number' && claims.nbf > now) return null;
+
+  return claims;
+};
+
+module.exports = { signJwt, verifyJwt };
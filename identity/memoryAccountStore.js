@@ -0,0 +1,46 @@
+const validateAccount = (account) => {
+  if (!account || !account.apiKey || !account.userId) {
+    throw new Error('Account requires apiKey and userId');
+  }
+};
+
+/**
+ * Account store: In-memory
+ * Maps API keys to accounts ({ apiKey, userId, tier, internal, orgId,
+ * teamId }) for dev and tests. Any store exposing the same async
+ * findByApiKey/findByUserId methods can be plugged into extractUserInfo
+ */
+class MemoryAccountStore {
+  constructor(accounts = []) {
+    this.load(accounts);
+  }
+
+  // Replace all accounts at once; invalid input leaves the current ones
+  load(accounts) {
+    const byApiKey = new Map();
+    const byUserId = new Map();
+    for (const account of accounts) {
+      validateAccount(account);
+      byApiKey.set(account.apiKey, account);
+      byUserId.set(account.userId, account);
+    }
+    this.byApiKey = byApiKey;
+    this.byUserId = byUserId;
+  }
+
+  add(account) {
+    validateAccount(account);
+    this.byApiKey.set(account.apiKey, account);
+    this.byUserId.set(account.userId, account);
+  }
+
+  async findByApiKey(apiKey) {
+    return this.byApiKey.get(apiKey) || null;
+  }
+
+  async findByUserId(userId) {
+    return this.byUserId.get(userId) || null;
+  }
+}
+
+module.exports = MemoryAccountStore;
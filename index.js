@@ -1,39 +1,158 @@
+const path = require('path');
 const express = require('express');
 const MockRedis = require('./redisMock');
 const RateLimiter = require('./rateLimiter');
 const extractUserInfo = require('./middleware/extractUserInfo');
+const { JsonFileAccountStore } = require('./identity');
+const { GeoIpDatabase } = require('./geo/geoIpDatabase');
+const { readConfigFile } = require('./policy/configFile');
 const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const createAdminRouter = require('./admin/adminRouter');
+const createSecurityLogRouter = require('./admin/securityLogRouter');
+const { CONTENT_TYPE } = require('./metrics/prometheus');
+const { FileSink, ConsoleSink, RedisStreamSink } = require('./logging');
+const { WebhookDispatcher } = require('./events');
+const { RESPONSE_REFUNDS } = require('./configuration');
 
 const app = express();
 const port = 3000;
 
 // Initialize Rate Limiter
 const redis = new MockRedis();
+
+// Persistent security log: SECURITY_LOG_FILE (rotating JSON Lines),
+// SECURITY_LOG_STDOUT=json|syslog, SECURITY_LOG_STREAM (Redis stream key)
+const securitySinks = [];
+if (process.env.SECURITY_LOG_FILE) {
+  securitySinks.push(new FileSink(process.env.SECURITY_LOG_FILE));
+}
+if (process.env.SECURITY_LOG_STDOUT) {
+  securitySinks.push(
+    new ConsoleSink({ format: process.env.SECURITY_LOG_STDOUT })
+  );
+}
+if (process.env.SECURITY_LOG_STREAM) {
+  securitySinks.push(
+    new RedisStreamSink(redis, { key: process.env.SECURITY_LOG_STREAM })
+  );
+}
+
 const limiter = new RateLimiter(redis, {
   loggingEnabled: true,
   slowStartEnabled: true,
   cacheEnabled: true,
   cacheTTL: 1000,
+  // Name in the cluster-wide analytics report (default host:pid:random)
+  instanceId: process.env.INSTANCE_ID,
+  securitySinks,
+});
+
+// Limiter events POSTed to WEBHOOK_URLS (comma-separated), signed with
+// WEBHOOK_SECRET; undeliverable batches go to WEBHOOK_DEAD_LETTER_FILE
+const webhooks = process.env.WEBHOOK_URLS
+  ? new WebhookDispatcher({
+      targets: process.env.WEBHOOK_URLS.split(',').map((url) => ({
+        url: url.trim(),
+      })),
+      secret: process.env.WEBHOOK_SECRET,
+      deadLetterFile: process.env.WEBHOOK_DEAD_LETTER_FILE,
+    }).attach(limiter)
+  : null;
+
+// Accounts for API key lookup (demo accounts unless ACCOUNTS_FILE is set)
+const accountStore = new JsonFileAccountStore(
+  process.env.ACCOUNTS_FILE || path.join(__dirname, 'accounts.example.json')
+);
+
+// Offline IP-to-country ranges (sample data unless GEOIP_FILE is set)
+const geoIp = new GeoIpDatabase(
+  process.env.GEOIP_FILE || path.join(__dirname, 'data', 'geoip.sample.csv')
+);
+
+// Rate limit config file (JSON or YAML), published as a new config version
+// when it differs from the current one. Without CONFIG_FILE, configuration.js
+// applies until a config is published through the admin API
+const configFile = process.env.CONFIG_FILE;
+const loadConfigFile = async () => {
+  if (!configFile) return;
+  try {
+    const entry = await limiter.updateConfig(
+      readConfigFile(configFile),
+      `file:${configFile}`
+    );
+    console.log(
+      entry
+        ? `Published config version ${entry.version} from ${configFile}`
+        : `Config in ${configFile} is unchanged`
+    );
+  } catch (error) {
+    console.error('Config rejected, keeping the current one:', error.message);
+  }
+};
+loadConfigFile();
+
+// Reload accounts, GeoIP ranges and the config file without restarting
+process.on('SIGHUP', () => {
+  try {
+    accountStore.reload();
+    geoIp.reload();
+    console.log(`Reloaded accounts and ${geoIp.size} GeoIP ranges`);
+  } catch (error) {
+    console.error('Reload failed, keeping previous data:', error);
+  }
+  loadConfigFile();
 });
 
 app.use(express.json());
-app.use(extractUserInfo);
+
+// Admin API - authenticated with ADMIN_API_KEY (x-admin-key)
+app.use('/admin', createAdminRouter(limiter));
+
+// Security log queries and exports for the fraud team - authenticated with
+// SECURITY_LOG_API_KEY (x-security-log-key)
+app.use('/security-log', createSecurityLogRouter(limiter));
+
+// Prometheus scrape endpoint - not rate limited
+app.get('/metrics', (req, res) => {
+  res.type(CONTENT_TYPE).send(limiter.metrics.registry.render());
+});
+
+app.use(
+  extractUserInfo({
+    accountStore,
+    jwtSecret: process.env.JWT_SECRET,
+    geoIp,
+  })
+);
 
 // Create rate limit middleware factory
-const rateLimitMiddleware = createRateLimitMiddleware(limiter);
+// IETF draft-7 RateLimit headers alongside the legacy X-RateLimit-* headers;
+// requests failing on our side get their tokens back
+const rateLimitMiddleware = createRateLimitMiddleware(limiter, {
+  standardHeaders: 'draft-7',
+  legacyHeaders: true,
+  refunds: RESPONSE_REFUNDS,
+});
+
+// Every route below is limited by the policy its method and path match in
+// RATE_LIMITS, or DEFAULT_POLICY when none does
+app.use(rateLimitMiddleware());
 
 // Search endpoint - High limits
-app.get('/api/search', rateLimitMiddleware('/api/search'), (req, res) => {
+app.get('/api/search', (req, res) => {
+  const results = ['item1', 'item2', 'item3'];
+  // Charged per page asked for up front; only pages returned count
+  req.setActualCost(Math.ceil(results.length / 20));
   res.json({
     endpoint: '/api/search',
     query: req.query.q || 'default',
-    results: ['item1', 'item2', 'item3'],
+    results,
     user: { id: req.userId, tier: req.userTier, region: req.region },
   });
 });
 
 // Checkout endpoint - Strict limits (fraud prevention)
-app.post('/api/checkout', rateLimitMiddleware('/api/checkout'), (req, res) => {
+app.post('/api/checkout', (req, res) => {
   res.json({
     endpoint: '/api/checkout',
     orderId: req.body.orderId || 'ORD-000',
@@ -44,7 +163,7 @@ app.post('/api/checkout', rateLimitMiddleware('/api/checkout'), (req, res) => {
 });
 
 // Profile endpoint - Medium limits
-app.get('/api/profile', rateLimitMiddleware('/api/profile'), (req, res) => {
+app.get('/api/profile', (req, res) => {
   res.json({
     endpoint: '/api/profile',
     userId: req.userId,
@@ -57,3 +176,13 @@ app.get('/api/profile', rateLimitMiddleware('/api/profile'), (req, res) => {
 app.listen(port, () => {
   console.log(`Server running on: ${port}`);
 });
+
+// Write out buffered security events, analytics and webhooks before
+// exiting
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    Promise.all([limiter.close(), webhooks && webhooks.close()]).finally(() =>
+      process.exit(0)
+    );
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * Buffered security log sink
+ * Base class for sinks: write() only queues the event, and batches are
+ * written in the background once `batchSize` events are queued or every
+ * `flushInterval` ms, so logging never blocks a rate limit check. Batches
+ * are written one at a time, in order. A failed batch is retried with the
+ * next flush; while a sink keeps failing, the oldest events beyond
+ * `maxBuffer` are dropped (counted in `dropped`).
+ *
+ * Subclasses set `name` and implement async writeBatch(entries), and may
+ * implement async query(filter) to serve readSecurityLog. A writeBatch
+ * that writes in parts sets `written` on the error it throws to the
+ * entries it wrote first, and only the rest are retried
+ *
+ * Options:
+ * - batchSize: events that trigger a flush (default 100)
+ * - flushInterval: ms between background flushes (default 1000)
+ * - maxBuffer: events kept while writes fail (default 10000)
+ */
+class BufferedSink {
+  constructor(options = {}) {
+    this.batchSize = options.batchSize || 100;
+    this.maxBuffer = options.maxBuffer || 10000;
+    this.buffer = [];
+    this.dropped = 0;
+    this.pending = Promise.resolve(); // last queued flush
+    this.queued = false;
+
+    this.timer = setInterval(() => this.flush(), options.flushInterval || 1000);
+    this.timer.unref();
+  }
+
+  write(entry) {
+    this.buffer.push(entry);
+    this.trim();
+    if (this.buffer.length >= this.batchSize) this.flush();
+  }
+
+  // Resolves once everything written so far has been handed to the sink
+  flush() {
+    if (this.queued) return this.pending;
+    this.queued = true;
+    this.pending = this.pending.then(() => {
+      this.queued = false;
+      return this.drain();
+    });
+    return this.pending;
+  }
+
+  async drain() {
+    if (this.buffer.length === 0) return;
+    const batch = this.buffer.splice(0);
+    try {
+      await this.writeBatch(batch);
+    } catch (error) {
+      console.error(`Security log sink (${this.name}) write error:`, error);
+      this.buffer.unshift(...batch.slice(error.written || 0));
+      this.trim();
+    }
+  }
+
+  trim() {
+    const excess = this.buffer.length - this.maxBuffer;
+    if (excess > 0) {
+      this.buffer.splice(0, excess);
+      this.dropped += excess;
+    }
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    await this.flush();
+  }
+}
+
+module.exports = { BufferedSink };
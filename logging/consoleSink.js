@@ -0,0 +1,68 @@
+const os = require('os');
+const { BufferedSink } = require('./bufferedSink');
+
+// Syslog severities (RFC 5424) by event type; anything else is notice
+const SEVERITY = { warning: 4, notice: 5, info: 6 };
+const EVENT_SEVERITY = {
+  rate_limit_exceeded: SEVERITY.warning,
+  new_user: SEVERITY.info,
+};
+const LOCAL0 = 16;
+
+/**
+ * Security log sink: stdout
+ * Writes each event as a JSON line (`format: 'json'`) or as an RFC 5424
+ * syslog line with the JSON as message (`format: 'syslog'`), for a log
+ * shipper or syslog daemon reading the process output
+ *
+ * Options (plus BufferedSink's):
+ * - format: 'json' (default) or 'syslog'
+ * - stream: writable to write to (default process.stdout)
+ * - facility: syslog facility number (default 16, local0)
+ * - appName: syslog APP-NAME (default rate-limiter)
+ */
+class ConsoleSink extends BufferedSink {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'console';
+    this.format = options.format || 'json';
+    this.stream = options.stream || process.stdout;
+    this.facility = options.facility === undefined ? LOCAL0 : options.facility;
+    this.appName = options.appName || 'rate-limiter';
+    this.hostname = os.hostname();
+
+    if (!['json', 'syslog'].includes(this.format)) {
+      throw new Error(`Unknown security log format: ${this.format}`);
+    }
+  }
+
+  formatEntry(entry) {
+    const json = JSON.stringify(entry);
+    if (this.format === 'json') return json;
+
+    const severity = EVENT_SEVERITY[entry.type] || SEVERITY.notice;
+    const priority = this.facility * 8 + severity;
+    // <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID SD MSG
+    return [
+      `<${priority}>1`,
+      entry.timestamp,
+      this.hostname,
+      this.appName,
+      process.pid,
+      entry.type || '-',
+      '-',
+      json,
+    ].join(' ');
+  }
+
+  writeBatch(entries) {
+    const text = entries
+      .map((entry) => `${this.formatEntry(entry)}\n`)
+      .join('');
+    return new Promise((resolve, reject) => {
+      this.stream.write(text, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+module.exports = { ConsoleSink };
@@ -0,0 +1,23 @@
+const { BufferedSink } = require('./bufferedSink');
+const { FileSink } = require('./fileSink');
+const { ConsoleSink } = require('./consoleSink');
+const { RedisStreamSink } = require('./redisStreamSink');
+const { createEventFilter } = require('./securityLogFilter');
+const {
+  sortEvents,
+  paginateEvents,
+  groupEvents,
+} = require('./securityLogQuery');
+const { EXPORT_FORMATS } = require('./securityLogExport');
+
+module.exports = {
+  BufferedSink,
+  FileSink,
+  ConsoleSink,
+  RedisStreamSink,
+  createEventFilter,
+  sortEvents,
+  paginateEvents,
+  groupEvents,
+  EXPORT_FORMATS,
+};
@@ -0,0 +1,44 @@
+const { BufferedSink } = require('./bufferedSink');
+
+/**
+ * Security log sink: Redis stream
+ * Appends each event to a stream (XADD) as a single `event` field holding
+ * the JSON, trimmed to about `maxLen` entries, so every instance's events
+ * land in one place for consumers such as the fraud team's tooling
+ *
+ * Options (plus BufferedSink's):
+ * - key: stream key (default rate:security-log)
+ * - maxLen: approximate entries kept (default 100000)
+ */
+class RedisStreamSink extends BufferedSink {
+  constructor(redis, options = {}) {
+    super(options);
+    this.name = 'redis';
+    this.redis = redis;
+    this.key = options.key || 'rate:security-log';
+    this.maxLen = options.maxLen || 100000;
+  }
+
+  // One at a time so the stream keeps the events' order. A failure reports
+  // the events already appended, which a retry must not append again
+  async writeBatch(entries) {
+    for (let i = 0; i < entries.length; i++) {
+      try {
+        await this.redis.xadd(
+          this.key,
+          'MAXLEN',
+          '~',
+          this.maxLen,
+          '*',
+          'event',
+          JSON.stringify(entries[i])
+        );
+      } catch (error) {
+        error.written = i;
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = { RedisStreamSink };
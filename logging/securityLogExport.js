@@ -0,0 +1,54 @@
+// Columns exports start with (when present); other fields follow in
+// first-seen order
+const LEADING_COLUMNS = [
+  'timestamp',
+  'type',
+  'userId',
+  'endpoint',
+  'tier',
+  'countryCode',
+];
+
+// RFC 4180 quoting; cells a spreadsheet would run as a formula get a
+// leading ' (user ids and paths can be attacker-chosen)
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of events (or groups) as CSV with a header line
+const toCsv = (events) => {
+  const columns = LEADING_COLUMNS.filter((column) =>
+    events.some((event) => column in event)
+  );
+  for (const event of events) {
+    for (const key of Object.keys(event)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+
+  const rows = [columns.join(',')];
+  for (const event of events) {
+    rows.push(columns.map((column) => csvCell(event[column])).join(','));
+  }
+  return `${rows.join('\r\n')}\r\n`;
+};
+
+const toNdjson = (events) =>
+  events.map((event) => `${JSON.stringify(event)}\n`).join('');
+
+// Export formats: format -> { contentType, extension, serialize }
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv', serialize: toCsv },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    extension: 'ndjson',
+    serialize: toNdjson,
+  },
+};
+
+module.exports = { EXPORT_FORMATS, toCsv, toNdjson };
@@ -0,0 +1,48 @@
+// Fields that can be filtered on, each by one value or several
+const FILTER_FIELDS = ['userId', 'type', 'endpoint', 'tier', 'countryCode'];
+
+// A query the caller got wrong (the admin API answers these with 400)
+const invalidQuery = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+};
+
+// 'a,b' or ['a', 'b'] -> ['a', 'b']; unset -> null
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const list = [].concat(value).flatMap((item) => String(item).split(','));
+  return list.map((item) => item.trim()).filter(Boolean);
+};
+
+const parseTime = (value, name) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw invalidQuery(`Invalid ${name}: ${value}`);
+  return time;
+};
+
+// Predicate for getSecurityLog filters: { userId, type, endpoint, tier,
+// countryCode } (each one value, a list or 'a,b'), startTime (inclusive)
+// and endTime (exclusive)
+const createEventFilter = (filter = {}) => {
+  const fields = FILTER_FIELDS.map((field) => [field, toList(filter[field])])
+    .filter(([, values]) => values)
+    .map(([field, values]) => [field, new Set(values)]);
+  const startTime = parseTime(filter.startTime, 'startTime');
+  const endTime = parseTime(filter.endTime, 'endTime');
+
+  return (event) => {
+    for (const [field, values] of fields) {
+      if (!values.has(event[field])) return false;
+    }
+    if (startTime !== null || endTime !== null) {
+      const time = new Date(event.timestamp).getTime();
+      if (startTime !== null && time < startTime) return false;
+      if (endTime !== null && time >= endTime) return false;
+    }
+    return true;
+  };
+};
+
+module.exports = { FILTER_FIELDS, createEventFilter, invalidQuery, toList };
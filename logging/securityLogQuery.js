@@ -0,0 +1,154 @@
+const { invalidQuery, toList } = require('./securityLogFilter');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Time buckets usable in groupBy
+const TIME_BUCKETS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Security log sorting, pagination and grouping
+ * Events are sorted by one field ('-field' for descending), ties broken by
+ * timestamp. Cursors are keyset based: they hold the last returned sort
+ * key and how many events sharing it were returned, so pages stay correct
+ * while old events are dropped from the buffer and new ones are appended
+ */
+
+// null/undefined last; numbers numerically, anything else as text
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const compareKeys = (a, b) =>
+  compareValues(a[0], b[0]) || compareValues(a[1], b[1]);
+
+// 'timestamp' / '-userId' -> { field, direction }
+const parseSort = (sort = 'timestamp') => {
+  if (typeof sort !== 'string' || !/^-?\w+$/.test(sort)) {
+    throw invalidQuery(`Invalid sort: ${sort}`);
+  }
+  return sort.startsWith('-')
+    ? { field: sort.slice(1), direction: -1 }
+    : { field: sort, direction: 1 };
+};
+
+const sortKey = (event, field) => {
+  const value = event[field];
+  return [value === undefined ? null : value, event.timestamp];
+};
+
+// Sorted copy of events (stable)
+const sortEvents = (events, sort) => {
+  const { field, direction } = parseSort(sort);
+  return [...events].sort(
+    (a, b) => direction * compareKeys(sortKey(a, field), sortKey(b, field))
+  );
+};
+
+const parseLimit = (value, fallback = DEFAULT_LIMIT) => {
+  if (value === undefined || value === '') return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) {
+    throw invalidQuery(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+  return limit;
+};
+
+const encodeCursor = (key, skip) =>
+  Buffer.from(JSON.stringify({ key, skip })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { key, skip } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString()
+    );
+    if (Array.isArray(key) && key.length === 2 && Number.isInteger(skip)) {
+      return { key, skip };
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw invalidQuery('Invalid cursor');
+};
+
+// One page of sorted events: { events, nextCursor } (nextCursor is null on
+// the last page)
+const paginateEvents = (sorted, { sort, limit, cursor } = {}) => {
+  const { field, direction } = parseSort(sort);
+  const pageSize = parseLimit(limit);
+  const compare = (event, key) =>
+    direction * compareKeys(sortKey(event, field), key);
+
+  let start = 0;
+  if (cursor) {
+    const { key, skip } = decodeCursor(cursor);
+    while (start < sorted.length && compare(sorted[start], key) < 0) start++;
+    for (let i = 0; i < skip; i++) {
+      if (start >= sorted.length || compare(sorted[start], key) !== 0) break;
+      start++;
+    }
+  }
+
+  const end = Math.min(start + pageSize, sorted.length);
+  const events = sorted.slice(start, end);
+  if (end >= sorted.length) return { events, nextCursor: null };
+
+  // Events sharing the last key, including those on earlier pages
+  const lastKey = sortKey(sorted[end - 1], field);
+  let skip = 0;
+  for (let i = end - 1; i >= 0 && compare(sorted[i], lastKey) === 0; i--) {
+    skip++;
+  }
+  return { events, nextCursor: encodeCursor(lastKey, skip) };
+};
+
+// Event counts per combination of fields and/or time buckets, e.g.
+// groupBy 'userId,hour' for denials per user per hour; largest first
+const groupEvents = (events, groupBy, limit) => {
+  const keys = toList(groupBy);
+  if (!keys || keys.some((key) => !/^\w+$/.test(key))) {
+    throw invalidQuery(`Invalid groupBy: ${groupBy}`);
+  }
+  const maxGroups = parseLimit(limit);
+
+  const groups = new Map();
+  for (const event of events) {
+    const group = {};
+    for (const key of keys) {
+      if (TIME_BUCKETS[key]) {
+        const time = new Date(event.timestamp).getTime();
+        const bucket = Math.floor(time / TIME_BUCKETS[key]) * TIME_BUCKETS[key];
+        group[key] = new Date(bucket).toISOString();
+      } else {
+        group[key] = event[key] === undefined ? null : event[key];
+      }
+    }
+    const id = JSON.stringify(keys.map((key) => group[key]));
+    if (!groups.has(id)) groups.set(id, { ...group, count: 0 });
+    groups.get(id).count++;
+  }
+
+  return {
+    groupBy: keys,
+    groups: [...groups.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, maxGroups),
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  TIME_BUCKETS,
+  sortEvents,
+  paginateEvents,
+  groupEvents,
+};
@@ -0,0 +1,53 @@
+const { Registry } = require('./prometheus');
+
+// checkLimit latency buckets in seconds (Redis round trips are ~1-5ms)
+const LATENCY_BUCKETS = [
+  0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1,
+];
+
+/**
+ * Limiter metrics
+ * One registry per RateLimiter; `region` is the geo region of the
+ * request's country (see getRegion), DEFAULT for countries in none
+ */
+const createLimiterMetrics = () => {
+  const registry = new Registry();
+
+  return {
+    registry,
+    decisions: registry.counter(
+      'rate_limit_decisions_total',
+      'Rate limit decisions by endpoint, tier, region and outcome',
+      ['endpoint', 'tier', 'region', 'decision']
+    ),
+    checkDuration: registry.histogram(
+      'rate_limit_check_duration_seconds',
+      'checkLimit latency in seconds',
+      LATENCY_BUCKETS
+    ),
+    cacheHits: registry.counter(
+      'rate_limit_cache_hits_total',
+      'Decisions served from the local cache without Redis'
+    ),
+    luaErrors: registry.counter(
+      'rate_limit_lua_errors_total',
+      'Lua script (EVAL) failures'
+    ),
+    fallbacks: registry.counter(
+      'rate_limit_fallback_total',
+      'Checks that ran on the non-atomic fallback path'
+    ),
+    failOpen: registry.counter(
+      'rate_limit_fail_open_total',
+      'Requests allowed without a limit because limiting failed',
+      ['reason']
+    ),
+    shadowDecisions: registry.counter(
+      'rate_limit_shadow_decisions_total',
+      'What candidate policies in shadow mode would have decided',
+      ['endpoint', 'tier', 'decision']
+    ),
+  };
+};
+
+module.exports = { createLimiterMetrics, LATENCY_BUCKETS };
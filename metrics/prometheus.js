@@ -0,0 +1,119 @@
+/**
+ * Prometheus metrics
+ * Minimal counters and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4), enough for the limiter's /metrics
+ */
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+// '{a="1",b="2"}' for label names and values ('' without labels)
+const formatLabels = (names, values) => {
+  if (names.length === 0) return '';
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  return `{${pairs.join(',')}}`;
+};
+
+const labelValues = (names, labels = {}) =>
+  names.map((name) => (labels[name] === undefined ? '' : labels[name]));
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    this.values = new Map(); // serialized labels -> { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const values = labelValues(this.labelNames, labels);
+    const key = JSON.stringify(values);
+    const series = this.values.get(key) || { values, value: 0 };
+    series.value += amount;
+    this.values.set(key, series);
+  }
+
+  get(labels = {}) {
+    const key = JSON.stringify(labelValues(this.labelNames, labels));
+    return this.values.has(key) ? this.values.get(key).value : 0;
+  }
+
+  render() {
+    const lines = [];
+    for (const { values, value } of this.values.values()) {
+      lines.push(
+        `${this.name}${formatLabels(this.labelNames, values)} ${value}`
+      );
+    }
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.counts = this.buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.sum += value;
+    this.count++;
+    const index = this.buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) this.counts[index]++;
+  }
+
+  render() {
+    const lines = [];
+    let cumulative = 0;
+    this.buckets.forEach((bound, i) => {
+      cumulative += this.counts[i];
+      lines.push(`${this.name}_bucket{le="${bound}"} ${cumulative}`);
+    });
+    lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+    lines.push(`${this.name}_sum ${this.sum}`);
+    lines.push(`${this.name}_count ${this.count}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // Text exposition format
+  render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { Counter, Histogram, Registry, CONTENT_TYPE };
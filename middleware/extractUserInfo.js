@@ -1,14 +1,81 @@
+const crypto = require('crypto');
+const { TRUSTED_PROXIES } = require('../configuration');
+const { resolveIdentity } = require('../identity');
+const { createTrustedProxyList, getClientIp } = require('../identity/clientIp');
+const { UNKNOWN_COUNTRY } = require('../geo/geoIpDatabase');
+
+// Internal services identify themselves with the shared x-internal-key secret
+const isTrustedCaller = (req, internalKey = process.env.INTERNAL_API_KEY) => {
+  const provided = req.headers['x-internal-key'];
+  if (!internalKey || typeof provided !== 'string') return false;
+
+  const expected = Buffer.from(internalKey);
+  const actual = Buffer.from(provided);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
 /**
  * Middleware: Extract user info from headers
- * Extracts x-user-id, x-user-tier, x-region, x-cost headers
- * and attaches them to req object for downstream middleware/routes
+ * Resolves the user, tier, organisation and team from an API key or signed
+ * JWT (see identity/) and whether the caller is a trusted internal service,
+ * and attaches them to req object for downstream middleware/routes, along
+ * with the API key the user called with (req.apiKey, for per-key limit
+ * overrides). The self-declared x-user-id, x-user-tier, x-org-id and
+ * x-team-id headers are only honoured for trusted callers (e.g. a gateway
+ * acting on behalf of a user). The region comes from a GeoIP lookup of the
+ * client IP; x-region is likewise a trusted-only override. Request cost is
+ * computed server-side by the rate limit middleware
+ *
+ * Options:
+ * - accountStore: store with async findByApiKey/findByUserId
+ * - jwtSecret: HMAC secret for bearer tokens (JWTs rejected if unset)
+ * - trustedProxies: CIDRs allowed to set X-Forwarded-For (TRUSTED_PROXIES)
+ * - geoIp: database with lookup(ip) -> country code (see geo/)
  */
-const extractUserInfo = (req, res, next) => {
-  req.userId = req.headers['x-user-id'] || 'anonymous';
-  req.userTier = req.headers['x-user-tier'] || 'free';
-  req.region = req.headers['x-region'] || 'US';
-  req.requestCost = parseInt(req.headers['x-cost'] || '1');
-  next();
+const extractUserInfo = (options = {}) => {
+  const trustedProxies = createTrustedProxyList(
+    options.trustedProxies || TRUSTED_PROXIES
+  );
+
+  return async (req, res, next) => {
+    req.clientIp = getClientIp(req, trustedProxies);
+
+    const identity = await resolveIdentity(req, options);
+
+    req.identity = identity;
+    req.trustedCaller = identity.internal || isTrustedCaller(req);
+
+    if (req.trustedCaller && req.headers['x-user-id']) {
+      req.userId = req.headers['x-user-id'];
+      req.userTier = req.headers['x-user-tier'] || identity.tier;
+      req.orgId = req.headers['x-org-id'] || null;
+      req.teamId = req.headers['x-team-id'] || null;
+      req.apiKey = null;
+    } else {
+      req.userId = identity.userId;
+      req.userTier = identity.tier;
+      req.orgId = identity.orgId;
+      req.teamId = identity.teamId;
+      // The key the user called with, for its limit overrides
+      req.apiKey =
+        identity.method === 'api_key' ? req.headers['x-api-key'] : null;
+    }
+
+    if (req.trustedCaller && req.headers['x-region']) {
+      req.region = req.headers['x-region'].toUpperCase();
+    } else {
+      const country =
+        options.geoIp && req.clientIp
+          ? options.geoIp.lookup(req.clientIp)
+          : null;
+      req.region = country || UNKNOWN_COUNTRY;
+    }
+
+    next();
+  };
 };
 
 module.exports = extractUserInfo;
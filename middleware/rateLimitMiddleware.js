@@ -1,30 +1,208 @@
+const {
+  clampCost,
+  resolveRequestCost,
+  refundShare,
+  validateRefunds,
+} = require('../costModel');
+const { DEFAULT_ENDPOINT } = require('../policy/routeMatcher');
+
 /**
  * Middleware: Rate limiting
  * Creates a middleware that enforces rate limits for a specific endpoint
  * Applies user tier, geographic, and request cost multipliers
+ * Request cost comes from the endpoint's cost function in REQUEST_COSTS
+ *
+ * Called without an endpoint it is a single app-level middleware that
+ * matches each request's method and path against the tier's route patterns
+ * (see policy/routeMatcher.js), with DEFAULT_POLICY for unmatched routes:
+ *
+ *   app.use(rateLimitMiddleware());                // every route
+ *   app.get('/x', rateLimitMiddleware('/x'), handler); // one endpoint
+ *
+ * Options:
+ * - standardHeaders: 'draft-7' (default), 'draft-8' or false for the IETF
+ *   RateLimit / RateLimit-Policy headers
+ * - legacyHeaders: true (default) for the X-RateLimit-* headers
+ * - refunds: share of its cost a request gets back by response status,
+ *   e.g. RESPONSE_REFUNDS ({ '5xx': 1 }); none by default
+ *
+ * Handlers that only know a request's cost once the work is done charge it
+ * with req.setActualCost(cost), e.g. by the number of search results; the
+ * difference to the estimate is given back or taken, and refunds apply to
+ * the actual cost
  */
-const rateLimitMiddleware = (limiter) => {
-  return (endpoint) => {
+const STANDARD_HEADER_DRAFTS = ['draft-7', 'draft-8'];
+
+// 429 messages by the result's reason (plain rate limiting has none)
+const DENIAL_ERRORS = {
+  rate_limited: 'Rate limit exceeded',
+  blocked: 'Temporarily blocked after repeated rate limit violations',
+  load_shed: 'Endpoint is at capacity, try again shortly',
+  concurrency_limited: 'Too many concurrent requests',
+  queue_full: 'Too many requests waiting, try again later',
+  cost_exceeds_limit: 'Request costs more than the limit allows at once',
+};
+
+// 429 for a denied request
+const sendDenial = (res, result) => {
+  const reason = result.reason || 'rate_limited';
+  res.set('Retry-After', result.retryAfter);
+  return res.status(429).json({
+    error: DENIAL_ERRORS[reason],
+    reason,
+    retryAfter: result.retryAfter,
+    remaining: result.remaining,
+    ...(result.limitHit && { limitHit: result.limitHit }),
+    ...(result.maxCost && { cost: result.cost, maxCost: result.maxCost }),
+  });
+};
+
+// Policy name for draft-8 headers, e.g. "free_api_search", "free_default"
+const policyName = (tier, endpoint) => {
+  const route = endpoint === DEFAULT_ENDPOINT ? 'default' : endpoint;
+  return `${tier}_${route}`.replace(/[^a-zA-Z0-9]+/g, '_');
+};
+
+const setStandardHeaders = (res, result, draft, tier, endpoint) => {
+  if (draft === 'draft-8') {
+    const name = policyName(tier, endpoint);
+    res.set(
+      'RateLimit-Policy',
+      `"${name}";q=${result.limit};w=${result.window}`
+    );
+    res.set('RateLimit', `"${name}";r=${result.remaining};t=${result.reset}`);
+    return;
+  }
+
+  res.set('RateLimit-Policy', `${result.limit};w=${result.window}`);
+  res.set(
+    'RateLimit',
+    `limit=${result.limit}, remaining=${result.remaining}, reset=${result.reset}`
+  );
+};
+
+const setLegacyHeaders = (res, result, limited) => {
+  res.set('X-RateLimit-Remaining', result.remaining);
+  res.set('X-RateLimit-Allowed', result.allowed);
+  res.set('X-RateLimit-RetryAfter', result.retryAfter);
+
+  if (limited) {
+    res.set('X-RateLimit-Limit', result.limit);
+    // Unix timestamp (seconds) at which the limit is fully available again
+    res.set('X-RateLimit-Reset', Math.ceil(Date.now() / 1000) + result.reset);
+  }
+};
+
+const rateLimitMiddleware = (limiter, options = {}) => {
+  const standardHeaders =
+    options.standardHeaders === undefined ? 'draft-7' : options.standardHeaders;
+  const legacyHeaders = options.legacyHeaders !== false;
+
+  if (standardHeaders && !STANDARD_HEADER_DRAFTS.includes(standardHeaders)) {
+    throw new Error(`Unknown standardHeaders draft: ${standardHeaders}`);
+  }
+  const { refunds } = options;
+  if (refunds) {
+    const errors = validateRefunds(refunds);
+    if (errors.length > 0) {
+      throw new Error(`Invalid refunds: ${errors.join('; ')}`);
+    }
+  }
+
+  // Adjust what an allowed request was charged, one change after another;
+  // actualCost maps the cost charged so far to the new one
+  const settler = (charge) => {
+    let settling = Promise.resolve(null);
+    return (actualCost) => {
+      settling = settling
+        .then(() => limiter.settleCharge(charge, actualCost(charge.cost)))
+        .catch((error) => {
+          console.error('Cost adjustment error:', error);
+          return null;
+        });
+      return settling;
+    };
+  };
+
+  return (fixedEndpoint) => {
     return async (req, res, next) => {
+      // Nothing to adjust unless the request is charged below
+      req.setActualCost = async () => null;
       try {
-        const result = await limiter.checkLimit(
+        const endpoint =
+          fixedEndpoint ||
+          limiter.resolveEndpoint(req.userTier, req.path, req.method);
+        if (!endpoint) return next(); // No policy applies
+
+        req.rateLimitEndpoint = endpoint;
+        req.requestCost = resolveRequestCost(req, endpoint);
+
+        // Policies in delay mode may hold the request until a token frees
+        // up; a client that disconnects meanwhile gets nothing
+        const disconnected = new AbortController();
+        res.once('close', () => disconnected.abort());
+        const result = await limiter.checkLimitOrWait(
           req.userId,
           endpoint,
           req.userTier,
           req.region,
-          req.requestCost
+          req.requestCost,
+          {
+            orgId: req.orgId,
+            teamId: req.teamId,
+            apiKey: req.apiKey,
+            signal: disconnected.signal,
+          }
         );
+        if (!result) return;
+
+        // In-flight slot (policies with concurrency limits), taken only once
+        // the penalty box and rate limit let the request in and held until
+        // the response is sent or the client goes away. A request refused
+        // a slot gets its tokens back
+        if (result.allowed) {
+          const slot = await limiter.acquireSlot(
+            req.userId,
+            endpoint,
+            req.userTier,
+            req.region
+          );
+          if (!slot.allowed) {
+            if (result.charge) await settler(result.charge)(() => 0);
+            return sendDenial(res, slot);
+          }
+          res.once('finish', slot.release);
+          res.once('close', slot.release);
+        }
+
+        // Unlimited tier and unconfigured endpoints have no limit to report
+        const limited = Number.isFinite(result.limit);
+
+        if (standardHeaders && limited) {
+          setStandardHeaders(
+            res,
+            result,
+            standardHeaders,
+            req.userTier,
+            endpoint
+          );
+        }
+        if (legacyHeaders) {
+          setLegacyHeaders(res, result, limited);
+        }
 
-        res.set('X-RateLimit-Remaining', result.remaining);
-        res.set('X-RateLimit-Allowed', result.allowed);
-        res.set('X-RateLimit-RetryAfter', result.retryAfter);
+        if (!result.allowed) return sendDenial(res, result);
 
-        if (!result.allowed) {
-          return res.status(429).json({
-            error: 'Rate limit exceeded',
-            retryAfter: result.retryAfter,
-            remaining: result.remaining,
-          });
+        // Cached and unlimited results were charged nothing to adjust
+        if (result.charge) {
+          const settle = settler(result.charge);
+          req.setActualCost = async (cost) => settle(() => clampCost(cost));
+          if (refunds) {
+            res.once('finish', () => {
+              const share = refundShare(res.statusCode, refunds);
+              if (share > 0) settle((cost) => cost - Math.floor(cost * share));
+            });
+          }
         }
         next();
       } catch (error) {
@@ -0,0 +1,16 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Read a config document from a .json, .yaml or .yml file. The result still
+// has to go through parseConfig (see configSchema.js)
+const readConfigFile = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === '.json') return JSON.parse(text);
+  if (extension === '.yaml' || extension === '.yml') return YAML.parse(text);
+  throw new Error(`Unsupported config file type: ${file}`);
+};
+
+module.exports = { readConfigFile };
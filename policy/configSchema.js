@@ -0,0 +1,354 @@
+const {
+  RATE_LIMITS,
+  DEFAULT_POLICY,
+  ENDPOINT_CAPACITY,
+  SHADOW_RATE_LIMITS,
+  ANONYMOUS_TIER,
+  GEO_LIMITS,
+  GEO_REGIONS,
+  TIER_GEO_LIMITS,
+} = require('../configuration');
+const { getAlgorithm } = require('../algorithms');
+const { isRouteKey } = require('./routeMatcher');
+const { SHARED_LEVELS, validateLimits } = require('./policyLimits');
+const { validateCapacity } = require('./endpointCapacity');
+const { validateConcurrency } = require('../concurrency/concurrencyLimiter');
+const { validateDelay } = require('../throttle/delayQueue');
+
+/**
+ * Configuration schema
+ * A config has up to seven sections named after their configuration.js
+ * counterparts: rateLimits, defaultPolicy, endpointCapacity,
+ * shadowRateLimits, geoLimits, geoRegions and tierGeoLimits. Sections left
+ * out keep the configuration.js values.
+ *
+ * Infinity is only valid for max/burst in the unlimited tier, which never
+ * reaches Redis. JSON has no Infinity, so it is written as the string
+ * "Infinity" there (YAML has .inf)
+ */
+const SECTIONS = [
+  'rateLimits',
+  'defaultPolicy',
+  'endpointCapacity',
+  'shadowRateLimits',
+  'geoLimits',
+  'geoRegions',
+  'tierGeoLimits',
+];
+const POLICY_FIELDS = [
+  'algorithm',
+  'window',
+  'max',
+  'burst',
+  'geo',
+  'limits',
+  'concurrency',
+  'mode',
+  'maxWait',
+  'maxQueue',
+  'shadow',
+  ...SHARED_LEVELS,
+];
+// A shadow candidate is only limits: how requests are admitted stays live
+const NOT_SHADOWED_FIELDS = [
+  'shadow',
+  'concurrency',
+  'mode',
+  'maxWait',
+  'maxQueue',
+];
+// A policy has these or a limits list (see policy/policyLimits.js)
+const SINGLE_LIMIT_FIELDS = ['window', 'max', 'burst'];
+const GEO_FIELDS = ['multiplier', 'max', 'burst'];
+const KNOWN_TIERS = Object.keys(RATE_LIMITS);
+// Tiers the limiter falls back to, so every config needs them
+const REQUIRED_TIERS = ['free', ANONYMOUS_TIER];
+const UNLIMITED_TIER = 'unlimited';
+
+// configuration.js as a config document
+const defaultConfig = () =>
+  structuredClone({
+    rateLimits: RATE_LIMITS,
+    defaultPolicy: DEFAULT_POLICY,
+    endpointCapacity: ENDPOINT_CAPACITY,
+    shadowRateLimits: SHADOW_RATE_LIMITS,
+    geoLimits: GEO_LIMITS,
+    geoRegions: GEO_REGIONS,
+    tierGeoLimits: TIER_GEO_LIMITS,
+  });
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isLimit = (value) =>
+  typeof value === 'number' && !Number.isNaN(value) && value >= 0;
+
+// "Infinity" strings (from JSON) to numbers
+const parseInfinity = (value) => (value === 'Infinity' ? Infinity : value);
+
+const validateGeoEntries = (entries, path, errors) => {
+  if (!isObject(entries)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  for (const [code, entry] of Object.entries(entries)) {
+    if (!isObject(entry)) {
+      errors.push(`${path}.${code} must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(entry)) {
+      if (!GEO_FIELDS.includes(field)) {
+        errors.push(`${path}.${code}: unknown field ${field}`);
+      } else if (!Number.isFinite(value) || value < 0) {
+        errors.push(`${path}.${code}.${field} must be a non-negative number`);
+      }
+    }
+  }
+};
+
+// allowInfinity: only the unlimited tier may have Infinity limits
+const validatePolicy = (path, policy, allowInfinity, errors) => {
+  if (!isObject(policy)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  for (const field of Object.keys(policy)) {
+    if (!POLICY_FIELDS.includes(field)) {
+      errors.push(`${path}: unknown field ${field}`);
+    }
+  }
+  if (policy.algorithm !== undefined && !getAlgorithm(policy.algorithm)) {
+    errors.push(`${path}: unknown algorithm ${policy.algorithm}`);
+  }
+  if (policy.geo !== undefined) {
+    validateGeoEntries(policy.geo, `${path}.geo`, errors);
+  }
+  if (policy.concurrency !== undefined) {
+    validateConcurrency(`${path}.concurrency`, policy.concurrency, errors);
+  }
+  validateDelay(path, policy, errors);
+  if (policy.shadow !== undefined) {
+    validateShadow(`${path}.shadow`, policy.shadow, errors);
+  }
+  for (const level of SHARED_LEVELS) {
+    if (policy[level] !== undefined) {
+      validateLimits(`${path}.${level}`, [].concat(policy[level]), errors);
+    }
+  }
+
+  if (policy.limits !== undefined) {
+    for (const field of SINGLE_LIMIT_FIELDS) {
+      if (policy[field] !== undefined) {
+        errors.push(`${path}: ${field} goes in limits when limits is set`);
+      }
+    }
+    validateLimits(`${path}.limits`, policy.limits, errors);
+    return;
+  }
+
+  if (!(Number.isInteger(policy.window) && policy.window > 0)) {
+    errors.push(`${path}.window must be a positive whole number of seconds`);
+  }
+  for (const field of ['max', 'burst']) {
+    if (!isLimit(policy[field])) {
+      errors.push(`${path}.${field} must be a non-negative number`);
+    } else if (policy[field] === Infinity && !allowInfinity) {
+      errors.push(
+        `${path}.${field} may only be Infinity in the unlimited tier`
+      );
+    }
+  }
+  if (
+    isLimit(policy.max) &&
+    isLimit(policy.burst) &&
+    policy.burst > policy.max
+  ) {
+    errors.push(`${path}.burst must not exceed max`);
+  }
+};
+
+// A candidate policy for shadow mode (see SHADOW_RATE_LIMITS)
+const validateShadow = (path, candidate, errors) => {
+  if (isObject(candidate)) {
+    for (const field of NOT_SHADOWED_FIELDS) {
+      if (candidate[field] !== undefined) {
+        errors.push(`${path}: ${field} cannot be shadowed`);
+      }
+    }
+  }
+  validatePolicy(path, candidate, false, errors);
+};
+
+// Fill in missing sections and turn "Infinity" strings into numbers
+const normalizeConfig = (raw) => {
+  if (!isObject(raw)) {
+    throw new Error('Invalid configuration: expected an object');
+  }
+  const config = { ...defaultConfig(), ...structuredClone(raw) };
+
+  if (isObject(config.rateLimits)) {
+    for (const endpoints of Object.values(config.rateLimits)) {
+      if (!isObject(endpoints)) continue;
+      for (const policy of Object.values(endpoints)) {
+        if (!isObject(policy)) continue;
+        policy.max = parseInfinity(policy.max);
+        policy.burst = parseInfinity(policy.burst);
+      }
+    }
+  }
+  return config;
+};
+
+const validateRateLimits = (rateLimits, errors) => {
+  if (!isObject(rateLimits)) {
+    errors.push('rateLimits must be an object');
+    return;
+  }
+  for (const tier of REQUIRED_TIERS) {
+    if (!rateLimits[tier]) errors.push(`rateLimits.${tier} is required`);
+  }
+  for (const [tier, endpoints] of Object.entries(rateLimits)) {
+    if (!KNOWN_TIERS.includes(tier)) {
+      errors.push(`rateLimits: unknown tier ${tier}`);
+      continue;
+    }
+    if (!isObject(endpoints)) {
+      errors.push(`rateLimits.${tier} must be an object`);
+      continue;
+    }
+    for (const [endpoint, policy] of Object.entries(endpoints)) {
+      if (!isRouteKey(endpoint)) {
+        errors.push(
+          `rateLimits.${tier}: endpoint ${endpoint} must be a path ` +
+            'starting with /, optionally after a method'
+        );
+      }
+      validatePolicy(
+        `rateLimits.${tier}.${endpoint}`,
+        policy,
+        tier === UNLIMITED_TIER,
+        errors
+      );
+    }
+  }
+};
+
+const validateShadowRateLimits = (shadowRateLimits, errors) => {
+  if (!isObject(shadowRateLimits)) {
+    errors.push('shadowRateLimits must be an object');
+    return;
+  }
+  for (const [tier, endpoints] of Object.entries(shadowRateLimits)) {
+    if (!KNOWN_TIERS.includes(tier)) {
+      errors.push(`shadowRateLimits: unknown tier ${tier}`);
+      continue;
+    }
+    if (tier === UNLIMITED_TIER) {
+      errors.push('shadowRateLimits: the unlimited tier is never limited');
+      continue;
+    }
+    if (!isObject(endpoints)) {
+      errors.push(`shadowRateLimits.${tier} must be an object`);
+      continue;
+    }
+    for (const [endpoint, candidate] of Object.entries(endpoints)) {
+      if (!isRouteKey(endpoint)) {
+        errors.push(
+          `shadowRateLimits.${tier}: endpoint ${endpoint} must be a path ` +
+            'starting with /, optionally after a method'
+        );
+      }
+      validateShadow(`shadowRateLimits.${tier}.${endpoint}`, candidate, errors);
+    }
+  }
+};
+
+// Check a normalized config, collecting every problem so one edit can fix
+// them all
+const validateConfig = (config) => {
+  const errors = [];
+
+  for (const section of Object.keys(config)) {
+    if (!SECTIONS.includes(section)) {
+      errors.push(`Unknown section: ${section}`);
+    }
+  }
+
+  const { rateLimits, geoLimits, geoRegions, tierGeoLimits } = config;
+
+  validateRateLimits(rateLimits, errors);
+
+  if (config.defaultPolicy !== null) {
+    validatePolicy('defaultPolicy', config.defaultPolicy, false, errors);
+  }
+
+  const { endpointCapacity } = config;
+  if (!isObject(endpointCapacity)) {
+    errors.push('endpointCapacity must be an object');
+  } else {
+    for (const [endpoint, capacity] of Object.entries(endpointCapacity)) {
+      if (!isRouteKey(endpoint)) {
+        errors.push(
+          `endpointCapacity: endpoint ${endpoint} must be a path ` +
+            'starting with /, optionally after a method'
+        );
+      }
+      validateCapacity(
+        `endpointCapacity.${endpoint}`,
+        capacity,
+        KNOWN_TIERS,
+        errors
+      );
+    }
+  }
+
+  validateShadowRateLimits(config.shadowRateLimits, errors);
+
+  validateGeoEntries(geoLimits, 'geoLimits', errors);
+  if (isObject(geoLimits) && !geoLimits.DEFAULT) {
+    errors.push('geoLimits.DEFAULT is required');
+  }
+
+  if (!isObject(geoRegions)) {
+    errors.push('geoRegions must be an object');
+  } else {
+    for (const [region, countries] of Object.entries(geoRegions)) {
+      if (
+        !Array.isArray(countries) ||
+        !countries.every((code) => /^[A-Z]{2}$/.test(code))
+      ) {
+        errors.push(`geoRegions.${region} must be a list of country codes`);
+      }
+    }
+  }
+
+  if (!isObject(tierGeoLimits)) {
+    errors.push('tierGeoLimits must be an object');
+  } else {
+    for (const [tier, entries] of Object.entries(tierGeoLimits)) {
+      if (!KNOWN_TIERS.includes(tier)) {
+        errors.push(`tierGeoLimits: unknown tier ${tier}`);
+      }
+      validateGeoEntries(entries, `tierGeoLimits.${tier}`, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return config;
+};
+
+// Normalize and validate a config from a file, Redis or the admin API
+const parseConfig = (raw) => validateConfig(normalizeConfig(raw));
+
+module.exports = {
+  SECTIONS,
+  KNOWN_TIERS,
+  defaultConfig,
+  normalizeConfig,
+  validateConfig,
+  parseConfig,
+};
@@ -0,0 +1,214 @@
+const { defaultConfig, parseConfig } = require('./configSchema');
+
+const CONFIG_PREFIX = 'rate:config';
+
+// JSON that keeps Infinity (as the string "Infinity")
+const serializeConfig = (value) =>
+  JSON.stringify(value, (key, v) => (v === Infinity ? 'Infinity' : v));
+
+const deserializeConfig = (text) =>
+  JSON.parse(text, (key, v) => (v === 'Infinity' ? Infinity : v));
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Changed leaves between two configs as [{ path, from, to }]; from/to are
+// undefined for added/removed entries
+const diffConfig = (before, after, path = []) => {
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap((key) =>
+      diffConfig(before[key], after[key], [...path, key])
+    );
+  }
+  if (serializeConfig(before) === serializeConfig(after)) return [];
+  return [{ path: path.join('.'), from: before, to: after }];
+};
+
+// Version entry without the (large) config itself
+const summarize = ({ config, ...entry }) => entry;
+
+// Times a change is made again on a newer version before giving up
+const MAX_PUBLISH_ATTEMPTS = 5;
+
+// Publishes a version only if the current version is still the one it was
+// made from (compare-and-set).
+// KEYS = current version, new version's entry
+// ARGV = expected current version, new version, entry JSON
+// Returns 1 when published, 0 when another version was published first
+const publishScript = `
+  -- config: publish
+  local current = tonumber(redis.call('GET', KEYS[1])) or 0
+  if current ~= tonumber(ARGV[1]) then
+    return 0
+  end
+  redis.call('SET', KEYS[2], ARGV[3])
+  redis.call('SET', KEYS[1], ARGV[2])
+  return 1
+`;
+
+// JS twin of publishScript over the raw key values, returning
+// { result, values } (values as in the algorithms' evaluate)
+const publishVersion = ([currentValue], { expected, version, entry }) => {
+  if ((parseInt(currentValue) || 0) !== expected) {
+    return { result: 0, values: [] };
+  }
+  return { result: 1, values: [String(version), entry] };
+};
+
+const isPublishScript = (script) => script.includes('-- config: publish');
+
+/**
+ * Config store: Versioned configuration shared through Redis
+ * Every accepted change is stored as a numbered version holding the full
+ * config and its diff against the version it replaced, and the current
+ * version number is published in the same Lua script, so readers never see
+ * half a change and two instances publishing at once cannot both win.
+ * Configs are validated before anything is written; an invalid one throws
+ * and the running config stays as it was. Rolling back publishes an older
+ * config as a new version, so history is never rewritten.
+ *
+ * Version 0 is configuration.js, in effect until something is published.
+ * Instances poll the current version at most once per refreshInterval (ms)
+ */
+class ConfigStore {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.prefix = options.prefix || CONFIG_PREFIX;
+    this.refreshInterval = options.refreshInterval || 1000;
+    this.version = 0;
+    this.config = defaultConfig();
+    this.source = 'configuration.js'; // who published the current version
+    this.checkedAt = 0;
+  }
+
+  snapshot() {
+    return { version: this.version, config: this.config, source: this.source };
+  }
+
+  async getVersion(version) {
+    if (version === 0) {
+      return {
+        version: 0,
+        source: 'configuration.js',
+        config: defaultConfig(),
+      };
+    }
+    const stored = await this.redis.get(`${this.prefix}:v:${version}`);
+    return stored ? deserializeConfig(stored) : null;
+  }
+
+  // Read the current version from Redis
+  async load() {
+    const current =
+      parseInt(await this.redis.get(`${this.prefix}:current`)) || 0;
+    if (current !== this.version) {
+      const entry = await this.getVersion(current);
+      if (entry) {
+        this.config = entry.config;
+        this.version = current;
+        this.source = entry.source;
+      }
+    }
+    this.checkedAt = Date.now();
+    return this.snapshot();
+  }
+
+  // Re-check when stale; a failed read keeps the current config
+  async refresh() {
+    if (Date.now() - this.checkedAt < this.refreshInterval) {
+      return this.snapshot();
+    }
+    try {
+      return await this.load();
+    } catch (error) {
+      console.error('Config refresh error:', error);
+      this.checkedAt = Date.now();
+      return this.snapshot();
+    }
+  }
+
+  // Validate and store a config as the next version. Returns the new
+  // version's summary, or null if nothing changed
+  async publish(raw, source = 'api') {
+    return this.update(() => raw, source);
+  }
+
+  // Store change(current config) as the next version, like publish. The
+  // version is only published if no other one was meanwhile; otherwise the
+  // change is made again on top of the newer version, so concurrent
+  // changes from several instances are never lost
+  async update(change, source = 'api') {
+    for (let attempt = 0; attempt < MAX_PUBLISH_ATTEMPTS; attempt++) {
+      const { version: previousVersion, config: previous } = await this.load();
+      const config = parseConfig(change(structuredClone(previous)));
+
+      const diff = diffConfig(previous, config);
+      if (diff.length === 0) return null;
+
+      const version = parseInt(await this.redis.incr(`${this.prefix}:seq`));
+      const entry = {
+        version,
+        previousVersion,
+        source,
+        createdAt: new Date().toISOString(),
+        diff,
+        config,
+      };
+      const published = await this.redis.eval(
+        publishScript,
+        2,
+        `${this.prefix}:current`,
+        `${this.prefix}:v:${version}`,
+        previousVersion,
+        version,
+        serializeConfig(entry)
+      );
+      if (Number(published) !== 1) continue;
+
+      this.config = config;
+      this.version = version;
+      this.source = source;
+      return summarize(entry);
+    }
+    throw new Error(
+      'Config is being changed concurrently, try again in a moment'
+    );
+  }
+
+  // Go back to an earlier version (by default the one the current version
+  // replaced)
+  async rollback(version) {
+    const { version: current } = await this.load();
+    let target = version;
+    if (target === undefined) {
+      const entry = await this.getVersion(current);
+      target = entry.previousVersion || 0;
+    }
+
+    const entry = await this.getVersion(target);
+    if (!entry) {
+      throw new Error(`Unknown config version: ${target}`);
+    }
+    return this.publish(entry.config, `rollback:${target}`);
+  }
+
+  // Newest versions first, without their configs
+  async history(limit = 20) {
+    const latest = parseInt(await this.redis.get(`${this.prefix}:seq`)) || 0;
+    const versions = [];
+    for (let v = latest; v > 0 && versions.length < limit; v--) {
+      const entry = await this.getVersion(v);
+      if (entry) versions.push(summarize(entry));
+    }
+    return versions;
+  }
+}
+
+module.exports = {
+  ConfigStore,
+  diffConfig,
+  serializeConfig,
+  publishVersion,
+  isPublishScript,
+};
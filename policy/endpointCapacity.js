@@ -0,0 +1,86 @@
+/**
+ * Endpoint capacity
+ * A limit per endpoint shared by every client, protecting the backend
+ * behind it (see ENDPOINT_CAPACITY in configuration.js). Each tier may only
+ * fill its share of the capacity, so as the endpoint nears its limit lower
+ * tiers are shed first and the rest is headroom for higher ones:
+ *
+ *   '/api/checkout': {
+ *     window: 60,
+ *     max: 3000,
+ *     tiers: { enterprise: 1.0, premium: 0.9, free: 0.7, anonymous: 0.5 },
+ *   }
+ *
+ * Every tier counts against the same counter and is checked against
+ * max * share, which is why capacity only uses algorithms that count
+ * requests. Tiers without a share may use all of it
+ */
+const CAPACITY_ALGORITHMS = [
+  'sliding_window_counter',
+  'sliding_window_log',
+  'fixed_window',
+];
+
+const CAPACITY_FIELDS = ['algorithm', 'window', 'max', 'tiers'];
+
+// Name capacity steps report, e.g. as limitHit
+const CAPACITY_LIMIT_NAME = 'capacity';
+
+// A tier's share of an endpoint's capacity as a limit
+const capacityLimit = (capacity, tier) => {
+  const share = capacity.tiers && capacity.tiers[tier];
+  const max = Math.floor(capacity.max * (share === undefined ? 1 : share));
+  return {
+    name: CAPACITY_LIMIT_NAME,
+    algorithm: capacity.algorithm || CAPACITY_ALGORITHMS[0],
+    window: capacity.window,
+    max,
+    burst: max,
+  };
+};
+
+// Problems with an endpoint's capacity entry (for configSchema)
+const validateCapacity = (path, capacity, knownTiers, errors) => {
+  if (capacity === null || typeof capacity !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  for (const field of Object.keys(capacity)) {
+    if (!CAPACITY_FIELDS.includes(field)) {
+      errors.push(`${path}: unknown field ${field}`);
+    }
+  }
+  if (
+    capacity.algorithm !== undefined &&
+    !CAPACITY_ALGORITHMS.includes(capacity.algorithm)
+  ) {
+    errors.push(
+      `${path}.algorithm must be one of ${CAPACITY_ALGORITHMS.join(', ')}`
+    );
+  }
+  if (!(Number.isInteger(capacity.window) && capacity.window > 0)) {
+    errors.push(`${path}.window must be a positive whole number of seconds`);
+  }
+  if (!Number.isFinite(capacity.max) || capacity.max <= 0) {
+    errors.push(`${path}.max must be a positive number`);
+  }
+  if (capacity.tiers === undefined) return;
+  if (capacity.tiers === null || typeof capacity.tiers !== 'object') {
+    errors.push(`${path}.tiers must be an object`);
+    return;
+  }
+  for (const [tier, share] of Object.entries(capacity.tiers)) {
+    if (!knownTiers.includes(tier)) {
+      errors.push(`${path}.tiers: unknown tier ${tier}`);
+    } else if (!Number.isFinite(share) || share <= 0 || share > 1) {
+      errors.push(`${path}.tiers.${tier} must be a share between 0 and 1`);
+    }
+  }
+};
+
+module.exports = {
+  CAPACITY_ALGORITHMS,
+  CAPACITY_LIMIT_NAME,
+  capacityLimit,
+  validateCapacity,
+};
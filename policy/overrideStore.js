@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const { policyLimits } = require('./policyLimits');
+const { isRouteKey, DEFAULT_ENDPOINT } = require('./routeMatcher');
+
+const OVERRIDE_PREFIX = 'rate:override';
+const OVERRIDE_FIELDS = ['window', 'max', 'burst', 'expiresAt', 'note'];
+const LIMIT_FIELDS = ['window', 'max', 'burst'];
+
+// Times a change is made again on newer overrides before giving up
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Id an API key's overrides are stored and addressed under, so the key
+// itself never ends up in Redis, URLs or logs
+const apiKeyId = (apiKey) =>
+  crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+
+const invalidOverride = (errors) => {
+  const error = new Error(`Invalid override: ${errors.join('; ')}`);
+  error.errors = errors;
+  return error;
+};
+
+// Subject an override belongs to, from { userId }, { apiKey } or
+// { apiKeyId }: 'user:<userId>' or 'apiKey:<apiKeyId>'
+const overrideSubject = ({ userId, apiKey, apiKeyId: keyId } = {}) => {
+  if (typeof userId === 'string' && userId) return `user:${userId}`;
+  if (typeof apiKey === 'string' && apiKey) return `apiKey:${apiKeyId(apiKey)}`;
+  if (typeof keyId === 'string' && /^[0-9a-f]{16}$/.test(keyId)) {
+    return `apiKey:${keyId}`;
+  }
+  throw invalidOverride([
+    'override needs a userId, apiKey or apiKeyId (16 hex digits)',
+  ]);
+};
+
+// 'user:<userId>' -> { userId }, 'apiKey:<id>' -> { apiKeyId }
+const describeSubject = (subject) => {
+  const [type, ...rest] = subject.split(':');
+  const id = rest.join(':');
+  return type === 'user' ? { userId: id } : { apiKeyId: id };
+};
+
+// Parse stored overrides ({ endpoint: override }), treating missing or
+// corrupt state as none
+const parseOverrides = (value) => {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      ? parsed
+      : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const isExpired = (override, now) =>
+  Boolean(override.expiresAt) && Date.parse(override.expiresAt) <= now;
+
+// Overrides that have not expired
+const activeOverrides = (overrides, now) =>
+  Object.fromEntries(
+    Object.entries(overrides).filter(
+      ([, override]) => !isExpired(override, now)
+    )
+  );
+
+// Problems with an override for an endpoint (policy key)
+const validateOverride = (endpoint, override) => {
+  const errors = [];
+  if (endpoint !== DEFAULT_ENDPOINT && !isRouteKey(endpoint)) {
+    errors.push(
+      `endpoint ${endpoint} must be a path starting with /, optionally ` +
+        'after a method'
+    );
+  }
+  if (override === null || typeof override !== 'object') {
+    errors.push('override must be an object');
+    return errors;
+  }
+  for (const field of Object.keys(override)) {
+    if (!OVERRIDE_FIELDS.includes(field)) {
+      errors.push(`unknown field ${field}`);
+    }
+  }
+  if (LIMIT_FIELDS.every((field) => override[field] === undefined)) {
+    errors.push('override needs window, max and/or burst');
+  }
+
+  const { window, max, burst, expiresAt, note } = override;
+  if (window !== undefined && (!Number.isInteger(window) || window <= 0)) {
+    errors.push('window must be a positive whole number of seconds');
+  }
+  for (const [field, value] of [
+    ['max', max],
+    ['burst', burst],
+  ]) {
+    if (value !== undefined && (!Number.isFinite(value) || value < 0)) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  }
+  if (Number.isFinite(max) && Number.isFinite(burst) && burst > max) {
+    errors.push('burst must not exceed max');
+  }
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const time = new Date(expiresAt).getTime();
+    if (Number.isNaN(time)) {
+      errors.push(`invalid expiresAt: ${expiresAt}`);
+    } else if (time <= Date.now()) {
+      errors.push('expiresAt must be in the future');
+    }
+  }
+  if (note !== undefined && typeof note !== 'string') {
+    errors.push('note must be a string');
+  }
+  return errors;
+};
+
+// A policy with an override applied to its first limit (the only one of
+// single-limit policies) and to every other limit over the same window,
+// such as a burst limit next to an hourly one. Limits over other windows,
+// org/team limits and everything else about the policy stay; burst is
+// capped at max
+const applyOverride = (policy, override) => {
+  const fields = {};
+  for (const field of LIMIT_FIELDS) {
+    if (override[field] !== undefined) fields[field] = override[field];
+  }
+
+  if (!policy.limits) {
+    const limit = { ...policy, ...fields };
+    return { ...limit, burst: Math.min(limit.burst, limit.max) };
+  }
+  // Names are pinned, as unnamed limits are named after their window and
+  // the name is part of the bucket's key
+  const named = policyLimits(policy);
+  const window = named[0].window;
+  return {
+    ...policy,
+    limits: policy.limits.map((original, i) => {
+      if (named[i].window !== window) return original;
+      const limit = { ...original, ...fields, name: named[i].name };
+      const burst = limit.burst === undefined ? limit.max : limit.burst;
+      return { ...limit, burst: Math.min(burst, limit.max) };
+    }),
+  };
+};
+
+// Stores a subject's overrides only if they are still the ones the change
+// was made on (compare-and-set), and lists or unlists the subject and bumps
+// the version in the same call.
+// KEYS = subject's overrides, subjects set, version
+// ARGV = expected overrides JSON ('' for none), new overrides JSON ('' to
+//        delete), TTL in seconds (0: no expiry), subject
+// Returns 1 when written, 0 when the overrides were changed first
+const writeScript = `
+  -- override: write
+  local current = redis.call('GET', KEYS[1]) or ''
+  if current ~= ARGV[1] then
+    return 0
+  end
+  if ARGV[2] == '' then
+    redis.call('DEL', KEYS[1])
+    redis.call('SREM', KEYS[2], ARGV[4])
+  else
+    local ttl = tonumber(ARGV[3])
+    if ttl > 0 then
+      redis.call('SETEX', KEYS[1], ttl, ARGV[2])
+    else
+      redis.call('SET', KEYS[1], ARGV[2])
+    end
+    redis.call('SADD', KEYS[2], ARGV[4])
+  end
+  redis.call('INCR', KEYS[3])
+  return 1
+`;
+
+// JS twin of writeScript over the raw key values (the subjects set as a
+// Set), returning { result, values } (values as in the algorithms'
+// evaluate)
+const writeOverrides = (
+  [currentValue, subjectsValue, versionValue],
+  { expected, value, subject }
+) => {
+  if ((currentValue || '') !== expected) return { result: 0, values: [] };
+  const subjects = new Set(subjectsValue);
+  if (value) {
+    subjects.add(subject);
+  } else {
+    subjects.delete(subject);
+  }
+  return {
+    result: 1,
+    values: [
+      value || null,
+      subjects,
+      String((parseInt(versionValue) || 0) + 1),
+    ],
+  };
+};
+
+const isOverrideWriteScript = (script) => script.includes('-- override: write');
+
+/**
+ * Override store: Per-customer limits shared through Redis
+ * Overrides give one user, or one API key, their own window, max and/or
+ * burst on an endpoint in place of their tier's, optionally until an
+ * expiry date. An API key's override wins over its user's.
+ *
+ * Each subject's overrides are one Redis key ({ endpoint: override } JSON,
+ * expiring with its last override), listed in a set; a version counter is
+ * bumped on every change, in the same compare-and-set script. Instances keep every override in memory and
+ * reload them once they see a new version, polling at most once per
+ * refreshInterval (ms), so checks cost no extra Redis call. API keys are
+ * only stored as their apiKeyId
+ */
+class OverrideStore {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.prefix = options.prefix || OVERRIDE_PREFIX;
+    this.refreshInterval = options.refreshInterval || 1000;
+    this.version = 0;
+    this.overrides = new Map(); // subject -> { endpoint: override }
+    this.checkedAt = 0;
+  }
+
+  subjectKey(subject) {
+    return `${this.prefix}:${subject}`;
+  }
+
+  // Read every override from Redis if they changed since the last load
+  async load() {
+    const version =
+      parseInt(await this.redis.get(`${this.prefix}:version`)) || 0;
+    if (version !== this.version) {
+      const overrides = new Map();
+      for (const subject of await this.redis.smembers(
+        `${this.prefix}:subjects`
+      )) {
+        const stored = await this.redis.get(this.subjectKey(subject));
+        if (stored) overrides.set(subject, parseOverrides(stored));
+      }
+      this.overrides = overrides;
+      this.version = version;
+    }
+    this.checkedAt = Date.now();
+  }
+
+  // Re-check when stale; a failed read keeps the overrides already loaded
+  async refresh() {
+    if (Date.now() - this.checkedAt < this.refreshInterval) return;
+    try {
+      await this.load();
+    } catch (error) {
+      console.error('Override refresh error:', error);
+      this.checkedAt = Date.now();
+    }
+  }
+
+  // Active override for a subject on an endpoint (policy key), or null
+  get(subject, endpoint) {
+    const overrides = this.overrides.get(subject);
+    const override = overrides && overrides[endpoint];
+    if (!override || isExpired(override, Date.now())) return null;
+    return { subject, ...override };
+  }
+
+  // Override for a request: its API key's, else its user's (or null)
+  resolve(userId, endpoint, apiKey) {
+    if (this.overrides.size === 0) return null;
+    const keyOverride =
+      apiKey && this.get(`apiKey:${apiKeyId(apiKey)}`, endpoint);
+    return keyOverride || this.get(`user:${userId}`, endpoint);
+  }
+
+  // Change a subject's overrides with update(overrides); expired ones are
+  // dropped on the way. The result is only stored if nobody changed the
+  // subject's overrides meanwhile; otherwise the change is made again on
+  // the newer ones, so concurrent changes are never lost. An update that
+  // changes nothing is not written, and bumps no version
+  async write(subject, update) {
+    const key = this.subjectKey(subject);
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      const stored = await this.redis.get(key);
+      const now = Date.now();
+      const overrides = activeOverrides(parseOverrides(stored), now);
+      const before = JSON.stringify(overrides);
+      const result = update(overrides);
+      if (JSON.stringify(overrides) === before) return result;
+
+      const expiries = Object.values(overrides).map((override) =>
+        override.expiresAt ? Date.parse(override.expiresAt) : Infinity
+      );
+      const latest = Math.max(...expiries);
+      const written = await this.redis.eval(
+        writeScript,
+        3,
+        key,
+        `${this.prefix}:subjects`,
+        `${this.prefix}:version`,
+        stored || '',
+        expiries.length > 0 ? JSON.stringify(overrides) : '',
+        Number.isFinite(latest) ? Math.ceil((latest - now) / 1000) : 0,
+        subject
+      );
+      if (Number(written) !== 1) continue;
+
+      await this.load();
+      return result;
+    }
+    throw new Error(
+      'Overrides are being changed concurrently, try again in a moment'
+    );
+  }
+
+  // Set a subject's override for an endpoint; fields not given keep their
+  // current value and null removes one (e.g. expiresAt: null never
+  // expires). Invalid overrides throw with the list of problems
+  async set(subject, endpoint, changes) {
+    return this.write(subject, (overrides) => {
+      const override = { ...overrides[endpoint] };
+      delete override.updatedAt;
+      for (const [field, value] of Object.entries(changes || {})) {
+        if (value === null) {
+          delete override[field];
+        } else {
+          override[field] = value;
+        }
+      }
+
+      const errors = validateOverride(endpoint, override);
+      if (errors.length > 0) throw invalidOverride(errors);
+      if (override.expiresAt) {
+        override.expiresAt = new Date(override.expiresAt).toISOString();
+      }
+      overrides[endpoint] = {
+        ...override,
+        updatedAt: new Date().toISOString(),
+      };
+      return overrides[endpoint];
+    });
+  }
+
+  // Drop a subject's override for an endpoint (false if it had none)
+  async remove(subject, endpoint) {
+    return this.write(subject, (overrides) => {
+      const existed = endpoint in overrides;
+      delete overrides[endpoint];
+      return existed;
+    });
+  }
+
+  // Every active override, optionally of one subject:
+  // [{ userId or apiKeyId, endpoint, ...override }]
+  async list(subject) {
+    await this.load();
+    const now = Date.now();
+    const entries = [];
+    for (const [owner, overrides] of this.overrides) {
+      if (subject && owner !== subject) continue;
+      for (const [endpoint, override] of Object.entries(
+        activeOverrides(overrides, now)
+      )) {
+        entries.push({ ...describeSubject(owner), endpoint, ...override });
+      }
+    }
+    return entries;
+  }
+}
+
+module.exports = {
+  OverrideStore,
+  apiKeyId,
+  overrideSubject,
+  applyOverride,
+  validateOverride,
+  writeOverrides,
+  isOverrideWriteScript,
+};
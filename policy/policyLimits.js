@@ -0,0 +1,165 @@
+const { getAlgorithm, DEFAULT_ALGORITHM } = require('../algorithms');
+
+/**
+ * Policy limits
+ * A policy is either one limit (window, max, burst) or a list of limits
+ * that must all have room for a request, checked in one atomic script
+ * (see algorithms/composite.js):
+ *
+ *   limits: [
+ *     { window: 1, max: 10 },                // 10 per second
+ *     { window: 3600, max: 1000 },           // 1000 per hour
+ *     { window: 'month', max: 20000, name: 'monthly_quota' },
+ *   ]
+ *
+ * Numeric windows are seconds and use the limit's algorithm (default: the
+ * policy's), with burst defaulting to max. Calendar windows ('day',
+ * 'month') are plan quotas counted with fixed_window and reset at midnight
+ * UTC or on the 1st of the month (UTC). Names default to e.g. '10/second'
+ * or '20000/month' and are what denials report as the limit hit
+ *
+ * A policy's team and org fields add limits shared by everyone in the
+ * request's team or organisation, on top of each user's own: one limit or
+ * a list, in the same form as limits
+ *
+ *   org: { window: 3600, max: 50000 },
+ *   team: [{ window: 60, max: 500 }, { window: 'day', max: 20000 }],
+ */
+const CALENDAR_WINDOWS = ['day', 'month'];
+
+const LIMIT_FIELDS = ['name', 'algorithm', 'window', 'max', 'burst'];
+
+// Levels above the user, innermost first
+const SHARED_LEVELS = ['team', 'org'];
+
+const UNIT_NAMES = { 1: 'second', 60: 'minute', 3600: 'hour', 86400: 'day' };
+
+const isCalendarWindow = (window) => CALENDAR_WINDOWS.includes(window);
+
+// 'second', '300s', 'month'
+const windowLabel = (window) => {
+  if (isCalendarWindow(window)) return window;
+  return UNIT_NAMES[window] || `${window}s`;
+};
+
+// '10/second', '500/300s', '20000/month'
+const defaultLimitName = ({ max, window }) => `${max}/${windowLabel(window)}`;
+
+// The limits a policy enforces, with names, algorithms and bursts filled in
+const policyLimits = (policy) => {
+  if (!policy.limits) {
+    return [
+      {
+        name: defaultLimitName(policy),
+        algorithm: policy.algorithm || DEFAULT_ALGORITHM,
+        window: policy.window,
+        max: policy.max,
+        burst: policy.burst,
+      },
+    ];
+  }
+
+  return policy.limits.map((limit) => ({
+    name: limit.name || defaultLimitName(limit),
+    algorithm: isCalendarWindow(limit.window)
+      ? 'fixed_window'
+      : limit.algorithm || policy.algorithm || DEFAULT_ALGORITHM,
+    window: limit.window,
+    max: limit.max,
+    burst: limit.burst === undefined ? limit.max : limit.burst,
+  }));
+};
+
+// The limits shared at a level ('team' or 'org') of a policy, filled in
+// like a limits list (none if the policy has no limit at that level)
+const sharedLimits = (policy, level) => {
+  if (!policy[level]) return [];
+  return policyLimits({
+    algorithm: policy.algorithm,
+    limits: [].concat(policy[level]),
+  });
+};
+
+// Start and end (Unix seconds) of the calendar period containing now
+const calendarPeriod = (window, now) => {
+  if (window === 'day') {
+    const start = now - (now % 86400);
+    return { start, end: start + 86400 };
+  }
+  const date = new Date(now * 1000);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  return {
+    start: Date.UTC(year, month, 1) / 1000,
+    end: Date.UTC(year, month + 1, 1) / 1000,
+  };
+};
+
+// Where a limit's window stands at now: the clock and window length its
+// algorithm runs with, and a suffix that keeps periods apart. Calendar
+// periods run as one fixed window starting at the period's start
+const resolveWindow = (window, now) => {
+  if (!isCalendarWindow(window)) return { now, window, period: '' };
+  const { start, end } = calendarPeriod(window, now);
+  return { now: now - start, window: end - start, period: `:${start}` };
+};
+
+// Problems with a policy's limits list (for configSchema)
+const validateLimits = (path, limits, errors) => {
+  if (!Array.isArray(limits) || limits.length === 0) {
+    errors.push(`${path} must be a non-empty list`);
+    return;
+  }
+  const names = new Set();
+  limits.forEach((limit, i) => {
+    const at = `${path}[${i}]`;
+    if (limit === null || typeof limit !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    for (const field of Object.keys(limit)) {
+      if (!LIMIT_FIELDS.includes(field)) {
+        errors.push(`${at}: unknown field ${field}`);
+      }
+    }
+    const calendar = isCalendarWindow(limit.window);
+    if (!calendar && !(Number.isInteger(limit.window) && limit.window > 0)) {
+      errors.push(
+        `${at}.window must be a positive whole number of seconds or one of ` +
+          CALENDAR_WINDOWS.join(', ')
+      );
+    }
+    if (limit.algorithm !== undefined && !getAlgorithm(limit.algorithm)) {
+      errors.push(`${at}: unknown algorithm ${limit.algorithm}`);
+    } else if (
+      calendar &&
+      ![undefined, 'fixed_window'].includes(limit.algorithm)
+    ) {
+      errors.push(`${at}: calendar windows always use fixed_window`);
+    }
+    for (const field of ['max', 'burst']) {
+      if (
+        limit[field] !== undefined &&
+        (!Number.isFinite(limit[field]) || limit[field] < 0)
+      ) {
+        errors.push(`${at}.${field} must be a non-negative number`);
+      }
+    }
+    if (limit.max === undefined) errors.push(`${at}.max is required`);
+    if (limit.burst > limit.max) errors.push(`${at}.burst must not exceed max`);
+
+    const name = limit.name || defaultLimitName(limit);
+    if (names.has(name)) errors.push(`${at}: duplicate limit name ${name}`);
+    names.add(name);
+  });
+};
+
+module.exports = {
+  CALENDAR_WINDOWS,
+  SHARED_LEVELS,
+  policyLimits,
+  sharedLimits,
+  resolveWindow,
+  calendarPeriod,
+  validateLimits,
+};
@@ -0,0 +1,108 @@
+/**
+ * Route matching for policy keys
+ * A policy key in RATE_LIMITS is a path pattern, optionally prefixed with an
+ * HTTP method:
+ * - '/api/search'          exact path, any method
+ * - 'POST /api/checkout'   exact path, POST only
+ * - '/api/orders/:id'      :name matches one path segment
+ * - '/api/admin/*'         * matches one segment, or everything when last
+ *
+ * When several keys match, the most specific path wins (more literal
+ * segments, then fewer wildcards), and a method-specific key beats an
+ * any-method key for the same path. The matched key is the endpoint the
+ * request is limited and reported under, so /api/orders/1 and /api/orders/2
+ * share the '/api/orders/:id' bucket. Requests matching no key fall back to
+ * the default policy under DEFAULT_ENDPOINT
+ */
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Endpoint name for requests limited by the default policy
+const DEFAULT_ENDPOINT = '*';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 'GET /api/x' -> { method: 'GET', path: '/api/x' }; no method -> null
+const splitRouteKey = (key) => {
+  const match = /^([A-Z]+)\s+(\/.*)$/.exec(key);
+  if (match && METHODS.includes(match[1])) {
+    return { method: match[1], path: match[2] };
+  }
+  return { method: null, path: key };
+};
+
+// Whether a key is a method (optional) followed by a path starting with /
+const isRouteKey = (key) => {
+  if (typeof key !== 'string') return false;
+  return splitRouteKey(key).path.startsWith('/');
+};
+
+const compileRoute = (key) => {
+  const { method, path } = splitRouteKey(key);
+  const segments = path.split('/').slice(1);
+  let literals = 0;
+  let wildcards = 0;
+
+  const pattern = segments
+    .map((segment, i) => {
+      if (segment === '*') {
+        wildcards++;
+        return i === segments.length - 1 ? '(?:/.*)?' : '/[^/]+';
+      }
+      if (segment.startsWith(':')) {
+        wildcards++;
+        return '/[^/]+';
+      }
+      literals++;
+      return `/${escapeRegExp(segment)}`;
+    })
+    .join('');
+
+  return {
+    key,
+    method,
+    regex: new RegExp(`^${pattern}/?$`),
+    literals,
+    wildcards,
+  };
+};
+
+// Most specific first
+const compareRoutes = (a, b) =>
+  b.literals - a.literals ||
+  a.wildcards - b.wildcards ||
+  (b.method ? 1 : 0) - (a.method ? 1 : 0);
+
+// Compile every tier's keys: { tier: [route] }
+const compileRoutes = (rateLimits) => {
+  const routes = {};
+  for (const [tier, endpoints] of Object.entries(rateLimits)) {
+    routes[tier] = Object.keys(endpoints)
+      .filter(isRouteKey)
+      .map(compileRoute)
+      .sort(compareRoutes);
+  }
+  return routes;
+};
+
+// Key of the first (most specific) route matching a request, or null. A
+// null method only matches any-method keys
+const matchRoute = (routes, method, path) => {
+  const upperMethod = method ? method.toUpperCase() : null;
+  for (const route of routes || []) {
+    if (route.method && route.method !== upperMethod) {
+      // HEAD is served by GET routes
+      if (!(route.method === 'GET' && upperMethod === 'HEAD')) continue;
+    }
+    if (route.regex.test(path)) return route.key;
+  }
+  return null;
+};
+
+module.exports = {
+  METHODS,
+  DEFAULT_ENDPOINT,
+  splitRouteKey,
+  isRouteKey,
+  compileRoutes,
+  matchRoute,
+};
@@ -1,22 +1,264 @@
-const { RATE_LIMITS, GEO_LIMITS } = require('./configuration');
+const { EventEmitter } = require('events');
+const { getAlgorithm, DEFAULT_ALGORITHM } = require('./algorithms');
+const {
+  buildCountryRegions,
+  resolveGeoMultipliers,
+} = require('./geo/geoPolicy');
+const { ConfigStore } = require('./policy/configStore');
+const {
+  OverrideStore,
+  apiKeyId,
+  overrideSubject,
+  applyOverride,
+} = require('./policy/overrideStore');
+const { defaultConfig } = require('./policy/configSchema');
+const {
+  DEFAULT_ENDPOINT,
+  compileRoutes,
+  matchRoute,
+} = require('./policy/routeMatcher');
+const { createLimiterMetrics } = require('./metrics/limiterMetrics');
+const {
+  AnalyticsHistory,
+  OTHER_COUNTRY,
+} = require('./analytics/analyticsHistory');
+const { HyperLogLog } = require('./analytics/hyperLogLog');
+const { ClusterAnalytics } = require('./analytics/clusterAnalytics');
+const { ShadowAnalytics } = require('./analytics/shadowAnalytics');
+const { PenaltyBox } = require('./abuse/penaltyBox');
+const { ConcurrencyLimiter } = require('./concurrency/concurrencyLimiter');
+const { DelayQueue, delaySettings, sleep } = require('./throttle/delayQueue');
+const {
+  compositeScript,
+  compositeArgs,
+  evaluateComposite,
+} = require('./algorithms/composite');
+const {
+  SHARED_LEVELS,
+  policyLimits,
+  sharedLimits,
+  resolveWindow,
+} = require('./policy/policyLimits');
+const { capacityLimit } = require('./policy/endpointCapacity');
+const {
+  createEventFilter,
+  invalidQuery,
+} = require('./logging/securityLogFilter');
+const {
+  sortEvents,
+  paginateEvents,
+  groupEvents,
+} = require('./logging/securityLogQuery');
 
-class RateLimiter {
+// Keys of candidate policies in shadow mode start with this, so their
+// buckets never touch the live ones
+const SHADOW_PREFIX = 'shadow:';
+
+// Result for requests that are not rate limited (unlimited tier, no policy,
+// fail open)
+const unlimitedResult = () => ({
+  allowed: true,
+  remaining: Infinity,
+  retryAfter: 0,
+  limit: Infinity,
+  window: 0,
+  reset: 0,
+});
+
+// 429 for a client in the penalty box, until its block ends (reported
+// against the policy's first limit)
+const blockedResult = (block, step, cost) => ({
+  allowed: false,
+  reason: 'blocked',
+  remaining: 0,
+  retryAfter: block.retryAfter,
+  limit: step.params.max,
+  window: step.params.window,
+  reset: block.retryAfter,
+  cost,
+});
+
+// Slot for a request whose policy has no concurrency limits
+const noSlot = () => ({ allowed: true, release: async () => false });
+
+// 429 for a request over a concurrency limit; slots free up as requests
+// finish, so it is worth retrying right away
+const concurrencyLimitedResult = ({ limitHit, limit, inFlight }) => ({
+  allowed: false,
+  reason: 'concurrency_limited',
+  remaining: 0,
+  retryAfter: 1,
+  limit,
+  window: 0,
+  reset: 1,
+  limitHit,
+  inFlight,
+});
+
+// 429 for a request in delay mode whose user already has maxQueue
+// requests waiting
+const queueFullResult = (maxWait) => ({
+  allowed: false,
+  reason: 'queue_full',
+  remaining: 0,
+  retryAfter: Math.ceil(maxWait / 1000),
+  reset: Math.ceil(maxWait / 1000),
+});
+
+// 429 for a request costing more than its limits ever allow at once
+// (capacity, see algorithms/index.js): waiting would never let it through
+const costExceedsLimitResult = (step, cost, capacity) => ({
+  allowed: false,
+  reason: 'cost_exceeds_limit',
+  remaining: 0,
+  retryAfter: step.params.window,
+  limit: step.params.max,
+  window: step.params.window,
+  reset: step.params.window,
+  cost,
+  maxCost: capacity,
+});
+
+// Slow start scales a limit down, but never to nothing, so a new user can
+// always make a request
+const slowStartLimit = (value, multiplier) =>
+  Math.min(value, Math.max(1, Math.floor(value * multiplier)));
+
+// Which limit a check reports: the one with the least remaining, or for a
+// denial the denying one with the longest wait
+const tightestIndex = (results, allowed) => {
+  let tightest = -1;
+  results.forEach(([allowedFlag, remaining, retryAfter], i) => {
+    if (!allowed && allowedFlag !== 0) return;
+    if (tightest === -1) {
+      tightest = i;
+      return;
+    }
+    const [, bestRemaining, bestRetryAfter] = results[tightest];
+    if (allowed ? remaining < bestRemaining : retryAfter > bestRetryAfter) {
+      tightest = i;
+    }
+  });
+  return tightest;
+};
+
+// A check's result from its steps' [allowed, remaining, retryAfter, reset].
+// With several limits it reports the tightest one, plus every limit under
+// `limits` and, for a denial, the one that was hit as `limitHit`. Endpoint
+// capacity is not the client's own limit, so it is only reported when it
+// alone turned the request away, with reason 'load_shed'
+const buildResponse = (allSteps, allResults, cost) => {
+  const allowed = allResults.every(([allowedFlag]) => allowedFlag === 1);
+  const shed =
+    !allowed &&
+    allResults.every(
+      ([allowedFlag], i) => allowedFlag === 1 || allSteps[i].capacity
+    );
+  const shown = allSteps
+    .map((step, i) => i)
+    .filter((i) => shed || !allSteps[i].capacity);
+  const steps = shown.map((i) => allSteps[i]);
+  const results = shown.map((i) => allResults[i]);
+  const tightest = tightestIndex(results, allowed);
+
+  const [, remaining, retryAfter, reset] = results[tightest];
+  const { params } = steps[tightest];
+  const response = allowed
+    ? {
+        allowed: true,
+        remaining: remaining,
+        retryAfter: 0,
+        limit: params.max,
+        window: params.window,
+        reset,
+        cost,
+      }
+    : {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.max(retryAfter, 1),
+        limit: params.max,
+        window: params.window,
+        reset: Math.max(reset, retryAfter, 1),
+        cost,
+      };
+
+  if (shed) response.reason = 'load_shed';
+  if (steps.length > 1) {
+    response.limits = steps.map((step, i) => ({
+      name: step.name,
+      limit: step.params.max,
+      window: step.params.window,
+      remaining: results[i][1],
+      reset: results[i][3],
+    }));
+    if (!allowed) response.limitHit = steps[tightest].name;
+  }
+  return response;
+};
+
+// Emits 'denied', 'allowed', 'slow_start_initialized', 'fail_open',
+// 'config_changed' and 'client_blocked' (payloads in events/limiterEvents.js)
+class RateLimiter extends EventEmitter {
   constructor(redisClient, options = {}) {
+    super();
     this.redis = redisClient;
-    this.config = RATE_LIMITS;
-    this.geoMultipliers = GEO_LIMITS;
+
+    // Versioned config shared by every instance on this Redis; starts out
+    // as configuration.js (version 0)
+    this.configStore = new ConfigStore(redisClient, {
+      refreshInterval: options.configRefreshInterval,
+    });
+    this.applyConfig(this.configStore.snapshot());
+
+    // Per-customer limits in place of the tier's, shared the same way
+    this.overrides = new OverrideStore(redisClient, {
+      refreshInterval: options.configRefreshInterval,
+    });
 
     // Analytics & Monitoring
     this.analytics = {
       hits: new Map(), // Track rate limit hits per endpoint/tier/region
       slowStart: new Map(), // Track new user progression
+      users: new Map(), // Unique users per endpoint: endpoint -> HyperLogLog
+      maxSeries: options.analyticsMaxSeries || 1000,
+      // Per-minute rollups and top offenders (see analytics/)
+      history: new AnalyticsHistory({
+        retention: options.analyticsRetention,
+        maxSeries: options.analyticsMaxSeries,
+        offenderCapacity: options.analyticsOffenderCapacity,
+      }),
+      // What candidate policies in shadow mode would have denied
+      shadow: new ShadowAnalytics({
+        userCapacity: options.analyticsOffenderCapacity,
+      }),
     };
 
+    // Counters are flushed to Redis in batches for the cluster-wide report
+    this.clusterAnalytics = new ClusterAnalytics(redisClient, {
+      instanceId: options.instanceId,
+      ttl: options.analyticsInstanceTTL,
+    });
+    const flushInterval =
+      options.analyticsFlushInterval === undefined
+        ? 10000
+        : options.analyticsFlushInterval;
+    if (flushInterval > 0) {
+      this.analyticsFlushTimer = setInterval(
+        () => this.flushAnalytics(),
+        flushInterval
+      );
+      this.analyticsFlushTimer.unref();
+    }
+
     // Logging
     this.logging = {
       enabled: options.loggingEnabled || false,
       events: [], // Store security events
       maxEvents: options.maxLogEvents || 1000,
+      // Persistent sinks (see logging/), e.g. FileSink, ConsoleSink,
+      // RedisStreamSink; events are buffered and written in the background
+      sinks: options.securitySinks || [],
     };
 
     // Slow-start configuration
@@ -33,6 +275,21 @@ class RateLimiter {
 
     // Request cost tracking
     this.costEnabled = options.costEnabled !== false;
+
+    // Temporary blocks for clients that keep getting denied (ABUSE_RULES)
+    this.penaltyBox = new PenaltyBox(redisClient, {
+      rules: options.abuseRules,
+      offenseTTL: options.penaltyOffenseTTL,
+    });
+
+    // In-flight slots for policies with concurrency limits
+    this.concurrency = new ConcurrencyLimiter(redisClient);
+
+    // Requests of policies in delay mode waiting for a token
+    this.delayQueue = new DelayQueue();
+
+    // Prometheus counters and latency histogram (see metrics/)
+    this.metrics = createLimiterMetrics();
   }
 
   // Optimization: Local cache management
@@ -79,30 +336,113 @@ class RateLimiter {
     if (this.logging.events.length > this.logging.maxEvents) {
       this.logging.events.shift();
     }
+
+    for (const sink of this.logging.sinks) {
+      sink.write(logEntry);
+    }
+  }
+
+  // Emit a limiter event to subscribers (e.g. the webhook dispatcher); a
+  // throwing listener must not turn the decision into a fail-open
+  emitEvent(type, payload) {
+    if (this.listenerCount(type) === 0) return;
+    try {
+      this.emit(type, {
+        type,
+        timestamp: new Date().toISOString(),
+        ...payload,
+      });
+    } catch (error) {
+      console.error(`Limiter event listener error (${type}):`, error);
+    }
   }
 
-  // Track analytics hit
-  recordAnalyticsHit(userId, endpoint, tier, countryCode, allowed) {
-    const key = `${endpoint}:${tier}:${countryCode}`;
+  // 'allowed' or 'denied' for a check's result (denials other than plain
+  // rate limiting carry the result's reason)
+  emitDecision(context, result) {
+    this.emitEvent(result.allowed ? 'allowed' : 'denied', {
+      ...context,
+      ...(result.reason && { reason: result.reason }),
+      limit: result.limit,
+      remaining: result.remaining,
+      retryAfter: result.retryAfter,
+      cost: result.cost,
+    });
+  }
+
+  // Count and announce a request let through because limiting failed
+  recordFailOpen(reason, context, error) {
+    this.metrics.failOpen.inc({ reason });
+    this.emitEvent('fail_open', { ...context, reason, error: error.message });
+  }
+
+  // Region a country belongs to (null if it is not part of any region)
+  getRegion(countryCode) {
+    return this.countryRegions[countryCode] || null;
+  }
+
+  // Track analytics hit; shed requests (turned away by endpoint capacity)
+  // are counted apart from per-user denials
+  recordAnalyticsHit(
+    userId,
+    endpoint,
+    tier,
+    countryCode,
+    allowed,
+    shed = false
+  ) {
+    this.analytics.history.record({
+      userId,
+      endpoint,
+      tier,
+      countryCode,
+      allowed,
+      shed,
+    });
+
+    // Bounded like the history: countries beyond maxSeries fold into OTHER
+    let key = `${endpoint}:${tier}:${countryCode}`;
+    const { hits, maxSeries } = this.analytics;
+    if (!hits.has(key) && hits.size >= maxSeries) {
+      key = `${endpoint}:${tier}:${OTHER_COUNTRY}`;
+      countryCode = OTHER_COUNTRY;
+    }
 
     if (!this.analytics.hits.has(key)) {
       this.analytics.hits.set(key, {
         endpoint,
         tier,
         countryCode,
+        region: this.getRegion(countryCode),
         allowed: 0,
         denied: 0,
+        shed: 0,
         totalRequests: 0,
       });
     }
 
+    if (!this.analytics.users.has(endpoint)) {
+      this.analytics.users.set(endpoint, new HyperLogLog());
+    }
+    this.analytics.users.get(endpoint).add(userId);
+
     const stat = this.analytics.hits.get(key);
     stat.totalRequests++;
-    if (allowed) {
-      stat.allowed++;
-    } else {
-      stat.denied++;
+    let decision = 'allowed';
+    if (shed) {
+      decision = 'shed';
+    } else if (!allowed) {
+      decision = 'denied';
     }
+    stat[decision]++;
+
+    // Labelled by region, as the analytics report groups countries
+    this.metrics.decisions.inc({
+      endpoint,
+      tier,
+      region: stat.region || 'DEFAULT',
+      decision,
+    });
   }
 
   // Get slow-start multiplier for new users
@@ -128,35 +468,69 @@ class RateLimiter {
           endpoint,
           action: 'slow_start_initialized',
         });
+        this.emitEvent('slow_start_initialized', {
+          userId,
+          endpoint,
+          multiplier: this.slowStart.stages[0],
+          duration: this.slowStart.duration,
+        });
         return this.slowStart.stages[0]; // Start at first stage
       }
 
-      // Calculate user age
-      const now = Math.floor(Date.now() / 1000);
-      const userAge = now - parseInt(createdAt);
-      const stageDuration =
-        this.slowStart.duration / this.slowStart.stages.length;
-
-      // Determine which stage
-      let stage = 0;
-      for (let i = 0; i < this.slowStart.stages.length; i++) {
-        if (userAge >= stageDuration * (i + 1)) {
-          stage = i + 1;
-        } else {
-          break;
-        }
-      }
-
-      stage = Math.min(stage, this.slowStart.stages.length - 1);
-      return this.slowStart.stages[stage];
+      return this.slowStart.stages[this.getSlowStartStage(createdAt)];
     } catch (error) {
       console.error('Slow-start calculation error:', error);
       return 1.0; // Fail open
     }
   }
 
+  // Slow-start stage reached by a user first seen at createdAt
+  getSlowStartStage(createdAt) {
+    // Calculate user age
+    const now = Math.floor(Date.now() / 1000);
+    const userAge = now - parseInt(createdAt);
+    const stageDuration =
+      this.slowStart.duration / this.slowStart.stages.length;
+
+    // Determine which stage
+    let stage = 0;
+    for (let i = 0; i < this.slowStart.stages.length; i++) {
+      if (userAge >= stageDuration * (i + 1)) {
+        stage = i + 1;
+      } else {
+        break;
+      }
+    }
+
+    return Math.min(stage, this.slowStart.stages.length - 1);
+  }
+
+  // Slow-start progress without starting it (null if the user is not in it)
+  async getSlowStartState(userId, endpoint) {
+    if (!this.slowStart.enabled) return null;
+
+    const createdAt = await this.redis.get(`slowstart:${userId}:${endpoint}`);
+    if (!createdAt) return null;
+
+    const stage = this.getSlowStartStage(createdAt);
+    return {
+      startedAt: parseInt(createdAt),
+      stage,
+      stages: this.slowStart.stages.length,
+      multiplier: this.slowStart.stages[stage],
+    };
+  }
+
   // Get analytics report
   getAnalyticsReport() {
+    return this.buildAnalyticsReport(
+      this.analytics.hits.values(),
+      this.analytics.users
+    );
+  }
+
+  // Report over hit stats and unique-user sketches (endpoint -> HyperLogLog)
+  buildAnalyticsReport(stats, users) {
     const report = {
       timestamp: new Date().toISOString(),
       summary: {
@@ -164,12 +538,16 @@ class RateLimiter {
         totalRequests: 0,
         totalAllowed: 0,
         totalDenied: 0,
+        totalShed: 0,
         allowRate: 0,
       },
       endpoints: [],
+      regions: [], // Totals per region (countries outside a region: DEFAULT)
+      uniqueUsers: [], // Estimated distinct users per endpoint
     };
+    const regions = new Map();
 
-    for (const [key, stat] of this.analytics.hits.entries()) {
+    for (const stat of stats) {
       report.endpoints.push({
         ...stat,
         allowRate:
@@ -181,9 +559,35 @@ class RateLimiter {
       report.summary.totalRequests += stat.totalRequests;
       report.summary.totalAllowed += stat.allowed;
       report.summary.totalDenied += stat.denied;
+      report.summary.totalShed += stat.shed || 0;
+
+      const region = stat.region || 'DEFAULT';
+      if (!regions.has(region)) {
+        regions.set(region, {
+          region,
+          countries: [],
+          allowed: 0,
+          denied: 0,
+          shed: 0,
+          totalRequests: 0,
+        });
+      }
+      const regionStat = regions.get(region);
+      if (!regionStat.countries.includes(stat.countryCode)) {
+        regionStat.countries.push(stat.countryCode);
+      }
+      regionStat.allowed += stat.allowed;
+      regionStat.denied += stat.denied;
+      regionStat.shed += stat.shed || 0;
+      regionStat.totalRequests += stat.totalRequests;
     }
+    report.regions = [...regions.values()];
+    report.uniqueUsers = [...users].map(([endpoint, sketch]) => ({
+      endpoint,
+      estimate: sketch.count(),
+    }));
 
-    report.summary.totalEndpoints = this.analytics.hits.size;
+    report.summary.totalEndpoints = report.endpoints.length;
     report.summary.allowRate =
       report.summary.totalRequests > 0
         ? (
@@ -195,38 +599,716 @@ class RateLimiter {
     return report;
   }
 
-  // Get security log
+  // Write this instance's counters to Redis (also runs every
+  // analyticsFlushInterval ms)
+  async flushAnalytics() {
+    try {
+      await this.clusterAnalytics.flush(
+        this.analytics.hits.values(),
+        this.analytics.users
+      );
+      return true;
+    } catch (error) {
+      console.error('Analytics flush error:', error);
+      return false;
+    }
+  }
+
+  // getAnalyticsReport() merged across every instance sharing the Redis,
+  // as of their last flush (this instance is flushed first)
+  async getClusterAnalyticsReport() {
+    await this.flushAnalytics();
+    const { instances, hits, users } = await this.clusterAnalytics.collect();
+    return { ...this.buildAnalyticsReport(hits, users), instances };
+  }
+
+  // Stop the periodic flushes after writing out analytics and buffered
+  // security events
+  async close() {
+    clearInterval(this.analyticsFlushTimer);
+    await this.flushAnalytics();
+    await Promise.all(this.logging.sinks.map((sink) => sink.close()));
+  }
+
+  // Allowed/denied totals per interval over a time range:
+  // { startTime, endTime, interval, endpoint, tier, countryCode }
+  getAnalyticsHistory(query = {}) {
+    return this.analytics.history.query(query);
+  }
+
+  // Users (ip:… for anonymous clients) with the most denials per endpoint:
+  // { startTime, endTime, endpoint, limit }
+  getTopOffenders(query = {}) {
+    return this.analytics.history.topOffenders(query);
+  }
+
+  // Would-be denials of candidate policies in shadow mode per endpoint and
+  // tier, with the users they would have newly blocked: { endpoint, limit }
+  getShadowReport(query = {}) {
+    return this.analytics.shadow.report(query);
+  }
+
+  // Where readSecurityLog can read from: the in-memory buffer and every
+  // sink that supports queries (e.g. 'file')
+  getSecurityLogSources() {
+    const sinks = this.logging.sinks.filter((sink) => sink.query);
+    return ['memory', ...sinks.map((sink) => sink.name)];
+  }
+
+  // Get security log: recent events from the in-memory buffer. Filters:
+  // userId, type, endpoint, tier, countryCode (one value or several),
+  // startTime, endTime; sort by a field, '-field' for descending (default:
+  // timestamp). The sinks' full trail is read with readSecurityLog
   getSecurityLog(filter = {}) {
-    let logs = [...this.logging.events];
+    const events = this.logging.events.filter(createEventFilter(filter));
+    return filter.sort ? sortEvents(events, filter.sort) : events;
+  }
+
+  // getSecurityLog from any source: the in-memory buffer (default) or the
+  // full trail in a sink with { source: 'file' }
+  async readSecurityLog(filter = {}) {
+    const source = filter.source || 'memory';
+    if (source === 'memory') return this.getSecurityLog(filter);
+
+    const sink = this.logging.sinks.find(
+      (candidate) => candidate.name === source && candidate.query
+    );
+    if (!sink) {
+      throw invalidQuery(`Unknown security log source: ${source}`);
+    }
+    const events = await sink.query(filter);
+    return filter.sort ? sortEvents(events, filter.sort) : events;
+  }
+
+  // readSecurityLog one page at a time ({ limit, cursor } -> { events,
+  // nextCursor }), or counted per group ({ groupBy: 'userId,hour' } ->
+  // { groupBy, groups })
+  async querySecurityLog(query = {}) {
+    const events = await this.readSecurityLog(query);
+    if (query.groupBy) {
+      return groupEvents(events, query.groupBy, query.limit);
+    }
+    const sorted = query.sort ? events : sortEvents(events, 'timestamp');
+    return paginateEvents(sorted, query);
+  }
+
+  // Swap in a validated config in one step, so a check never mixes two
+  // versions
+  applyConfig({ version, config, source }) {
+    const previousVersion = this.configVersion;
+    this.config = config.rateLimits;
+    this.routes = compileRoutes(config.rateLimits);
+    this.defaultPolicy = config.defaultPolicy;
+    this.endpointCapacity = config.endpointCapacity;
+    this.shadowRateLimits = config.shadowRateLimits;
+    this.geoMultipliers = config.geoLimits;
+    this.tierGeoMultipliers = config.tierGeoLimits;
+    this.countryRegions = buildCountryRegions(config.geoRegions);
+    this.configVersion = version;
+
+    if (previousVersion !== undefined && previousVersion !== version) {
+      this.emitEvent('config_changed', { version, previousVersion, source });
+    }
+  }
+
+  // Pick up config versions published by any instance
+  async syncConfig() {
+    const snapshot = await this.configStore.refresh();
+    if (snapshot.version !== this.configVersion) {
+      this.applyConfig(snapshot);
+      this.localCache.clear();
+    }
+  }
+
+  // Publish a new config version (file, Redis or admin API) and apply it
+  // here right away; invalid configs throw without changing anything.
+  // Returns the version summary, or null if nothing changed
+  async updateConfig(config, source) {
+    const entry = await this.configStore.publish(config, source);
+    await this.syncConfig();
+    return entry;
+  }
+
+  // Publish change(current config) as a new version and apply it here.
+  // If another instance publishes first, the change is made again on top
+  // of its version, so neither is lost
+  async changeConfig(change, source) {
+    const entry = await this.configStore.update(change, source);
+    await this.syncConfig();
+    return entry;
+  }
+
+  // Go back to an earlier config version (by default the previous one)
+  async rollbackConfig(version) {
+    const entry = await this.configStore.rollback(version);
+    await this.syncConfig();
+    return entry;
+  }
+
+  // Policy key a request path (or key) is limited under: the key itself,
+  // the most specific matching route, DEFAULT_ENDPOINT when only the default
+  // policy applies, or null when nothing does. Without a method only
+  // any-method routes match
+  resolveEndpoint(tier, endpoint, method = null) {
+    if (!this.config[tier]) tier = 'free';
+    const endpoints = this.config[tier];
+    if (!method && endpoints[endpoint]) return endpoint;
+
+    const key = matchRoute(this.routes[tier], method, endpoint);
+    if (key && endpoints[key]) return key;
+    return this.defaultPolicy ? DEFAULT_ENDPOINT : null;
+  }
+
+  // Policy key and policy a request path (or key) is limited under (both
+  // null when nothing applies)
+  resolvePolicy(tier, endpoint, method = null) {
+    const key = this.resolveEndpoint(tier, endpoint, method);
+    return { key, policy: key ? this.getEndpointPolicy(tier, key) : null };
+  }
+
+  getEndpointPolicy(tier, endpoint) {
+    if (endpoint === DEFAULT_ENDPOINT) return this.defaultPolicy || null;
+    return (this.config[tier] && this.config[tier][endpoint]) || null;
+  }
+
+  // Candidate policy checked in shadow mode next to a live one: the
+  // policy's own shadow, else the tier's shadowRateLimits entry (null when
+  // there is neither)
+  getShadowPolicy(tier, endpoint, policy) {
+    if (policy.shadow) return policy.shadow;
+    const candidates = this.shadowRateLimits[tier];
+    return (candidates && candidates[endpoint]) || null;
+  }
+
+  // Current policies by tier and endpoint
+  async listPolicies() {
+    await this.syncConfig();
+    return this.config;
+  }
+
+  // Change a tier's policy for an endpoint as a new config version; fields
+  // not given keep their current value and fields set to null are removed
+  // (e.g. { shadow: null } to stop a shadow run)
+  async setPolicy(tier, endpoint, changes) {
+    await this.changeConfig((config) => {
+      const tierConfig = config.rateLimits[tier] || {};
+      // Switching between one limit and a limits list drops the other form
+      const policy = { ...tierConfig[endpoint] };
+      if (changes.limits) {
+        for (const field of ['window', 'max', 'burst']) delete policy[field];
+      } else if (['window', 'max', 'burst'].some((field) => field in changes)) {
+        delete policy.limits;
+      }
+      Object.assign(policy, changes);
+      for (const [field, value] of Object.entries(changes)) {
+        if (value === null) delete policy[field];
+      }
+      return {
+        ...config,
+        rateLimits: {
+          ...config.rateLimits,
+          [tier]: {
+            ...tierConfig,
+            [endpoint]: policy,
+          },
+        },
+      };
+    }, 'admin');
+    return this.getEndpointPolicy(tier, endpoint);
+  }
+
+  // Put an endpoint's policy back to its configuration.js value (false if
+  // it already is)
+  async resetPolicy(tier, endpoint) {
+    const entry = await this.changeConfig((config) => {
+      const tierConfig = { ...config.rateLimits[tier] };
+      const defaults = defaultConfig().rateLimits[tier] || {};
+      if (defaults[endpoint]) {
+        tierConfig[endpoint] = defaults[endpoint];
+      } else {
+        delete tierConfig[endpoint];
+      }
+      return {
+        ...config,
+        rateLimits: { ...config.rateLimits, [tier]: tierConfig },
+      };
+    }, 'admin');
+    return entry !== null;
+  }
+
+  // Active override for a user on a policy key, or for the API key they
+  // called with, which wins (null if neither has one)
+  async getOverride(userId, endpoint, apiKey) {
+    await this.overrides.refresh();
+    return this.overrides.resolve(userId, endpoint, apiKey);
+  }
+
+  // Overrides of every customer, or of one subject ({ userId }, { apiKey }
+  // or { apiKeyId })
+  async listOverrides(subject) {
+    return this.overrides.list(subject && overrideSubject(subject));
+  }
+
+  // Give a customer ({ userId }, { apiKey } or { apiKeyId }) their own
+  // window, max and/or burst on an endpoint (policy key), optionally until
+  // expiresAt; fields not given keep their value and null removes one.
+  // Invalid overrides throw with the list of problems
+  async setOverride(subject, endpoint, changes) {
+    const owner = overrideSubject(subject);
+    const override = await this.overrides.set(owner, endpoint, changes);
+    this.localCache.clear();
+    this.logSecurityEvent({
+      type: 'override_set',
+      subject: owner,
+      endpoint,
+      ...override,
+    });
+    return override;
+  }
+
+  // Put a customer back on their tier's limits for an endpoint (false if
+  // they had no override)
+  async removeOverride(subject, endpoint) {
+    const owner = overrideSubject(subject);
+    const removed = await this.overrides.remove(owner, endpoint);
+    if (removed) {
+      this.localCache.clear();
+      this.logSecurityEvent({
+        type: 'override_removed',
+        subject: owner,
+        endpoint,
+      });
+    }
+    return removed;
+  }
+
+  // Limiting algorithm for a policy (token bucket if unknown)
+  resolveAlgorithm(policy) {
+    const algorithm = getAlgorithm(policy.algorithm);
+    if (algorithm) return algorithm;
+
+    console.warn(
+      `Invalid algorithm: ${policy.algorithm}. Defaulting to ${DEFAULT_ALGORITHM}.`
+    );
+    return getAlgorithm(DEFAULT_ALGORITHM);
+  }
+
+  // Policy and Redis steps (one per limit) behind a user's bucket for an
+  // endpoint, at the tier policy's limits or the user's override
+  async getBucket(userId, endpoint, tier) {
+    await this.syncConfig();
+    const key = this.resolveEndpoint(tier, endpoint);
+    let policy = key && this.getEndpointPolicy(tier, key);
+    if (!policy) return null;
+
+    const override = await this.getOverride(userId, key);
+    if (override) policy = applyOverride(policy, override);
+
+    const now = Math.floor(Date.now() / 1000);
+    const steps = this.buildSteps(userId, key, policy, { now, cost: 0 });
+    return { endpoint: key, policy, override, steps };
+  }
+
+  // Live bucket state (null if the endpoint has no policy for the tier).
+  // Limits are the tier policy (or the user's override, also given as
+  // `override`), before geo and slow-start multipliers; policies with
+  // several limits report each under `limits`
+  async getBucketState(userId, endpoint, tier) {
+    const bucket = await this.getBucket(userId, endpoint, tier);
+    if (!bucket) return null;
+
+    const limits = policyLimits(bucket.policy);
+    const states = await Promise.all(
+      bucket.steps.map(async ({ name, algorithm, keys }, i) => {
+        const values = await Promise.all(keys.map((k) => this.redis.get(k)));
+        const { window, max, burst } = limits[i];
+        return {
+          name,
+          algorithm: algorithm.name,
+          limit: { window, max, burst },
+          state: algorithm.describe(values),
+        };
+      })
+    );
+
+    const slowStart = await this.getSlowStartState(userId, bucket.endpoint);
+    const base = {
+      userId,
+      endpoint: bucket.endpoint,
+      tier,
+      ...(bucket.override && { override: bucket.override }),
+    };
+    if (!bucket.policy.limits) {
+      const [{ algorithm, limit, state }] = states;
+      return { ...base, algorithm, limit, state, slowStart };
+    }
+    return { ...base, limits: states, slowStart };
+  }
+
+  // Clear a user's bucket so the full limit is available again
+  async resetBucket(userId, endpoint, tier) {
+    const bucket = await this.getBucket(userId, endpoint, tier);
+    if (!bucket) return false;
+
+    const keys = bucket.steps.flatMap((step) => step.keys);
+    await Promise.all(keys.map((key) => this.redis.del(key)));
+    this.clearUserCache(userId);
+    this.logSecurityEvent({
+      type: 'bucket_reset',
+      userId,
+      endpoint: bucket.endpoint,
+      tier,
+    });
+    return true;
+  }
+
+  // Give a user extra capacity under every limit, never beyond burst
+  async topUpBucket(userId, endpoint, tier, amount) {
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Top-up amount must be a positive number');
+    }
+
+    const bucket = await this.getBucket(userId, endpoint, tier);
+    if (!bucket) return null;
+
+    const results = await this.adjustSteps(bucket.steps, amount);
+
+    this.clearUserCache(userId);
+    this.logSecurityEvent({
+      type: 'bucket_top_up',
+      userId,
+      endpoint: bucket.endpoint,
+      tier,
+      amount,
+    });
+    const tightest = results.reduce((a, b) =>
+      b.remaining < a.remaining ? b : a
+    );
+    const response = { remaining: tightest.remaining, reset: tightest.reset };
+    if (bucket.policy.limits) response.limits = results;
+    return response;
+  }
 
-    if (filter.userId) {
-      logs = logs.filter((e) => e.userId === filter.userId);
+  // Change what an allowed request was charged (its result's charge) once
+  // its actual cost is known: a lower cost gives the difference back, a
+  // higher one takes it. Every limit the request counted against is
+  // adjusted atomically in Redis, never beyond burst. Returns the new
+  // { remaining, reset } of the tightest limit, or null if nothing changed
+  async settleCharge(charge, actualCost) {
+    if (!Number.isFinite(actualCost) || actualCost < 0) {
+      throw new Error('Actual cost must be a non-negative number');
     }
+    const amount = charge.cost - actualCost;
+    if (amount === 0) return null;
 
-    if (filter.type) {
-      logs = logs.filter((e) => e.type === filter.type);
+    // Same buckets and windows as the check, at the current time
+    const elapsed = Math.floor(Date.now() / 1000) - charge.at;
+    const steps = charge.steps.map((step) => ({
+      ...step,
+      params: { ...step.params, now: step.params.now + elapsed },
+    }));
+    const results = await this.adjustSteps(steps, amount);
+    charge.cost = actualCost;
+
+    this.clearUserCache(charge.userId);
+    const tightest = results.reduce((a, b) =>
+      b.remaining < a.remaining ? b : a
+    );
+    return { remaining: tightest.remaining, reset: tightest.reset };
+  }
+
+  // Give back (amount > 0) or take (amount < 0) capacity under each step's
+  // limit with its algorithm's adjustScript; returns { name, remaining,
+  // reset } per step
+  async adjustSteps(steps, amount) {
+    return Promise.all(
+      steps.map(async ({ name, algorithm, keys, params }) => {
+        const [remaining, reset] = await this.redis.eval(
+          algorithm.adjustScript,
+          keys.length,
+          ...keys,
+          params.now,
+          params.max,
+          params.burst,
+          params.window,
+          amount
+        );
+        return { name, remaining, reset };
+      })
+    );
+  }
+
+  // A client's penalty box block, if any (limiting goes on as usual when
+  // Redis cannot tell)
+  async getActiveBlock(userId) {
+    if (!this.penaltyBox.enabled) return null;
+    try {
+      return await this.penaltyBox.getBlock(userId);
+    } catch (error) {
+      console.error('Penalty box read error:', error);
+      return null;
     }
+  }
 
-    if (filter.startTime) {
-      logs = logs.filter(
-        (e) => new Date(e.timestamp) >= new Date(filter.startTime)
+  // Count a denial toward the abuse rules; returns the block it started
+  async recordPenaltyDenial({ userId, endpoint, tier, countryCode }) {
+    let block;
+    try {
+      block = await this.penaltyBox.recordDenial(userId, endpoint);
+    } catch (error) {
+      console.error('Penalty box write error:', error);
+      return null;
+    }
+    if (!block) return null;
+
+    this.clearUserCache(userId);
+    const details = {
+      userId,
+      endpoint,
+      tier,
+      countryCode,
+      rule: block.rule,
+      duration: block.duration,
+      offenses: block.offenses,
+      expiresAt: new Date(block.expiresAt * 1000).toISOString(),
+    };
+    this.logSecurityEvent({ type: 'client_blocked', ...details });
+    this.emitEvent('client_blocked', details);
+    return block;
+  }
+
+  // Clients currently in the penalty box
+  async listBlocks() {
+    return this.penaltyBox.listBlocks();
+  }
+
+  // Let a client out of the penalty box early (false if it was not in it);
+  // resetOffenses also forgets its earlier offenses
+  async liftBlock(userId, options = {}) {
+    const lifted = await this.penaltyBox.lift(userId, options);
+    if (lifted) {
+      this.clearUserCache(userId);
+      this.logSecurityEvent({
+        type: 'client_unblocked',
+        userId,
+        resetOffenses: Boolean(options.resetOffenses),
+      });
+    }
+    return lifted;
+  }
+
+  // Take an in-flight slot for a request under its policy's concurrency
+  // limits (see concurrency/). Returns { allowed: true, release } - release
+  // is a no-op when the policy has none - or a 429 result with reason
+  // 'concurrency_limited'. Redis errors fail open, like checkLimit
+  async acquireSlot(userId, endpoint, tier, countryCode) {
+    const context = { userId, endpoint, tier, countryCode };
+    try {
+      await this.syncConfig();
+      if (tier === 'unlimited') return noSlot();
+      if (!this.config[tier]) tier = 'free'; // As checkLimit
+      const { key, policy } = this.resolvePolicy(tier, endpoint);
+      if (!policy || !policy.concurrency) return noSlot();
+
+      const result = await this.concurrency.acquire(
+        userId,
+        key,
+        policy.concurrency
       );
+      if (result.allowed) {
+        const { slot } = result;
+        return {
+          allowed: true,
+          release: () =>
+            slot.release().catch((error) => {
+              console.error('Concurrency slot release error:', error);
+              return false;
+            }),
+        };
+      }
+
+      const response = concurrencyLimitedResult(result);
+      this.recordAnalyticsHit(userId, key, tier, countryCode, false);
+      this.logSecurityEvent({
+        type: 'concurrency_limit_exceeded',
+        userId,
+        endpoint: key,
+        tier,
+        countryCode,
+        limitHit: result.limitHit,
+        limit: result.limit,
+        inFlight: result.inFlight,
+      });
+      this.emitDecision({ ...context, endpoint: key, tier }, response);
+      return response;
+    } catch (error) {
+      console.error('Concurrency limiting error:', error);
+      this.recordFailOpen('concurrency_error', context, error);
+      return noSlot();
     }
+  }
 
-    return logs;
+  // checkLimit for policies with mode: 'delay' (see throttle/): a request
+  // its limit turns away waits in its user's queue for a token, up to the
+  // policy's maxWait, and is only denied once that runs out. Other policies
+  // are simply checked. Options are checkLimit's plus signal, which ends the
+  // wait when the client goes away (the result is then null)
+  async checkLimitOrWait(
+    userId,
+    endpoint,
+    tier,
+    countryCode,
+    requestCost = 1,
+    options = {}
+  ) {
+    const { signal, ...checkOptions } = options;
+    const check = (queued) =>
+      this.checkLimit(userId, endpoint, tier, countryCode, requestCost, {
+        ...checkOptions,
+        queued,
+      });
+
+    await this.syncConfig();
+    const { key, policy } = this.resolvePolicy(
+      this.config[tier] ? tier : 'free',
+      endpoint,
+      options.method
+    );
+    if (!policy || policy.mode !== 'delay' || tier === 'unlimited') {
+      return check(false);
+    }
+
+    const { maxWait, maxQueue } = delaySettings(policy);
+    const deadline = Date.now() + maxWait;
+    const queueKey = `${userId}:${key}`;
+
+    // With nobody waiting a request is checked at once, and only lines up
+    // if its limit turns it away. Otherwise it lines up behind the others,
+    // so it cannot take the token the head is waiting for
+    let result = null;
+    if (this.delayQueue.size(queueKey) === 0) {
+      result = await check(true);
+      // Allowed, or denied for a reason waiting cannot fix
+      if (result.allowed || result.reason) return result;
+    }
+
+    if (this.delayQueue.size(queueKey) >= maxQueue) {
+      const response = queueFullResult(maxWait);
+      this.recordAnalyticsHit(userId, key, tier, countryCode, false);
+      this.emitDecision({ userId, endpoint: key, tier, countryCode }, response);
+      return response;
+    }
+
+    const leave = await this.delayQueue.enter(queueKey, signal);
+    if (!leave) return null;
+    try {
+      for (;;) {
+        if (result) {
+          const wait = Math.max(result.retryAfter, 1) * 1000;
+          // The token comes too late: a final check, denied as usual
+          if (Date.now() + wait > deadline) return await check(false);
+          await sleep(wait, signal);
+          if (signal && signal.aborted) return null;
+        }
+        result = await check(true);
+        // Allowed, or denied for a reason waiting cannot fix
+        if (result.allowed || result.reason) return result;
+      }
+    } finally {
+      leave();
+    }
+  }
+
+  // Timed for the rate_limit_check_duration_seconds histogram. Allowed
+  // results checked in Redis carry the request's charge, so its tokens can
+  // be given back or its actual cost charged later (settleCharge). Options:
+  // - orgId, teamId: the user's organisation and team, whose shared limits
+  //   (the policy's org and team) the request must also fit under
+  // - apiKey: the API key the user called with, whose override (see
+  //   setOverride) wins over the user's
+  // - method: the request's HTTP method, so method-specific routes (such
+  //   as POST /api/orders/:id) match the path
+  // - queued: the request waits in a delay queue (see checkLimitOrWait), so
+  //   a plain rate limit denial only means waiting longer; it is returned
+  //   without being counted, logged or held against the client
+  async checkLimit(
+    userId,
+    endpoint,
+    tier,
+    countryCode,
+    requestCost = 1,
+    options = {}
+  ) {
+    const startedAt = process.hrtime.bigint();
+    try {
+      return await this.evaluateLimit(
+        userId,
+        endpoint,
+        tier,
+        countryCode,
+        requestCost,
+        options
+      );
+    } finally {
+      const elapsed = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.metrics.checkDuration.observe(elapsed);
+    }
   }
 
-  async checkLimit(userId, endpoint, tier, countryCode, requestCost = 1) {
+  async evaluateLimit(
+    userId,
+    endpoint,
+    tier,
+    countryCode,
+    requestCost,
+    options
+  ) {
     try {
-      // Optimization: Check cache first (except for unlimited tier)
-      const cacheKey = `check:${userId}:${endpoint}:${tier}`;
-      if (tier !== 'unlimited') {
+      // A zero, negative or non-numeric cost would skip or refill the bucket
+      if (!Number.isFinite(requestCost) || requestCost <= 0) {
+        console.warn(`Invalid request cost: ${requestCost}. Defaulting to 1.`);
+        requestCost = 1;
+      }
+
+      // Clients in the penalty box are turned away before any cached
+      // decision or bucket math (the unlimited tier is never blocked)
+      const block =
+        tier === 'unlimited' ? null : await this.getActiveBlock(userId);
+
+      // Optimization: Check cache first (except for unlimited tier). A
+      // decision is kept under the policy key the request is limited under,
+      // so paths sharing a route share it and method-specific routes get
+      // their own. The API key, org and team pick overrides and shared
+      // limits, so it is only reused for the same ones. A cache hit is
+      // charged nothing, so requests costing more than 1 always go to Redis
+      const cacheable = tier !== 'unlimited' && requestCost === 1;
+      const decisionKey = (policyKey) =>
+        [
+          'check',
+          userId,
+          policyKey,
+          tier,
+          options.apiKey || '',
+          options.orgId || '',
+          options.teamId || '',
+        ].join(':');
+      const policyKey = this.resolveEndpoint(tier, endpoint, options.method);
+      let cacheKey = decisionKey(policyKey);
+      if (cacheable && !block) {
         const cached = this.getFromCache(cacheKey);
         if (cached) {
+          this.metrics.cacheHits.inc();
+          this.emitDecision(
+            { userId, endpoint: policyKey, tier, countryCode },
+            cached
+          );
           return cached;
         }
       }
 
+      // Pick up config changes made by other instances
+      await this.syncConfig();
+
       // Get base configuration
       const tierConfig = this.config[tier];
       if (!tierConfig) {
@@ -234,243 +1316,396 @@ class RateLimiter {
         tier = 'free';
       }
 
-      const endpointConfig = this.config[tier][endpoint];
+      // Limit under the matching route's key (or the default policy), as
+      // resolved under the config just synced
+      endpoint = this.resolveEndpoint(tier, endpoint, options.method);
+      cacheKey = decisionKey(endpoint);
+      let endpointConfig = endpoint && this.getEndpointPolicy(tier, endpoint);
       if (!endpointConfig) {
         // No rate limit for this endpoint
-        return { allowed: true, remaining: Infinity, retryAfter: 0 };
+        return unlimitedResult();
       }
 
       // OPTIMIZATION: Unlimited tier bypass - no Redis call needed
       if (tier === 'unlimited') {
         this.recordAnalyticsHit(userId, endpoint, tier, countryCode, true);
-        return { allowed: true, remaining: Infinity, retryAfter: 0 };
+        const response = unlimitedResult();
+        this.emitDecision({ userId, endpoint, tier, countryCode }, response);
+        return response;
+      }
+
+      // Per-customer limits replace the tier policy's
+      const override = await this.getOverride(userId, endpoint, options.apiKey);
+      if (override) endpointConfig = applyOverride(endpointConfig, override);
+
+      const context = { userId, endpoint, tier, countryCode };
+      const now = Math.floor(Date.now() / 1000);
+
+      if (block) {
+        this.recordAnalyticsHit(userId, endpoint, tier, countryCode, false);
+        const [primary] = this.buildSteps(userId, endpoint, endpointConfig, {
+          now,
+          cost: requestCost,
+        });
+        const response = blockedResult(block, primary, requestCost);
+        this.emitDecision(context, response);
+        return response;
       }
 
-      // Apply geographic multiplier
-      const geoConfig =
-        this.geoMultipliers[countryCode] || this.geoMultipliers.DEFAULT;
-      const geoMultiplier = geoConfig.multiplier;
-      let adjustedMax = Math.floor(endpointConfig.max * geoMultiplier);
-      let adjustedBurst = Math.floor(endpointConfig.burst * geoMultiplier);
+      // Apply geographic multipliers (country -> region -> DEFAULT)
+      const region = this.getRegion(countryCode);
+      const geo = resolveGeoMultipliers({
+        countryCode,
+        region,
+        geoLimits: this.geoMultipliers,
+        tierGeoLimits: this.tierGeoMultipliers[tier],
+        endpointGeoLimits: endpointConfig.geo,
+      });
 
       // Apply slow-start multiplier for new users
       const slowStartMultiplier = await this.getSlowStartMultiplier(
         userId,
         endpoint
       );
-      adjustedMax = Math.floor(adjustedMax * slowStartMultiplier);
-      adjustedBurst = Math.floor(adjustedBurst * slowStartMultiplier);
 
-      const now = Math.floor(Date.now() / 1000);
-      const window = endpointConfig.window;
-
-      // Keys for Redis
-      const tokenKey = `rate:tokens:${userId}:${endpoint}`;
-      const lastRefillKey = `rate:last_refill:${userId}:${endpoint}`;
-      const countKey = `rate:count:${userId}:${endpoint}`;
-
-      // OPTIMIZATION: Lua script updated to handle request cost
-      // This is executed atomically in Redis - single call reduces overhead
-      const luaScript = `
-        local tokenKey = KEYS[1]
-        local lastRefillKey = KEYS[2]
-        local countKey = KEYS[3]
-        local now = tonumber(ARGV[1])
-        local adjustedMax = tonumber(ARGV[2])
-        local adjustedBurst = tonumber(ARGV[3])
-        local window = tonumber(ARGV[4])
-        local cost = tonumber(ARGV[5])
-        
-        local tokens = tonumber(redis.call('GET', tokenKey)) or adjustedBurst
-        local lastRefill = tonumber(redis.call('GET', lastRefillKey)) or now
-        local count = tonumber(redis.call('GET', countKey)) or 0
-        
-        local timePassed = now - lastRefill
-        local refillAmount = (timePassed * adjustedMax) / window
-        tokens = math.min(adjustedBurst, tokens + refillAmount)
-        
-        local allowed = tokens >= cost and count < adjustedMax
-        
-        if allowed then
-          tokens = tokens - cost
-          count = count + cost
-        end
-        
-        redis.call('SETEX', tokenKey, window, tostring(tokens))
-        redis.call('SETEX', lastRefillKey, window, tostring(now))
-        redis.call('SETEX', countKey, window, tostring(count))
-        
-        return {allowed and 1 or 0, math.floor(math.max(0, tokens)), count}
-      `;
+      // One step per limit of the policy, each with its algorithm and keys
+      const stepOptions = {
+        now,
+        cost: requestCost,
+        geo,
+        slowStartMultiplier,
+        orgId: options.orgId,
+        teamId: options.teamId,
+      };
+      const steps = this.buildSteps(
+        userId,
+        endpoint,
+        endpointConfig,
+        stepOptions
+      );
+
+      // A request costing more than a limit ever allows at once is denied
+      // outright, as no wait could let it in (a limit of 0 denies as usual)
+      const capacities = steps.map((step) =>
+        step.algorithm.capacity(step.params)
+      );
+      const capacity = Math.min(...capacities);
+      if (capacity > 0 && requestCost > capacity) {
+        const step = steps[capacities.indexOf(capacity)];
+        const response = costExceedsLimitResult(step, requestCost, capacity);
+        this.recordAnalyticsHit(userId, endpoint, tier, countryCode, false);
+        this.emitDecision(context, response);
+        return response;
+      }
+
+      const capacityStep = this.buildCapacityStep(endpoint, tier, {
+        now,
+        cost: requestCost,
+      });
+      if (capacityStep) steps.push(capacityStep);
 
       try {
-        const result = await this.redis.eval(
-          luaScript,
-          3,
-          tokenKey,
-          lastRefillKey,
-          countKey,
-          now,
-          adjustedMax,
-          adjustedBurst,
-          window,
-          requestCost
+        // Executed atomically in Redis - single call per check
+        const results = await this.evalSteps(steps);
+        // The scripts always reply; a missing reply is a script failure,
+        // handled below like any other
+        if (!results) throw new Error('Rate limit script returned no reply');
+
+        const response = buildResponse(steps, results, requestCost);
+        const shed = response.reason === 'load_shed';
+        if (options.queued && !response.allowed && !response.reason) {
+          return response;
+        }
+
+        // Candidate policy in shadow mode: recorded, never enforced
+        const candidate = this.getShadowPolicy(tier, endpoint, endpointConfig);
+        if (candidate) {
+          await this.evaluateShadow(
+            { ...context, region },
+            candidate,
+            response,
+            stepOptions
+          );
+        }
+
+        // Record analytics
+        this.recordAnalyticsHit(
+          userId,
+          endpoint,
+          tier,
+          countryCode,
+          response.allowed,
+          shed
         );
 
-        if (result) {
-          const [allowedFlag, remaining, count] = result;
-          const allowed = allowedFlag === 1;
-
-          // Record analytics
-          this.recordAnalyticsHit(userId, endpoint, tier, countryCode, allowed);
-
-          // Cache the result for optimization (except denials)
-          if (allowed) {
-            const response = {
-              allowed: true,
-              remaining: remaining,
-              retryAfter: 0,
-              cost: requestCost,
-            };
+        // Cache the result for optimization (except denials, and the
+        // last request a limit allowed: the next one must be denied)
+        if (response.allowed) {
+          if (cacheable && response.remaining >= requestCost) {
             this.setInCache(cacheKey, response);
-            return response;
-          } else {
-            // Log rate limit denial for security review
-            this.logSecurityEvent({
-              type: 'rate_limit_exceeded',
-              userId,
-              endpoint,
-              tier,
-              countryCode,
-              slowStartMultiplier,
-              requestCost,
-            });
-
-            // Calculate retry time
-            let retryAfter = 0;
-            const tokens = parseFloat(await this.redis.get(tokenKey)) || 0;
-            if (tokens < requestCost) {
-              const tokensNeeded = requestCost - tokens;
-              const secondsPerToken = window / adjustedMax;
-              retryAfter = Math.ceil(tokensNeeded * secondsPerToken);
-            }
-
-            return {
-              allowed: false,
-              allowed: false,
-              remaining: 0,
-              retryAfter: Math.max(retryAfter, 1),
-              cost: requestCost,
-            };
           }
+          this.emitDecision(context, response);
+          // What the request was charged, for settleCharge (cache hits
+          // were charged nothing); kept out of logs and JSON
+          return Object.defineProperty({ ...response }, 'charge', {
+            value: { userId, cost: requestCost, at: now, steps },
+          });
+        } else if (shed) {
+          // The endpoint is overloaded; the client did nothing wrong
+          this.emitDecision({ ...context, region }, response);
+          return response;
+        } else {
+          // Log rate limit denial for security review
+          this.logSecurityEvent({
+            type: 'rate_limit_exceeded',
+            userId,
+            endpoint,
+            tier,
+            countryCode,
+            region,
+            algorithm: steps[0].algorithm.name,
+            ...(response.limitHit && { limitHit: response.limitHit }),
+            ...(override && { override: override.subject }),
+            // Which of the user's keys hit the limit, by the id its
+            // overrides are set under (the key itself is never logged)
+            ...(options.apiKey && { apiKeyId: apiKeyId(options.apiKey) }),
+            ...(options.orgId && { orgId: options.orgId }),
+            ...(options.teamId && { teamId: options.teamId }),
+            slowStartMultiplier,
+            requestCost,
+          });
+          this.emitDecision({ ...context, region }, response);
+
+          // This denial may be the one that trips an abuse rule
+          const newBlock = await this.recordPenaltyDenial(context);
+          return newBlock
+            ? blockedResult(newBlock, steps[0], requestCost)
+            : response;
         }
       } catch (error) {
         console.error('Lua script error:', error);
+        this.metrics.luaErrors.inc();
         // Fallback to non-atomic approach if Lua fails
-        return await this.checkLimitFallback(
-          userId,
-          endpoint,
-          tier,
-          countryCode,
-          tokenKey,
-          lastRefillKey,
-          countKey,
-          now,
-          window,
-          adjustedMax,
-          adjustedBurst,
-          requestCost
-        );
+        this.metrics.fallbacks.inc();
+        return await this.checkLimitFallback(steps, context);
       }
     } catch (error) {
       console.error('Rate limiting error:', error);
       // Fail open - allow request if rate limiting fails
-      return { allowed: true, remaining: Infinity, retryAfter: 0 };
+      this.recordFailOpen(
+        'check_error',
+        { userId, endpoint, tier, countryCode },
+        error
+      );
+      return unlimitedResult();
     }
   }
 
+  // Check a request against a candidate policy in shadow mode, in buckets
+  // of its own (so the live ones are untouched), and record what it would
+  // have decided next to the live response: shadow analytics, a
+  // shadow_limit_exceeded security event per would-be denial and the
+  // rate_limit_shadow_decisions_total metric. Endpoint capacity and the
+  // penalty box stay live-only. Failures are logged and never affect the
+  // live decision
+  async evaluateShadow(context, candidate, live, stepOptions) {
+    const { userId, endpoint, tier } = context;
+    try {
+      const steps = this.buildSteps(userId, endpoint, candidate, {
+        ...stepOptions,
+        prefix: SHADOW_PREFIX,
+      });
+      const results = await this.evalSteps(steps);
+      if (!results) return;
+
+      const shadow = buildResponse(steps, results, stepOptions.cost);
+      this.analytics.shadow.record({
+        userId,
+        endpoint,
+        tier,
+        liveAllowed: live.allowed,
+        shadowAllowed: shadow.allowed,
+      });
+      this.metrics.shadowDecisions.inc({
+        endpoint,
+        tier,
+        decision: shadow.allowed ? 'allowed' : 'denied',
+      });
+      if (shadow.allowed) return;
+
+      this.logSecurityEvent({
+        type: 'shadow_limit_exceeded',
+        ...context,
+        algorithm: steps[0].algorithm.name,
+        ...(shadow.limitHit && { limitHit: shadow.limitHit }),
+        ...(stepOptions.orgId && { orgId: stepOptions.orgId }),
+        ...(stepOptions.teamId && { teamId: stepOptions.teamId }),
+        liveAllowed: live.allowed,
+        requestCost: stepOptions.cost,
+      });
+    } catch (error) {
+      console.error('Shadow policy error:', error);
+    }
+  }
+
+  // Redis steps for a user's limits on an endpoint (see
+  // algorithms/composite.js): one per policy limit, with its algorithm, keys
+  // and max/burst scaled by the geo and slow-start multipliers, then one per
+  // team and org limit for the request's teamId/orgId. Shared limits are
+  // never scaled, as every member draws from the same bucket. Keys start
+  // with options.prefix, if any (SHADOW_PREFIX for shadow mode)
+  buildSteps(userId, endpoint, policy, options) {
+    const { now, cost, geo, slowStartMultiplier = 1, prefix = '' } = options;
+    const buildStep = (limit, base, scale) => {
+      const algorithm = this.resolveAlgorithm(limit);
+      const clock = resolveWindow(limit.window, now);
+
+      let max = limit.max;
+      let burst = limit.burst;
+      if (scale && geo) {
+        max = Math.floor(max * geo.max);
+        burst = Math.floor(burst * geo.burst);
+      }
+      const multiplier = scale ? slowStartMultiplier : 1;
+      return {
+        name: limit.name,
+        algorithm,
+        keys: algorithm.keys(`${base}${clock.period}`, clock),
+        params: {
+          now: clock.now,
+          max: slowStartLimit(max, multiplier),
+          burst: slowStartLimit(burst, multiplier),
+          window: clock.window,
+          cost,
+        },
+      };
+    };
+
+    // Single-limit policies keep their original keys
+    const steps = policyLimits(policy).map((limit) => {
+      const name = policy.limits ? `:${limit.name}` : '';
+      return buildStep(limit, `${prefix}${userId}:${endpoint}${name}`, true);
+    });
+
+    const groups = { team: options.teamId, org: options.orgId };
+    for (const level of SHARED_LEVELS) {
+      if (!groups[level]) continue;
+      for (const limit of sharedLimits(policy, level)) {
+        const base = `${prefix}${level}:${groups[level]}:${endpoint}:${limit.name}`;
+        steps.push({
+          ...buildStep(limit, base, false),
+          name: `${level}:${limit.name}`,
+        });
+      }
+    }
+    return steps;
+  }
+
+  // Redis step for the tier's share of an endpoint's capacity (null when
+  // the endpoint has none); every client counts against the same key
+  buildCapacityStep(endpoint, tier, { now, cost }) {
+    const capacity = this.endpointCapacity[endpoint];
+    if (!capacity) return null;
+
+    const limit = capacityLimit(capacity, tier);
+    const algorithm = getAlgorithm(limit.algorithm);
+    const clock = { now, window: limit.window };
+    return {
+      name: limit.name,
+      capacity: true,
+      algorithm,
+      keys: algorithm.keys(`capacity:${endpoint}`, clock),
+      params: {
+        now,
+        max: limit.max,
+        burst: limit.burst,
+        window: limit.window,
+        cost,
+      },
+    };
+  }
+
+  // Check every step in one EVAL: the algorithm's own script for a single
+  // limit, a composite script for several. Returns [allowed, remaining,
+  // retryAfter, reset] per step
+  async evalSteps(steps) {
+    if (steps.length === 1) {
+      const [{ algorithm, keys, params }] = steps;
+      const result = await this.redis.eval(
+        algorithm.script,
+        keys.length,
+        ...keys,
+        params.now,
+        params.max,
+        params.burst,
+        params.window,
+        params.cost
+      );
+      return result ? [result] : null;
+    }
+
+    const reply = await this.redis.eval(
+      compositeScript(steps),
+      ...compositeArgs(steps)
+    );
+    if (!reply) return null;
+    return steps.map((step, i) => reply.slice(i * 4, i * 4 + 4));
+  }
+
   // Fallback method for non-atomic approach
-  async checkLimitFallback(
-    userId,
-    endpoint,
-    tier,
-    countryCode,
-    tokenKey,
-    lastRefillKey,
-    countKey,
-    now,
-    window,
-    adjustedMax,
-    adjustedBurst,
-    requestCost = 1
-  ) {
+  // Runs the algorithms' JS twins over plain GET/SETEX calls
+  async checkLimitFallback(steps, context = {}) {
     try {
       // Get current values from Redis
-      let tokens, lastRefill, count;
+      let values;
 
       try {
-        const [tokensStr, lastRefillStr, countStr] = await Promise.all([
-          this.redis.get(tokenKey),
-          this.redis.get(lastRefillKey),
-          this.redis.get(countKey),
-        ]);
-
-        tokens = parseFloat(tokensStr) || adjustedBurst;
-        lastRefill = parseInt(lastRefillStr) || now;
-        count = parseInt(countStr) || 0;
+        values = await Promise.all(
+          steps.map((step) =>
+            Promise.all(step.keys.map((key) => this.redis.get(key)))
+          )
+        );
       } catch (error) {
         console.error('Redis read error:', error);
-        return { allowed: true, remaining: Infinity, retryAfter: 0 };
+        this.recordFailOpen('fallback_read_error', context, error);
+        return unlimitedResult();
       }
 
-      // Token Bucket: Refill tokens based on time passed
-      const timePassed = now - lastRefill;
-      const refillAmount = (timePassed * adjustedMax) / window;
-      tokens = Math.min(adjustedBurst, tokens + refillAmount);
-
-      // Check if request is allowed (with cost)
-      if (tokens >= requestCost && count < adjustedMax) {
-        // Consume tokens based on request cost
-        tokens -= requestCost;
-        count += requestCost;
-
-        try {
-          // Update state in Redis
-          await Promise.all([
-            this.redis.setex(tokenKey, window, tokens),
-            this.redis.setex(lastRefillKey, window, now),
-            this.redis.setex(countKey, window, count),
-          ]);
-        } catch (error) {
-          console.error('Redis write error:', error);
-          // Continue even if write fails
-        }
-
-        return {
-          allowed: true,
-          remaining: Math.max(0, Math.floor(tokens)),
-          retryAfter: 0,
-        };
-      } else {
-        // Request denied
-        let retryAfter = 0;
-
-        if (tokens < 1) {
-          // Calculate when next token will be available
-          const tokensNeeded = 1 - tokens;
-          const secondsPerToken = window / adjustedMax;
-          retryAfter = Math.ceil(tokensNeeded * secondsPerToken);
-        }
+      const { results } = evaluateComposite(steps, values);
 
-        return {
-          allowed: false,
-          remaining: 0,
-          retryAfter: Math.max(retryAfter, 1),
-        };
+      try {
+        // Update state in Redis
+        await Promise.all(
+          results.flatMap((result, i) =>
+            result.values.map((value, j) => {
+              const key = steps[i].keys[j];
+              if (value === null) return this.redis.del(key);
+              if (value === undefined) return null;
+              return this.redis.setex(key, result.ttl, value);
+            })
+          )
+        );
+      } catch (error) {
+        console.error('Redis write error:', error);
+        // Continue even if write fails
       }
+
+      const response = buildResponse(
+        steps,
+        results.map((result) => [
+          result.allowed ? 1 : 0,
+          result.remaining,
+          result.retryAfter,
+          result.reset,
+        ]),
+        steps[0].params.cost
+      );
+      this.emitDecision(context, response);
+      return response;
     } catch (error) {
       console.error('Fallback error:', error);
-      return { allowed: true, remaining: Infinity, retryAfter: 0 };
+      this.recordFailOpen('fallback_error', context, error);
+      return unlimitedResult();
     }
   }
 
@@ -0,0 +1,321 @@
+const { lua, lauxlib, lualib, to_luastring } = require('fengari');
+const MockRedis = require('./redisMock');
+
+/**
+ * Lua-executing Redis mock
+ * MockRedis runs the JS twin of every script; LuaRedis runs the script
+ * itself, in an embedded Lua VM (fengari) over the same in-memory data, so
+ * tests can check the Lua that production Redis would run. It provides what
+ * the scripts use from Redis: KEYS, ARGV, redis.call (GET, SET, SETEX, DEL,
+ * INCR, SADD, SREM, EXPIRE) and cjson, and converts replies as Redis does
+ *
+ * fengari is Lua 5.3 and Redis embeds Lua 5.1, so numbers are turned into
+ * strings the 5.1 way ("%.14g": 3 rather than 3.0) by tostring, cjson and
+ * redis.call. TTLs are recorded in `ttls` (seconds by key), never expired
+ */
+
+// Lua 5.1's number to string conversion ("%.14g")
+const formatNumber = (value) => {
+  if (Number.isNaN(value)) return 'nan';
+  if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+  if (Number.isInteger(value) && Math.abs(value) < 1e14) return String(value);
+
+  const [mantissa, exponentText] = value.toExponential(13).split('e');
+  const exponent = Number(exponentText);
+  const trim = (digits) =>
+    digits.includes('.') ? digits.replace(/\.?0+$/, '') : digits;
+  if (exponent < -4 || exponent >= 14) {
+    const sign = exponent < 0 ? '-' : '+';
+    return `${trim(mantissa)}e${sign}${String(Math.abs(exponent)).padStart(
+      2,
+      '0'
+    )}`;
+  }
+  return trim(value.toFixed(13 - exponent));
+};
+
+// Runs before any script: tostring formats numbers like Lua 5.1
+const PRELUDE = `
+  local format = string.format
+  local original = tostring
+  tostring = function(value)
+    if type(value) == 'number' then
+      return format('%.14g', value)
+    end
+    return original(value)
+  end
+`;
+
+const WRONG_TYPE =
+  'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+// Push a JS value onto the Lua stack: arrays as tables, objects (cjson) as
+// tables with string keys, null as false (Redis' nil reply in Lua)
+const pushValue = (L, value, nullValue = false) => {
+  if (value === null || value === undefined) {
+    if (nullValue) lua.lua_pushboolean(L, false);
+    else lua.lua_pushnil(L);
+  } else if (typeof value === 'number') {
+    if (Number.isInteger(value)) lua.lua_pushinteger(L, value);
+    else lua.lua_pushnumber(L, value);
+  } else if (typeof value === 'boolean') {
+    lua.lua_pushboolean(L, value);
+  } else if (Array.isArray(value)) {
+    lua.lua_createtable(L, value.length, 0);
+    value.forEach((item, i) => {
+      if (item === null) return;
+      pushValue(L, item);
+      lua.lua_rawseti(L, -2, i + 1);
+    });
+  } else if (typeof value === 'object') {
+    lua.lua_createtable(L, 0, 0);
+    for (const [key, item] of Object.entries(value)) {
+      if (item === null) continue;
+      pushValue(L, item);
+      lua.lua_setfield(L, -2, to_luastring(key));
+    }
+  } else {
+    lua.lua_pushstring(L, to_luastring(String(value)));
+  }
+};
+
+// Read a Lua table as cjson encodes it: a sequence 1..n as an array,
+// anything else (including an empty table) as an object
+const readTable = (L, index) => {
+  const at = lua.lua_absindex(L, index);
+  const entries = [];
+  lua.lua_pushnil(L);
+  while (lua.lua_next(L, at) !== 0) {
+    const key =
+      lua.lua_type(L, -2) === lua.LUA_TNUMBER
+        ? lua.lua_tonumber(L, -2)
+        : lua.lua_tojsstring(L, -2);
+    entries.push([key, readJson(L, -1)]);
+    lua.lua_pop(L, 1);
+  }
+  const isArray =
+    entries.length > 0 &&
+    entries.every(
+      ([key]) => Number.isInteger(key) && key >= 1 && key <= entries.length
+    );
+  if (!isArray) {
+    return Object.fromEntries(
+      entries.map(([key, value]) => [
+        typeof key === 'number' ? formatNumber(key) : key,
+        value,
+      ])
+    );
+  }
+  const array = [];
+  entries.forEach(([key, value]) => {
+    array[key - 1] = value;
+  });
+  return array;
+};
+
+// Read a Lua value for cjson.encode, numbers rounded like "%.14g"
+const readJson = (L, index) => {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TNUMBER:
+      return Number(formatNumber(lua.lua_tonumber(L, index)));
+    case lua.LUA_TSTRING:
+      return lua.lua_tojsstring(L, index);
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index);
+    case lua.LUA_TTABLE:
+      return readTable(L, index);
+    default:
+      return null;
+  }
+};
+
+// Convert a script's return value to a Redis reply: numbers truncated to
+// integers, tables to arrays up to their first nil, true to 1, false and
+// nil to null. A table with an err field is an error reply
+const readReply = (L, index) => {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, index));
+    case lua.LUA_TSTRING:
+      return lua.lua_tojsstring(L, index);
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index) ? 1 : null;
+    case lua.LUA_TTABLE: {
+      const at = lua.lua_absindex(L, index);
+      if (lua.lua_getfield(L, at, to_luastring('err')) !== lua.LUA_TNIL) {
+        const message = lua.lua_tojsstring(L, -1);
+        lua.lua_pop(L, 1);
+        throw new Error(message);
+      }
+      lua.lua_pop(L, 1);
+      const reply = [];
+      for (let i = 1; lua.lua_rawgeti(L, at, i) !== lua.LUA_TNIL; i++) {
+        reply.push(readReply(L, -1));
+        lua.lua_pop(L, 1);
+      }
+      lua.lua_pop(L, 1);
+      return reply;
+    }
+    default:
+      return null;
+  }
+};
+
+class LuaRedis extends MockRedis {
+  constructor(failures = {}) {
+    super(failures);
+    this.ttls = new Map();
+    this.scripts = new Map(); // script source -> registry reference
+    this.L = this.createState();
+  }
+
+  // Lua state with the standard libraries, redis.call and cjson
+  createState() {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+
+    const call = (state) => {
+      const args = [];
+      for (let i = 1; i <= lua.lua_gettop(state); i++) {
+        args.push(
+          lua.lua_type(state, i) === lua.LUA_TNUMBER
+            ? formatNumber(lua.lua_tonumber(state, i))
+            : lua.lua_tojsstring(state, i)
+        );
+      }
+      let reply;
+      try {
+        reply = this.call(args);
+      } catch (error) {
+        return lauxlib.luaL_error(state, to_luastring(error.message));
+      }
+      pushValue(state, reply, true);
+      return 1;
+    };
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushjsfunction(L, call);
+    lua.lua_setfield(L, -2, to_luastring('call'));
+    lua.lua_setglobal(L, to_luastring('redis'));
+
+    lua.lua_createtable(L, 0, 2);
+    lua.lua_pushjsfunction(L, (state) => {
+      lua.lua_pushstring(
+        state,
+        to_luastring(JSON.stringify(readJson(state, 1)))
+      );
+      return 1;
+    });
+    lua.lua_setfield(L, -2, to_luastring('encode'));
+    lua.lua_pushjsfunction(L, (state) => {
+      let value;
+      try {
+        value = JSON.parse(lua.lua_tojsstring(state, 1));
+      } catch (error) {
+        return lauxlib.luaL_error(state, to_luastring(error.message));
+      }
+      pushValue(state, value);
+      return 1;
+    });
+    lua.lua_setfield(L, -2, to_luastring('decode'));
+    lua.lua_setglobal(L, to_luastring('cjson'));
+
+    if (
+      lauxlib.luaL_loadstring(L, to_luastring(PRELUDE)) !== lua.LUA_OK ||
+      lua.lua_pcall(L, 0, 0, 0) !== lua.LUA_OK
+    ) {
+      throw new Error(lua.lua_tojsstring(L, -1));
+    }
+    return L;
+  }
+
+  // One redis.call from a script, on the in-memory data
+  call([command, key, ...args]) {
+    const value = this.data.get(key);
+    switch (command.toUpperCase()) {
+      case 'GET':
+        if (value === undefined) return null;
+        if (typeof value === 'object') throw new Error(WRONG_TYPE);
+        return String(value);
+      case 'SET':
+        this.data.set(key, args[0]);
+        this.ttls.delete(key);
+        return 'OK';
+      case 'SETEX':
+        this.data.set(key, args[1]);
+        this.ttls.set(key, Number(args[0]));
+        return 'OK';
+      case 'DEL':
+        return [key, ...args].filter((name) => {
+          this.ttls.delete(name);
+          return this.data.delete(name);
+        }).length;
+      case 'INCR': {
+        if (typeof value === 'object') throw new Error(WRONG_TYPE);
+        const next = Number(value || 0) + 1;
+        this.data.set(key, next);
+        return next;
+      }
+      case 'SADD':
+      case 'SREM': {
+        if (value !== undefined && !(value instanceof Set)) {
+          throw new Error(WRONG_TYPE);
+        }
+        const set = value || new Set();
+        const before = set.size;
+        if (command.toUpperCase() === 'SADD') {
+          args.forEach((member) => set.add(member));
+          this.data.set(key, set);
+          return set.size - before;
+        }
+        args.forEach((member) => set.delete(member));
+        if (set.size === 0) this.data.delete(key);
+        return before - set.size;
+      }
+      case 'EXPIRE':
+        if (value === undefined) return 0;
+        this.ttls.set(key, Number(args[0]));
+        return 1;
+      default:
+        throw new Error(`Unknown Redis command called from script: ${command}`);
+    }
+  }
+
+  // Run the script itself, loaded once per source as EVALSHA would
+  runScript(script, keys, argv) {
+    const L = this.L;
+    let ref = this.scripts.get(script);
+    if (ref === undefined) {
+      if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK) {
+        const message = lua.lua_tojsstring(L, -1);
+        lua.lua_pop(L, 1);
+        throw new Error(`Error compiling script: ${message}`);
+      }
+      ref = lauxlib.luaL_ref(L, lua.LUA_REGISTRYINDEX);
+      this.scripts.set(script, ref);
+    }
+
+    pushValue(L, keys.map(String));
+    lua.lua_setglobal(L, to_luastring('KEYS'));
+    pushValue(
+      L,
+      argv.map((arg) =>
+        typeof arg === 'number' ? formatNumber(arg) : String(arg)
+      )
+    );
+    lua.lua_setglobal(L, to_luastring('ARGV'));
+
+    lua.lua_rawgeti(L, lua.LUA_REGISTRYINDEX, ref);
+    if (lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      const message = lua.lua_tojsstring(L, -1);
+      lua.lua_pop(L, 1);
+      throw new Error(`Error running script: ${message}`);
+    }
+    try {
+      return readReply(L, -1);
+    } finally {
+      lua.lua_pop(L, 1);
+    }
+  }
+}
+
+module.exports = LuaRedis;
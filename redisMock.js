@@ -1,3 +1,24 @@
+const {
+  getAlgorithm,
+  getScriptAlgorithm,
+  getScriptOperation,
+} = require('./algorithms');
+const {
+  evaluateComposite,
+  parseCompositeScript,
+} = require('./algorithms/composite');
+const { isPenaltyScript, recordDenial } = require('./abuse/penaltyBox');
+const { isPublishScript, publishVersion } = require('./policy/configStore');
+const {
+  isOverrideWriteScript,
+  writeOverrides,
+} = require('./policy/overrideStore');
+const {
+  acquireSlot,
+  updateSlot,
+  getConcurrencyOperation,
+} = require('./concurrency/concurrencyLimiter');
+
 class MockRedis {
   constructor(failures = {}) {
     this.data = new Map();
@@ -35,6 +56,16 @@ class MockRedis {
     this.data.set(key, value);
   }
 
+  async del(key) {
+    this.callCount++;
+    if (this.failures.set && Math.random() < 0.1) {
+      throw new Error('Redis connection failed');
+    }
+    // Simulate network delay
+    await new Promise((r) => setTimeout(r, Math.random() * 5));
+    return this.data.delete(key) ? 1 : 0;
+  }
+
   async incr(key) {
     this.callCount++;
     if (this.failures.incr && Math.random() < 0.1) {
@@ -48,6 +79,85 @@ class MockRedis {
     return current + 1;
   }
 
+  async sadd(key, ...members) {
+    this.callCount++;
+    if (this.failures.set && Math.random() < 0.1) {
+      throw new Error('Redis connection failed');
+    }
+    // Simulate network delay
+    await new Promise((r) => setTimeout(r, Math.random() * 5));
+    const set = this.data.get(key) || new Set();
+    const before = set.size;
+    members.forEach((member) => set.add(String(member)));
+    this.data.set(key, set);
+    return set.size - before;
+  }
+
+  async srem(key, ...members) {
+    this.callCount++;
+    if (this.failures.set && Math.random() < 0.1) {
+      throw new Error('Redis connection failed');
+    }
+    // Simulate network delay
+    await new Promise((r) => setTimeout(r, Math.random() * 5));
+    const set = this.data.get(key);
+    if (!set) return 0;
+    return members.filter((member) => set.delete(String(member))).length;
+  }
+
+  async smembers(key) {
+    this.callCount++;
+    if (this.failures.get && Math.random() < 0.1) {
+      throw new Error('Redis connection failed');
+    }
+    // Simulate network delay
+    await new Promise((r) => setTimeout(r, Math.random() * 5));
+    return [...(this.data.get(key) || [])];
+  }
+
+  // XADD key [MAXLEN [~] n] * field value ...
+  async xadd(key, ...args) {
+    this.callCount++;
+    if (this.failures.set && Math.random() < 0.1) {
+      throw new Error('Redis connection failed');
+    }
+    // Simulate network delay
+    await new Promise((r) => setTimeout(r, Math.random() * 5));
+    let maxLen = Infinity;
+    if (String(args[0]).toUpperCase() === 'MAXLEN') {
+      args.shift();
+      if (args[0] === '~' || args[0] === '=') args.shift();
+      maxLen = Number(args.shift());
+    }
+    args.shift(); // '*': generated id
+
+    const stream = this.data.get(key) || { entries: [], lastId: [0, 0] };
+    const now = Date.now();
+    const [lastMs, lastSeq] = stream.lastId;
+    stream.lastId = now > lastMs ? [now, 0] : [lastMs, lastSeq + 1];
+    const id = stream.lastId.join('-');
+    stream.entries.push([id, args.map(String)]);
+    if (stream.entries.length > maxLen) {
+      stream.entries.splice(0, stream.entries.length - maxLen);
+    }
+    this.data.set(key, stream);
+    return id;
+  }
+
+  // XRANGE key - + (whole stream)
+  async xrange(key) {
+    this.callCount++;
+    if (this.failures.get && Math.random() < 0.1) {
+      throw new Error('Redis connection failed');
+    }
+    // Simulate network delay
+    await new Promise((r) => setTimeout(r, Math.random() * 5));
+    const stream = this.data.get(key);
+    return stream
+      ? stream.entries.map(([id, fields]) => [id, [...fields]])
+      : [];
+  }
+
   // Lua script execution for atomic operations
   async eval(script, numKeys, ...args) {
     this.callCount++;
@@ -61,50 +171,192 @@ class MockRedis {
     const keys = args.slice(0, numKeys);
     const argv = args.slice(numKeys);
 
-    // Simple Lua script interpreter for rate limiting
-    // Check if this is a rate limiting script by looking for tokens/count operations
-    if (
-      script.includes('adjustedBurst') ||
-      script.includes('tokenKey') ||
-      (numKeys === 3 && argv.length === 4)
-    ) {
-      return this.executeRateLimitScript(keys, argv);
+    return this.runScript(script, keys, argv);
+  }
+
+  // Simple Lua script interpreter for rate limiting: runs the JS twin of the
+  // script, found by its marker comment, all at once (so atomically)
+  runScript(script, keys, argv) {
+    // Composite scripts embed several algorithms' scripts, so come first
+    const layout = parseCompositeScript(script);
+    if (layout) {
+      return this.executeCompositeScript(layout, keys, argv);
+    }
+
+    // Scripts are identified by their `-- algorithm: <name>` marker
+    const algorithm = getScriptAlgorithm(script);
+    if (algorithm && getScriptOperation(script) === 'adjust') {
+      return this.executeAdjustScript(algorithm, keys, argv);
+    }
+    if (algorithm) {
+      return this.executeAlgorithmScript(algorithm, keys, argv);
+    }
+    if (isPenaltyScript(script)) {
+      return this.executePenaltyScript(keys, argv);
+    }
+    if (isPublishScript(script)) {
+      return this.executePublishScript(keys, argv);
+    }
+    if (isOverrideWriteScript(script)) {
+      return this.executeOverrideWriteScript(keys, argv);
+    }
+    const operation = getConcurrencyOperation(script);
+    if (operation) {
+      return this.executeConcurrencyScript(operation, keys, argv);
     }
 
     return null;
   }
 
-  // Atomic rate limiting script (simulates Lua)
-  executeRateLimitScript(keys, argv) {
-    const [tokenKey, lastRefillKey, countKey] = keys;
-    const [now, adjustedMax, adjustedBurst, window] = argv.map(
-      (v) => parseFloat(v) || parseInt(v)
+  // Atomic rate limiting script (simulates Lua with the algorithm's JS twin)
+  executeAlgorithmScript(algorithm, keys, argv) {
+    const [now, max, burst, window, cost] = argv.map((v) => parseFloat(v));
+
+    const result = algorithm.evaluate(
+      keys.map((key) => this.data.get(key)),
+      { now, max, burst, window, cost }
     );
 
-    // Get current values
-    let tokens = parseFloat(this.data.get(tokenKey)) || adjustedBurst;
-    let lastRefill = parseInt(this.data.get(lastRefillKey)) || now;
-    let count = parseInt(this.data.get(countKey)) || 0;
+    this.writeScriptValues(keys, result.values);
 
-    // Refill tokens
-    const timePassed = now - lastRefill;
-    const refillAmount = (timePassed * adjustedMax) / window;
-    tokens = Math.min(adjustedBurst, tokens + refillAmount);
+    return [
+      result.allowed ? 1 : 0,
+      result.remaining,
+      result.retryAfter,
+      result.reset,
+    ];
+  }
 
-    // Check if allowed
-    const allowed = tokens >= 1 && count < adjustedMax;
+  // Atomic capacity adjustment (simulates Lua with the algorithm's JS twin)
+  executeAdjustScript(algorithm, keys, argv) {
+    const [now, max, burst, window, amount] = argv.map((v) => parseFloat(v));
 
-    if (allowed) {
-      tokens -= 1;
-      count += 1;
-    }
+    const result = algorithm.adjust(
+      keys.map((key) => this.data.get(key)),
+      { now, max, burst, window, amount }
+    );
+
+    this.writeScriptValues(keys, result.values);
 
-    // Atomically update state
-    this.data.set(tokenKey, tokens.toString());
-    this.data.set(lastRefillKey, now.toString());
-    this.data.set(countKey, count.toString());
+    return [result.remaining, result.reset];
+  }
+
+  // Several limits checked together (simulates Lua with the JS twins)
+  executeCompositeScript(layout, keys, argv) {
+    let offset = 0;
+    const steps = layout.map(({ name, keyCount }, i) => {
+      const stepKeys = keys.slice(offset, offset + keyCount);
+      offset += keyCount;
+      const [now, max, burst, window, cost] = argv
+        .slice(i * 5, i * 5 + 5)
+        .map((v) => parseFloat(v));
+      return {
+        algorithm: getAlgorithm(name),
+        keys: stepKeys,
+        params: { now, max, burst, window, cost },
+      };
+    });
+
+    const { results } = evaluateComposite(
+      steps,
+      steps.map((step) => step.keys.map((key) => this.data.get(key)))
+    );
+
+    return results.flatMap((result, i) => {
+      this.writeScriptValues(steps[i].keys, result.values);
+      return [
+        result.allowed ? 1 : 0,
+        result.remaining,
+        result.retryAfter,
+        result.reset,
+      ];
+    });
+  }
+
+  // Penalty box denial (simulates Lua with its JS twin)
+  executePenaltyScript(keys, argv) {
+    const [
+      now,
+      maxDenials,
+      interval,
+      blockDuration,
+      backoff,
+      maxBlockDuration,
+    ] = argv.slice(0, 6).map((v) => parseFloat(v));
+
+    const { block, values } = recordDenial(
+      keys.map((key) => this.data.get(key)),
+      {
+        now,
+        maxDenials,
+        interval,
+        blockDuration,
+        backoff,
+        maxBlockDuration,
+        rule: argv[7],
+        endpoint: argv[8],
+      }
+    );
+
+    this.writeScriptValues(keys, values);
+
+    return block
+      ? [block.duration, block.offenses, block.expiresAt]
+      : [0, 0, 0];
+  }
+
+  // Concurrency slot acquire/renew/release (simulates Lua with the JS twins)
+  executeConcurrencyScript(operation, keys, argv) {
+    const values = keys.map((key) => this.data.get(key));
+    const { result, values: updated } =
+      operation === 'acquire'
+        ? acquireSlot(values, {
+            now: parseFloat(argv[0]),
+            perUser: parseFloat(argv[1]),
+            perEndpoint: parseFloat(argv[2]),
+            lease: parseFloat(argv[3]),
+            slotId: argv[4],
+          })
+        : updateSlot(values, {
+            now: parseFloat(argv[0]),
+            lease: parseFloat(argv[1]),
+            slotId: argv[2],
+            renew: operation === 'renew',
+          });
+
+    this.writeScriptValues(keys, updated);
+    return result;
+  }
+
+  // Config version compare-and-set (simulates Lua with its JS twin)
+  executePublishScript(keys, argv) {
+    const { result, values } = publishVersion(
+      keys.map((key) => this.data.get(key)),
+      { expected: parseFloat(argv[0]), version: argv[1], entry: argv[2] }
+    );
+    this.writeScriptValues(keys, values);
+    return result;
+  }
+
+  // Override compare-and-set (simulates Lua with its JS twin)
+  executeOverrideWriteScript(keys, argv) {
+    const { result, values } = writeOverrides(
+      keys.map((key) => this.data.get(key)),
+      { expected: argv[0], value: argv[1], subject: argv[3] }
+    );
+    this.writeScriptValues(keys, values);
+    return result;
+  }
 
-    return [allowed ? 1 : 0, Math.max(0, Math.floor(tokens)), count];
+  // Atomically update state
+  writeScriptValues(keys, values) {
+    values.forEach((value, i) => {
+      if (value === null) {
+        this.data.delete(keys[i]);
+      } else if (value !== undefined) {
+        this.data.set(keys[i], value);
+      }
+    });
   }
 }
 
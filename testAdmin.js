@@ -0,0 +1,215 @@
+const express = require('express');
+const MockRedis = require('./redisMock');
+const createAdminRouter = require('./admin/adminRouter');
+const {
+  ADMIN_KEY,
+  createLimiter,
+  sleep,
+  describe,
+  expect,
+  run,
+} = require('./testHelpers');
+
+async function adminRequest(baseUrl, method, path, body, key = ADMIN_KEY) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', 'x-admin-key': key },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+async function testAdmin() {
+  console.log('Admin API Tests');
+
+  // Test 1: A policy change reaches every instance sharing the Redis
+  console.log('\nTest 1: Policy Override Across Instances');
+
+  const redis = new MockRedis();
+  const [limiterA, limiterB] = [redis, redis].map((shared) =>
+    createLimiter({ configRefreshInterval: 100 }, shared)
+  );
+
+  await limiterA.setPolicy('free', '/api/profile', { max: 2, burst: 2 });
+  await sleep(150); // refresh interval
+
+  for (const [i, expected] of [
+    [1, 'ALLOWED'],
+    [2, 'ALLOWED'],
+    [3, 'DENIED (rate_limited)'],
+  ]) {
+    const result = await limiterB.checkLimit(
+      'user_admin',
+      '/api/profile',
+      'free',
+      'US'
+    );
+    expect(
+      `Instance B request ${i}`,
+      `${describe(result)}, limit ${result.limit}`,
+      `${expected}, limit 2`
+    );
+  }
+
+  // Test 2: Invalid updates leave the running policy alone
+  console.log('\nTest 2: Invalid Policy Rejected');
+
+  for (const [changes, problem] of [
+    [{ window: 0 }, '.window must be a positive whole number of seconds'],
+    [{ algorithm: 'leaky' }, ': unknown algorithm leaky'],
+    [{ cap: 5 }, ': unknown field cap'],
+  ]) {
+    let outcome = 'accepted';
+    try {
+      await limiterA.setPolicy('free', '/api/profile', changes);
+    } catch (error) {
+      outcome = error.message;
+    }
+    expect(
+      JSON.stringify(changes),
+      outcome,
+      `Invalid configuration: rateLimits.free./api/profile${problem}`
+    );
+  }
+  const policy = limiterA.getEndpointPolicy('free', '/api/profile');
+  expect(
+    'Policy still',
+    { max: policy.max, burst: policy.burst },
+    { max: 2, burst: 2 }
+  );
+
+  // Test 3: Inspect, top up and reset a bucket
+  console.log('\nTest 3: Bucket Inspection, Top-Up and Reset');
+
+  const before = await limiterA.getBucketState(
+    'user_admin',
+    '/api/profile',
+    'free'
+  );
+  expect(
+    'State (tokens, count)',
+    { tokens: Math.floor(before.state.tokens), count: before.state.count },
+    { tokens: 0, count: 2 }
+  );
+
+  const topUp = await limiterA.topUpBucket(
+    'user_admin',
+    '/api/profile',
+    'free',
+    5
+  );
+  expect('Top-up of 5, capped at burst 2', topUp.remaining, 2);
+
+  await limiterA.resetBucket('user_admin', '/api/profile', 'free');
+  const after = await limiterA.getBucketState(
+    'user_admin',
+    '/api/profile',
+    'free'
+  );
+  expect('After reset', after.state, {
+    tokens: null,
+    lastRefill: null,
+    count: null,
+  });
+
+  // Test 4: HTTP routes and authentication
+  console.log('\nTest 4: Admin Router over HTTP');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', createAdminRouter(limiterA, { adminKey: ADMIN_KEY }));
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+
+  try {
+    // [method, path, body, admin key, expected status, expected fields]
+    const checks = [
+      [
+        'GET',
+        '/policies',
+        null,
+        'wrong-key',
+        401,
+        { error: 'Admin authentication required' },
+      ],
+      ['GET', '/policies', null, ADMIN_KEY, 200],
+      [
+        'PUT',
+        '/policies/free/api/search',
+        { window: 3600, max: 500, burst: 20 },
+        ADMIN_KEY,
+        200,
+        { max: 500 },
+      ],
+      [
+        'PUT',
+        '/policies/free/api/search',
+        { burst: -1 },
+        ADMIN_KEY,
+        400,
+        { error: 'Invalid configuration' },
+      ],
+      ['DELETE', '/policies/free/api/search', null, ADMIN_KEY, 204],
+      [
+        'DELETE',
+        '/policies/free/api/search',
+        null,
+        ADMIN_KEY,
+        404,
+        { error: 'No custom policy for this endpoint/tier' },
+      ],
+      [
+        'GET',
+        '/buckets/user_admin/api/profile?tier=free',
+        null,
+        ADMIN_KEY,
+        200,
+        { userId: 'user_admin', endpoint: '/api/profile' },
+      ],
+      [
+        'POST',
+        '/buckets/user_admin/api/profile/top-up',
+        { amount: 1 },
+        ADMIN_KEY,
+        200,
+        { remaining: 2 },
+      ],
+      ['DELETE', '/buckets/user_admin/api/profile', null, ADMIN_KEY, 204],
+      ['GET', '/analytics', null, ADMIN_KEY, 200],
+      ['GET', '/security-log?type=bucket_top_up', null, ADMIN_KEY, 200],
+    ];
+    for (const [method, path, body, key, status, fields = {}] of checks) {
+      const response = await adminRequest(baseUrl, method, path, body, key);
+      // The status, and the fields of the body the check names
+      const summarize = (code, body) =>
+        Object.keys(fields).length > 0
+          ? `${code} ${JSON.stringify(body)}`
+          : String(code);
+      const picked = Object.fromEntries(
+        Object.keys(fields).map((field) => [field, response.body[field]])
+      );
+      expect(
+        `${method} ${path}`,
+        summarize(response.status, picked),
+        summarize(status, fields)
+      );
+    }
+    const { body: log } = await adminRequest(
+      baseUrl,
+      'GET',
+      '/security-log?type=bucket_top_up'
+    );
+    expect(
+      'Top-ups logged',
+      log.events.map((event) => event.amount),
+      [5, 1]
+    );
+  } finally {
+    server.close();
+  }
+
+  console.log('\nAll Admin Tests Completed!');
+}
+
+run(testAdmin);
@@ -0,0 +1,162 @@
+const { ALGORITHMS } = require('./algorithms');
+const { createLimiter, describe, expect, run } = require('./testHelpers');
+
+// Mock time control to move between windows
+const originalNow = Date.now;
+
+function setMockTime(offset) {
+  global.Date.now = () => originalNow() + offset;
+}
+
+function resetMockTime() {
+  global.Date.now = originalNow;
+}
+
+// Limiter whose only policy is /api/test on the given algorithm
+function createAlgorithmLimiter(algorithm, limits) {
+  const limiter = createLimiter();
+  limiter.config = {
+    free: { '/api/test': { algorithm, ...limits } },
+  };
+  return limiter;
+}
+
+async function runRequests(limiter, userId, count, cost = 1) {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push(
+      await limiter.checkLimit(userId, '/api/test', 'free', 'US', cost)
+    );
+  }
+  return results;
+}
+
+const countAllowed = (results) => results.filter((r) => r.allowed).length;
+
+async function testAlgorithms() {
+  console.log('Pluggable Limiting Algorithms');
+
+  // Test 1: Every algorithm enforces its limit with the same return shape
+  console.log('\nTest 1: Same Limit, Every Algorithm');
+  console.log('Scenario: window=60s, max=10, burst=5, 15 requests\n');
+
+  // Bucket algorithms allow the burst, window algorithms the max
+  const expectedAllowed = {
+    token_bucket: 5,
+    fixed_window: 10,
+    sliding_window_log: 10,
+    sliding_window_counter: 10,
+    gcra: 5,
+  };
+  for (const name of Object.keys(ALGORITHMS)) {
+    const limiter = createAlgorithmLimiter(name, {
+      window: 60,
+      max: 10,
+      burst: 5,
+    });
+    const results = await runRequests(limiter, 'user_algo', 15);
+    const denied = results.find((r) => !r.allowed);
+
+    expect(`${name} allowed`, countAllowed(results), expectedAllowed[name]);
+    expect(
+      `${name} retry within the window`,
+      denied.retryAfter > 0 && denied.retryAfter <= 60,
+      true
+    );
+    expect(`${name} keys`, Object.keys(denied), [
+      'allowed',
+      'remaining',
+      'retryAfter',
+      'limit',
+      'window',
+      'reset',
+      'cost',
+    ]);
+  }
+
+  // Test 2: Fixed window resets at the window boundary
+  console.log('\nTest 2: Fixed Window Reset');
+
+  const fixed = createAlgorithmLimiter('fixed_window', {
+    window: 60,
+    max: 3,
+    burst: 3,
+  });
+  const firstWindow = await runRequests(fixed, 'user_fixed', 5);
+  setMockTime(60000);
+  const nextWindow = await runRequests(fixed, 'user_fixed', 5);
+  resetMockTime();
+
+  expect('Window 1 allowed', countAllowed(firstWindow), 3);
+  expect('Window 2 allowed', countAllowed(nextWindow), 3);
+
+  // Test 3: Sliding log is exact across a window boundary
+  console.log('\nTest 3: Sliding Window Log (Checkout)');
+
+  const log = createAlgorithmLimiter('sliding_window_log', {
+    window: 60,
+    max: 4,
+    burst: 4,
+  });
+  await runRequests(log, 'user_log', 4);
+  setMockTime(30000);
+  const [halfWindow] = await runRequests(log, 'user_log', 1);
+  setMockTime(61000);
+  const [afterWindow] = await runRequests(log, 'user_log', 1);
+  resetMockTime();
+
+  expect('+30s', describe(halfWindow), 'DENIED (rate_limited)');
+  expect('+30s retry', halfWindow.retryAfter, 30);
+  expect('+61s', describe(afterWindow), 'ALLOWED');
+
+  // Test 4: Request cost is charged by every algorithm
+  console.log('\nTest 4: Request Cost per Algorithm');
+  console.log('Scenario: max=10, burst=10, cost=4\n');
+
+  for (const name of Object.keys(ALGORITHMS)) {
+    const limiter = createAlgorithmLimiter(name, {
+      window: 60,
+      max: 10,
+      burst: 10,
+    });
+    const results = await runRequests(limiter, 'user_cost', 4, 4);
+    expect(`${name} allowed`, countAllowed(results), 2);
+  }
+
+  // Test 5: Fallback path uses the same algorithm when Lua fails
+  console.log('\nTest 5: Fallback Without Lua');
+
+  const fallback = createAlgorithmLimiter('sliding_window_log', {
+    window: 60,
+    max: 3,
+    burst: 3,
+  });
+  fallback.redis.eval = async () => {
+    throw new Error('NOSCRIPT');
+  };
+  const originalError = console.error;
+  console.error = () => {};
+  const fallbackResults = await runRequests(fallback, 'user_fallback', 5);
+  console.error = originalError;
+
+  expect('5 requests, allowed', countAllowed(fallbackResults), 3);
+
+  // Test 6: The token bucket count drains as tokens refill
+  console.log('\nTest 6: Token Bucket Count Drains');
+
+  const bucket = createAlgorithmLimiter('token_bucket', {
+    window: 60,
+    max: 10,
+    burst: 10,
+  });
+  await runRequests(bucket, 'user_bucket', 10);
+  setMockTime(30000);
+  const halfway = await runRequests(bucket, 'user_bucket', 6);
+  resetMockTime();
+
+  expect('+30s, allowed of 6', countAllowed(halfway), 5);
+
+  console.log('\nAll Algorithm Tests Completed!');
+}
+
+run(testAlgorithms);
@@ -0,0 +1,131 @@
+const { AnalyticsHistory } = require('./analytics/analyticsHistory');
+const { createLimiter, expect, run } = require('./testHelpers');
+
+const MINUTE = 60 * 1000;
+
+async function testAnalyticsHistory() {
+  console.log('Analytics History Tests');
+
+  // Test 1: Per-minute rollups queried over a time range
+  console.log('\nTest 1: Per-Minute Rollups');
+
+  const history = new AnalyticsHistory({ retention: 3600 });
+  const base = Date.parse('2025-01-14T10:00:00Z');
+  const hit = (minute, allowed, userId = 'user_a') =>
+    history.record(
+      {
+        userId,
+        endpoint: '/api/search',
+        tier: 'free',
+        countryCode: 'US',
+        allowed,
+      },
+      base + minute * MINUTE
+    );
+
+  for (let i = 0; i < 5; i++) hit(0, true);
+  for (let i = 0; i < 8; i++) hit(3, false); // a spike of denials
+  hit(7, true);
+
+  const perMinute = history.query({
+    startTime: '2025-01-14T10:00:00Z',
+    endTime: '2025-01-14T10:05:00Z',
+  });
+  const counts = [
+    [5, 0],
+    [0, 0],
+    [0, 0],
+    [0, 8],
+    [0, 0],
+  ];
+  expect('Points', perMinute.points.length, counts.length);
+  perMinute.points.forEach((point, i) =>
+    expect(
+      point.timestamp,
+      `allowed ${point.allowed}, denied ${point.denied}`,
+      `allowed ${counts[i][0]}, denied ${counts[i][1]}`
+    )
+  );
+
+  const perFive = history.query({
+    startTime: '2025-01-14T10:00:00Z',
+    endTime: '2025-01-14T10:10:00Z',
+    interval: 300,
+  });
+  expect(
+    '5-minute points',
+    perFive.points.map((p) => p.totalRequests),
+    [13, 1]
+  );
+
+  // Test 2: Minutes older than the retention are dropped
+  console.log('\nTest 2: Retention');
+
+  expect('Minutes kept', history.minutes.size, 3);
+  hit(61, true); // an hour after the first minute, which is dropped
+  expect('Minutes kept after an hour', history.minutes.size, 3);
+  let rejection = null;
+  try {
+    history.query({ startTime: 'yesterday-ish' });
+  } catch (error) {
+    rejection = error.message;
+  }
+  expect(
+    'Invalid query rejected',
+    rejection,
+    'Invalid startTime: yesterday-ish'
+  );
+
+  // Test 3: Top offenders per endpoint
+  console.log('\nTest 3: Top Offenders');
+
+  const limiter = createLimiter();
+
+  // free /api/checkout allows 2 at once (its burst limit)
+  const attempts = { user_bot: 15, 'ip:203.0.113.9': 13, user_ok: 3 };
+  for (const [userId, count] of Object.entries(attempts)) {
+    for (let i = 0; i < count; i++) {
+      await limiter.checkLimit(userId, '/api/checkout', 'free', 'US');
+    }
+  }
+
+  const top = limiter.getTopOffenders({ endpoint: '/api/checkout', limit: 2 });
+  expect(
+    'Top 2 on /api/checkout',
+    top.endpoints.map(({ endpoint, offenders }) => [
+      endpoint,
+      offenders.map(({ userId, denied }) => `${userId} denied ${denied}`),
+    ]),
+    [['/api/checkout', ['user_bot denied 13', 'ip:203.0.113.9 denied 11']]]
+  );
+
+  // Test 4: Memory stays bounded with many countries and users
+  console.log('\nTest 4: Bounded Memory');
+
+  const bounded = new AnalyticsHistory({ maxSeries: 5, offenderCapacity: 3 });
+  for (let i = 0; i < 1000; i++) {
+    bounded.record({
+      userId: `user_${i}`,
+      endpoint: '/api/search',
+      tier: 'free',
+      countryCode: `C${i % 50}`,
+      allowed: i % 2 === 0,
+    });
+  }
+  const [minute] = bounded.minutes.values();
+  expect('Series kept', minute.series.size, 6);
+  expect(
+    'Countries',
+    [...minute.series.values()].map((s) => s.countryCode),
+    ['C0', 'C1', 'C2', 'C3', 'C4', 'OTHER']
+  );
+  expect(
+    'Offenders tracked',
+    minute.offenders.get('/api/search').counts.size,
+    3
+  );
+
+  console.log('\nAll Analytics History Tests Completed!');
+}
+
+run(testAnalyticsHistory);
@@ -0,0 +1,238 @@
+const express = require('express');
+const MockRedis = require('./redisMock');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const { parseConfig } = require('./policy/configSchema');
+const { createLimiter, describe, expect, run } = require('./testHelpers');
+
+// Checkout backend taking 10 requests a minute: free may fill half of it,
+// premium 80%, enterprise all of it
+const CAPACITY = {
+  '/api/checkout': {
+    window: 60,
+    max: 10,
+    tiers: { free: 0.5, premium: 0.8, enterprise: 1.0 },
+  },
+};
+
+// Limiter with the checkout capacity above
+async function createCapacityLimiter(redis = new MockRedis()) {
+  const limiter = createLimiter({}, redis);
+  const { config } = await limiter.configStore.load();
+  await limiter.updateConfig({ ...config, endpointCapacity: CAPACITY }, 'test');
+  return limiter;
+}
+
+async function testCapacity() {
+  console.log('Endpoint Capacity and Load Shedding Tests');
+
+  // Test 1: Lower tiers are shed first as capacity runs out
+  console.log('\nTest 1: Tier Priority');
+
+  const limiter = await createCapacityLimiter();
+  const shed = 'DENIED (load_shed)';
+  const traffic = [
+    ...Array(5).fill(['free', 'ALLOWED']),
+    ['free', shed],
+    ...Array(3).fill(['premium', 'ALLOWED']),
+    ['premium', shed],
+    ...Array(2).fill(['enterprise', 'ALLOWED']),
+  ];
+  for (const [i, [tier, expected]] of traffic.entries()) {
+    const result = await limiter.checkLimit(
+      `user_${i}`,
+      '/api/checkout',
+      tier,
+      'US'
+    );
+    expect(`#${i + 1} ${tier}`, describe(result), expected);
+    if (!result.allowed) {
+      expect(
+        `#${i + 1} retry within the window`,
+        result.retryAfter <= 60,
+        true
+      );
+    }
+  }
+
+  // Test 2: Shed requests cost the client nothing and are not abuse
+  console.log('\nTest 2: Shedding Is Atomic and Not Held Against Clients');
+
+  const shedding = await createCapacityLimiter();
+  for (let i = 0; i < 5; i++) {
+    await shedding.checkLimit(`user_fill_${i}`, '/api/checkout', 'free', 'US');
+  }
+  for (let i = 0; i < 25; i++) {
+    await shedding.checkLimit('user_unlucky', '/api/checkout', 'free', 'US');
+  }
+  const state = await shedding.getBucketState(
+    'user_unlucky',
+    '/api/checkout',
+    'free'
+  );
+  // Nothing logged in the hour, and no burst used
+  expect(
+    'Own bucket after 25 shed requests',
+    state.limits.map((limit) => limit.state),
+    [{ log: [] }, { tat: null }]
+  );
+  expect('Blocked', (await shedding.listBlocks()).length > 0, false);
+  const logged = shedding.getSecurityLog({ userId: 'user_unlucky' });
+  expect('Security log entries', logged.length, 0);
+
+  // A user over their own limit uses none of the endpoint's capacity
+  const premium = await createCapacityLimiter();
+  await premium.setPolicy('premium', '/api/checkout', {
+    window: 3600,
+    max: 2,
+    burst: 2,
+  });
+  for (let i = 0; i < 6; i++) {
+    await premium.checkLimit('user_greedy', '/api/checkout', 'premium', 'US');
+  }
+  const others = [];
+  for (let i = 0; i < 8; i++) {
+    const result = await premium.checkLimit(
+      `user_other_${i}`,
+      '/api/checkout',
+      'premium',
+      'US'
+    );
+    others.push(result.allowed);
+  }
+  expect(
+    'After 4 own-limit denials, others allowed (8 - 2 used)',
+    others.filter(Boolean).length,
+    6
+  );
+
+  // Test 3: Analytics report shedding apart from per-user denials
+  console.log('\nTest 3: Analytics and Metrics');
+
+  const report = limiter.getAnalyticsReport();
+  const { totalAllowed, totalDenied, totalShed } = report.summary;
+  expect(
+    'Summary',
+    { totalAllowed, totalDenied, totalShed },
+    { totalAllowed: 10, totalDenied: 0, totalShed: 2 }
+  );
+  expect(
+    'By tier',
+    report.endpoints.map(
+      (stat) =>
+        `${stat.tier}: allowed ${stat.allowed}, denied ${stat.denied}, ` +
+        `shed ${stat.shed}`
+    ),
+    [
+      'free: allowed 5, denied 0, shed 1',
+      'premium: allowed 3, denied 0, shed 1',
+      'enterprise: allowed 2, denied 0, shed 0',
+    ]
+  );
+  const { totals } = limiter.getAnalyticsHistory({ endpoint: '/api/checkout' });
+  expect('History totals', totals, {
+    allowed: 10,
+    denied: 0,
+    shed: 2,
+    totalRequests: 12,
+  });
+  expect(
+    'Shed metrics',
+    limiter.metrics.registry
+      .render()
+      .split('\n')
+      .filter((line) => line.includes('decision="shed"')),
+    ['free', 'premium'].map(
+      (tier) =>
+        `rate_limit_decisions_total{endpoint="/api/checkout",tier="${tier}",` +
+        'region="DEFAULT",decision="shed"} 1'
+    )
+  );
+  const { endpoints } = shedding.getTopOffenders();
+  expect('Top offenders from shedding', endpoints.length, 0);
+
+  const redis = new MockRedis();
+  const [nodeA, nodeB] = [
+    await createCapacityLimiter(redis),
+    await createCapacityLimiter(redis),
+  ];
+  for (const node of [nodeA, nodeB]) {
+    for (let i = 0; i < 4; i++) {
+      await node.checkLimit(`user_node_${i}`, '/api/checkout', 'free', 'US');
+    }
+    await node.flushAnalytics();
+  }
+  const cluster = await nodeA.getClusterAnalyticsReport();
+  expect(
+    'Cluster across 2 instances',
+    `${cluster.summary.totalAllowed} allowed, ${cluster.summary.totalShed} shed`,
+    '5 allowed, 3 shed'
+  );
+
+  // Test 4: 429 reason and config validation
+  console.log('\nTest 4: HTTP Response and Validation');
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.userId = 'user_http';
+    req.userTier = 'free';
+    req.region = 'US';
+    next();
+  });
+  app.post(
+    '/api/checkout',
+    createRateLimitMiddleware(limiter)('/api/checkout'),
+    (req, res) => res.json({ ok: true })
+  );
+  const server = app.listen(0);
+  try {
+    const response = await fetch(
+      `http://127.0.0.1:${server.address().port}/api/checkout`,
+      { method: 'POST' }
+    );
+    const { retryAfter, ...body } = await response.json();
+    expect(
+      'POST /api/checkout',
+      [response.status, body],
+      [
+        429,
+        {
+          error: 'Endpoint is at capacity, try again shortly',
+          reason: 'load_shed',
+          remaining: 0,
+          limitHit: 'capacity',
+        },
+      ]
+    );
+    expect('Retry-After within the window', retryAfter <= 60, true);
+  } finally {
+    server.close();
+  }
+
+  let problems = [];
+  try {
+    parseConfig({
+      endpointCapacity: {
+        '/api/search': {
+          algorithm: 'token_bucket',
+          window: 0,
+          max: 100,
+          tiers: { free: 1.5, platinum: 0.5 },
+        },
+      },
+    });
+  } catch (error) {
+    problems = error.errors;
+  }
+  const at = 'endpointCapacity./api/search';
+  expect('Invalid capacity', problems, [
+    `${at}.algorithm must be one of sliding_window_counter, ` +
+      'sliding_window_log, fixed_window',
+    `${at}.window must be a positive whole number of seconds`,
+    `${at}.tiers.free must be a share between 0 and 1`,
+    `${at}.tiers: unknown tier platinum`,
+  ]);
+
+  console.log('\nAll Endpoint Capacity Tests Completed!');
+}
+
+run(testCapacity);
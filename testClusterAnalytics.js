@@ -0,0 +1,82 @@
+const MockRedis = require('./redisMock');
+const { HyperLogLog } = require('./analytics/hyperLogLog');
+const { createLimiter, expect, run } = require('./testHelpers');
+
+// Percentage an estimate is off by
+const errorPercent = (estimate, actual) =>
+  (Math.abs(estimate - actual) / actual) * 100;
+
+async function testClusterAnalytics() {
+  console.log('Cluster Analytics Tests');
+
+  // Test 1: Reports merge every instance's counters
+  console.log('\nTest 1: Merged Report Across Instances');
+
+  const redis = new MockRedis();
+  // Analytics are flushed by hand below
+  const nodeA = createLimiter({ instanceId: 'node-a' }, redis);
+  const nodeB = createLimiter({ instanceId: 'node-b' }, redis);
+
+  for (let i = 0; i < 6; i++) {
+    await nodeA.checkLimit(`user_${i}`, '/api/search', 'free', 'US');
+  }
+  for (let i = 0; i < 4; i++) {
+    await nodeB.checkLimit(`user_${i}`, '/api/search', 'free', 'US');
+  }
+  await nodeB.checkLimit('user_de', '/api/search', 'free', 'DE');
+
+  expect('Node A alone', nodeA.getAnalyticsReport().summary.totalRequests, 6);
+  await nodeB.flushAnalytics();
+  const cluster = await nodeA.getClusterAnalyticsReport();
+  expect('Cluster requests', cluster.summary.totalRequests, 11);
+  expect('Instances', cluster.instances.map((i) => i.instanceId).sort(), [
+    'node-a',
+    'node-b',
+  ]);
+  expect(
+    'Endpoints',
+    cluster.endpoints.map(
+      (stat) => `${stat.endpoint} ${stat.countryCode}: ${stat.totalRequests}`
+    ),
+    ['/api/search US: 10', '/api/search DE: 1']
+  );
+
+  // Test 2: Unique users are counted once across instances
+  console.log('\nTest 2: Unique Users Across Instances');
+
+  expect(
+    'Unique users',
+    cluster.uniqueUsers.map(({ endpoint, estimate }) => [endpoint, estimate]),
+    [['/api/search', 7]]
+  );
+
+  // Test 3: Sketch accuracy at scale
+  console.log('\nTest 3: HyperLogLog Accuracy');
+
+  const left = new HyperLogLog();
+  const right = new HyperLogLog();
+  for (let i = 0; i < 60000; i++) left.add(`user_${i}`);
+  for (let i = 40000; i < 100000; i++) right.add(`user_${i}`);
+  const merged = HyperLogLog.fromString(left.toString()).merge(right);
+  // 4096 registers: a standard error of about 1.6%
+  console.log(`Left: ~${left.count()} (actual 60000)`);
+  console.log(`Merged: ~${merged.count()} (actual 100000)`);
+  expect('Left within 3%', errorPercent(left.count(), 60000) < 3, true);
+  expect('Merged within 3%', errorPercent(merged.count(), 100000) < 3, true);
+  expect('Sketch size in bytes', left.toString().length, 5464);
+
+  // Test 4: Instances that stop flushing drop out
+  console.log('\nTest 4: Expired Instances');
+
+  await redis.del('rate:analytics:instance:node-b'); // TTL elapsed
+  const afterExpiry = await nodeA.getClusterAnalyticsReport();
+  expect('Instances', afterExpiry.instances.length, 1);
+  expect('Requests', afterExpiry.summary.totalRequests, 6);
+  expect('Registered', await redis.smembers('rate:analytics:instances'), [
+    'node-a',
+  ]);
+
+  console.log('\nAll Cluster Analytics Tests Completed!');
+}
+
+run(testClusterAnalytics);
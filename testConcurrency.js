@@ -0,0 +1,292 @@
+const express = require('express');
+const MockRedis = require('./redisMock');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const { parseConfig } = require('./policy/configSchema');
+const {
+  ConcurrencyLimiter,
+  acquireSlotScript,
+} = require('./concurrency/concurrencyLimiter');
+const {
+  createLimiter,
+  sleep,
+  describe,
+  expect,
+  run,
+} = require('./testHelpers');
+
+// The decision, and for refusals the limit hit and its slots in use
+const outcome = (slot) =>
+  slot.allowed
+    ? describe(slot)
+    : `${describe(slot)} ${slot.limitHit} ${slot.inFlight}/${slot.limit}`;
+
+// Slots currently stored under a key (live or not)
+async function storedSlots(redis, key) {
+  return Object.keys(JSON.parse((await redis.get(key)) || '{}')).length;
+}
+
+async function testConcurrency() {
+  console.log('Concurrency Limits Tests');
+
+  // Test 1: Free users may have 2 checkouts in flight (configuration.js)
+  console.log('\nTest 1: Per-User Limit');
+
+  const limiter = createLimiter();
+  const slots = [];
+  for (const [i, expected] of [
+    [1, 'ALLOWED'],
+    [2, 'ALLOWED'],
+    [3, 'DENIED (concurrency_limited) perUser 2/2'],
+  ]) {
+    const slot = await limiter.acquireSlot(
+      'user_busy',
+      '/api/checkout',
+      'free',
+      'US'
+    );
+    expect(`Request ${i}`, outcome(slot), expected);
+    if (slot.allowed) slots.push(slot);
+  }
+  const other = await limiter.acquireSlot(
+    'user_other',
+    '/api/checkout',
+    'free',
+    'US'
+  );
+  expect('Another user', outcome(other), 'ALLOWED');
+  expect('Released', await slots[0].release(), true);
+  expect('Released twice', await slots[0].release(), false);
+  const retry = await limiter.acquireSlot(
+    'user_busy',
+    '/api/checkout',
+    'free',
+    'US'
+  );
+  expect('After release', outcome(retry), 'ALLOWED');
+  const [event] = limiter.getSecurityLog({ userId: 'user_busy' });
+  expect(
+    'Logged',
+    `${event.type} limitHit=${event.limitHit}`,
+    'concurrency_limit_exceeded limitHit=perUser'
+  );
+  const search = await limiter.acquireSlot(
+    'user_busy',
+    '/api/search',
+    'free',
+    'US'
+  );
+  expect('Endpoint without concurrency limits', outcome(search), 'ALLOWED');
+
+  // Test 2: perEndpoint is shared by all users on every instance
+  console.log('\nTest 2: Per-Endpoint Limit Across Instances');
+
+  const redis = new MockRedis();
+  const [nodeA, nodeB] = [createLimiter({}, redis), createLimiter({}, redis)];
+  await nodeA.setPolicy('premium', '/api/checkout', {
+    concurrency: { perUser: 2, perEndpoint: 3 },
+  });
+  for (const [i, [node, expected]] of [
+    [nodeA, 'ALLOWED'],
+    [nodeB, 'ALLOWED'],
+    [nodeA, 'ALLOWED'],
+    [nodeB, 'DENIED (concurrency_limited) perEndpoint 3/3'],
+  ].entries()) {
+    const slot = await node.acquireSlot(
+      `user_${i}`,
+      '/api/checkout',
+      'premium',
+      'US'
+    );
+    expect(`user_${i} on node ${i % 2 ? 'B' : 'A'}`, outcome(slot), expected);
+  }
+  const { totalDenied } = nodeB.getAnalyticsReport().summary;
+  expect('Node B denials in analytics', totalDenied, 1);
+
+  // Test 3: Leases are renewed while held and expire when an instance dies
+  console.log('\nTest 3: Leases');
+
+  const leases = new MockRedis();
+  const concurrency = { perUser: 1, lease: 1 };
+  const userKey = 'concurrency:user:user_lease:/api/checkout';
+  const endpointKey = 'concurrency:endpoint:/api/checkout';
+  // A slot taken by an instance that crashed before giving it back
+  await leases.eval(
+    acquireSlotScript,
+    2,
+    userKey,
+    endpointKey,
+    Date.now() / 1000,
+    1,
+    -1,
+    1,
+    'crashed'
+  );
+  const slotLimiter = new ConcurrencyLimiter(leases);
+  const blocked = await slotLimiter.acquire(
+    'user_lease',
+    '/api/checkout',
+    concurrency
+  );
+  expect('Allowed while the crashed slot is leased', blocked.allowed, false);
+  await sleep(1100);
+  const held = await slotLimiter.acquire(
+    'user_lease',
+    '/api/checkout',
+    concurrency
+  );
+  expect('Allowed after its lease ran out', held.allowed, true);
+  await sleep(1600);
+  const again = await slotLimiter.acquire(
+    'user_lease',
+    '/api/checkout',
+    concurrency
+  );
+  expect('Renewed slot still held after 1.6s', !again.allowed, true);
+  expect('Released', await held.slot.release(), true);
+  expect('Slots left', await storedSlots(leases, userKey), 0);
+
+  // Test 4: Slots are given back when the response finishes or the client
+  // goes away
+  console.log('\nTest 4: HTTP and Validation');
+
+  const webRedis = new MockRedis();
+  const webLimiter = createLimiter({}, webRedis);
+  await webLimiter.setPolicy('free', '/api/checkout', {
+    window: 3600,
+    max: 100,
+    burst: 100,
+  });
+  const app = express();
+  app.use((req, res, next) => {
+    req.userId = req.headers['x-user'] || 'user_http';
+    req.userTier = 'free';
+    req.region = 'US';
+    next();
+  });
+  app.post(
+    '/api/checkout',
+    createRateLimitMiddleware(webLimiter)('/api/checkout'),
+    (req, res) => {
+      setTimeout(() => {
+        if (!res.destroyed) res.json({ ok: true });
+      }, 300);
+    }
+  );
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/api/checkout`;
+  const httpKey = 'concurrency:user:user_http:/api/checkout';
+
+  try {
+    const responses = await Promise.all(
+      [0, 1, 2].map(async (i) => {
+        await sleep(i * 50);
+        const response = await fetch(url, { method: 'POST' });
+        const { reason, limitHit } = await response.json();
+        return reason ? `${response.status} ${reason} ${limitHit}` : '200';
+      })
+    );
+    expect('Concurrent requests', responses, [
+      '200',
+      '200',
+      '429 concurrency_limited perUser',
+    ]);
+    const { state } = await webLimiter.getBucketState(
+      'user_http',
+      '/api/checkout',
+      'free'
+    );
+    // The refused request's token is given back
+    expect('Requests counted', state.log.length, 2);
+    await sleep(50);
+    expect(
+      'In flight after responses',
+      await storedSlots(webRedis, httpKey),
+      0
+    );
+
+    const controller = new AbortController();
+    const aborted = fetch(url, {
+      method: 'POST',
+      signal: controller.signal,
+    })
+      .then((response) => response.status)
+      .catch((error) => error.name);
+    await sleep(100);
+    expect('In flight during request', await storedSlots(webRedis, httpKey), 1);
+    controller.abort();
+    expect('Client', await aborted, 'AbortError');
+    await sleep(100);
+    expect(
+      'In flight after disconnect',
+      await storedSlots(webRedis, httpKey),
+      0
+    );
+
+    // With both slots and both tokens in use, a third request is turned
+    // away by its rate limit before it could ask for a slot
+    await webLimiter.setPolicy('free', '/api/checkout', {
+      window: 3600,
+      max: 2,
+      burst: 2,
+    });
+    const limited = await Promise.all(
+      [0, 1, 2].map(async (i) => {
+        await sleep(i * 50);
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'x-user': 'user_limited' },
+        });
+        const { reason } = await response.json();
+        return reason ? `${response.status} ${reason}` : '200';
+      })
+    );
+    expect('Over the rate limit', limited, ['200', '200', '429 rate_limited']);
+  } finally {
+    server.close();
+  }
+
+  let problems = [];
+  try {
+    parseConfig({
+      rateLimits: {
+        free: {
+          '/api/search': {
+            window: 60,
+            max: 10,
+            burst: 10,
+            concurrency: { perUser: 1.5, lease: 0, queue: 5 },
+          },
+          '/api/profile': {
+            window: 60,
+            max: 10,
+            burst: 10,
+            concurrency: {},
+          },
+          '/api/checkout': {
+            window: 60,
+            max: 10,
+            burst: 10,
+            concurrency: { perUser: 1, lease: 0.5 },
+          },
+        },
+        anonymous: {},
+      },
+    });
+  } catch (error) {
+    problems = error.errors;
+  }
+  const at = 'rateLimits.free.';
+  expect('Invalid concurrency', problems, [
+    `${at}/api/search.concurrency: unknown field queue`,
+    `${at}/api/search.concurrency.perUser must be a non-negative integer`,
+    `${at}/api/search.concurrency.lease must be a positive whole number ` +
+      'of seconds',
+    `${at}/api/profile.concurrency needs perUser and/or perEndpoint`,
+    `${at}/api/checkout.concurrency.lease must be a positive whole number ` +
+      'of seconds',
+  ]);
+
+  console.log('\nAll Concurrency Limits Tests Completed!');
+}
+
+run(testConcurrency);
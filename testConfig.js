@@ -0,0 +1,265 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockRedis = require('./redisMock');
+const { parseConfig } = require('./policy/configSchema');
+const { readConfigFile } = require('./policy/configFile');
+const { createLimiter, sleep, expect, run } = require('./testHelpers');
+
+const endpoint = '/api/search';
+
+// Config with one free-tier search policy changed
+function withSearchPolicy(limiter, policy) {
+  const { config } = limiter.configStore.snapshot();
+  return {
+    ...config,
+    rateLimits: {
+      ...config.rateLimits,
+      free: { ...config.rateLimits.free, [endpoint]: policy },
+    },
+  };
+}
+
+async function testConfig() {
+  console.log('Configuration Tests');
+
+  // Test 1: Schema validation
+  console.log('\nTest 1: Schema Validation');
+
+  const search = `rateLimits.free.${endpoint}`;
+  const invalidConfigs = [
+    [
+      'negative window',
+      {
+        rateLimits: {
+          free: { [endpoint]: { window: -60, max: 10, burst: 5 } },
+        },
+      },
+      `${search}.window must be a positive whole number of seconds`,
+    ],
+    [
+      'fractional window',
+      {
+        rateLimits: {
+          free: { [endpoint]: { window: 0.5, max: 10, burst: 5 } },
+        },
+      },
+      `${search}.window must be a positive whole number of seconds`,
+    ],
+    [
+      'burst above max',
+      {
+        rateLimits: {
+          free: { [endpoint]: { window: 60, max: 10, burst: 50 } },
+        },
+      },
+      `${search}.burst must not exceed max`,
+    ],
+    [
+      'unknown tier',
+      { rateLimits: { free: {}, anonymous: {}, platinum: {} } },
+      null,
+    ],
+    [
+      'Infinity outside unlimited',
+      {
+        rateLimits: {
+          free: { [endpoint]: { window: 60, max: 'Infinity', burst: 5 } },
+        },
+      },
+      `${search}.max may only be Infinity in the unlimited tier`,
+    ],
+  ];
+  for (const [name, config, problem] of invalidConfigs) {
+    let problems = [];
+    try {
+      parseConfig(config);
+    } catch (error) {
+      problems = error.errors;
+    }
+    // Each of these also leaves out the required anonymous tier
+    expect(
+      name,
+      problems,
+      problem
+        ? ['rateLimits.anonymous is required', problem]
+        : ['rateLimits: unknown tier platinum']
+    );
+  }
+  let geoProblems = [];
+  try {
+    parseConfig({ geoLimits: { US: { multiplier: 1 } } });
+  } catch (error) {
+    geoProblems = error.errors;
+  }
+  expect('missing DEFAULT', geoProblems, ['geoLimits.DEFAULT is required']);
+
+  // Test 2: JSON and YAML files, with Infinity in each
+  console.log('\nTest 2: JSON and YAML Config Files');
+
+  const jsonFile = path.join(os.tmpdir(), `config-test-${process.pid}.json`);
+  fs.writeFileSync(
+    jsonFile,
+    JSON.stringify({
+      rateLimits: {
+        free: { [endpoint]: { window: 60, max: 10, burst: 5 } },
+        anonymous: { [endpoint]: { window: 60, max: 2, burst: 1 } },
+        unlimited: {
+          [endpoint]: { window: 60, max: 'Infinity', burst: 'Infinity' },
+        },
+      },
+    })
+  );
+  try {
+    const fromJson = parseConfig(readConfigFile(jsonFile));
+    const fromYaml = parseConfig(
+      readConfigFile(path.join(__dirname, 'config.example.yaml'))
+    );
+    expect('JSON free search max', fromJson.rateLimits.free[endpoint].max, 10);
+    expect(
+      'JSON unlimited max',
+      String(fromJson.rateLimits.unlimited[endpoint].max),
+      'Infinity'
+    );
+    expect(
+      'YAML free search limits',
+      fromYaml.rateLimits.free[endpoint].limits,
+      [
+        { window: 3600, max: 100 },
+        { name: 'burst', algorithm: 'gcra', window: 3600, max: 100, burst: 20 },
+      ]
+    );
+    expect(
+      'YAML unlimited max',
+      String(fromYaml.rateLimits.unlimited[endpoint].max),
+      'Infinity'
+    );
+  } finally {
+    fs.unlinkSync(jsonFile);
+  }
+
+  // Test 3: A published version reaches other instances
+  console.log('\nTest 3: Hot Swap Across Instances');
+
+  const redis = new MockRedis();
+  const [limiterA, limiterB] = [redis, redis].map((shared) =>
+    createLimiter({ configRefreshInterval: 100 }, shared)
+  );
+
+  const before = await limiterB.checkLimit('user_cfg', endpoint, 'free', 'US');
+  const v1 = await limiterA.updateConfig(
+    withSearchPolicy(limiterA, {
+      algorithm: 'sliding_window_counter',
+      window: 3600,
+      max: 40,
+      burst: 10,
+    }),
+    'test'
+  );
+  await sleep(150); // refresh interval
+  const after = await limiterB.checkLimit('user_cfg', endpoint, 'free', 'US');
+
+  expect('Before', `version 0, limit ${before.limit}`, 'version 0, limit 100');
+  expect(
+    'After',
+    `version ${limiterB.configVersion}, limit ${after.limit}`,
+    'version 1, limit 40'
+  );
+  expect(
+    'Diff',
+    v1.diff.map((change) => change.path),
+    ['limits', 'window', 'max', 'burst'].map((field) => `${search}.${field}`)
+  );
+
+  // Two instances changing different policies at once both keep theirs
+  await Promise.all([
+    limiterA.setPolicy('free', '/api/profile', { max: 60 }),
+    limiterB.setPolicy('premium', '/api/profile', { max: 300 }),
+  ]);
+  const { config: merged } = await limiterA.configStore.load();
+  expect(
+    'Concurrent changes (free, premium max)',
+    [
+      merged.rateLimits.free['/api/profile'].max,
+      merged.rateLimits.premium['/api/profile'].max,
+    ],
+    [60, 300]
+  );
+
+  // Test 4: An invalid config leaves the running one untouched
+  console.log('\nTest 4: Invalid Config Rejected');
+
+  // The concurrent changes above may have taken one or two tries
+  const { version: current } = await limiterA.configStore.load();
+  let rejected = [];
+  try {
+    await limiterA.updateConfig(
+      withSearchPolicy(limiterA, { window: 0, max: 40, burst: 10 }),
+      'test'
+    );
+  } catch (error) {
+    rejected = error.errors;
+  }
+  expect('Rejected', rejected, [
+    `${search}.window must be a positive whole number of seconds`,
+  ]);
+  const unchanged = await limiterA.checkLimit(
+    'user_cfg',
+    endpoint,
+    'free',
+    'US'
+  );
+  expect(
+    'Still',
+    `version ${limiterA.configVersion}, limit ${unchanged.limit}`,
+    `version ${current}, limit 40`
+  );
+
+  // Test 5: History and one-call rollback
+  console.log('\nTest 5: Versions and Rollback');
+
+  await limiterA.setPolicy('free', endpoint, { max: 60 });
+  const rolledBack = await limiterA.rollbackConfig();
+  expect(
+    'Rollback',
+    `version ${rolledBack.version} (${rolledBack.source}), ` +
+      `free search max ${limiterA.getEndpointPolicy('free', endpoint).max}`,
+    `version ${current + 2} (rollback:${current}), free search max 40`
+  );
+
+  // Newest first; the two concurrent changes may land in either order
+  const history = await limiterA.configStore.history();
+  const describeEntry = (entry) =>
+    `v${entry.version} <- v${entry.previousVersion} ${entry.source}: ` +
+    entry.diff
+      .map(({ path, from, to }) => `${path} ${from} -> ${to}`)
+      .join(', ');
+  expect('Latest versions', history.slice(0, 2).map(describeEntry), [
+    `v${current + 2} <- v${current + 1} rollback:${current}: ` +
+      `${search}.max 60 -> 40`,
+    `v${current + 1} <- v${current} admin: ${search}.max 40 -> 60`,
+  ]);
+  expect(
+    'Concurrent changes',
+    history
+      .slice(2, 4)
+      .flatMap((entry) =>
+        entry.diff.map(({ path, from, to }) => `${path} ${from} -> ${to}`)
+      )
+      .sort(),
+    [
+      'rateLimits.free./api/profile.max 50 -> 60',
+      'rateLimits.premium./api/profile.max 200 -> 300',
+    ]
+  );
+  expect(
+    'First change',
+    `v${history[4].version} <- v${history[4].previousVersion} ` +
+      history[4].source,
+    'v1 <- v0 test'
+  );
+
+  console.log('\nAll Configuration Tests Completed!');
+}
+
+run(testConfig);
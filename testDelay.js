@@ -0,0 +1,260 @@
+const express = require('express');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const { parseConfig } = require('./policy/configSchema');
+const {
+  createLimiter,
+  sleep,
+  describe,
+  expect,
+  run,
+} = require('./testHelpers');
+
+// One token a second for batch clients, who would rather wait than retry
+const BATCH_POLICY = {
+  algorithm: 'gcra',
+  window: 1,
+  max: 1,
+  burst: 1,
+  mode: 'delay',
+  maxWait: 5,
+  maxQueue: 3,
+};
+
+// Limiter with a premium search policy (BATCH_POLICY by default)
+async function createDelayLimiter(policy = BATCH_POLICY) {
+  const limiter = createLimiter();
+  await limiter.setPolicy('premium', '/api/search', policy);
+  return limiter;
+}
+
+// Whole seconds since start, as waits are in seconds
+const elapsed = (start) => Math.round((Date.now() - start) / 1000);
+
+async function testDelay() {
+  console.log('Delay Mode Tests');
+
+  // Test 1: Requests over the limit wait for a token instead of failing
+  console.log('\nTest 1: Delayed Instead of Rejected');
+
+  const limiter = await createDelayLimiter();
+  const enter = limiter.delayQueue.enter.bind(limiter.delayQueue);
+  let lineUps = 0;
+  limiter.delayQueue.enter = (...args) => {
+    lineUps++;
+    return enter(...args);
+  };
+  let start = Date.now();
+  const results = await Promise.all(
+    [1, 2, 3].map(async (i) => {
+      await sleep(i * 20);
+      const result = await limiter.checkLimitOrWait(
+        'user_batch',
+        '/api/search',
+        'premium',
+        'US'
+      );
+      return `${describe(result)} after ${elapsed(start)}s`;
+    })
+  );
+  expect('Requests 1-3', results, [
+    'ALLOWED after 0s',
+    'ALLOWED after 1s',
+    'ALLOWED after 2s',
+  ]);
+  // The first finds nobody waiting and gets its token without queueing
+  expect('Requests queued', lineUps, 2);
+  const { totalAllowed, totalDenied } = limiter.getAnalyticsReport().summary;
+  expect(
+    'Analytics',
+    { totalAllowed, totalDenied },
+    {
+      totalAllowed: 3,
+      totalDenied: 0,
+    }
+  );
+  const plain = await limiter.checkLimit(
+    'user_batch',
+    '/api/search',
+    'premium',
+    'US'
+  );
+  expect(
+    'checkLimit still answers at once',
+    describe(plain),
+    'DENIED (rate_limited)'
+  );
+
+  // Test 2: First come, first served, and at most maxQueue waiting
+  console.log('\nTest 2: FIFO and Bounded Queue');
+
+  const queued = await createDelayLimiter();
+  const order = [];
+  start = Date.now();
+  await Promise.all(
+    [1, 2, 3, 4, 5].map(async (i) => {
+      await sleep(i * 20);
+      const result = await queued.checkLimitOrWait(
+        'user_batch',
+        '/api/search',
+        'premium',
+        'US'
+      );
+      order.push(`#${i} ${describe(result)} after ${elapsed(start)}s`);
+    })
+  );
+  expect('Served in order', order, [
+    '#1 ALLOWED after 0s',
+    '#5 DENIED (queue_full) after 0s',
+    '#2 ALLOWED after 1s',
+    '#3 ALLOWED after 2s',
+    '#4 ALLOWED after 3s',
+  ]);
+  expect('Queues left', queued.delayQueue.queues.size, 0);
+
+  // Token buckets wait for the token too (their count drains with it), and
+  // requests turned away one after another are served in arrival order
+  const bucket = await createDelayLimiter({
+    ...BATCH_POLICY,
+    algorithm: 'token_bucket',
+  });
+  const served = [];
+  start = Date.now();
+  await Promise.all(
+    [1, 2, 3].map(async (i) => {
+      await sleep(i * 20);
+      const result = await bucket.checkLimitOrWait(
+        'user_batch',
+        '/api/search',
+        'premium',
+        'US'
+      );
+      served.push(`#${i} ${describe(result)} after ${elapsed(start)}s`);
+    })
+  );
+  expect('Token bucket', served, [
+    '#1 ALLOWED after 0s',
+    '#2 ALLOWED after 1s',
+    '#3 ALLOWED after 2s',
+  ]);
+
+  // Test 3: No longer than maxWait, and waiting is not abuse
+  console.log('\nTest 3: Max Wait');
+
+  const hourly = await createDelayLimiter({
+    algorithm: 'fixed_window',
+    window: 3600,
+    max: 1,
+    burst: 1,
+    mode: 'delay',
+    maxWait: 5,
+  });
+  await hourly.checkLimitOrWait('user_slow', '/api/search', 'premium', 'US');
+  start = Date.now();
+  const late = await hourly.checkLimitOrWait(
+    'user_slow',
+    '/api/search',
+    'premium',
+    'US'
+  );
+  expect(
+    'Token in an hour',
+    `${describe(late)} after ${elapsed(start)}s`,
+    'DENIED (rate_limited) after 0s'
+  );
+  expect('Retry past maxWait', late.retryAfter > 5, true);
+
+  const patient = await createDelayLimiter({ ...BATCH_POLICY, maxQueue: 10 });
+  await Promise.all(
+    Array.from({ length: 4 }, () =>
+      patient.checkLimitOrWait('user_patient', '/api/search', 'premium', 'US')
+    )
+  );
+  const logged = patient.getSecurityLog({ userId: 'user_patient' });
+  expect('Security log entries after waiting', logged.length, 0);
+  expect('Blocked', (await patient.listBlocks()).length > 0, false);
+
+  // Test 4: Held HTTP requests, disconnects and validation
+  console.log('\nTest 4: HTTP and Validation');
+
+  const webLimiter = await createDelayLimiter();
+  const app = express();
+  app.use((req, res, next) => {
+    req.userId = 'user_http';
+    req.userTier = 'premium';
+    req.region = 'US';
+    next();
+  });
+  app.get(
+    '/api/search',
+    createRateLimitMiddleware(webLimiter)('/api/search'),
+    (req, res) => res.json({ ok: true })
+  );
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/api/search`;
+
+  try {
+    start = Date.now();
+    for (const [i, expected] of [
+      [1, '200 {"ok":true} after 0s'],
+      [2, '200 {"ok":true} after 1s'],
+    ]) {
+      const response = await fetch(url);
+      expect(
+        `GET #${i}`,
+        `${response.status} ${await response.text()} after ${elapsed(start)}s`,
+        expected
+      );
+    }
+
+    const controller = new AbortController();
+    const aborted = fetch(url, { signal: controller.signal }).catch(
+      (error) => error.name
+    );
+    await sleep(200);
+    expect('Waiting', webLimiter.delayQueue.size('user_http:/api/search'), 1);
+    controller.abort();
+    expect('Client', await aborted, 'AbortError');
+    await sleep(100);
+    expect(
+      'Waiting after disconnect',
+      webLimiter.delayQueue.size('user_http:/api/search'),
+      0
+    );
+  } finally {
+    server.close();
+  }
+
+  let problems = [];
+  try {
+    parseConfig({
+      rateLimits: {
+        free: {
+          '/api/search': {
+            window: 60,
+            max: 10,
+            burst: 10,
+            mode: 'queue',
+            maxWait: -1,
+            maxQueue: 2.5,
+          },
+          '/api/profile': { window: 60, max: 10, burst: 10, maxWait: 5 },
+        },
+        anonymous: {},
+      },
+    });
+  } catch (error) {
+    problems = error.errors;
+  }
+  const at = 'rateLimits.free.';
+  expect('Invalid delay settings', problems, [
+    `${at}/api/search.mode must be one of reject, delay`,
+    `${at}/api/search.maxWait must be a positive number of seconds`,
+    `${at}/api/search.maxQueue must be a positive integer`,
+    `${at}/api/search: maxWait and maxQueue need mode: 'delay'`,
+    `${at}/api/profile: maxWait and maxQueue need mode: 'delay'`,
+  ]);
+
+  console.log('\nAll Delay Mode Tests Completed!');
+}
+
+run(testDelay);
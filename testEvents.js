@@ -0,0 +1,271 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const MockRedis = require('./redisMock');
+const {
+  LIMITER_EVENTS,
+  WebhookDispatcher,
+  verifySignature,
+} = require('./events');
+const { createLimiter, expect, run } = require('./testHelpers');
+
+const SECRET = 'test-webhook-secret';
+
+// Local stand-in for webhook receivers: answers each path with the given
+// statuses in turn (the last one repeats) and records the deliveries
+function startReceiver(statuses) {
+  const deliveries = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const sequence = statuses[req.url] || [200];
+      const count = deliveries.filter((d) => d.path === req.url).length;
+      const status = sequence[Math.min(count, sequence.length - 1)];
+      deliveries.push({
+        path: req.url,
+        status,
+        body: JSON.parse(body),
+        valid: verifySignature(
+          SECRET,
+          req.headers['x-webhook-timestamp'],
+          body,
+          req.headers['x-webhook-signature']
+        ),
+      });
+      res.writeHead(status).end();
+    });
+  });
+  server.listen(0);
+  return {
+    server,
+    deliveries,
+    url: `http://127.0.0.1:${server.address().port}`,
+  };
+}
+
+async function testEvents() {
+  console.log('Limiter Events and Webhook Tests');
+
+  // Test 1: Typed events
+  console.log('\nTest 1: Limiter Events');
+
+  const redis = new MockRedis();
+  const limiter = createLimiter(
+    { slowStartEnabled: true, configRefreshInterval: 1 },
+    redis
+  );
+  const counts = {};
+  const firstEvents = {}; // without their timestamps
+  for (const type of LIMITER_EVENTS) {
+    limiter.on(type, ({ timestamp, ...event }) => {
+      counts[type] = (counts[type] || 0) + 1;
+      if (counts[type] === 1) firstEvents[type] = event;
+    });
+  }
+
+  // Slow start (x0.3) cuts the free checkout to 3 an hour, 1 at once
+  for (let i = 0; i < 5; i++) {
+    await limiter.checkLimit('user_events', '/api/checkout', 'free', 'US');
+  }
+  await limiter.setPolicy('free', '/api/search', {
+    window: 3600,
+    max: 500,
+    burst: 20,
+  });
+
+  const originalError = console.error;
+  console.error = () => {}; // expected Redis errors
+  redis.eval = async () => {
+    throw new Error('NOSCRIPT');
+  };
+  redis.get = async () => {
+    throw new Error('connection lost');
+  };
+  await limiter.checkLimit('user_events', '/api/profile', 'free', 'US');
+  console.error = originalError;
+
+  const checkout = {
+    userId: 'user_events',
+    endpoint: '/api/checkout',
+    tier: 'free',
+    countryCode: 'US',
+  };
+  for (const [type, expected] of [
+    [
+      'slow_start_initialized',
+      {
+        userId: 'user_events',
+        endpoint: '/api/checkout',
+        multiplier: 0.3,
+        duration: 86400,
+      },
+    ],
+    [
+      'allowed',
+      { ...checkout, limit: 3, remaining: 0, retryAfter: 0, cost: 1 },
+    ],
+    [
+      'denied',
+      {
+        ...checkout,
+        region: null,
+        limit: 3,
+        remaining: 0,
+        retryAfter: 1200,
+        cost: 1,
+      },
+    ],
+    ['config_changed', { version: 1, previousVersion: 0, source: 'admin' }],
+    [
+      'fail_open',
+      {
+        ...checkout,
+        endpoint: '/api/profile',
+        reason: 'fallback_read_error',
+        error: 'connection lost',
+      },
+    ],
+  ]) {
+    expect(type, firstEvents[type], { type, ...expected });
+  }
+  expect('Counts', counts, {
+    slow_start_initialized: 1,
+    allowed: 1,
+    denied: 4,
+    config_changed: 1,
+    fail_open: 1,
+  });
+
+  // Test 2: A throwing listener does not change the decision
+  console.log('\nTest 2: Listener Errors Are Contained');
+
+  const isolated = createLimiter();
+  isolated.on('denied', () => {
+    throw new Error('listener bug');
+  });
+  console.error = () => {};
+  let result;
+  for (let i = 0; i < 11; i++) {
+    result = await isolated.checkLimit(
+      'user_iso',
+      '/api/checkout',
+      'free',
+      'US'
+    );
+  }
+  console.error = originalError;
+  expect('11th checkout allowed', result.allowed, false);
+
+  // Test 3: Batched, signed deliveries per target
+  console.log('\nTest 3: Webhook Delivery');
+
+  const receiver = startReceiver({});
+  const source = createLimiter();
+  const webhooks = new WebhookDispatcher({
+    targets: [
+      { url: `${receiver.url}/fraud`, events: ['denied'] },
+      { url: `${receiver.url}/all` },
+    ],
+    secret: SECRET,
+    flushInterval: 50,
+  }).attach(source);
+
+  for (let i = 0; i < 12; i++) {
+    await source.checkLimit('user_hook', '/api/checkout', 'free', 'US');
+  }
+  await webhooks.close();
+  // Batches depend on timing; what each target got in all does not. The
+  // 2 allowed checkouts are not sent by default
+  for (const target of ['/fraud', '/all']) {
+    const deliveries = receiver.deliveries.filter((d) => d.path === target);
+    const types = deliveries.flatMap((d) => d.body.events.map((e) => e.type));
+    console.log(`${target}: ${deliveries.length} batches`);
+    expect(
+      `${target} events`,
+      `${types.length} ${[...new Set(types)]}`,
+      '10 denied'
+    );
+    expect(
+      `${target} signatures valid`,
+      deliveries.every((d) => d.valid),
+      true
+    );
+  }
+  expect(
+    'Tampered body accepted',
+    verifySignature(SECRET, '1', '{}', 'sha256=00'),
+    false
+  );
+  receiver.server.close();
+
+  // Test 4: Retries and the dead-letter file
+  console.log('\nTest 4: Retries and Dead Letters');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  const deadLetterFile = path.join(dir, 'dead-letter.jsonl');
+  const flaky = startReceiver({
+    '/flaky': [503, 503, 200],
+    '/down': [500],
+    '/rejects': [400],
+  });
+  const retrying = new WebhookDispatcher({
+    targets: ['/flaky', '/down', '/rejects'].map((p) => ({
+      url: `${flaky.url}${p}`,
+    })),
+    secret: SECRET,
+    maxAttempts: 3,
+    retryDelay: 10,
+    deadLetterFile,
+  });
+
+  try {
+    retrying.write({ type: 'fail_open', reason: 'check_error' });
+    await retrying.close();
+
+    for (const [target, statuses] of [
+      ['/flaky', [503, 503, 200]],
+      ['/down', [500, 500, 500]],
+      ['/rejects', [400]],
+    ]) {
+      const attempts = flaky.deliveries.filter((d) => d.path === target);
+      expect(
+        target,
+        attempts.map((d) => d.status),
+        statuses
+      );
+      expect(
+        `${target} same id`,
+        new Set(attempts.map((d) => d.body.id)).size,
+        1
+      );
+    }
+    const deadLetters = fs
+      .readFileSync(deadLetterFile, 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    expect(
+      'Dead letters',
+      deadLetters.map(
+        (record) =>
+          `${record.url.replace(flaky.url, '')} ${record.error} ` +
+          `after ${record.attempts} attempts`
+      ),
+      ['/rejects HTTP 400 after 1 attempts', '/down HTTP 500 after 3 attempts']
+    );
+    expect(
+      'Delivered, dead-lettered',
+      [retrying.delivered, retrying.deadLettered],
+      [1, 2]
+    );
+  } finally {
+    flaky.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\nAll Limiter Events and Webhook Tests Completed!');
+}
+
+run(testEvents);
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const extractUserInfo = require('./middleware/extractUserInfo');
+const { GeoIpDatabase } = require('./geo/geoIpDatabase');
+const { resolveGeoMultipliers } = require('./geo/geoPolicy');
+const { createLimiter, expect, run } = require('./testHelpers');
+
+const SAMPLE_FILE = path.join(__dirname, 'data', 'geoip.sample.csv');
+
+async function resolveRegion(geoIp, remoteAddress, headers = {}) {
+  const req = { headers, socket: { remoteAddress } };
+  await extractUserInfo({ geoIp })(req, {}, () => {});
+  return req.region;
+}
+
+async function testGeo() {
+  console.log('Geographic Resolution Tests');
+
+  // Test 1: Offline lookup from the sample database
+  console.log('\nTest 1: IP-to-Country Lookup');
+
+  const geoIp = new GeoIpDatabase(SAMPLE_FILE);
+  for (const [ip, expected] of [
+    ['192.0.2.10', 'IN'],
+    ['198.51.100.20', 'CN'],
+    ['203.0.113.30', 'US'],
+    ['::ffff:198.51.100.20', 'CN'],
+    ['2001:db8:42::1', 'DE'],
+    ['8.8.8.8', null],
+  ]) {
+    expect(ip, geoIp.lookup(ip), expected);
+  }
+
+  // Test 2: x-region is ignored for untrusted callers
+  console.log('\nTest 2: Spoofed x-region Header');
+
+  const spoofed = await resolveRegion(geoIp, '198.51.100.20', {
+    'x-region': 'IN',
+  });
+  const unknown = await resolveRegion(geoIp, '8.8.8.8');
+  expect('CN client claiming IN', spoofed, 'CN');
+  expect('Address not in database', unknown, 'ZZ');
+
+  // Test 3: Trusted callers may override the region
+  console.log('\nTest 3: Trusted Override');
+
+  process.env.INTERNAL_API_KEY = 'test-internal-key';
+  const override = await resolveRegion(geoIp, '198.51.100.20', {
+    'x-internal-key': 'test-internal-key',
+    'x-region': 'in',
+  });
+  delete process.env.INTERNAL_API_KEY;
+  expect('Trusted caller with x-region: in', override, 'IN');
+
+  // Test 4: Reload swaps data, and a broken file keeps the old ranges
+  console.log('\nTest 4: Reload');
+
+  const tempFile = path.join(os.tmpdir(), `geoip-test-${process.pid}.csv`);
+  fs.writeFileSync(tempFile, '8.8.8.0,8.8.8.255,US\n');
+  const reloadable = new GeoIpDatabase(tempFile);
+  expect('Before reload, 8.8.8.8', reloadable.lookup('8.8.8.8'), 'US');
+
+  fs.writeFileSync(tempFile, '8.8.8.0,8.8.8.255,EU\n');
+  reloadable.reload();
+  expect('After reload, 8.8.8.8', reloadable.lookup('8.8.8.8'), 'EU');
+
+  fs.writeFileSync(tempFile, 'not-an-ip,8.8.8.255,CN\n');
+  let rejection = null;
+  try {
+    reloadable.reload();
+  } catch (error) {
+    rejection = error.message;
+  }
+  expect(
+    'Broken file rejected',
+    rejection,
+    'Invalid GeoIP range on line 1: not-an-ip,8.8.8.255,CN'
+  );
+  expect('After failure, 8.8.8.8', reloadable.lookup('8.8.8.8'), 'EU');
+  fs.unlinkSync(tempFile);
+
+  // Test 5: Lookup speed over a large database
+  console.log('\nTest 5: Lookup Performance');
+
+  const lines = [];
+  for (let i = 0; i < 50000; i++) {
+    const a = Math.floor(i / 256) + 1;
+    const b = i % 256;
+    lines.push(`${a}.${b}.0.0,${a}.${b}.255.255,${i % 2 ? 'US' : 'CN'}`);
+  }
+  fs.writeFileSync(tempFile, lines.join('\n'));
+  const large = new GeoIpDatabase(tempFile);
+  fs.unlinkSync(tempFile);
+
+  const lookups = 100000;
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < lookups; i++) {
+    large.lookup(`${(i % 195) + 1}.${i % 256}.${i % 200}.1`);
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(
+    `${lookups} lookups over ${large.size} ranges: ${elapsedMs.toFixed(
+      1
+    )}ms (${((elapsedMs * 1000) / lookups).toFixed(2)}µs each)`
+  );
+  expect('Ranges loaded', large.size, 50000);
+  // A binary search: far below the 50µs a lookup could take on a slow box
+  expect('Under 50µs a lookup', (elapsedMs * 1000) / lookups < 50, true);
+
+  // Test 6: Country -> region -> DEFAULT hierarchy
+  console.log('\nTest 6: Country -> Region -> DEFAULT');
+
+  const limiter = createLimiter();
+  // Distinct EU multiplier so region matches are visible
+  limiter.geoMultipliers = {
+    ...limiter.geoMultipliers,
+    EU: { multiplier: 0.8 },
+  };
+  console.log('Scenario: EU x0.8, free /api/profile max=50\n');
+  for (const [country, expected] of [
+    ['US', 'region null, limit 50'],
+    ['DE', 'region EU, limit 40'],
+    ['FR', 'region EU, limit 40'],
+    ['CN', 'region null, limit 25'],
+    ['IN', 'region null, limit 100'],
+    ['BR', 'region null, limit 50'],
+  ]) {
+    const result = await limiter.checkLimit(
+      `geo_user_${country}`,
+      '/api/profile',
+      'free',
+      country
+    );
+    expect(
+      country,
+      `region ${limiter.getRegion(country)}, limit ${result.limit}`,
+      expected
+    );
+  }
+
+  // Test 7: Separate max/burst multipliers and overrides
+  console.log('\nTest 7: Endpoint & Tier Overrides');
+
+  const resolve = (countryCode, tier, endpoint) =>
+    resolveGeoMultipliers({
+      countryCode,
+      region: limiter.getRegion(countryCode),
+      geoLimits: limiter.geoMultipliers,
+      tierGeoLimits: limiter.tierGeoMultipliers[tier],
+      endpointGeoLimits: limiter.config[tier][endpoint].geo,
+    });
+  for (const [countryCode, tier, endpoint, expected] of [
+    [
+      'CN',
+      'free',
+      '/api/checkout',
+      'max x0.3 (endpoint:CN), burst x0.5 (global:CN)',
+    ],
+    [
+      'CN',
+      'free',
+      '/api/profile',
+      'max x0.5 (global:CN), burst x0.5 (global:CN)',
+    ],
+    [
+      'CN',
+      'enterprise',
+      '/api/checkout',
+      'max x1 (tier:CN), burst x1 (tier:CN)',
+    ],
+    [
+      'DE',
+      'free',
+      '/api/checkout',
+      'max x0.8 (global:EU), burst x0.8 (global:EU)',
+    ],
+  ]) {
+    const geo = resolve(countryCode, tier, endpoint);
+    expect(
+      `${countryCode} ${tier} ${endpoint}`,
+      `max x${geo.max} (${geo.source.max}), ` +
+        `burst x${geo.burst} (${geo.source.burst})`,
+      expected
+    );
+  }
+
+  // A country entry beats a region entry, whatever their scopes
+  limiter.geoMultipliers = {
+    ...limiter.geoMultipliers,
+    DE: { multiplier: 0.5 },
+  };
+  limiter.tierGeoMultipliers = {
+    ...limiter.tierGeoMultipliers,
+    premium: { EU: { multiplier: 2.0 } },
+  };
+  const germany = resolve('DE', 'premium', '/api/search');
+  expect(
+    'DE premium, tier EU x2 vs global DE x0.5',
+    `max x${germany.max} (${germany.source.max})`,
+    'max x0.5 (global:DE)'
+  );
+
+  // Test 8: Analytics report country and region
+  console.log('\nTest 8: Analytics by Country and Region');
+
+  const report = limiter.getAnalyticsReport();
+  expect(
+    'Endpoints',
+    report.endpoints.map(
+      (entry) =>
+        `${entry.endpoint} ${entry.countryCode} (region ${entry.region}): ` +
+        `${entry.totalRequests}`
+    ),
+    [
+      '/api/profile US (region null): 1',
+      '/api/profile DE (region EU): 1',
+      '/api/profile FR (region EU): 1',
+      '/api/profile CN (region null): 1',
+      '/api/profile IN (region null): 1',
+      '/api/profile BR (region null): 1',
+    ]
+  );
+  expect(
+    'Regions',
+    report.regions.map(
+      (entry) =>
+        `${entry.region}: ${entry.totalRequests} from ` +
+        `${entry.countries.join(', ')}`
+    ),
+    ['DEFAULT: 4 from US, CN, IN, BR', 'EU: 2 from DE, FR']
+  );
+
+  console.log('\nAll Geographic Tests Completed!');
+}
+
+run(testGeo);
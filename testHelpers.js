@@ -0,0 +1,77 @@
+const { isDeepStrictEqual } = require('util');
+const MockRedis = require('./redisMock');
+const RateLimiter = require('./rateLimiter');
+
+/**
+ * Test helpers
+ * Fixtures shared by the test scripts, and checks: expect() prints a
+ * result and records a failure when it is not the expected one, and run()
+ * ends the script with exit code 1 if any check failed or the test threw
+ */
+
+const ADMIN_KEY = 'test-admin-key';
+
+// Limiter on its own MockRedis (or the one given), with the local cache,
+// slow start and the analytics flush off so results only depend on the
+// test's own requests; options override these
+function createLimiter(options = {}, redis = new MockRedis()) {
+  return new RateLimiter(redis, {
+    cacheEnabled: false,
+    slowStartEnabled: false,
+    analyticsFlushInterval: 0,
+    loggingEnabled: true,
+    ...options,
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 'ALLOWED', or 'DENIED (<reason>)' with plain rate limit denials as
+// rate_limited
+const describe = (result) =>
+  result.allowed ? 'ALLOWED' : `DENIED (${result.reason || 'rate_limited'})`;
+
+const format = (value) =>
+  typeof value === 'string' ? value : JSON.stringify(value);
+
+let failures = 0;
+
+// Print a check's result; a result other than the expected one (compared
+// deeply) is printed with what was expected and fails the run
+function expect(label, actual, expected) {
+  if (isDeepStrictEqual(actual, expected)) {
+    console.log(`${label}: ${format(actual)}`);
+    return true;
+  }
+  failures++;
+  console.log(
+    `FAIL ${label}: ${format(actual)} (expected ${format(expected)})`
+  );
+  return false;
+}
+
+// Run a test script's main function, exiting non-zero on failed checks or
+// an error. The exit code is set rather than exiting, so servers and
+// timers still close normally
+function run(test) {
+  test()
+    .then(() => {
+      if (failures > 0) {
+        console.log(`\n${failures} check(s) failed`);
+        process.exitCode = 1;
+      }
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  ADMIN_KEY,
+  createLimiter,
+  sleep,
+  describe,
+  expect,
+  run,
+};
@@ -0,0 +1,190 @@
+const path = require('path');
+const extractUserInfo = require('./middleware/extractUserInfo');
+const {
+  MemoryAccountStore,
+  JsonFileAccountStore,
+  signJwt,
+} = require('./identity');
+const { expect, run } = require('./testHelpers');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+const accountStore = new MemoryAccountStore([
+  { apiKey: 'key_premium', userId: 'user_premium', tier: 'premium' },
+  { apiKey: 'key_downgraded', userId: 'user_downgraded', tier: 'free' },
+  {
+    apiKey: 'key_internal',
+    userId: 'internal_service',
+    tier: 'unlimited',
+    internal: true,
+  },
+]);
+
+async function identify(
+  headers,
+  options = { accountStore, jwtSecret: JWT_SECRET },
+  remoteAddress = undefined
+) {
+  const req = { headers, socket: { remoteAddress } };
+  await extractUserInfo(options)(req, {}, () => {});
+  return req;
+}
+
+function describe(req) {
+  return (
+    `user=${req.userId} tier=${req.userTier} ` +
+    `method=${req.identity.method} error=${req.identity.error}`
+  );
+}
+
+async function testIdentity() {
+  console.log('Identity & Tier Resolution Tests');
+
+  // Test 1: Self-declared tier is ignored
+  console.log('\nTest 1: Self-Declared x-user-tier Ignored');
+
+  const spoofed = await identify({
+    'x-user-id': 'attacker',
+    'x-user-tier': 'unlimited',
+  });
+  expect(
+    'x-user-tier: unlimited',
+    describe(spoofed),
+    'user=anonymous tier=anonymous method=null error=null'
+  );
+
+  // Test 2: API key lookup
+  console.log('\nTest 2: API Key Resolution');
+
+  expect(
+    'Known key',
+    describe(await identify({ 'x-api-key': 'key_premium' })),
+    'user=user_premium tier=premium method=api_key error=null'
+  );
+  expect(
+    'Unknown key',
+    describe(
+      await identify({ 'x-api-key': 'unknown', 'x-user-tier': 'enterprise' })
+    ),
+    'user=anonymous tier=anonymous method=null error=invalid_api_key'
+  );
+
+  // Test 3: Signed JWTs
+  console.log('\nTest 3: JWT Resolution');
+
+  const now = Math.floor(Date.now() / 1000);
+  const rejected =
+    'user=anonymous tier=anonymous method=null error=invalid_token';
+  const cases = [
+    [
+      'valid',
+      signJwt({ sub: 'jwt_user', tier: 'enterprise' }, JWT_SECRET),
+      'user=jwt_user tier=enterprise method=jwt error=null',
+    ],
+    [
+      'store overrides claims',
+      signJwt({ sub: 'user_downgraded', tier: 'enterprise' }, JWT_SECRET),
+      'user=user_downgraded tier=free method=jwt error=null',
+    ],
+    [
+      'expired',
+      signJwt({ sub: 'jwt_user', exp: now - 10 }, JWT_SECRET),
+      rejected,
+    ],
+    ['wrong secret', signJwt({ sub: 'jwt_user' }, 'other-secret'), rejected],
+    [
+      'alg none',
+      `${Buffer.from('{"alg":"none"}').toString('base64url')}.` +
+        `${Buffer.from('{"sub":"jwt_user","tier":"unlimited"}').toString(
+          'base64url'
+        )}.`,
+      rejected,
+    ],
+  ];
+  for (const [label, token, expected] of cases) {
+    const req = await identify({ authorization: `Bearer ${token}` });
+    expect(label, describe(req), expected);
+  }
+
+  // Test 4: Trusted internal callers may act on behalf of users
+  console.log('\nTest 4: Internal Account Acting for a User');
+
+  const gateway = await identify({
+    'x-api-key': 'key_internal',
+    'x-user-id': 'end_user',
+    'x-user-tier': 'premium',
+  });
+  expect(
+    'Gateway',
+    `${describe(gateway)} trusted=${gateway.trustedCaller}`,
+    'user=end_user tier=premium method=api_key error=null trusted=true'
+  );
+
+  // Test 5: JSON file store with reload
+  console.log('\nTest 5: JSON File Account Store');
+
+  const fileStore = new JsonFileAccountStore(
+    path.join(__dirname, 'accounts.example.json')
+  );
+  const fromFile = await identify(
+    { 'x-api-key': 'dev-enterprise-key' },
+    { accountStore: fileStore }
+  );
+  expect(
+    'From file',
+    describe(fromFile),
+    'user=user_enterprise_1 tier=enterprise method=api_key error=null'
+  );
+  fileStore.reload();
+  expect('Accounts after reload', fileStore.byApiKey.size, 5);
+
+  // Test 6: Anonymous traffic keyed by client IP
+  console.log('\nTest 6: Anonymous Clients Keyed by IP');
+
+  const ipOptions = {
+    accountStore,
+    trustedProxies: ['10.0.0.0/8', 'fd00::/8'],
+  };
+  const ipCases = [
+    ['direct IPv4', '203.0.113.7', {}, 'ip:203.0.113.7'],
+    ['IPv4-mapped IPv6', '::ffff:203.0.113.7', {}, 'ip:203.0.113.7'],
+    [
+      'spoofed XFF (untrusted peer)',
+      '203.0.113.7',
+      { 'x-forwarded-for': '198.51.100.1' },
+      'ip:203.0.113.7',
+    ],
+    [
+      'XFF via trusted proxy',
+      '10.0.0.5',
+      { 'x-forwarded-for': '198.51.100.1, 10.0.0.9' },
+      'ip:198.51.100.1',
+    ],
+    [
+      'XFF with client-forged hop',
+      '10.0.0.5',
+      { 'x-forwarded-for': '1.1.1.1, 198.51.100.1' },
+      'ip:198.51.100.1',
+    ],
+    ['IPv6 host A', '2001:db8:1:2:aaaa::1', {}, 'ip:2001:db8:1:2::/64'],
+    [
+      'IPv6 host B (same /64)',
+      '2001:db8:1:2:bbbb::2',
+      {},
+      'ip:2001:db8:1:2::/64',
+    ],
+    ['IPv6 other /64', '2001:db8:1:3::1', {}, 'ip:2001:db8:1:3::/64'],
+  ];
+  for (const [label, remoteAddress, headers, expected] of ipCases) {
+    const req = await identify(headers, ipOptions, remoteAddress);
+    expect(
+      label,
+      `${req.userId} (tier ${req.userTier})`,
+      `${expected} (tier anonymous)`
+    );
+  }
+
+  console.log('\nAll Identity Tests Completed!');
+}
+
+run(testIdentity);
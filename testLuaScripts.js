@@ -0,0 +1,360 @@
+const MockRedis = require('./redisMock');
+const LuaRedis = require('./redisLua');
+const {
+  ALGORITHMS,
+  getScriptAlgorithm,
+  getScriptOperation,
+} = require('./algorithms');
+const { parseCompositeScript } = require('./algorithms/composite');
+const { isPenaltyScript } = require('./abuse/penaltyBox');
+const { isPublishScript } = require('./policy/configStore');
+const { isOverrideWriteScript } = require('./policy/overrideStore');
+const { getConcurrencyOperation } = require('./concurrency/concurrencyLimiter');
+const { createLimiter, sleep, expect, run } = require('./testHelpers');
+
+// Runs the Lua scripts themselves (see redisLua.js) and checks that each
+// one and its JS twin, which MockRedis and the fallback path run, give the
+// same replies, store the same values and set the same TTLs
+
+// Mock time control to move between windows
+const originalNow = Date.now;
+
+function setMockTime(offset) {
+  global.Date.now = () => originalNow() + offset;
+}
+
+function resetMockTime() {
+  global.Date.now = originalNow;
+}
+
+// Deterministic random numbers (mulberry32), so a difference can be replayed
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Stored value in comparable form: sets as sorted arrays, JSON and number
+// strings parsed
+const normalize = (value) => {
+  if (value instanceof Set) return [...value].sort();
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+// Deep equality with numbers compared to 1e-9 of their size: Lua stores 14
+// significant digits, JS 17
+const same = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => same(item, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return (
+      !Array.isArray(a) &&
+      !Array.isArray(b) &&
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => key in b && same(a[key], b[key]))
+    );
+  }
+  return a === b;
+};
+
+const sameValue = (a, b) => same(normalize(a), normalize(b));
+
+const format = (value) =>
+  JSON.stringify(value instanceof Set ? [...value] : value);
+
+// Script kind for the tally, from its marker comment
+const scriptKind = (script) => {
+  if (parseCompositeScript(script)) return 'composite';
+  const algorithm = getScriptAlgorithm(script);
+  if (algorithm) {
+    return `${algorithm.name} ${getScriptOperation(script)}`;
+  }
+  if (isPenaltyScript(script)) return 'penalty box';
+  if (isPublishScript(script)) return 'config publish';
+  if (isOverrideWriteScript(script)) return 'override write';
+  return `concurrency ${getConcurrencyOperation(script)}`;
+};
+
+// Runs every script both ways on copies of the same data and records where
+// the Lua and its JS twin disagree; the Lua's result is the one kept
+class ComparingRedis extends LuaRedis {
+  constructor() {
+    super();
+    this.twin = new MockRedis();
+    this.compared = new Map(); // script kind -> runs
+    this.differences = [];
+  }
+
+  runScript(script, keys, argv) {
+    const kind = scriptKind(script);
+    this.compared.set(kind, (this.compared.get(kind) || 0) + 1);
+
+    this.twin.data = structuredClone(this.data);
+    const expected = this.twin.runScript(script, keys, argv);
+    const reply = super.runScript(script, keys, argv);
+
+    if (!same(reply, expected)) {
+      this.differences.push(
+        `${kind} reply: ${format(reply)} (JS ${format(expected)})`
+      );
+    }
+    const names = new Set([...this.data.keys(), ...this.twin.data.keys()]);
+    for (const name of names) {
+      const [value, twinValue] = [
+        this.data.get(name),
+        this.twin.data.get(name),
+      ];
+      if (!sameValue(value, twinValue)) {
+        this.differences.push(
+          `${kind} ${name}: ${format(value)} (JS ${format(twinValue)})`
+        );
+      }
+    }
+    return reply;
+  }
+}
+
+// One algorithm's check and adjust scripts against evaluate and adjust over
+// random requests and give-backs; each step starts from the state the Lua
+// left, so differences do not build up. Returns the differences found
+function compareAlgorithm(algorithm, next) {
+  const differences = [];
+  let runs = 0;
+  for (let trial = 0; trial < 20; trial++) {
+    const lua = new LuaRedis();
+    const window = [10, 60, 3600][trial % 3];
+    // Geo and slow start multipliers leave fractional limits
+    const max = Math.round((1 + next() * 19) * (trial % 2 ? 10 : 1)) / 10;
+    const burst = Math.max(0.1, Math.round(next() * max * 10) / 10);
+    let now = 1800000000;
+
+    for (let step = 0; step < 50; step++) {
+      now += Math.floor(next() * (window / 4 + 1));
+      const adjusting = next() < 0.25;
+      const amount = adjusting
+        ? Math.floor(next() * 6) - 2 || 1
+        : 1 + Math.floor(next() * 3);
+      const params = { now, max, burst, window };
+      const keys = algorithm.keys(`user_${trial}:/api/test`, params);
+      const values = keys.map((key) => lua.data.get(key));
+
+      let expected;
+      let reply;
+      lua.ttls.clear();
+      if (adjusting) {
+        expected = algorithm.adjust(values, { ...params, amount });
+        reply = lua.runScript(algorithm.adjustScript, keys, [
+          now,
+          max,
+          burst,
+          window,
+          amount,
+        ]);
+      } else {
+        expected = algorithm.evaluate(values, { ...params, cost: amount });
+        reply = lua.runScript(algorithm.script, keys, [
+          now,
+          max,
+          burst,
+          window,
+          amount,
+        ]);
+      }
+      runs++;
+
+      const where = `${adjusting ? 'adjust' : 'evaluate'} ${JSON.stringify({
+        ...params,
+        amount,
+        values,
+      })}`;
+      const expectedReply = adjusting
+        ? [expected.remaining, expected.reset]
+        : [
+            expected.allowed ? 1 : 0,
+            expected.remaining,
+            expected.retryAfter,
+            expected.reset,
+          ];
+      if (!same(reply, expectedReply)) {
+        differences.push(
+          `${where}: reply ${format(reply)} (JS ${format(expectedReply)})`
+        );
+      }
+      keys.forEach((key, i) => {
+        const written = expected.values[i];
+        const value = lua.data.get(key);
+        if (written === undefined) {
+          if (!sameValue(value, values[i]) || lua.ttls.has(key)) {
+            differences.push(`${where}: ${key} written, JS leaves it`);
+          }
+        } else if (written === null) {
+          if (value !== undefined) {
+            differences.push(`${where}: ${key} kept, JS deletes it`);
+          }
+        } else if (!sameValue(value, written)) {
+          differences.push(
+            `${where}: ${key} ${format(value)} (JS ${format(written)})`
+          );
+        } else if (lua.ttls.get(key) !== expected.ttl) {
+          differences.push(
+            `${where}: ${key} TTL ${lua.ttls.get(key)} (JS ${expected.ttl})`
+          );
+        }
+      });
+    }
+  }
+  return { runs, differences };
+}
+
+async function testLuaScripts() {
+  console.log('Lua Scripts Against Their JS Twins');
+
+  // Test 1: Each algorithm's scripts over random requests and give-backs
+  console.log('\nTest 1: Algorithm Scripts');
+
+  const next = random(42);
+  for (const algorithm of Object.values(ALGORITHMS)) {
+    const { runs, differences } = compareAlgorithm(algorithm, next);
+    expect(
+      `${algorithm.name}: differences in ${runs} runs`,
+      differences.slice(0, 3),
+      []
+    );
+  }
+
+  // Test 2: Composite limits, org and team limits and endpoint capacity
+  console.log('\nTest 2: Composite Scripts Through the Limiter');
+
+  const redis = new ComparingRedis();
+  const limiter = createLimiter({}, redis);
+  const { config } = await limiter.configStore.load();
+  await limiter.updateConfig(
+    {
+      ...config,
+      endpointCapacity: {
+        '/api/checkout': { window: 60, max: 8, tiers: { free: 0.5 } },
+      },
+    },
+    'test'
+  );
+
+  const team = { orgId: 'org_acme', teamId: 'team_platform' };
+  for (let i = 0; i < 25; i++) {
+    setMockTime(i * 7000);
+    await limiter.checkLimit(`user_${i % 3}`, '/api/search', 'free', 'US');
+    await limiter.checkLimit(
+      `user_${i % 3}`,
+      '/api/search',
+      'enterprise',
+      'US',
+      1 + (i % 4),
+      team
+    );
+    // Checkout denials also trip the penalty box
+    await limiter.checkLimit(`user_${i % 5}`, '/api/checkout', 'free', 'CN');
+  }
+  const { charge } = await limiter.checkLimit(
+    'user_refund',
+    '/api/search',
+    'enterprise',
+    'US',
+    5,
+    team
+  );
+  await limiter.settleCharge(charge, 1);
+  await limiter.settleCharge(charge, 8);
+  await limiter.topUpBucket('user_0', '/api/search', 'free', 3);
+  resetMockTime();
+
+  // Test 3: Every algorithm on its own, with top-ups
+  console.log('\nTest 3: Single Limit Scripts Through the Limiter');
+
+  for (const name of Object.keys(ALGORITHMS)) {
+    await limiter.setPolicy('free', '/api/test', {
+      algorithm: name,
+      window: 60,
+      max: 4,
+      burst: 3,
+    });
+    for (let i = 0; i < 12; i++) {
+      setMockTime(i * 9000);
+      const result = await limiter.checkLimit(
+        'user_single',
+        '/api/test',
+        'free',
+        'US',
+        1 + (i % 2)
+      );
+      if (result.charge) await limiter.settleCharge(result.charge, 0);
+      if (i % 5 === 4) {
+        await limiter.topUpBucket('user_single', '/api/test', 'free', 2);
+      }
+    }
+  }
+  resetMockTime();
+
+  // Test 4: Config versions, overrides and concurrency slots
+  console.log('\nTest 4: Config, Override and Concurrency Scripts');
+
+  await limiter.setPolicy('free', '/api/profile', { max: 60 });
+  await limiter.rollbackConfig(1);
+  await limiter.setOverride({ userId: 'user_big' }, '/api/search', {
+    max: 5000,
+  });
+  await limiter.setOverride({ userId: 'user_big' }, '/api/profile', {
+    max: 500,
+    burst: 50,
+  });
+  await limiter.removeOverride({ userId: 'user_big' }, '/api/search');
+  await limiter.removeOverride({ userId: 'user_big' }, '/api/search');
+
+  const slots = [];
+  for (let i = 0; i < 4; i++) {
+    slots.push(
+      await limiter.concurrency.acquire(`user_${i % 2}`, '/api/checkout', {
+        perUser: 1,
+        perEndpoint: 3,
+        lease: 2,
+      })
+    );
+  }
+  await sleep(1100); // Held slots are renewed every half lease
+  await Promise.all(
+    slots.filter((slot) => slot.allowed).map(({ slot }) => slot.release())
+  );
+
+  expect('Differences', redis.differences.slice(0, 5), []);
+  const kinds = [
+    'composite',
+    'penalty box',
+    'config publish',
+    'override write',
+    'concurrency acquire',
+    'concurrency renew',
+    'concurrency release',
+    ...Object.keys(ALGORITHMS).flatMap((name) => [
+      `${name} evaluate`,
+      `${name} adjust`,
+    ]),
+  ];
+  for (const kind of kinds) {
+    expect(`${kind} compared`, redis.compared.get(kind) > 0, true);
+  }
+
+  console.log('\nAll Lua Script Tests Completed!');
+}
+
+run(testLuaScripts);
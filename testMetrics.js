@@ -0,0 +1,99 @@
+const MockRedis = require('./redisMock');
+const { createLimiter, expect, run } = require('./testHelpers');
+
+// Metric lines (not # HELP/# TYPE) starting with a name, one per line
+function metricLines(limiter, name, filter = () => true) {
+  return limiter.metrics.registry
+    .render()
+    .split('\n')
+    .filter((line) => line.startsWith(name) && filter(line))
+    .join('\n');
+}
+
+async function testMetrics() {
+  console.log('Prometheus Metrics Tests');
+
+  // Test 1: Allow/deny counters by endpoint, tier and region
+  console.log('\nTest 1: Decision Counters');
+
+  const limiter = createLimiter();
+
+  // free /api/checkout allows 2 at once (its burst limit)
+  for (let i = 0; i < 12; i++) {
+    await limiter.checkLimit('user_m1', '/api/checkout', 'free', 'US');
+  }
+  // DE and FR are both in the EU region, so they share its series
+  await limiter.checkLimit('user_m2', '/api/search', 'premium', 'DE');
+  await limiter.checkLimit('user_m2', '/api/search', 'premium', 'FR');
+  expect(
+    'Decisions',
+    metricLines(limiter, 'rate_limit_decisions_total'),
+    [
+      'rate_limit_decisions_total{endpoint="/api/checkout",tier="free",region="DEFAULT",decision="allowed"} 2',
+      'rate_limit_decisions_total{endpoint="/api/checkout",tier="free",region="DEFAULT",decision="denied"} 10',
+      'rate_limit_decisions_total{endpoint="/api/search",tier="premium",region="EU",decision="allowed"} 2',
+    ].join('\n')
+  );
+
+  // Test 2: checkLimit latency histogram
+  console.log('\nTest 2: Latency Histogram');
+
+  // Timings vary, so only the 10ms bucket is printed, not checked
+  console.log(
+    metricLines(limiter, 'rate_limit_check_duration_seconds', (line) =>
+      line.includes('le="0.01"')
+    )
+  );
+  expect(
+    'Count and +Inf bucket',
+    metricLines(limiter, 'rate_limit_check_duration_seconds', (line) =>
+      /le="\+Inf"|_count/.test(line)
+    ),
+    'rate_limit_check_duration_seconds_bucket{le="+Inf"} 14\n' +
+      'rate_limit_check_duration_seconds_count 14'
+  );
+
+  // Test 3: Cache hits, Lua failures and fallback activations
+  console.log('\nTest 3: Cache, Lua and Fallback Counters');
+
+  const redis = new MockRedis();
+  const cached = createLimiter({ cacheEnabled: true }, redis);
+  await cached.checkLimit('user_m3', '/api/search', 'free', 'US');
+  await cached.checkLimit('user_m3', '/api/search', 'free', 'US');
+
+  redis.eval = async () => {
+    throw new Error('NOSCRIPT');
+  };
+  await cached.checkLimit('user_m4', '/api/search', 'free', 'US');
+
+  for (const name of [
+    'rate_limit_cache_hits_total',
+    'rate_limit_lua_errors_total',
+    'rate_limit_fallback_total',
+  ]) {
+    expect(name, metricLines(cached, name), `${name} 1`);
+  }
+
+  // Test 4: Fail-open events
+  console.log('\nTest 4: Fail-Open Counter');
+
+  redis.get = async () => {
+    throw new Error('connection lost');
+  };
+  const result = await cached.checkLimit(
+    'user_m5',
+    '/api/search',
+    'free',
+    'US'
+  );
+  expect('Allowed while Redis is down', result.allowed, true);
+  expect(
+    'Fail-open',
+    metricLines(cached, 'rate_limit_fail_open_total'),
+    'rate_limit_fail_open_total{reason="fallback_read_error"} 1'
+  );
+
+  console.log('\nAll Metrics Tests Completed!');
+}
+
+run(testMetrics);
@@ -0,0 +1,271 @@
+const EventEmitter = require('events');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const extractUserInfo = require('./middleware/extractUserInfo');
+const { resolveRequestCost } = require('./costModel');
+const { createLimiter, describe, expect, run } = require('./testHelpers');
+
+// Minimal stand-ins for Express req/res
+function createRequest(overrides = {}) {
+  return {
+    userId: 'user_mw',
+    userTier: 'free',
+    region: 'US',
+    method: 'GET',
+    query: {},
+    body: {},
+    headers: {},
+    ...overrides,
+  };
+}
+
+function createResponse() {
+  return Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = String(value);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+}
+
+async function runMiddleware(middleware, req) {
+  const res = createResponse();
+  let nextCalled = false;
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  res.emit('finish');
+  return { res, nextCalled };
+}
+
+async function testMiddleware() {
+  console.log('Rate Limit Middleware Tests');
+
+  // Time stands still in the header tests, so resets do not drift a second
+  const realNow = Date.now;
+  const frozen = realNow();
+  Date.now = () => frozen;
+
+  // Test 1: IETF draft-7 and legacy headers
+  console.log('\nTest 1: Standard + Legacy Headers (draft-7)');
+
+  const limiter1 = createLimiter();
+  const middleware1 = createRateLimitMiddleware(limiter1)('/api/profile');
+  const { res: res1 } = await runMiddleware(middleware1, createRequest());
+
+  for (const [name, expected] of [
+    ['RateLimit', 'limit=50, remaining=9, reset=72'],
+    ['RateLimit-Policy', '50;w=3600'],
+    ['X-RateLimit-Limit', '50'],
+    ['X-RateLimit-Remaining', '9'],
+    ['X-RateLimit-Reset', String(Math.ceil(frozen / 1000) + 72)],
+  ]) {
+    expect(name, res1.headers[name], expected);
+  }
+
+  // Test 2: draft-8 headers with geo multiplier applied to the limit
+  console.log('\nTest 2: draft-8 Headers (CN region, 0.5x)');
+
+  const limiter2 = createLimiter();
+  const middleware2 = createRateLimitMiddleware(limiter2, {
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+  })('/api/profile');
+  const { res: res2 } = await runMiddleware(
+    middleware2,
+    createRequest({ region: 'CN' })
+  );
+
+  expect(
+    'RateLimit-Policy',
+    res2.headers['RateLimit-Policy'],
+    '"free_api_profile";q=25;w=3600'
+  );
+  expect(
+    'RateLimit',
+    res2.headers['RateLimit'],
+    '"free_api_profile";r=4;t=144'
+  );
+  expect('Legacy headers sent', 'X-RateLimit-Remaining' in res2.headers, false);
+
+  // Test 3: Retry-After on 429
+  console.log('\nTest 3: Retry-After on 429');
+
+  const limiter3 = createLimiter();
+  const middleware3 = createRateLimitMiddleware(limiter3)('/api/checkout');
+  let denied = null;
+  for (let i = 0; i < 12 && !denied; i++) {
+    const { res } = await runMiddleware(middleware3, createRequest());
+    if (res.statusCode === 429) denied = res;
+  }
+
+  expect('Status', denied.statusCode, 429);
+  expect('Retry-After', denied.headers['Retry-After'], '360');
+  expect(
+    'RateLimit',
+    denied.headers['RateLimit'],
+    'limit=10, remaining=0, reset=720'
+  );
+  Date.now = realNow;
+
+  // Test 4: Unlimited tier has no limit to report
+  console.log('\nTest 4: Unlimited Tier Headers');
+
+  const { res: res4, nextCalled } = await runMiddleware(
+    middleware1,
+    createRequest({ userTier: 'unlimited' })
+  );
+  expect('next() called', nextCalled, true);
+  expect('RateLimit sent', 'RateLimit' in res4.headers, false);
+
+  // Test 5: Client-supplied x-cost is ignored
+  console.log('\nTest 5: Untrusted x-cost Header Ignored');
+
+  for (const header of ['0', '-5', 'NaN', '1000']) {
+    const req = { headers: { 'x-cost': header } };
+    await extractUserInfo()(req, createResponse(), () => {});
+    const cost = resolveRequestCost(
+      { ...req, method: 'GET', query: {} },
+      '/api/search'
+    );
+    expect(`x-cost: ${header}, cost`, cost, 1);
+  }
+
+  // Test 6: Server-side cost functions
+  console.log('\nTest 6: Per-Endpoint Cost Functions');
+
+  const costCases = [
+    ['/api/search', { method: 'GET', query: { limit: '100' } }, 5],
+    ['/api/search', { method: 'GET', query: { limit: '-3' } }, 1],
+    ['/api/checkout', { method: 'POST', body: { amount: 299.99 } }, 1],
+    ['/api/checkout', { method: 'POST', body: { amount: 2600 } }, 6],
+    ['/api/checkout', { method: 'POST', body: { amount: 1e9 } }, 10],
+    ['/api/profile', { method: 'PUT', query: {} }, 2],
+  ];
+  for (const [endpoint, req, expected] of costCases) {
+    const cost = resolveRequestCost({ headers: {}, ...req }, endpoint);
+    expect(
+      `${endpoint} ${JSON.stringify(req.query || req.body)}, cost`,
+      cost,
+      expected
+    );
+  }
+
+  // Test 7: Trusted internal callers may set x-cost (still clamped)
+  console.log('\nTest 7: Trusted Caller x-cost Override');
+
+  process.env.INTERNAL_API_KEY = 'test-internal-key';
+  for (const [key, header, expected] of [
+    ['test-internal-key', '3', 3],
+    ['test-internal-key', '50', 10],
+    ['wrong-key', '3', 1],
+  ]) {
+    const req = {
+      method: 'GET',
+      query: {},
+      headers: { 'x-internal-key': key, 'x-cost': header },
+    };
+    await extractUserInfo()(req, createResponse(), () => {});
+    expect(
+      `trusted=${req.trustedCaller} x-cost: ${header}, cost`,
+      resolveRequestCost(req, '/api/search'),
+      expected
+    );
+  }
+  delete process.env.INTERNAL_API_KEY;
+
+  // Test 8: A checkout's cost fits every tier's policy, even in slow start
+  console.log('\nTest 8: Checkout for New, Free and Anonymous Users');
+
+  const checkoutLimiter = createLimiter({ slowStartEnabled: true });
+  const checkout = createRateLimitMiddleware(checkoutLimiter)('/api/checkout');
+  for (const [userId, userTier, amount, expected] of [
+    ['user_new', 'free', 120, 'allowed'],
+    ['user_new_big', 'free', 2600, '429 cost_exceeds_limit (cost 6, max 1)'],
+    ['ip:203.0.113.7', 'anonymous', 120, 'allowed'],
+  ]) {
+    const { res, nextCalled } = await runMiddleware(
+      checkout,
+      createRequest({ userId, userTier, method: 'POST', body: { amount } })
+    );
+    const outcome = nextCalled
+      ? 'allowed'
+      : `${res.statusCode} ${res.body.reason} (cost ${res.body.cost}, ` +
+        `max ${res.body.maxCost})`;
+    expect(`${userTier} ${userId}, amount ${amount}`, outcome, expected);
+  }
+
+  // Past slow start, free users get their 2 checkouts at once
+  const rampedLimiter = createLimiter();
+  const rampedCheckout =
+    createRateLimitMiddleware(rampedLimiter)('/api/checkout');
+  const completed = [];
+  for (let i = 0; i < 3; i++) {
+    const { nextCalled } = await runMiddleware(
+      rampedCheckout,
+      createRequest({ userId: 'user_ramped', method: 'POST', body: {} })
+    );
+    completed.push(nextCalled ? 'ok' : '429');
+  }
+  expect('free user_ramped', completed, ['ok', 'ok', '429']);
+  const guest = [];
+  for (let i = 0; i < 2; i++) {
+    const { nextCalled } = await runMiddleware(
+      rampedCheckout,
+      createRequest({
+        userId: 'ip:198.51.100.4',
+        userTier: 'anonymous',
+        method: 'POST',
+        body: { amount: 900 },
+      })
+    );
+    guest.push(nextCalled ? 'ok' : '429');
+  }
+  expect('anonymous guest, amount 900', guest, ['ok', '429']);
+
+  // Test 9: A cache hit is charged nothing, so costly requests skip it
+  console.log('\nTest 9: Costly Requests Are Not Served From the Cache');
+
+  const cachingLimiter = createLimiter({ cacheEnabled: true });
+  const costly = [];
+  for (let i = 0; i < 3; i++) {
+    const result = await cachingLimiter.checkLimit(
+      'user_costly',
+      '/api/profile',
+      'free',
+      'US',
+      5
+    );
+    costly.push(describe(result));
+  }
+  expect('3 requests of cost 5, burst 10', costly, [
+    'ALLOWED',
+    'ALLOWED',
+    'DENIED (rate_limited)',
+  ]);
+  const { redis } = cachingLimiter;
+  const originalEval = redis.eval.bind(redis);
+  let evals = 0;
+  redis.eval = (...args) => {
+    evals++;
+    return originalEval(...args);
+  };
+  for (let i = 0; i < 3; i++) {
+    await cachingLimiter.checkLimit('user_cheap', '/api/profile', 'free', 'US');
+  }
+  expect('3 requests of cost 1, checked in Redis', evals, 1);
+
+  console.log('\nAll Middleware Tests Completed!');
+}
+
+run(testMiddleware);
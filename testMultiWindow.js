@@ -0,0 +1,253 @@
+const express = require('express');
+const createAdminRouter = require('./admin/adminRouter');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const { parseConfig } = require('./policy/configSchema');
+const { calendarPeriod } = require('./policy/policyLimits');
+const {
+  ADMIN_KEY,
+  createLimiter,
+  describe,
+  expect,
+  run,
+} = require('./testHelpers');
+
+// The decision, remaining requests and the limit that denied it, if any
+const outcome = (result) =>
+  `${describe(result)} | Remaining: ${result.remaining}` +
+  (result.limitHit ? ` | Hit: ${result.limitHit}` : '');
+
+async function testMultiWindow() {
+  console.log('Multiple Windows per Endpoint Tests');
+
+  // Test 1: The tightest limit decides, and denials name it
+  console.log('\nTest 1: Several Limits Checked Together');
+
+  const limiter = createLimiter();
+  await limiter.setPolicy('premium', '/api/search', {
+    limits: [
+      { window: 60, max: 3 },
+      { window: 3600, max: 100 },
+      { window: 'month', max: 20000, name: 'monthly_quota' },
+    ],
+  });
+  let result;
+  for (const [i, expected] of [
+    [1, 'ALLOWED | Remaining: 2'],
+    [2, 'ALLOWED | Remaining: 1'],
+    [3, 'ALLOWED | Remaining: 0'],
+    [4, 'DENIED (rate_limited) | Remaining: 0 | Hit: 3/minute'],
+  ]) {
+    result = await limiter.checkLimit(
+      'user_multi',
+      '/api/search',
+      'premium',
+      'US'
+    );
+    expect(`Request ${i}`, outcome(result), expected);
+  }
+  expect(
+    'Limits after request 4',
+    result.limits.map(
+      (limit) => `${limit.name} ${limit.remaining}/${limit.limit}`
+    ),
+    ['3/minute 0/3', '100/hour 97/100', 'monthly_quota 19997/20000']
+  );
+
+  // Test 2: A request denied by one limit uses none of the others
+  console.log('\nTest 2: Denials Do Not Consume Other Limits');
+
+  await limiter.setPolicy('premium', '/api/search', {
+    limits: [
+      { window: 60, max: 100 },
+      { window: 3600, max: 5, name: 'hourly', algorithm: 'fixed_window' },
+    ],
+  });
+  for (let i = 0; i < 10; i++) {
+    result = await limiter.checkLimit(
+      'user_quota',
+      '/api/search',
+      'premium',
+      'US'
+    );
+  }
+  expect(
+    '10th request',
+    outcome(result),
+    'DENIED (rate_limited) | Remaining: 0 | Hit: hourly'
+  );
+  const state = await limiter.getBucketState(
+    'user_quota',
+    '/api/search',
+    'premium'
+  );
+  expect(
+    'Counted (only the 5 allowed)',
+    // The sliding window counter's count is its current window's
+    state.limits.map(
+      ({ name, algorithm, state: counts }) =>
+        `${name} (${algorithm}) ${
+          algorithm === 'sliding_window_counter' ? counts.current : counts.count
+        }`
+    ),
+    ['100/minute (sliding_window_counter) 5', 'hourly (fixed_window) 5']
+  );
+  const topUp = await limiter.topUpBucket(
+    'user_quota',
+    '/api/search',
+    'premium',
+    2
+  );
+  expect(
+    'Top-up of 2',
+    topUp.limits.map((limit) => `${limit.name}=${limit.remaining}`),
+    ['100/minute=97', 'hourly=2']
+  );
+
+  // Test 3: Calendar quotas reset at the start of the day/month (UTC)
+  console.log('\nTest 3: Calendar Windows');
+
+  const leapDay = Date.UTC(2024, 1, 29, 15, 30) / 1000;
+  for (const [window, expected] of [
+    ['day', '2024-02-29T00:00:00.000Z -> 2024-03-01T00:00:00.000Z'],
+    ['month', '2024-02-01T00:00:00.000Z -> 2024-03-01T00:00:00.000Z'],
+  ]) {
+    const { start, end } = calendarPeriod(window, leapDay);
+    expect(
+      window,
+      `${new Date(start * 1000).toISOString()} -> ` +
+        `${new Date(end * 1000).toISOString()}`,
+      expected
+    );
+  }
+
+  await limiter.setPolicy('premium', '/api/search', {
+    limits: [
+      { window: 60, max: 100 },
+      { window: 'day', max: 2 },
+    ],
+  });
+  for (let i = 0; i < 3; i++) {
+    result = await limiter.checkLimit(
+      'user_daily',
+      '/api/search',
+      'premium',
+      'US'
+    );
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const { end } = calendarPeriod('day', now);
+  expect(
+    '3rd request',
+    outcome(result),
+    'DENIED (rate_limited) | Remaining: 0 | Hit: 2/day'
+  );
+  expect(
+    'Retry-After reaches midnight UTC',
+    Math.abs(now + result.retryAfter - end) <= 1,
+    true
+  );
+
+  // Test 4: Validation, admin API and the 429 body
+  console.log('\nTest 4: Config Validation and HTTP');
+
+  const at = 'rateLimits.free./api/search';
+  const invalid = [
+    [
+      { window: 60, max: 10, limits: [{ window: 1, max: 2 }] },
+      [
+        `${at}: window goes in limits when limits is set`,
+        `${at}: max goes in limits when limits is set`,
+      ],
+    ],
+    [
+      {
+        limits: [
+          { window: 'week', max: 10 },
+          { window: 'month', max: 5, algorithm: 'token_bucket' },
+          { window: 60, max: 5, burst: 10 },
+          { window: 3600, max: 10 },
+          { window: 3600, max: 10 },
+        ],
+      },
+      [
+        `${at}.limits[0].window must be a positive whole number of ` +
+          'seconds or one of day, month',
+        `${at}.limits[1]: calendar windows always use fixed_window`,
+        `${at}.limits[2].burst must not exceed max`,
+        `${at}.limits[4]: duplicate limit name 10/hour`,
+      ],
+    ],
+  ];
+  for (const [i, [policy, errors]] of invalid.entries()) {
+    let problems = [];
+    try {
+      parseConfig({
+        rateLimits: { free: { '/api/search': policy }, anonymous: {} },
+      });
+    } catch (error) {
+      problems = error.errors;
+    }
+    expect(`Invalid policy ${i + 1}`, problems, errors);
+  }
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.userId = 'user_http';
+    req.userTier = 'premium';
+    req.region = 'US';
+    next();
+  });
+  app.use('/admin', createAdminRouter(limiter, { adminKey: ADMIN_KEY }));
+  app.get(
+    '/api/search',
+    createRateLimitMiddleware(limiter)('/api/search'),
+    (req, res) => res.json({ ok: true })
+  );
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const response = await fetch(
+      `${baseUrl}/admin/policies/premium/api/search`,
+      {
+        method: 'PUT',
+        headers: {
+          'x-admin-key': ADMIN_KEY,
+          'content-type': 'application/json',
+        },
+        body: JSON.stringify({
+          limits: [
+            { window: 1, max: 10 },
+            { window: 'month', max: 1 },
+          ],
+        }),
+      }
+    );
+    expect('PUT limits', response.status, 200);
+    const allowed = await fetch(`${baseUrl}/api/search`);
+    expect('GET /api/search', allowed.status, 200);
+    const denied = await fetch(`${baseUrl}/api/search`);
+    const { retryAfter, ...body } = await denied.json();
+    expect(
+      'GET /api/search again',
+      [denied.status, body],
+      [
+        429,
+        {
+          error: 'Rate limit exceeded',
+          reason: 'rate_limited',
+          remaining: 0,
+          limitHit: '1/month',
+        },
+      ]
+    );
+    expect('Retry-After at the end of the month', retryAfter > 0, true);
+  } finally {
+    server.close();
+  }
+
+  console.log('\nAll Multiple Windows Tests Completed!');
+}
+
+run(testMultiWindow);
@@ -0,0 +1,210 @@
+const express = require('express');
+const extractUserInfo = require('./middleware/extractUserInfo');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const { MemoryAccountStore } = require('./identity');
+const { parseConfig } = require('./policy/configSchema');
+const { createLimiter, describe, expect, run } = require('./testHelpers');
+
+const ACME = { orgId: 'org_acme', teamId: 'team_platform' };
+const ACME_DATA = { orgId: 'org_acme', teamId: 'team_data' };
+
+// The decision, remaining requests and the limit that denied it, if any
+const outcome = (result) =>
+  `${describe(result)} | Remaining: ${result.remaining}` +
+  (result.limitHit ? ` | Hit: ${result.limitHit}` : '');
+
+// How many got in and the denial that stopped them
+const drained = ({ allowed, result }) =>
+  `${allowed} allowed, then ${outcome(result)}`;
+
+// Send requests for a user until one is denied; returns how many got in
+async function drain(limiter, userId, groups, limit = 20) {
+  for (let i = 0; i < limit; i++) {
+    const result = await limiter.checkLimit(
+      userId,
+      '/api/search',
+      'enterprise',
+      'US',
+      1,
+      groups
+    );
+    if (!result.allowed) return { allowed: i, result };
+  }
+  return { allowed: limit, result: null };
+}
+
+async function testOrgLimits() {
+  console.log('Organisation and Team Limits Tests');
+
+  const limiter = createLimiter();
+  await limiter.setPolicy('enterprise', '/api/search', {
+    algorithm: 'fixed_window',
+    window: 3600,
+    max: 4,
+    burst: 4,
+    team: { window: 3600, max: 6 },
+    org: { window: 3600, max: 8 },
+  });
+
+  // Test 1: Users of one organisation share its bucket
+  console.log('\nTest 1: Shared Organisation Bucket');
+
+  expect(
+    'user_a',
+    drained(await drain(limiter, 'user_a', ACME)),
+    '4 allowed, then DENIED (rate_limited) | Remaining: 0 | Hit: 4/hour'
+  );
+  expect(
+    'user_b',
+    drained(await drain(limiter, 'user_b', ACME_DATA)),
+    '4 allowed, then DENIED (rate_limited) | Remaining: 0 | Hit: 4/hour'
+  );
+  expect(
+    'user_c',
+    drained(await drain(limiter, 'user_c', ACME_DATA)),
+    '0 allowed, then DENIED (rate_limited) | Remaining: 0 | Hit: org:8/hour'
+  );
+  const outsider = await drain(limiter, 'user_d', { orgId: 'org_globex' });
+  expect('Other org allowed', outsider.allowed, 4);
+
+  // Test 2: Levels above the user
+  console.log('\nTest 2: Team Limits Between User and Org');
+
+  const teams = createLimiter();
+  await teams.setPolicy('enterprise', '/api/search', {
+    algorithm: 'fixed_window',
+    window: 3600,
+    max: 4,
+    burst: 4,
+    team: { window: 3600, max: 6 },
+    org: { window: 3600, max: 100 },
+  });
+  await drain(teams, 'user_a', ACME);
+  const teammate = await drain(teams, 'user_e', ACME);
+  expect(
+    'Teammate',
+    drained(teammate),
+    '2 allowed, then DENIED (rate_limited) | Remaining: 0 | Hit: team:6/hour'
+  );
+  const otherTeam = await drain(teams, 'user_b', ACME_DATA);
+  expect('Other team allowed', otherTeam.allowed, 4);
+  expect(
+    'Teammate limits',
+    teammate.result.limits.map(
+      (limit) => `${limit.name} ${limit.remaining}/${limit.limit}`
+    ),
+    ['4/hour 2/4', 'team:6/hour 0/6', 'org:100/hour 94/100']
+  );
+
+  // Test 3: A request denied at one level consumes no tokens at the others
+  console.log('\nTest 3: All or Nothing');
+
+  const atomic = createLimiter();
+  await atomic.setPolicy('enterprise', '/api/search', {
+    algorithm: 'fixed_window',
+    window: 3600,
+    max: 3,
+    burst: 3,
+    org: { window: 3600, max: 10 },
+  });
+  // user_a keeps hitting their own limit; the org must not pay for it
+  for (let i = 0; i < 10; i++) {
+    await atomic.checkLimit('user_a', '/api/search', 'enterprise', 'US', 1, {
+      orgId: 'org_acme',
+    });
+  }
+  const colleague = await drain(atomic, 'user_b', { orgId: 'org_acme' });
+  expect(
+    'After 7 denials for user_a, user_b allowed (3 own)',
+    colleague.allowed,
+    3
+  );
+  expect(
+    'user_c',
+    drained(await drain(atomic, 'user_c', { orgId: 'org_acme' })),
+    '3 allowed, then DENIED (rate_limited) | Remaining: 0 | Hit: 3/hour'
+  );
+  const state = await atomic.getBucketState(
+    'user_c',
+    '/api/search',
+    'enterprise'
+  );
+  expect('user_c own bucket', state.state, { count: 3 });
+  const [event] = atomic.getSecurityLog({
+    type: 'rate_limit_exceeded',
+    userId: 'user_c',
+  });
+  expect(
+    'Logged',
+    `${event.type} ${event.userId} org=${event.orgId} limitHit=${event.limitHit}`,
+    'rate_limit_exceeded user_c org=org_acme limitHit=3/hour'
+  );
+
+  // Test 4: Accounts carry their org and team through to the limiter
+  console.log('\nTest 4: Identity, Config and HTTP');
+
+  const accountStore = new MemoryAccountStore([
+    { apiKey: 'key-a', userId: 'user_a', tier: 'enterprise', ...ACME },
+    { apiKey: 'key-b', userId: 'user_b', tier: 'enterprise', ...ACME_DATA },
+  ]);
+  const webLimiter = createLimiter();
+  await webLimiter.setPolicy('enterprise', '/api/search', {
+    algorithm: 'fixed_window',
+    window: 3600,
+    max: 2,
+    burst: 2,
+    org: { window: 3600, max: 3, name: 'acme_hourly' },
+  });
+  const app = express();
+  app.use(extractUserInfo({ accountStore }));
+  app.get(
+    '/api/search',
+    createRateLimitMiddleware(webLimiter)('/api/search'),
+    (req, res) => res.json({ user: req.userId, org: req.orgId })
+  );
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const served = { user: 'user_a', org: 'org_acme' };
+    for (const [apiKey, status, expected] of [
+      ['key-a', 200, served],
+      ['key-a', 200, served],
+      ['key-b', 200, { user: 'user_b', org: 'org_acme' }],
+      ['key-b', 429, { reason: 'rate_limited', limitHit: 'org:acme_hourly' }],
+    ]) {
+      const response = await fetch(`${baseUrl}/api/search`, {
+        headers: { 'x-api-key': apiKey },
+      });
+      const body = await response.json();
+      const picked = Object.fromEntries(
+        Object.keys(expected).map((field) => [field, body[field]])
+      );
+      expect(apiKey, [response.status, picked], [status, expected]);
+    }
+  } finally {
+    server.close();
+  }
+
+  let problems = [];
+  try {
+    parseConfig({
+      rateLimits: {
+        free: {
+          '/api/search': { window: 60, max: 10, burst: 10, org: [], team: 5 },
+        },
+        anonymous: {},
+      },
+    });
+  } catch (error) {
+    problems = error.errors;
+  }
+  expect('Invalid org and team', problems, [
+    'rateLimits.free./api/search.team[0] must be an object',
+    'rateLimits.free./api/search.org must be a non-empty list',
+  ]);
+
+  console.log('\nAll Organisation and Team Limits Tests Completed!');
+}
+
+run(testOrgLimits);
@@ -0,0 +1,364 @@
+const express = require('express');
+const MockRedis = require('./redisMock');
+const createAdminRouter = require('./admin/adminRouter');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const extractUserInfo = require('./middleware/extractUserInfo');
+const { MemoryAccountStore } = require('./identity');
+const { apiKeyId } = require('./policy/overrideStore');
+const {
+  ADMIN_KEY,
+  createLimiter,
+  sleep,
+  expect,
+  run,
+} = require('./testHelpers');
+
+// Free search at 3 requests, so overrides are easy to tell apart
+const FREE_POLICY = { algorithm: 'gcra', window: 3600, max: 3, burst: 3 };
+
+// Limiter with the free search policy above, refreshing config quickly so
+// instances sharing a Redis see each other's overrides
+async function createOverrideLimiter(redis = new MockRedis()) {
+  const limiter = createLimiter({ configRefreshInterval: 50 }, redis);
+  await limiter.setPolicy('free', '/api/search', FREE_POLICY);
+  return limiter;
+}
+
+// Requests allowed out of `count` in a row
+async function allowedOf(limiter, userId, count, options = {}) {
+  let allowed = 0;
+  for (let i = 0; i < count; i++) {
+    const result = await limiter.checkLimit(
+      userId,
+      '/api/search',
+      'free',
+      'US',
+      1,
+      options
+    );
+    if (result.allowed) allowed++;
+  }
+  return `${allowed}/${count} allowed`;
+}
+
+async function testOverrides() {
+  console.log('Per-Customer Overrides Tests');
+
+  // Test 1: A user's override replaces their tier's limits
+  console.log('\nTest 1: User Overrides');
+
+  const limiter = await createOverrideLimiter();
+  const override = await limiter.setOverride(
+    { userId: 'user_acme' },
+    '/api/search',
+    { max: 10, burst: 8, note: 'Acme contract' }
+  );
+  expect(
+    'Set',
+    `max=${override.max} burst=${override.burst} note=${override.note}`,
+    'max=10 burst=8 note=Acme contract'
+  );
+  expect(
+    'user_acme',
+    await allowedOf(limiter, 'user_acme', 10),
+    '8/10 allowed'
+  );
+  expect(
+    'user_other',
+    await allowedOf(limiter, 'user_other', 10),
+    '3/10 allowed'
+  );
+  const state = await limiter.getBucketState(
+    'user_acme',
+    '/api/search',
+    'free'
+  );
+  expect(
+    'Bucket state',
+    { limit: state.limit, override: state.override.subject },
+    { limit: { window: 3600, max: 10, burst: 8 }, override: 'user:user_acme' }
+  );
+  const events = limiter.getSecurityLog({ userId: 'user_acme' });
+  expect(
+    'Denials logged with override',
+    events.map((e) => e.override),
+    ['user:user_acme', 'user:user_acme']
+  );
+
+  // Only the first limit of a list changes; the others still apply
+  await limiter.setPolicy('free', '/api/profile', {
+    limits: [
+      { window: 60, max: 2, algorithm: 'gcra' },
+      { window: 'day', max: 4 },
+    ],
+  });
+  await limiter.setOverride({ userId: 'user_acme' }, '/api/profile', {
+    max: 10,
+  });
+  const results = [];
+  for (let i = 0; i < 5; i++) {
+    const result = await limiter.checkLimit(
+      'user_acme',
+      '/api/profile',
+      'free',
+      'US'
+    );
+    results.push(result.allowed ? 'ok' : `hit ${result.limitHit}`);
+  }
+  expect('Limits list', results.join(', '), 'ok, ok, ok, ok, hit 4/day');
+
+  // Limits over the first one's window change with it: checkout's burst
+  // limit (2 at once) lets 5 through, the hourly log allows 20
+  await limiter.setOverride({ userId: 'user_shop' }, '/api/checkout', {
+    max: 20,
+    burst: 5,
+  });
+  const checkouts = [];
+  for (let i = 0; i < 6; i++) {
+    const result = await limiter.checkLimit(
+      'user_shop',
+      '/api/checkout',
+      'free',
+      'US'
+    );
+    checkouts.push(result.allowed ? 'ok' : `hit ${result.limitHit}`);
+  }
+  expect(
+    'Checkout at once',
+    checkouts.join(', '),
+    'ok, ok, ok, ok, ok, hit burst'
+  );
+
+  // Changes made at once, from two instances, are all kept
+  const peer = await createOverrideLimiter(limiter.redis);
+  await Promise.all([
+    limiter.setOverride({ userId: 'user_busy' }, '/api/search', { max: 20 }),
+    peer.setOverride({ userId: 'user_busy' }, '/api/profile', { max: 30 }),
+    limiter.setOverride({ userId: 'user_busy' }, '/api/checkout', { max: 40 }),
+  ]);
+  const busy = await limiter.listOverrides({ userId: 'user_busy' });
+  expect(
+    'Concurrent changes kept',
+    busy.map(({ endpoint, max }) => `${endpoint}=${max}`).sort(),
+    ['/api/checkout=40', '/api/profile=30', '/api/search=20']
+  );
+
+  // Test 2: An API key's override wins over its user's
+  console.log('\nTest 2: API Key Overrides');
+
+  const keyLimiter = await createOverrideLimiter();
+  await keyLimiter.setOverride({ userId: 'user_bigco' }, '/api/search', {
+    max: 5,
+    burst: 5,
+  });
+  await keyLimiter.setOverride({ apiKey: 'bigco-batch-key' }, '/api/search', {
+    max: 8,
+    burst: 8,
+  });
+  const app = express();
+  app.use(
+    extractUserInfo({
+      accountStore: new MemoryAccountStore([
+        { apiKey: 'bigco-batch-key', userId: 'user_bigco', tier: 'free' },
+        { apiKey: 'bigco-web-key', userId: 'user_bigco', tier: 'free' },
+      ]),
+    })
+  );
+  app.get(
+    '/api/search',
+    createRateLimitMiddleware(keyLimiter)('/api/search'),
+    (req, res) => res.json({ ok: true })
+  );
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/api/search`;
+  try {
+    for (const [apiKey, limit] of [
+      ['bigco-batch-key', '8'],
+      ['bigco-web-key', '5'],
+    ]) {
+      const response = await fetch(url, { headers: { 'x-api-key': apiKey } });
+      expect(
+        apiKey,
+        `${response.status}, limit ${response.headers.get(
+          'x-ratelimit-limit'
+        )}`,
+        `200, limit ${limit}`
+      );
+    }
+  } finally {
+    server.close();
+  }
+  // Denials name the key by its apiKeyId, the id its overrides go under
+  for (let i = 0; i < 5; i++) {
+    await keyLimiter.checkLimit('user_bigco', '/api/search', 'free', 'US', 1, {
+      apiKey: 'bigco-web-key',
+    });
+  }
+  const [denial] = keyLimiter.getSecurityLog({ type: 'rate_limit_exceeded' });
+  expect(
+    'Denial logged with apiKeyId',
+    denial.apiKeyId,
+    apiKeyId('bigco-web-key')
+  );
+  expect(
+    'Raw key logged',
+    JSON.stringify(denial).includes('bigco-web-key'),
+    false
+  );
+
+  // A decision cached for one API key is not reused for another
+  const cachingLimiter = createLimiter(
+    { cacheEnabled: true, loggingEnabled: false },
+    keyLimiter.redis
+  );
+  const cachedLimits = [];
+  for (const apiKey of ['bigco-batch-key', 'bigco-web-key']) {
+    const result = await cachingLimiter.checkLimit(
+      'user_bigco',
+      '/api/search',
+      'free',
+      'US',
+      1,
+      { apiKey }
+    );
+    cachedLimits.push(result.limit);
+  }
+  expect('Limits with the decision cache', cachedLimits, [8, 5]);
+
+  const [stored] = await keyLimiter.listOverrides({
+    apiKey: 'bigco-batch-key',
+  });
+  expect('Stored as apiKeyId', stored.apiKeyId, apiKeyId('bigco-batch-key'));
+  expect(
+    'Raw key in Redis',
+    [...keyLimiter.redis.data.keys()].some((key) =>
+      key.includes('bigco-batch-key')
+    ),
+    false
+  );
+
+  // Test 3: Overrides reach every instance and end at their expiry
+  console.log('\nTest 3: Shared and Expiring');
+
+  const redis = new MockRedis();
+  const [nodeA, nodeB] = [
+    await createOverrideLimiter(redis),
+    await createOverrideLimiter(redis),
+  ];
+  await nodeA.setOverride({ userId: 'user_trial' }, '/api/search', {
+    max: 6,
+    burst: 6,
+    expiresAt: new Date(Date.now() + 1000).toISOString(),
+  });
+  await sleep(100);
+  expect(
+    'Node B during trial',
+    await allowedOf(nodeB, 'user_trial', 6),
+    '6/6 allowed'
+  );
+  await sleep(1000);
+  await nodeB.resetBucket('user_trial', '/api/search', 'free');
+  expect(
+    'Node B after expiry',
+    await allowedOf(nodeB, 'user_trial', 6),
+    '3/6 allowed'
+  );
+  expect('Listed after expiry', (await nodeA.listOverrides()).length, 0);
+  // Removing an override that is not there changes nothing
+  const version = await redis.get('rate:override:version');
+  expect(
+    'Removed after expiry',
+    await nodeA.removeOverride({ userId: 'user_trial' }, '/api/search'),
+    false
+  );
+  expect(
+    'Version after removing nothing',
+    await redis.get('rate:override:version'),
+    version
+  );
+
+  // Test 4: Admin API and validation
+  console.log('\nTest 4: Admin API');
+
+  const adminLimiter = await createOverrideLimiter();
+  const adminApp = express();
+  adminApp.use(express.json());
+  adminApp.use(
+    '/admin',
+    createAdminRouter(adminLimiter, { adminKey: ADMIN_KEY })
+  );
+  const adminServer = adminApp.listen(0);
+  const baseUrl = `http://127.0.0.1:${adminServer.address().port}/admin`;
+  const admin = async (path, method = 'GET', body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'x-admin-key': ADMIN_KEY,
+        'content-type': 'application/json',
+      },
+      body: body && JSON.stringify(body),
+    });
+    const text = await response.text();
+    return `${response.status} ${text.replace(
+      /"updatedAt":"[^"]+"/,
+      '"updatedAt":"…"'
+    )}`;
+  };
+
+  const user = '/overrides/users/user_http/api/search';
+  const updated = '"updatedAt":"…"';
+  try {
+    expect(
+      'PUT',
+      await admin(user, 'PUT', { max: 50, burst: 10 }),
+      `200 {"max":50,"burst":10,${updated}}`
+    );
+    expect(
+      'PUT window only',
+      await admin(user, 'PUT', { window: 60 }),
+      `200 {"max":50,"burst":10,"window":60,${updated}}`
+    );
+    expect(
+      'GET',
+      await admin('/overrides?userId=user_http'),
+      '200 {"overrides":[{"userId":"user_http","endpoint":"/api/search",' +
+        `"max":50,"burst":10,"window":60,${updated}}]}`
+    );
+    expect(
+      'PUT invalid',
+      await admin(user, 'PUT', {
+        window: 1.5,
+        max: 5,
+        burst: 10,
+        expiresAt: '2001-01-01',
+        tier: 'gold',
+      }),
+      '400 {"error":"Invalid override","errors":["unknown field tier",' +
+        '"window must be a positive whole number of seconds",' +
+        '"burst must not exceed max","expiresAt must be in the future"]}'
+    );
+    expect(
+      'Bad apiKeyId',
+      await admin('/overrides/api-keys/nope/api/search', 'PUT', { max: 5 }),
+      '400 {"error":"Invalid override","errors":["override needs a userId, ' +
+        'apiKey or apiKeyId (16 hex digits)"]}'
+    );
+    expect(
+      'Unknown type',
+      await admin('/overrides/teams/x/api/search', 'PUT', { max: 5 }),
+      '404 {"error":"Not found"}'
+    );
+    expect('DELETE', await admin(user, 'DELETE'), '204 ');
+    expect(
+      'DELETE again',
+      await admin(user, 'DELETE'),
+      '404 {"error":"No override for this customer"}'
+    );
+  } finally {
+    adminServer.close();
+  }
+
+  console.log('\nAll Per-Customer Overrides Tests Completed!');
+}
+
+run(testOverrides);
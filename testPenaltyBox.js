@@ -0,0 +1,229 @@
+const express = require('express');
+const MockRedis = require('./redisMock');
+const createAdminRouter = require('./admin/adminRouter');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const {
+  ADMIN_KEY,
+  createLimiter,
+  describe,
+  expect,
+  run,
+} = require('./testHelpers');
+
+// More than 3 checkout denials in a minute: 10s block, doubling up to 25s
+const ABUSE_RULES = [
+  {
+    name: 'checkout_hammering',
+    endpoints: ['/api/checkout'],
+    maxDenials: 3,
+    interval: 60,
+    blockDuration: 10,
+    backoff: 2,
+    maxBlockDuration: 25,
+  },
+];
+
+// Limiter with the abuse rule above, on a shared Redis
+const createAbuseLimiter = (redis, options = {}) =>
+  createLimiter({ abuseRules: ABUSE_RULES, ...options }, redis);
+
+// Hammer checkout until the client is blocked; returns the requests it took
+async function hammer(limiter, userId) {
+  for (let i = 1; i <= 30; i++) {
+    const result = await limiter.checkLimit(
+      userId,
+      '/api/checkout',
+      'free',
+      'US'
+    );
+    if (result.reason === 'blocked') return { requests: i, result };
+  }
+  return { requests: 30, result: null };
+}
+
+async function testPenaltyBox() {
+  console.log('Penalty Box Tests');
+
+  // Test 1: Repeated denials block the client on every endpoint
+  console.log('\nTest 1: Abuse Rule Trips');
+
+  const redis = new MockRedis();
+  const limiter = createAbuseLimiter(redis);
+  const { requests, result } = await hammer(limiter, 'user_abuser');
+  expect(
+    'Blocked on request (2 allowed + 4 denials)',
+    `${requests}, retryAfter ${result.retryAfter}s`,
+    '6, retryAfter 10s'
+  );
+
+  for (const endpoint of ['/api/checkout', '/api/profile']) {
+    const check = await limiter.checkLimit(
+      'user_abuser',
+      endpoint,
+      'free',
+      'US'
+    );
+    expect(endpoint, describe(check), 'DENIED (blocked)');
+  }
+  const bystander = await limiter.checkLimit(
+    'user_bystander',
+    '/api/profile',
+    'free',
+    'US'
+  );
+  expect('Other user', describe(bystander), 'ALLOWED');
+
+  // A script that gives no reply is handled like one that fails: the check
+  // runs on the fallback path rather than returning nothing
+  const silentRedis = new MockRedis();
+  silentRedis.eval = async () => null;
+  const silent = createAbuseLimiter(silentRedis);
+  const originalError = console.error;
+  console.error = () => {}; // the expected script error
+  const fallback = await silent.checkLimit(
+    'user_silent',
+    '/api/checkout',
+    'free',
+    'US'
+  );
+  console.error = originalError;
+  expect('No script reply', describe(fallback), 'ALLOWED');
+  expect('Fallback checks', silent.metrics.fallbacks.get(), 1);
+
+  const [event] = limiter.getSecurityLog({ type: 'client_blocked' });
+  expect(
+    'Logged',
+    `${event.type} ${event.userId} rule=${event.rule} ` +
+      `duration=${event.duration}s offenses=${event.offenses}`,
+    'client_blocked user_abuser rule=checkout_hammering duration=10s ' +
+      'offenses=1'
+  );
+
+  // Test 2: Blocks apply on every instance sharing the Redis
+  console.log('\nTest 2: Block Shared Across Instances');
+
+  const otherInstance = createAbuseLimiter(redis);
+  const remote = await otherInstance.checkLimit(
+    'user_abuser',
+    '/api/search',
+    'free',
+    'US'
+  );
+  expect('Instance B', describe(remote), 'DENIED (blocked)');
+  const blocks = await otherInstance.listBlocks();
+  expect(
+    'Instance B lists',
+    blocks.map((b) => b.subject),
+    ['user_abuser']
+  );
+
+  // A decision an instance cached before the block is not served after it
+  const caching = createAbuseLimiter(redis, { cacheEnabled: true });
+  const search = () =>
+    caching.checkLimit('user_cached', '/api/search', 'free', 'US');
+  expect('Instance C before the block', describe(await search()), 'ALLOWED');
+  await hammer(otherInstance, 'user_cached');
+  expect(
+    'Instance C, cached before the block',
+    describe(await search()),
+    'DENIED (blocked)'
+  );
+
+  // Test 3: Repeat offenses block for longer, up to the cap
+  console.log('\nTest 3: Exponential Block Durations');
+
+  const durations = [];
+  for (let offense = 1; offense <= 4; offense++) {
+    await limiter.resetBucket('user_repeat', '/api/checkout', 'free');
+    const { result: blocked } = await hammer(limiter, 'user_repeat');
+    durations.push(blocked.retryAfter);
+    await limiter.liftBlock('user_repeat'); // keeps the offense count
+  }
+  expect('Block durations (cap 25s)', durations, [10, 20, 25, 25]);
+
+  await limiter.resetBucket('user_repeat', '/api/checkout', 'free');
+  await hammer(limiter, 'user_repeat');
+  await limiter.liftBlock('user_repeat', { resetOffenses: true });
+  await limiter.resetBucket('user_repeat', '/api/checkout', 'free');
+  const { result: fresh } = await hammer(limiter, 'user_repeat');
+  expect('After resetOffenses', fresh.retryAfter, 10);
+
+  // Test 4: 429 reason and lifting through the admin API
+  console.log('\nTest 4: HTTP Response and Admin API');
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.userId = 'user_abuser';
+    req.userTier = 'free';
+    req.region = 'US';
+    next();
+  });
+  app.use('/admin', createAdminRouter(limiter, { adminKey: ADMIN_KEY }));
+  app.get(
+    '/api/profile',
+    createRateLimitMiddleware(limiter)('/api/profile'),
+    (req, res) => res.json({ ok: true })
+  );
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    // [method, path, expected status, expected fields of the body]
+    const checks = [
+      [
+        'GET',
+        '/api/profile',
+        429,
+        {
+          error: 'Temporarily blocked after repeated rate limit violations',
+          reason: 'blocked',
+        },
+      ],
+      ['GET', '/admin/penalty-box', 200, {}],
+      ['DELETE', '/admin/penalty-box/user_abuser', 204, {}],
+      [
+        'DELETE',
+        '/admin/penalty-box/user_abuser',
+        404,
+        { error: 'Client is not blocked' },
+      ],
+      ['GET', '/api/profile', 200, { ok: true }],
+    ];
+    for (const [method, path, status, fields] of checks) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'x-admin-key': ADMIN_KEY },
+      });
+      const text = await response.text();
+      const body = text ? JSON.parse(text) : {};
+      const picked = Object.fromEntries(
+        Object.keys(fields).map((field) => [field, body[field]])
+      );
+      expect(`${method} ${path}`, [response.status, picked], [status, fields]);
+      if (path === '/admin/penalty-box') {
+        expect(
+          'Listed blocks',
+          body.blocks.map(({ subject }) => subject),
+          ['user_abuser', 'user_cached', 'user_repeat']
+        );
+      }
+    }
+  } finally {
+    server.close();
+  }
+
+  const [unblocked] = limiter.getSecurityLog({
+    type: 'client_unblocked',
+    userId: 'user_abuser',
+  });
+  expect(
+    'Logged',
+    `${unblocked.type} ${unblocked.userId}`,
+    'client_unblocked user_abuser'
+  );
+
+  console.log('\nAll Penalty Box Tests Completed!');
+}
+
+run(testPenaltyBox);
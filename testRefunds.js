@@ -0,0 +1,231 @@
+const express = require('express');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const { RESPONSE_REFUNDS } = require('./configuration');
+const { createLimiter, sleep, expect, run } = require('./testHelpers');
+
+// App whose /api/orders handler answers with the status in ?status and
+// charges the actual cost in ?actual
+function createApp(limiter, options) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.userId = 'user_http';
+    req.userTier = 'free';
+    req.region = 'US';
+    req.trustedCaller = true; // may send x-cost
+    next();
+  });
+  app.get(
+    '/api/orders',
+    createRateLimitMiddleware(limiter, options)('/api/orders'),
+    async (req, res) => {
+      if (req.query.actual) await req.setActualCost(Number(req.query.actual));
+      res.status(Number(req.query.status) || 200).json({ ok: true });
+    }
+  );
+  return app;
+}
+
+async function withServer(app, requests) {
+  const server = app.listen(0);
+  try {
+    await requests(`http://127.0.0.1:${server.address().port}/api/orders`);
+  } finally {
+    server.close();
+  }
+}
+
+// Tokens in user_http's bucket (a full one before the first request)
+async function tokens(limiter) {
+  const { state, limit } = await limiter.getBucketState(
+    'user_http',
+    '/api/orders',
+    'free'
+  );
+  return Math.floor(state.tokens === null ? limit.burst : state.tokens);
+}
+
+async function testRefunds() {
+  console.log('Refunds and Cost Adjustment Tests');
+
+  // Test 1: Failures on our side do not use up a budget of 2
+  console.log('\nTest 1: Refund on 5xx');
+
+  const limiter = createLimiter();
+  await limiter.setPolicy('free', '/api/orders', {
+    algorithm: 'token_bucket',
+    window: 3600,
+    max: 2,
+    burst: 2,
+  });
+  await withServer(
+    createApp(limiter, { refunds: RESPONSE_REFUNDS }),
+    async (url) => {
+      for (const [status, expected] of [
+        [502, '502, tokens left: 2'],
+        [503, '503, tokens left: 2'],
+        [500, '500, tokens left: 2'],
+        [200, '200, tokens left: 1'],
+        [200, '200, tokens left: 0'],
+        [200, '429, tokens left: 0'],
+      ]) {
+        const response = await fetch(`${url}?status=${status}`);
+        await sleep(20); // refunds are applied once the response is sent
+        expect(
+          `status=${status}`,
+          `${response.status}, tokens left: ${await tokens(limiter)}`,
+          expected
+        );
+      }
+    }
+  );
+
+  // Test 2: Partial refunds by exact status or class, rounded down
+  console.log('\nTest 2: Partial Refunds');
+
+  const partial = createLimiter();
+  await partial.setPolicy('free', '/api/orders', {
+    algorithm: 'token_bucket',
+    window: 3600,
+    max: 20,
+    burst: 20,
+  });
+  const refunds = { 404: 0.5, '4xx': 0.25, '5xx': 1 };
+  await withServer(createApp(partial, { refunds }), async (url) => {
+    // 404 gets half back (2 of 5), other 4xx a quarter (1 of 5)
+    for (const [status, expected] of [
+      [404, 3],
+      [409, 4],
+      [200, 5],
+    ]) {
+      const before = await tokens(partial);
+      await fetch(`${url}?status=${status}`, { headers: { 'x-cost': '5' } });
+      await sleep(20);
+      expect(
+        `cost 5, status ${status}, charged`,
+        before - (await tokens(partial)),
+        expected
+      );
+    }
+  });
+  let rejection = null;
+  try {
+    createRateLimitMiddleware(partial, { refunds: { '6xx': 1, 500: 2 } });
+  } catch (error) {
+    rejection = error.message;
+  }
+  expect(
+    'Invalid refunds rejected',
+    rejection,
+    'Invalid refunds: 500 must be a share between 0 and 1; unknown status 6xx'
+  );
+
+  // Test 3: Handlers charge what the work actually cost
+  console.log('\nTest 3: Actual Cost');
+
+  const actual = createLimiter();
+  await actual.setPolicy('free', '/api/orders', {
+    algorithm: 'token_bucket',
+    window: 3600,
+    max: 20,
+    burst: 20,
+  });
+  await withServer(
+    createApp(actual, { refunds: RESPONSE_REFUNDS }),
+    async (url) => {
+      // A 5xx refunds the actual cost in full
+      for (const [estimate, cost, status, expected] of [
+        [5, 1, 200, 1],
+        [1, 4, 200, 4],
+        [1, 4, 500, 0],
+      ]) {
+        const before = await tokens(actual);
+        await fetch(`${url}?actual=${cost}&status=${status}`, {
+          headers: { 'x-cost': String(estimate) },
+        });
+        await sleep(20);
+        expect(
+          `estimate ${estimate}, actual ${cost}, status ${status}, charged`,
+          before - (await tokens(actual)),
+          expected
+        );
+      }
+    }
+  );
+
+  // Every limit the request counted against gets the tokens back
+  const multi = createLimiter();
+  await multi.setPolicy('free', '/api/search', {
+    limits: [
+      { window: 60, max: 10, algorithm: 'gcra' },
+      { window: 3600, max: 100, algorithm: 'fixed_window', name: 'hourly' },
+    ],
+    org: { window: 3600, max: 50, algorithm: 'sliding_window_log' },
+  });
+  const result = await multi.checkLimit(
+    'user_multi',
+    '/api/search',
+    'free',
+    'US',
+    4,
+    { orgId: 'org_acme' }
+  );
+  const remaining = (response) =>
+    response.limits.map((limit) => limit.remaining);
+  expect('Remaining after cost 4', remaining(result), [6, 96, 46]);
+  const settled = await multi.settleCharge(result.charge, 0);
+  const check = await multi.checkLimit(
+    'user_multi',
+    '/api/search',
+    'free',
+    'US',
+    1,
+    { orgId: 'org_acme' }
+  );
+  expect('Refunded, tightest remaining', settled.remaining, 10);
+  expect('Next request', remaining(check), [9, 99, 49]);
+  expect('Same cost again', await multi.settleCharge(check.charge, 1), null);
+
+  // Test 4: Adjustments are atomic and never go beyond burst
+  console.log('\nTest 4: Atomic and Capped at Burst');
+
+  const racing = createLimiter();
+  await racing.setPolicy('free', '/api/orders', {
+    algorithm: 'token_bucket',
+    window: 3600,
+    max: 50,
+    burst: 50,
+  });
+  const charges = [];
+  for (let i = 0; i < 20; i++) {
+    const { charge } = await racing.checkLimit(
+      'user_http',
+      '/api/orders',
+      'free',
+      'US',
+      2
+    );
+    charges.push(charge);
+  }
+  expect('Tokens after 20 requests of cost 2', await tokens(racing), 10);
+  await Promise.all(charges.map((charge) => racing.settleCharge(charge, 1)));
+  expect('Tokens after 20 concurrent refunds of 1', await tokens(racing), 30);
+  await racing.topUpBucket('user_http', '/api/orders', 'free', 100);
+  await Promise.all(charges.map((charge) => racing.settleCharge(charge, 0)));
+  expect('Tokens after refunds into a full bucket', await tokens(racing), 50);
+
+  let negative = null;
+  try {
+    await racing.settleCharge(charges[0], -1);
+  } catch (error) {
+    negative = error.message;
+  }
+  expect(
+    'Negative cost rejected',
+    negative,
+    'Actual cost must be a non-negative number'
+  );
+
+  console.log('\nAll Refunds and Cost Adjustment Tests Completed!');
+}
+
+run(testRefunds);
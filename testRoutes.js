@@ -0,0 +1,204 @@
+const EventEmitter = require('events');
+const createRateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const { compileRoutes, matchRoute } = require('./policy/routeMatcher');
+const {
+  createLimiter: createTestLimiter,
+  expect,
+  run,
+} = require('./testHelpers');
+
+const policy = (max) => ({
+  algorithm: 'fixed_window',
+  window: 60,
+  max,
+  burst: max,
+});
+
+// Free tier with pattern and method-specific routes
+async function createLimiter(defaultPolicy, options = {}) {
+  const limiter = createTestLimiter(options);
+  const { config } = limiter.configStore.snapshot();
+  await limiter.updateConfig(
+    {
+      ...config,
+      rateLimits: {
+        ...config.rateLimits,
+        free: {
+          '/api/orders/:id': policy(5),
+          'POST /api/orders/:id': policy(1),
+          '/api/orders/export': policy(2),
+          '/api/files/*': policy(3),
+        },
+      },
+      defaultPolicy,
+    },
+    'test'
+  );
+  return limiter;
+}
+
+// Minimal stand-ins for Express req/res
+function createRequest(method, path) {
+  return {
+    userId: 'user_routes',
+    userTier: 'free',
+    region: 'US',
+    method,
+    path,
+    query: {},
+    body: {},
+    headers: {},
+  };
+}
+
+function createResponse() {
+  return Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = String(value);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  });
+}
+
+async function sendRequests(middleware, method, path, count) {
+  const statuses = [];
+  for (let i = 0; i < count; i++) {
+    const res = createResponse();
+    let passed = false;
+    await middleware(createRequest(method, path), res, () => {
+      passed = true;
+    });
+    res.emit('finish');
+    statuses.push(passed ? 200 : res.statusCode);
+  }
+  return statuses;
+}
+
+async function testRoutes() {
+  console.log('Route Pattern Matching Tests');
+
+  // Test 1: Most specific route wins, method-specific before any-method
+  console.log('\nTest 1: Route Precedence');
+
+  const routes = compileRoutes({
+    free: {
+      '/api/orders/:id': {},
+      'POST /api/orders/:id': {},
+      '/api/orders/export': {},
+      '/api/files/*': {},
+      '/*': {},
+    },
+  }).free;
+  for (const [method, path, expected] of [
+    ['GET', '/api/orders/42', '/api/orders/:id'],
+    ['POST', '/api/orders/42', 'POST /api/orders/:id'],
+    ['POST', '/api/orders/export', '/api/orders/export'],
+    ['GET', '/api/files/a/b/c.txt', '/api/files/*'],
+    ['HEAD', '/api/orders/42/', '/api/orders/:id'],
+    ['GET', '/health', '/*'],
+  ]) {
+    expect(`${method} ${path}`, matchRoute(routes, method, path), expected);
+  }
+
+  // Test 2: One app-level middleware limits each matched route separately
+  console.log('\nTest 2: App-Level Middleware');
+
+  const limiter = await createLimiter({
+    algorithm: 'fixed_window',
+    window: 60,
+    max: 2,
+    burst: 2,
+  });
+  const middleware = createRateLimitMiddleware(limiter)();
+
+  for (const [method, path, count, expected] of [
+    ['GET', '/api/orders/1', 6, [200, 200, 200, 200, 200, 429]],
+    ['GET', '/api/orders/2', 1, [429]], // shares the /api/orders/:id bucket
+    ['POST', '/api/orders/1', 2, [200, 429]],
+    ['GET', '/api/files/x/y', 4, [200, 200, 200, 429]],
+  ]) {
+    expect(
+      `${method} ${path}`,
+      await sendRequests(middleware, method, path, count),
+      expected
+    );
+  }
+
+  // Test 3: Unmatched routes get the default policy, one shared bucket
+  console.log('\nTest 3: Default Policy for Unmatched Routes');
+
+  const unmatched = [
+    ...(await sendRequests(middleware, 'GET', '/api/new-feature', 2)),
+    ...(await sendRequests(middleware, 'DELETE', '/api/other', 1)),
+  ];
+  expect('GET, GET, DELETE on unmatched routes', unmatched, [200, 200, 429]);
+
+  const report = limiter.getAnalyticsReport();
+  expect(
+    'Analytics endpoints',
+    report.endpoints.map((e) => e.endpoint).sort(),
+    ['*', '/api/files/*', '/api/orders/:id', 'POST /api/orders/:id']
+  );
+
+  // Test 4: Without a default policy unmatched routes stay unlimited
+  console.log('\nTest 4: No Default Policy');
+
+  const openLimiter = await createLimiter(null);
+  const open = await sendRequests(
+    createRateLimitMiddleware(openLimiter)(),
+    'GET',
+    '/api/new-feature',
+    5
+  );
+  expect('Unmatched route', open, [200, 200, 200, 200, 200]);
+
+  // Test 5: Cached decisions are kept under the matched route, per method
+  console.log('\nTest 5: Cached Decisions per Route');
+
+  const cachingLimiter = await createLimiter(null, { cacheEnabled: true });
+  const check = async (method, path) => {
+    const result = await cachingLimiter.checkLimit(
+      'user_routes',
+      path,
+      'free',
+      'US',
+      1,
+      { method }
+    );
+    return `${result.allowed ? 'ALLOWED' : 'DENIED'}, limit ${result.limit}`;
+  };
+  expect(
+    'GET /api/orders/1',
+    await check('GET', '/api/orders/1'),
+    'ALLOWED, limit 5'
+  );
+  expect(
+    'POST /api/orders/1',
+    await check('POST', '/api/orders/1'),
+    'ALLOWED, limit 1'
+  );
+  expect(
+    'POST /api/orders/2',
+    await check('POST', '/api/orders/2'),
+    'DENIED, limit 1'
+  );
+  expect(
+    'GET /api/orders/2',
+    await check('GET', '/api/orders/2'),
+    'ALLOWED, limit 5'
+  );
+  expect('Served from the cache', cachingLimiter.metrics.cacheHits.get(), 1);
+
+  console.log('\nAll Route Matching Tests Completed!');
+}
+
+run(testRoutes);
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const MockRedis = require('./redisMock');
+const { FileSink, ConsoleSink, RedisStreamSink } = require('./logging');
+const { createLimiter, expect, run } = require('./testHelpers');
+
+// Stream entries' seq fields, oldest first
+async function streamSeqs(redis) {
+  const entries = await redis.xrange('rate:security-log', '-', '+');
+  return entries.map(([, fields]) => JSON.parse(fields[1]).seq);
+}
+
+// Run with the sinks' expected write errors kept off the output
+async function quietly(fn) {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = originalError;
+  }
+}
+
+async function testSecurityLog() {
+  console.log('Security Log Sink Tests');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-log-'));
+  const file = path.join(dir, 'security.jsonl');
+
+  try {
+    // Test 1: The file sink keeps the audit trail across restarts
+    console.log('\nTest 1: File Sink Survives Restart');
+
+    const redis = new MockRedis();
+    const before = createLimiter(
+      { securitySinks: [new FileSink(file)] },
+      redis
+    );
+    for (let i = 0; i < 12; i++) {
+      await before.checkLimit('user_audit', '/api/checkout', 'free', 'US');
+    }
+    await before.close();
+
+    const after = createLimiter({ securitySinks: [new FileSink(file)] }, redis);
+    const memory = after.getSecurityLog();
+    const persisted = await after.readSecurityLog({
+      source: 'file',
+      userId: 'user_audit',
+    });
+    // free /api/checkout allows 2 at once (its burst limit)
+    expect('In memory after restart, events', memory.length, 0);
+    expect('In the file, events', persisted.length, 10);
+    expect('Sources', after.getSecurityLogSources(), ['memory', 'file']);
+    await after.close();
+
+    // Test 2: The file rotates and old files fall off
+    console.log('\nTest 2: File Rotation');
+
+    const rotated = path.join(dir, 'rotated.jsonl');
+    const sink = new FileSink(rotated, { maxBytes: 400, maxFiles: 2 });
+    for (let i = 1; i <= 20; i++) {
+      sink.write({ timestamp: new Date().toISOString(), type: 'test', seq: i });
+    }
+    const events = await sink.query({ type: 'test' });
+    await sink.close();
+    const files = fs.readdirSync(dir).filter((f) => f.startsWith('rotated'));
+    expect('Files', files.sort(), [
+      'rotated.jsonl',
+      'rotated.jsonl.1',
+      'rotated.jsonl.2',
+    ]);
+    // The oldest are rotated out
+    expect(
+      'Kept events',
+      `${events[0].seq}..${events[events.length - 1].seq}`,
+      '7..20'
+    );
+
+    // Test 3: stdout in syslog format
+    console.log('\nTest 3: Syslog Output');
+
+    const lines = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        lines.push(...chunk.toString().trim().split('\n'));
+        callback();
+      },
+    });
+    const syslog = new ConsoleSink({ format: 'syslog', stream });
+    const limiter = createLimiter({ securitySinks: [syslog] });
+    for (let i = 0; i < 11; i++) {
+      await limiter.checkLimit('user_sys', '/api/checkout', 'free', 'US');
+    }
+    await limiter.close();
+    console.log(lines[0].slice(0, 90) + '...');
+    expect('Lines', lines.length, 9);
+    // <PRI>VERSION TIMESTAMP HOST APP PID MSGID - MSG, local0.warning
+    expect(
+      'Syslog format',
+      /^<132>1 \S+ \S+ rate-limiter \d+ rate_limit_exceeded - \{/.test(
+        lines[0]
+      ),
+      true
+    );
+
+    // Test 4: Redis stream, and logging never waits on a failing sink
+    console.log('\nTest 4: Redis Stream and Failing Sinks');
+
+    const streamRedis = new MockRedis();
+    const streamSink = new RedisStreamSink(streamRedis, { maxLen: 5 });
+    const failing = new RedisStreamSink(
+      { xadd: async () => Promise.reject(new Error('READONLY')) },
+      { maxBuffer: 3 }
+    );
+    failing.name = 'failing';
+    const both = createLimiter({ securitySinks: [streamSink, failing] });
+
+    const started = Date.now();
+    for (let i = 0; i < 8; i++) {
+      both.logSecurityEvent({ type: 'test', seq: i });
+    }
+    const elapsed = Date.now() - started;
+    console.log(`8 events logged in ${elapsed}ms`);
+    expect('Logged without waiting on the sinks', elapsed < 50, true);
+
+    await quietly(() => both.close());
+
+    // maxLen 5 keeps the newest 5
+    expect('Stream holds', await streamSeqs(streamRedis), [3, 4, 5, 6, 7]);
+    expect(
+      'Failing sink',
+      `${failing.buffer.length} buffered, ${failing.dropped} dropped`,
+      '3 buffered, 5 dropped'
+    );
+
+    // Test 5: A batch that fails part way is retried from where it stopped
+    console.log('\nTest 5: Partly Written Batches');
+
+    const flakyRedis = new MockRedis();
+    const xadd = flakyRedis.xadd.bind(flakyRedis);
+    let calls = 0;
+    flakyRedis.xadd = async (...args) => {
+      if (++calls === 3) throw new Error('connection reset');
+      return xadd(...args);
+    };
+    const flaky = new RedisStreamSink(flakyRedis);
+    for (let i = 0; i < 5; i++) flaky.write({ type: 'test', seq: i });
+
+    await quietly(() => flaky.flush());
+    expect('After the failure', await streamSeqs(flakyRedis), [0, 1]);
+    expect('Still buffered', flaky.buffer.length, 3);
+    await flaky.close();
+    expect('After the retry', await streamSeqs(flakyRedis), [0, 1, 2, 3, 4]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\nAll Security Log Sink Tests Completed!');
+}
+
+run(testSecurityLog);
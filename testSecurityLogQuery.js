@@ -0,0 +1,212 @@
+const express = require('express');
+const createSecurityLogRouter = require('./admin/securityLogRouter');
+const { EXPORT_FORMATS } = require('./logging');
+const { createLimiter, expect, run } = require('./testHelpers');
+
+const API_KEY = 'test-fraud-key';
+
+// Denials and other events spread over three hours
+function seedEvents(limiter) {
+  const users = ['user_a', 'user_b', 'user_c', '=cmd|evil'];
+  const countries = ['US', 'CN', 'DE'];
+  for (let i = 0; i < 24; i++) {
+    const hour = 10 + Math.floor(i / 8);
+    const minute = String(i * 2).padStart(2, '0');
+    limiter.logSecurityEvent({
+      timestamp: `2025-01-14T${hour}:${minute}:00.000Z`,
+      type: i % 6 === 5 ? 'bucket_reset' : 'rate_limit_exceeded',
+      userId: users[i % 4],
+      endpoint: i % 3 === 0 ? '/api/checkout' : '/api/search',
+      tier: i % 2 === 0 ? 'free' : 'premium',
+      countryCode: countries[i % 3],
+    });
+  }
+}
+
+async function testSecurityLogQuery() {
+  console.log('Security Log Query Tests');
+
+  const limiter = createLimiter();
+  seedEvents(limiter);
+
+  // Test 1: Field, multi-value and time range filters
+  console.log('\nTest 1: Filters');
+
+  const filters = [
+    [{ endpoint: '/api/checkout' }, 8],
+    [{ tier: 'premium', countryCode: 'CN' }, 4],
+    [{ userId: 'user_a,user_b' }, 12],
+    [{ userId: ['user_a', 'user_c'], type: 'rate_limit_exceeded' }, 12],
+    [{ startTime: '2025-01-14T11:00:00Z', endTime: '2025-01-14T12:00:00Z' }, 8],
+  ];
+  for (const [filter, expected] of filters) {
+    expect(
+      `${JSON.stringify(filter)}, events`,
+      limiter.getSecurityLog(filter).length,
+      expected
+    );
+  }
+
+  // Test 2: Sorting and cursor pagination
+  console.log('\nTest 2: Sorting and Cursor Pagination');
+
+  const pages = [
+    'user_c user_c user_c user_c user_c user_c user_b',
+    'user_b user_b user_b user_b user_b user_a user_a',
+    'user_a user_a user_a user_a =cmd|evil =cmd|evil =cmd|evil',
+    '=cmd|evil =cmd|evil =cmd|evil',
+  ];
+  const seen = new Set();
+  let cursor;
+  let page = 0;
+  do {
+    const result = await limiter.querySecurityLog({
+      sort: '-userId',
+      limit: 7,
+      cursor,
+    });
+    result.events.forEach((event) => seen.add(event.timestamp));
+    expect(
+      `Page ${page + 1}`,
+      result.events.map((e) => e.userId).join(' '),
+      pages[page]
+    );
+    page++;
+    cursor = result.nextCursor;
+
+    // New events arriving mid-pagination do not shift later pages
+    if (page === 1) {
+      limiter.logSecurityEvent({ type: 'new_user', userId: 'user_new' });
+    }
+  } while (cursor);
+  expect('Pages', page, pages.length);
+  expect('Distinct events across pages', seen.size, 24);
+
+  let rejection = null;
+  try {
+    await limiter.querySecurityLog({ cursor: 'not-a-cursor' });
+  } catch (error) {
+    rejection = error.message;
+  }
+  expect('Bad cursor rejected', rejection, 'Invalid cursor');
+
+  // Test 3: Grouping counts
+  console.log('\nTest 3: Denials per User per Hour');
+
+  const { groups } = await limiter.querySecurityLog({
+    type: 'rate_limit_exceeded',
+    groupBy: 'userId,hour',
+    limit: 4,
+  });
+  expect(
+    'Groups',
+    groups.map((group) => `${group.userId} @ ${group.hour}: ${group.count}`),
+    [
+      'user_a @ 2025-01-14T10:00:00.000Z: 2',
+      'user_c @ 2025-01-14T10:00:00.000Z: 2',
+      '=cmd|evil @ 2025-01-14T10:00:00.000Z: 2',
+      'user_a @ 2025-01-14T11:00:00.000Z: 2',
+    ]
+  );
+
+  // Test 4: CSV and NDJSON export
+  console.log('\nTest 4: CSV and NDJSON Export');
+
+  const events = limiter.getSecurityLog({ userId: '=cmd|evil' });
+  const csv = EXPORT_FORMATS.csv.serialize(events).split('\r\n');
+  expect(
+    'CSV header',
+    csv[0],
+    'timestamp,type,userId,endpoint,tier,countryCode'
+  );
+  // A leading = is escaped so spreadsheets do not run it as a formula
+  expect(
+    'CSV first row',
+    csv[1],
+    "2025-01-14T10:06:00.000Z,rate_limit_exceeded,'=cmd|evil,/api/checkout,premium,US"
+  );
+  const ndjson = EXPORT_FORMATS.ndjson.serialize(events).trim().split('\n');
+  expect('NDJSON lines', ndjson.length, 6);
+  expect('NDJSON first', JSON.parse(ndjson[0]), events[0]);
+
+  // Test 5: Authenticated HTTP route
+  console.log('\nTest 5: Security Log HTTP Route');
+
+  const app = express();
+  app.use(
+    '/security-log',
+    createSecurityLogRouter(limiter, { apiKey: API_KEY })
+  );
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/security-log`;
+
+  try {
+    // Query, expected status and content type, and the body's start
+    const checks = [
+      [
+        '?limit=2',
+        '401 application/json',
+        '{"error":"Security log authentication required"}',
+        'wrong-key',
+      ],
+      [
+        '?limit=2&endpoint=/api/checkout',
+        '200 application/json',
+        '{"events":[{"timestamp":"2025-01-14T10:00:00.000Z"',
+      ],
+      [
+        '?groupBy=countryCode&type=rate_limit_exceeded',
+        '200 application/json',
+        '{"groupBy":["countryCode"],"groups":[{"countryCode":"US","count":8}',
+      ],
+      [
+        '?format=csv&countryCode=DE&tier=free',
+        '200 text/csv',
+        'timestamp,type,userId,endpoint,tier,countryCode 2025-01-14T10:04',
+      ],
+      [
+        '?format=ndjson&userId=user_a',
+        '200 application/x-ndjson',
+        '{"timestamp":"2025-01-14T10:00:00.000Z","type":"rate_limit_exceeded"',
+      ],
+      [
+        '?format=csv&groupBy=userId,day',
+        '200 text/csv',
+        'userId,day,count user_a,2025-01-14T00:00:00.000Z,6',
+      ],
+      [
+        '?format=xml',
+        '400 application/json',
+        '{"error":"Unknown format xml","formats":["json","csv","ndjson"]}',
+      ],
+      [
+        '?source=file',
+        '400 application/json',
+        '{"error":"Unknown source file","sources":["memory"]}',
+      ],
+      [
+        '?endTime=soon',
+        '400 application/json',
+        '{"error":"Invalid endTime: soon"}',
+      ],
+    ];
+    for (const [params, status, start, key = API_KEY] of checks) {
+      const response = await fetch(`${baseUrl}${params}`, {
+        headers: { 'x-security-log-key': key },
+      });
+      const body = (await response.text()).replace(/\s+/g, ' ');
+      const type = response.headers.get('content-type').split(';')[0];
+      expect(
+        `GET ${params}`,
+        `${response.status} ${type} ${body.slice(0, start.length)}`,
+        `${status} ${start}`
+      );
+    }
+  } finally {
+    server.close();
+  }
+
+  console.log('\nAll Security Log Query Tests Completed!');
+}
+
+run(testSecurityLogQuery);
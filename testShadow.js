@@ -0,0 +1,272 @@
+const express = require('express');
+const createAdminRouter = require('./admin/adminRouter');
+const { defaultConfig, parseConfig } = require('./policy/configSchema');
+const {
+  ADMIN_KEY,
+  createLimiter,
+  describe,
+  expect,
+  run,
+} = require('./testHelpers');
+
+// Live search policy, with a tighter candidate in shadow mode
+const LIVE_POLICY = { algorithm: 'gcra', window: 3600, max: 10, burst: 10 };
+const CANDIDATE = { algorithm: 'gcra', window: 3600, max: 3, burst: 3 };
+
+const check = (limiter, userId, tier = 'free') =>
+  limiter.checkLimit(userId, '/api/search', tier, 'US');
+
+const describeReport = ({ summary }) =>
+  `evaluated ${summary.evaluated}, live denied ${summary.liveDenied}, ` +
+  `shadow denied ${summary.shadowDenied}, newly denied ${summary.newlyDenied}`;
+
+async function testShadow() {
+  console.log('Shadow Mode Tests');
+
+  // Test 1: The candidate is checked on every request but never enforced
+  console.log('\nTest 1: Evaluated, Not Enforced');
+
+  const limiter = createLimiter();
+  await limiter.setPolicy('free', '/api/search', {
+    ...LIVE_POLICY,
+    shadow: CANDIDATE,
+  });
+  // The same requests against the live policy alone
+  const unshadowed = createLimiter();
+  await unshadowed.setPolicy('free', '/api/search', LIVE_POLICY);
+  const shadowDenials = () =>
+    limiter.getSecurityLog({ type: 'shadow_limit_exceeded' }).length;
+  for (let i = 1; i <= 5; i++) {
+    const denialsBefore = shadowDenials();
+    const result = await check(limiter, 'user_shadow');
+    const alone = await check(unshadowed, 'user_shadow');
+    const verdict = shadowDenials() > denialsBefore ? 'denied' : 'allowed';
+    expect(
+      `Request ${i}`,
+      `${describe(result)} (shadow ${verdict}) | Remaining: ${
+        result.remaining
+      }`,
+      `ALLOWED (shadow ${i <= 3 ? 'allowed' : 'denied'}) | Remaining: ` +
+        `${alone.remaining}`
+    );
+  }
+  // The candidate only writes under shadow:, leaving enforced state alone
+  const stateKeys = [...limiter.redis.data.keys()].filter(
+    (key) => key.startsWith('rate:') && !key.startsWith('rate:config:')
+  );
+  expect(
+    'Enforced keys',
+    stateKeys.filter((key) => !key.includes(':shadow:')),
+    ['rate:gcra:user_shadow:/api/search']
+  );
+  expect(
+    'Shadow keys',
+    stateKeys.filter((key) => key.includes(':shadow:')),
+    ['rate:gcra:shadow:user_shadow:/api/search']
+  );
+  // GCRA stores a theoretical arrival time in seconds, taken moments apart
+  const [live, plain] = await Promise.all(
+    [limiter, unshadowed].map((instance) =>
+      instance.redis.get('rate:gcra:user_shadow:/api/search')
+    )
+  );
+  expect(
+    'Enforced state matches the live policy alone',
+    Math.abs(live - plain) <= 1,
+    true
+  );
+  const report = limiter.getShadowReport();
+  expect(
+    'Shadow report',
+    describeReport(report),
+    'evaluated 5, live denied 0, shadow denied 2, newly denied 2'
+  );
+  const [policy] = report.policies;
+  expect(
+    `${policy.endpoint} (${policy.tier})`,
+    { shadowDenyRate: policy.shadowDenyRate, users: policy.users },
+    {
+      shadowDenyRate: '40.00%',
+      users: [{ userId: 'user_shadow', wouldBeDenied: 2 }],
+    }
+  );
+  const events = limiter.getSecurityLog({ userId: 'user_shadow' });
+  expect(
+    'Security log',
+    events.map((event) => `${event.type} liveAllowed=${event.liveAllowed}`),
+    Array(2).fill('shadow_limit_exceeded liveAllowed=true')
+  );
+  const { totalDenied } = limiter.getAnalyticsReport().summary;
+  expect('Live analytics denials', totalDenied, 0);
+
+  // Test 2: Candidates from the shadowRateLimits section, per tier
+  console.log('\nTest 2: Global Shadow Policies');
+
+  const global = createLimiter();
+  const config = defaultConfig();
+  config.rateLimits.free['/api/search'] = LIVE_POLICY;
+  config.rateLimits.premium['/api/search'] = LIVE_POLICY;
+  config.shadowRateLimits = { free: { '/api/search': CANDIDATE } };
+  await global.updateConfig(config, 'test');
+  for (const [userId, requests] of [
+    ['user_heavy', 6],
+    ['user_light', 4],
+    ['user_casual', 2],
+  ]) {
+    for (let i = 0; i < requests; i++) await check(global, userId);
+  }
+  for (let i = 0; i < 6; i++) await check(global, 'user_premium', 'premium');
+  const byUser = global.getShadowReport({ endpoint: '/api/search', limit: 2 });
+  expect(
+    'Free tier',
+    describeReport(byUser),
+    'evaluated 12, live denied 0, shadow denied 4, newly denied 4'
+  );
+  expect(
+    'Top would-be blocked',
+    byUser.policies[0].users
+      .map(({ userId, wouldBeDenied }) => `${userId}=${wouldBeDenied}`)
+      .join(', '),
+    'user_heavy=3, user_light=1'
+  );
+  expect(
+    'Tiers evaluated',
+    byUser.policies.map((entry) => entry.tier),
+    ['free']
+  );
+  const metrics = global.metrics.registry
+    .render()
+    .split('\n')
+    .filter((line) => line.startsWith('rate_limit_shadow_decisions_total'));
+  const series =
+    'rate_limit_shadow_decisions_total{endpoint="/api/search",tier="free",';
+  expect('Shadow decision metrics', metrics, [
+    `${series}decision="allowed"} 8`,
+    `${series}decision="denied"} 4`,
+  ]);
+
+  // Test 3: Started, reported and stopped through the admin API
+  console.log('\nTest 3: Admin API');
+
+  const adminLimiter = createLimiter();
+  await adminLimiter.setPolicy('free', '/api/search', LIVE_POLICY);
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', createAdminRouter(adminLimiter, { adminKey: ADMIN_KEY }));
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+  const admin = (path, method = 'GET', body) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'x-admin-key': ADMIN_KEY,
+        'content-type': 'application/json',
+      },
+      body: body && JSON.stringify(body),
+    });
+
+  try {
+    let response = await admin('/policies/free/api/search', 'PUT', {
+      shadow: CANDIDATE,
+    });
+    expect('PUT shadow', response.status, 200);
+    for (let i = 0; i < 4; i++) await check(adminLimiter, 'user_http');
+
+    response = await admin('/analytics/shadow?endpoint=/api/search');
+    expect(
+      'GET shadow report',
+      `${response.status}, ${describeReport(await response.json())}`,
+      '200, evaluated 4, live denied 0, shadow denied 1, newly denied 1'
+    );
+    response = await admin('/analytics/shadow?limit=0');
+    expect(
+      'Bad limit',
+      [response.status, await response.json()],
+      [400, { error: 'limit must be a positive integer' }]
+    );
+
+    response = await admin('/policies/free/api/search', 'PUT', {
+      shadow: null,
+    });
+    expect(
+      'PUT shadow: null',
+      [response.status, await response.json()],
+      [200, LIVE_POLICY]
+    );
+    await check(adminLimiter, 'user_http');
+    expect(
+      'Evaluated after stopping',
+      adminLimiter.getShadowReport().summary.evaluated,
+      4
+    );
+  } finally {
+    server.close();
+  }
+
+  // Test 4: Shadow failures never affect live decisions, and candidates
+  // only set limits
+  console.log('\nTest 4: Isolation and Validation');
+
+  const failing = createLimiter();
+  await failing.setPolicy('free', '/api/search', {
+    ...LIVE_POLICY,
+    shadow: CANDIDATE,
+  });
+  const evalSteps = failing.evalSteps.bind(failing);
+  failing.evalSteps = (steps) =>
+    steps[0].keys[0].includes('shadow:')
+      ? Promise.reject(new Error('Redis timeout'))
+      : evalSteps(steps);
+  const logged = [];
+  const consoleError = console.error;
+  console.error = (message, error) =>
+    logged.push(`${message} ${error.message}`);
+  try {
+    const result = await check(failing, 'user_failing');
+    expect('Live result', describe(result), 'ALLOWED');
+  } finally {
+    console.error = consoleError;
+  }
+  expect('Logged', logged, ['Shadow policy error: Redis timeout']);
+
+  let problems = [];
+  try {
+    parseConfig({
+      rateLimits: {
+        free: {
+          '/api/search': {
+            ...LIVE_POLICY,
+            shadow: {
+              ...CANDIDATE,
+              mode: 'delay',
+              concurrency: { perUser: 1 },
+            },
+          },
+          '/api/profile': { ...LIVE_POLICY, shadow: { window: 60 } },
+        },
+        anonymous: {},
+      },
+      shadowRateLimits: {
+        gold: {},
+        unlimited: {},
+        premium: { 'api/search': CANDIDATE },
+      },
+    });
+  } catch (error) {
+    problems = error.errors;
+  }
+  expect('Invalid shadow policies', problems, [
+    'rateLimits.free./api/search.shadow: concurrency cannot be shadowed',
+    'rateLimits.free./api/search.shadow: mode cannot be shadowed',
+    'rateLimits.free./api/profile.shadow.max must be a non-negative number',
+    'rateLimits.free./api/profile.shadow.burst must be a non-negative number',
+    'shadowRateLimits: unknown tier gold',
+    'shadowRateLimits: the unlimited tier is never limited',
+    'shadowRateLimits.premium: endpoint api/search must be a path starting ' +
+      'with /, optionally after a method',
+  ]);
+
+  console.log('\nAll Shadow Mode Tests Completed!');
+}
+
+run(testShadow);
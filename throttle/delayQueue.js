@@ -0,0 +1,123 @@
+const DELAY_MODES = ['reject', 'delay'];
+
+const DEFAULT_MAX_WAIT = 10;
+const DEFAULT_MAX_QUEUE = 10;
+
+// Resolves after ms, or as soon as the signal aborts
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+
+// How long a policy in delay mode lets requests wait (ms), and how many
+// may wait per user
+const delaySettings = (policy) => ({
+  maxWait:
+    (policy.maxWait === undefined ? DEFAULT_MAX_WAIT : policy.maxWait) * 1000,
+  maxQueue: policy.maxQueue === undefined ? DEFAULT_MAX_QUEUE : policy.maxQueue,
+});
+
+// Problems with a policy's mode, maxWait and maxQueue (for configSchema)
+const validateDelay = (path, policy, errors) => {
+  if (policy.mode !== undefined && !DELAY_MODES.includes(policy.mode)) {
+    errors.push(`${path}.mode must be one of ${DELAY_MODES.join(', ')}`);
+  }
+  if (
+    policy.maxWait !== undefined &&
+    (!Number.isFinite(policy.maxWait) || policy.maxWait <= 0)
+  ) {
+    errors.push(`${path}.maxWait must be a positive number of seconds`);
+  }
+  if (
+    policy.maxQueue !== undefined &&
+    (!Number.isInteger(policy.maxQueue) || policy.maxQueue <= 0)
+  ) {
+    errors.push(`${path}.maxQueue must be a positive integer`);
+  }
+  if (
+    policy.mode !== 'delay' &&
+    (policy.maxWait !== undefined || policy.maxQueue !== undefined)
+  ) {
+    errors.push(`${path}: maxWait and maxQueue need mode: 'delay'`);
+  }
+};
+
+/**
+ * Delay queue
+ * Policies with mode: 'delay' hold requests their limit turns away until a
+ * token frees up, instead of answering 429 right away. Waiting requests
+ * line up in one FIFO queue per user and endpoint on this instance; only
+ * the head of a queue tries for a token, so a request never overtakes one
+ * that came before it.
+ *
+ * Queues are bounded (maxQueue, counting the head), and a request leaves
+ * its queue when its turn is done, after maxWait or as soon as its client
+ * disconnects
+ */
+class DelayQueue {
+  constructor() {
+    this.queues = new Map();
+  }
+
+  // Requests waiting under a key, including the one whose turn it is
+  size(key) {
+    const queue = this.queues.get(key);
+    return queue ? queue.length : 0;
+  }
+
+  // Line up under a key. Resolves with leave(), to call once the turn is
+  // done, when every request ahead has left; or with null if the signal
+  // aborts first
+  enter(key, signal) {
+    if (signal && signal.aborted) return Promise.resolve(null);
+    if (!this.queues.has(key)) this.queues.set(key, []);
+    const queue = this.queues.get(key);
+
+    return new Promise((resolve) => {
+      const waiter = {};
+      const remove = () => {
+        const head = queue[0] === waiter;
+        queue.splice(queue.indexOf(waiter), 1);
+        if (queue.length === 0) {
+          this.queues.delete(key);
+        } else if (head) {
+          queue[0].start();
+        }
+      };
+      const abort = () => {
+        remove();
+        resolve(null);
+      };
+      waiter.start = () => {
+        if (signal) signal.removeEventListener('abort', abort);
+        let left = false;
+        resolve(() => {
+          if (left) return;
+          left = true;
+          remove();
+        });
+      };
+
+      queue.push(waiter);
+      if (queue.length === 1) {
+        waiter.start();
+      } else if (signal) {
+        signal.addEventListener('abort', abort, { once: true });
+      }
+    });
+  }
+}
+
+module.exports = {
+  DelayQueue,
+  DELAY_MODES,
+  delaySettings,
+  validateDelay,
+  sleep,
+};